@@ -0,0 +1,665 @@
+#!/usr/bin/env node
+/**
+============================================================
+    Goal: `linux-monitor` Command-Line Interface
+============================================================
+    Why:
+        - Each monitor used to be its own script with a hard-coded loop
+        - Cron jobs, Nagios and deploy scripts need one-shot answers, not a daemon
+
+    What:
+        - `run`: start the selected monitors as one daemon
+        - `check`: run the checks once as a Nagios/Icinga plugin (status line, perfdata, exit code)
+        - `status`: print current readings, levels and top processes
+        - `test-alert`: send a sample alert through every configured channel
+        - `config validate`: check the config file and environment without starting anything
+        - `history`: tables and sparklines from the local metrics history
+        - Every command can print JSON (--json) for scripting
+============================================================
+*/
+
+// One-shot commands print their results on stdout, so their logs go to stderr and only
+// warnings show unless LOG_LEVEL asks for more; `run` logs like the monitors themselves
+if (require.main === module) {
+    if (process.argv[2] !== 'run') {
+        process.env.LOG_DESTINATION = 'stderr';
+        if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'warn';
+    } else if (process.argv.includes('--json')) {
+        process.env.LOG_FORMAT = 'json';
+    }
+}
+
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { readConfig, findConfigFile, isConfigError, parseDuration } = require('../lib/config');
+const { HISTORY_FILES, createHistoryStore, sparkline } = require('../lib/history');
+const { createChannels } = require('../lib/notifiers');
+const { formatBytes } = require('../lib/common');
+const { getLogger } = require('../lib/logger');
+
+const logger = getLogger('cli');
+
+const USAGE = `Usage: linux-monitor <command> [options]
+
+Commands:
+  run               Start the monitors and keep checking on their intervals
+  check             Check once and print a Nagios status line with perfdata;
+                    exits 0/1/2/3 (OK, WARNING, CRITICAL, UNKNOWN)
+  status            Print current readings, alert levels and top processes
+  test-alert        Send a sample alert to every configured channel
+  config validate   Validate the config file and environment
+  history           Show recorded samples from the local metrics history
+
+Common options:
+  --json            Print JSON instead of text (\`run\`: log JSON lines)
+
+Run, check and status options:
+  --monitors <list> Monitors to include: health, disk (default health,disk)
+
+Test-alert options:
+  --channel <name>  Only this channel (slack, teams, discord, webhook, email, command); repeatable
+
+Config validate options:
+  --file <path>     Validate this file instead of the one the monitors would load
+
+History options:
+  --metric <name>   Metric to show (cpu, iowait, steal, mem, swap, memPressure, load1, disk:/data, ...);
+                    without it every metric gets a one-line summary
+  --since <time>    How far back to look, e.g. 90m, 6h, 7d (default 1h)
+  --rows <n>        Rows in the table (default 12)
+
+Examples:
+  linux-monitor run --monitors disk
+  linux-monitor check --json
+  linux-monitor test-alert --channel slack
+  linux-monitor config validate --file /etc/linux-monitor.yaml
+  linux-monitor history --metric mem --since 6h
+`;
+
+// Loaded on demand: requiring a monitor reads the configuration and sets up its state
+const MONITORS = {
+    health: () => require('../system-health-monitor'),
+    disk: () => require('../disk-monitor'),
+};
+
+// Nagios plugin exit codes
+const EXIT_CODES = { OK: 0, WARNING: 1, CRITICAL: 2, UNKNOWN: 3 };
+
+// Which state wins when several checks disagree
+const STATE_RANK = { OK: 0, UNKNOWN: 1, WARNING: 2, CRITICAL: 3 };
+
+// How long CPU usage is measured over in one-shot commands
+const CPU_SAMPLE_MS = 1000;
+
+
+// Local "YYYY-MM-DD HH:MM"
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatNumber(value) {
+    return value.toFixed(1);
+}
+
+
+/**
+ * Min, average, max and latest value of a series.
+ *
+ * @param {{ value: number, min: number, max: number }[]} points
+ * @returns {{ min: number, avg: number, max: number, last: number }|null}
+ */
+function summarize(points) {
+    if (points.length === 0) return null;
+    return {
+        min: Math.min(...points.map(point => point.min)),
+        avg: points.reduce((sum, point) => sum + point.value, 0) / points.length,
+        max: Math.max(...points.map(point => point.max)),
+        last: points[points.length - 1].value,
+    };
+}
+
+
+/**
+ * Split [since, until] into `rows` equal intervals and summarize the points
+ * in each; intervals without samples are left out.
+ */
+function groupRows(points, { since, until, rows }) {
+    const width = Math.max(1, (until - since) / rows);
+    const groups = new Map();
+    for (const point of points) {
+        const index = Math.min(rows - 1, Math.floor((point.timestamp - since) / width));
+        if (!groups.has(index)) groups.set(index, []);
+        groups.get(index).push(point);
+    }
+    return Array.from(groups.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, group]) => Object.assign({ timestamp: Math.max(since, group[0].timestamp), samples: group.length }, summarize(group)));
+}
+
+
+// Every history file merged, so health and disk metrics answer the same queries
+function openHistory(config) {
+    const options = { retentionMs: config.HISTORY_RETENTION, rawRetentionMs: config.HISTORY_RAW_RETENTION };
+    const stores = HISTORY_FILES.map(file => createHistoryStore(file, options, logger));
+    return {
+        listMetrics: () => Array.from(new Set([].concat(...stores.map(store => store.listMetrics())))).sort(),
+        query: (metric, range) => {
+            const results = stores.map(store => store.query(metric, range));
+            return results.find(result => result.points.length > 0) || results[0];
+        },
+    };
+}
+
+
+/**
+ * Render the history of one metric as a sparkline plus a table.
+ *
+ * @returns {string}
+ */
+function formatMetricHistory(metric, result, { since, until, rows, sinceLabel }) {
+    const summary = summarize(result.points);
+    if (!summary) return `${metric}: no samples in the last ${sinceLabel}\n`;
+
+    const resolution = result.resolution === 'raw' ? 'raw samples' : 'hourly averages';
+    const lines = [
+        `${metric} — last ${sinceLabel} (${resolution}, ${result.points.length} points)`,
+        `${sparkline(result.points.map(point => point.value))}  min ${formatNumber(summary.min)}  avg ${formatNumber(summary.avg)}  max ${formatNumber(summary.max)}  last ${formatNumber(summary.last)}`,
+        '',
+        `${'Time'.padEnd(18)}${'Min'.padStart(8)}${'Avg'.padStart(8)}${'Max'.padStart(8)}`,
+    ];
+    for (const row of groupRows(result.points, { since, until, rows })) {
+        lines.push(`${formatTime(row.timestamp).padEnd(18)}${formatNumber(row.min).padStart(8)}${formatNumber(row.avg).padStart(8)}${formatNumber(row.max).padStart(8)}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+
+/**
+ * Render a one-line sparkline summary per metric.
+ *
+ * @returns {string}
+ */
+function formatHistoryOverview(results, { sinceLabel }) {
+    const entries = Object.entries(results).filter(([, result]) => result.points.length > 0);
+    if (entries.length === 0) return `No samples in the last ${sinceLabel}\n`;
+
+    const nameWidth = Math.max(...entries.map(([metric]) => metric.length)) + 2;
+    const lines = [`Last ${sinceLabel}:`];
+    for (const [metric, result] of entries) {
+        const summary = summarize(result.points);
+        lines.push(`${metric.padEnd(nameWidth)}${sparkline(result.points.map(point => point.value), 30).padEnd(32)}min ${formatNumber(summary.min).padStart(6)}  avg ${formatNumber(summary.avg).padStart(6)}  max ${formatNumber(summary.max).padStart(6)}  last ${formatNumber(summary.last).padStart(6)}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+
+function formatPercent(value) {
+    return value === null || value === undefined ? 'n/a' : `${value.toFixed(1)}%`;
+}
+
+// Percentages unless the check says otherwise: bytes for RSS limits, a PID count for processes
+function formatValue(result) {
+    if (result.unit === undefined || result.value === null || result.value === undefined) return formatPercent(result.value);
+    return result.unit === 'B' ? formatBytes(result.value) : `${result.value}${result.unit}`;
+}
+
+function formatLevel(value, unit = '%') {
+    if (value === null || value === undefined) return '-';
+    return unit === 'B' ? formatBytes(value) : `${value}${unit}`;
+}
+
+// Command lines can run to pages; the table only needs enough to recognise the process
+function shorten(text, limit = 80) {
+    return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseMonitors(list) {
+    const names = list.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !MONITORS[name]);
+    if (names.length === 0 || unknown.length > 0) {
+        throw usageError(`--monitors takes a comma-separated list of ${Object.keys(MONITORS).join(', ')}, got "${list}"`);
+    }
+    return names;
+}
+
+
+/**
+ * Run the selected monitors' checks once as a dry run: rules are applied
+ * but nothing is sent and no history is written.
+ *
+ * @param {string[]} names   Monitors to check ('health', 'disk')
+ * @returns {Promise<object[]>} Check results with their Nagios state (OK, WARNING, CRITICAL, UNKNOWN)
+ */
+async function runChecks(names, { sampleMs = CPU_SAMPLE_MS } = {}) {
+    const results = [];
+    if (names.includes('health')) {
+        const health = MONITORS.health();
+        // Without an earlier sample, CPU usage would be the average since boot and network, disk,
+        // TCP and container rates unknown
+        health.getCpuBreakdown();
+        health.getNetworkInterfaces();
+        health.getDiskDevices();
+        health.getTcpConnections();
+        health.getContainers();
+        await sleep(sampleMs);
+        results.push(...health.checkSystemHealth({ dryRun: true }));
+    }
+    if (names.includes('disk')) {
+        results.push(...MONITORS.disk().checkDiskUsage({ dryRun: true }));
+    }
+    return results.map(result => Object.assign({
+        state: result.status === 'unknown' ? 'UNKNOWN' : (result.severity || 'ok').toUpperCase(),
+    }, result));
+}
+
+// The worst state among the results; no results at all is UNKNOWN
+function overallState(results) {
+    if (results.length === 0) return 'UNKNOWN';
+    return results.reduce((worst, result) => (STATE_RANK[result.state] > STATE_RANK[worst] ? result.state : worst), 'OK');
+}
+
+
+/**
+ * One-line summary of check results, e.g.
+ * "CRITICAL - Memory Usage 95.0% (critical 90%); Process nginx not running".
+ * Without perfdata; see formatNagiosOutput().
+ *
+ * @returns {string}
+ */
+function formatCheckLine(results) {
+    const state = overallState(results);
+    const problems = results.filter(result => result.state !== 'OK');
+    if (problems.length === 0) return `${state} - ${results.length} checks OK`;
+    const details = problems.map(result => {
+        if (result.state === 'UNKNOWN') return `${result.label} unreadable`;
+        if (result.detail) return `${result.label} ${result.detail}`;
+        return `${result.label} ${formatPercent(result.value)} (${result.severity} ${formatLevel(result[result.severity])})`;
+    });
+    return `${state} - ${details.join('; ')}`;
+}
+
+
+// Perfdata labels need quotes around spaces, '=' and quotes; quotes inside are doubled
+function perfdataLabel(key) {
+    return /[\s='"]/.test(key) ? `'${key.replace(/'/g, "''")}'` : key;
+}
+
+function perfdataNumber(value) {
+    return value === null || value === undefined ? '' : String(parseFloat(value.toFixed(2)));
+}
+
+
+/**
+ * Nagios performance data for every readable result, in the plugin format
+ * `label=value[UOM];warn;crit`, e.g. "cpu=85.5%;80;90 disk:/data=71%;;80".
+ * An unset warning level leaves its field empty; process checks report how
+ * many PIDs they found, without a unit ("process:nginx=2;;"), and RSS limits
+ * report the largest RSS in bytes ("rss:java=5368709120B;;4294967296").
+ *
+ * @returns {string}
+ */
+function formatPerfdata(results) {
+    return results
+        .filter(result => result.value !== null && result.value !== undefined)
+        .map(result => `${perfdataLabel(result.key)}=${perfdataNumber(result.value)}${result.unit !== undefined ? result.unit : '%'};${perfdataNumber(result.warning)};${perfdataNumber(result.critical)}`)
+        .join(' ');
+}
+
+
+/**
+ * The standard plugin output: status line, then " | " and the perfdata.
+ *
+ * @returns {string}
+ */
+function formatNagiosOutput(results) {
+    const perfdata = formatPerfdata(results);
+    return perfdata ? `${formatCheckLine(results)} | ${perfdata}` : formatCheckLine(results);
+}
+
+
+/**
+ * Render `status` output: host line, a table of every check and the top processes.
+ *
+ * @returns {string}
+ */
+function formatStatus(status) {
+    const lines = [];
+    const load = status.load ? ` · load ${status.load['1min']} ${status.load['5min']} ${status.load['15min']} on ${status.cpuCount} CPUs` : '';
+    lines.push(`${status.host}${status.uptime ? ` · ${status.uptime}` : ''}${load}`);
+    lines.push(`Overall: ${status.state}`, '');
+
+    const width = Math.max(5, ...status.checks.map(result => result.label.length)) + 2;
+    lines.push(`${'Check'.padEnd(width)}${'Value'.padStart(8)}${'Warning'.padStart(10)}${'Critical'.padStart(10)}  State`);
+    for (const result of status.checks) {
+        lines.push(`${result.label.padEnd(width)}${formatValue(result).padStart(8)}${formatLevel(result.warning, result.unit).padStart(10)}${formatLevel(result.critical, result.unit).padStart(10)}  ${result.state}`);
+    }
+
+    for (const [title, processes] of [['Top CPU processes', status.topProcesses.cpu], ['Top memory processes', status.topProcesses.memory]]) {
+        if (processes.length === 0) continue;
+        lines.push('', title);
+        lines.push(`${'PID'.padStart(8)}  ${'USER'.padEnd(10)}${'CPU%'.padStart(6)}${'MEM%'.padStart(6)}  COMMAND`);
+        for (const proc of processes) {
+            lines.push(`${String(proc.pid).padStart(8)}  ${proc.user.padEnd(10)}${proc.cpu.toFixed(1).padStart(6)}${proc.mem.toFixed(1).padStart(6)}  ${shorten(proc.command)}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+
+// The message `test-alert` sends, in the notification shape every channel accepts
+function buildTestNotification(now) {
+    const host = os.hostname();
+    return {
+        type: 'test',
+        severity: 'warning',
+        text: `🧪 Test alert from linux-monitor on ${host}`,
+        attachments: [{
+            color: 'good',
+            title: 'Test alert',
+            text: 'If you can read this, alerts from this host reach this channel. No action is needed.',
+            fields: [
+                { title: 'Host', value: host, short: true },
+                { title: 'Sent', value: new Date(now).toISOString(), short: true },
+            ],
+        }],
+    };
+}
+
+
+// =====================
+// Commands
+// =====================
+function runDaemon(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            monitors: { type: 'string', default: 'health,disk' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    for (const name of parseMonitors(values.monitors)) {
+        MONITORS[name]().start();
+    }
+    return 0;
+}
+
+
+async function runCheck(args, config, { out, sampleMs }) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            monitors: { type: 'string', default: 'health,disk' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    const results = await runChecks(parseMonitors(values.monitors), { sampleMs });
+    const state = overallState(results);
+
+    if (values.json) {
+        out.write(`${JSON.stringify({ state, exitCode: EXIT_CODES[state], perfdata: formatPerfdata(results), checks: results }, null, 2)}\n`);
+    } else {
+        out.write(`${formatNagiosOutput(results)}\n`);
+    }
+    return EXIT_CODES[state];
+}
+
+
+async function runStatus(args, config, { out, sampleMs, now = Date.now() }) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            monitors: { type: 'string', default: 'health,disk' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    const names = parseMonitors(values.monitors);
+    const checks = await runChecks(names, { sampleMs });
+    const health = names.includes('health') ? MONITORS.health() : null;
+    const status = {
+        host: os.hostname(),
+        generatedAt: now,
+        uptime: health ? health.getUptime() : null,
+        load: health ? health.getSystemLoad() : null,
+        cpuCount: os.cpus().length,
+        state: overallState(checks),
+        checks,
+        topProcesses: {
+            cpu: health ? health.getTopCpuProcesses(5) : [],
+            memory: health ? health.getTopMemoryProcesses(5) : [],
+        },
+    };
+
+    out.write(values.json ? `${JSON.stringify(status, null, 2)}\n` : formatStatus(status));
+    return 0;
+}
+
+
+async function runTestAlert(args, config, { out, now = Date.now() }) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            channel: { type: 'string', multiple: true },
+            json: { type: 'boolean', default: false },
+        },
+    });
+    let channels = createChannels(config);
+    if (values.channel) {
+        const configured = channels.map(channel => channel.name);
+        const unknown = values.channel.filter(name => !configured.includes(name));
+        if (unknown.length > 0) {
+            throw usageError(`Channel(s) not configured: ${unknown.join(', ')} (configured: ${configured.join(', ') || 'none'})`);
+        }
+        channels = channels.filter(channel => values.channel.includes(channel.name));
+    }
+
+    // Every channel gets the alert directly, whatever ALERT_ROUTES says
+    const notification = buildTestNotification(now);
+    const settled = await Promise.allSettled(channels.map(channel => Promise.resolve().then(() => channel.send(notification))));
+    const results = channels.map((channel, i) => (settled[i].status === 'fulfilled'
+        ? { channel: channel.name, delivered: true }
+        : { channel: channel.name, delivered: false, error: settled[i].reason.message }));
+
+    if (values.json) {
+        out.write(`${JSON.stringify({ channels: results }, null, 2)}\n`);
+    } else if (results.length === 0) {
+        out.write('No alert channel configured. Set SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, DISCORD_WEBHOOK_URL, ALERT_WEBHOOK_URL, SMTP_HOST with ALERT_EMAIL_TO, or ALERT_COMMAND\n');
+    } else {
+        for (const result of results) {
+            out.write(result.delivered ? `✓ ${result.channel}: sent\n` : `✗ ${result.channel}: ${result.error}\n`);
+        }
+    }
+    return results.length > 0 && results.every(result => result.delivered) ? 0 : 1;
+}
+
+
+function runConfig(args, config, { out, env }) {
+    const [action, ...rest] = args;
+    if (action !== 'validate') {
+        throw usageError(action ? `Unknown config action "${action}"` : 'Missing config action (validate)');
+    }
+    const { values } = parseArgs({
+        args: rest,
+        options: {
+            file: { type: 'string' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+
+    // --file is relative to the working directory, unlike CONFIG_FILE
+    const configEnv = values.file ? Object.assign({}, env, { CONFIG_FILE: path.resolve(values.file) }) : env;
+    const file = findConfigFile(configEnv);
+    const errors = [];
+    const warnings = [];
+    let channels = [];
+    try {
+        const resolved = readConfig(configEnv);
+        channels = createChannels(resolved).map(channel => channel.name);
+        if (channels.length === 0) {
+            errors.push('No alert channel configured; the monitors will not start without one');
+        }
+        for (const [route, names] of Object.entries(resolved.ALERT_ROUTES)) {
+            const unknown = names.filter(name => !channels.includes(name));
+            if (unknown.length > 0) warnings.push(`Route "${route}" names channels that are not configured: ${unknown.join(', ')}`);
+        }
+    } catch (error) {
+        if (!isConfigError(error)) throw error;
+        errors.push(...error.errors);
+    }
+
+    if (values.json) {
+        out.write(`${JSON.stringify({ valid: errors.length === 0, file, channels, errors, warnings }, null, 2)}\n`);
+    } else if (errors.length > 0) {
+        out.write(`Invalid configuration${file ? ` in ${file}` : ''}:\n${errors.map(message => `  - ${message}`).join('\n')}\n`);
+    } else {
+        out.write(`Configuration is valid (${file || 'no config file; environment and defaults'})\nChannels: ${channels.join(', ')}\n`);
+        for (const warning of warnings) out.write(`Warning: ${warning}\n`);
+    }
+    return errors.length > 0 ? 1 : 0;
+}
+
+
+function runHistory(args, config, { out, now = Date.now() }) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            metric: { type: 'string' },
+            since: { type: 'string', default: '1h' },
+            rows: { type: 'string', default: '12' },
+            json: { type: 'boolean', default: false },
+        },
+    });
+
+    const sinceMs = parseDuration(values.since);
+    if (!sinceMs) throw usageError(`--since must be a duration such as 90m, 6h or 7d, got "${values.since}"`);
+    const rows = parseInt(values.rows, 10);
+    if (!(rows > 0)) throw usageError(`--rows must be a positive whole number, got "${values.rows}"`);
+
+    const range = { since: now - sinceMs, until: now };
+    const history = openHistory(config);
+    const metrics = values.metric ? [values.metric] : history.listMetrics();
+    const results = {};
+    for (const metric of metrics) results[metric] = history.query(metric, range);
+
+    if (values.json) {
+        out.write(`${JSON.stringify({ since: range.since, until: range.until, metrics: results }, null, 2)}\n`);
+    } else if (values.metric) {
+        out.write(formatMetricHistory(values.metric, results[values.metric], Object.assign({ rows, sinceLabel: values.since }, range)));
+    } else {
+        out.write(formatHistoryOverview(results, { sinceLabel: values.since }));
+    }
+    return 0;
+}
+
+
+const COMMANDS = {
+    run: runDaemon,
+    check: runCheck,
+    status: runStatus,
+    'test-alert': runTestAlert,
+    config: runConfig,
+    history: runHistory,
+};
+
+// Commands that read the configuration themselves instead of failing on an invalid one
+const SELF_CONFIGURED = new Set(['config']);
+
+// Commands run by Nagios/NRPE, which only reads the exit code and the first line of stdout
+const NAGIOS_COMMANDS = new Set(['check']);
+
+function usageError(message) {
+    const error = new Error(message);
+    error.name = 'UsageError';
+    return error;
+}
+
+
+/**
+ * Run one CLI invocation.
+ *
+ * @param {string[]} argv   Arguments after the program name
+ * @param {object} [io]     { out, err } streams (process.stdout/stderr by default), env, now,
+ *                          and sampleMs, the CPU measuring time of check and status
+ * @returns {number|Promise<number>} Exit code
+ */
+function main(argv, { out = process.stdout, err = process.stderr, env = process.env, now, sampleMs } = {}) {
+    const [command, ...args] = argv;
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        out.write(USAGE);
+        return command ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        err.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    // A failing Nagios check is UNKNOWN, reported on stdout, so it never passes for OK, WARNING or CRITICAL
+    const nagios = NAGIOS_COMMANDS.has(command);
+    const fail = (exitCode, summary) => {
+        if (!nagios) return exitCode;
+        out.write(`UNKNOWN - ${summary}\n`);
+        return EXIT_CODES.UNKNOWN;
+    };
+
+    let config = null;
+    if (!SELF_CONFIGURED.has(command)) {
+        try {
+            config = readConfig(env);
+        } catch (error) {
+            if (!isConfigError(error)) throw error;
+            err.write(`Invalid configuration:\n${error.errors.map(message => `  - ${message}`).join('\n')}\n`);
+            return fail(1, `invalid configuration: ${error.errors.join('; ')}`);
+        }
+    }
+
+    const handleError = error => {
+        // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+        if (error.name === 'UsageError' || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+            err.write(`${error.message}\n\n${USAGE}`);
+            return fail(2, error.message);
+        }
+        if (nagios) {
+            logger.error({ err: error, command }, 'Command failed');
+            return fail(1, `${command} failed: ${error.message}`);
+        }
+        throw error;
+    };
+
+    try {
+        const result = COMMANDS[command](args, config, { out, err, env, now, sampleMs });
+        return result instanceof Promise ? result.catch(handleError) : result;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+
+if (require.main === module) {
+    Promise.resolve(main(process.argv.slice(2))).then(code => {
+        process.exitCode = code;
+    }, error => {
+        logger.fatal({ err: error }, 'Command failed');
+        process.exitCode = 1;
+    });
+}
+
+
+module.exports = {
+    main,
+    summarize,
+    groupRows,
+    overallState,
+    formatCheckLine,
+    formatPerfdata,
+    formatNagiosOutput,
+    formatStatus,
+    formatMetricHistory,
+    formatHistoryOverview,
+};
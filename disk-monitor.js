@@ -4,50 +4,125 @@
 ============================================================
     Why:
         - Proactively detect and alert on high disk usage
-        - Prevent outages due to full disks by notifying admins via Slack
+        - Prevent outages due to full disks by notifying admins via Slack, Teams, email or other channels
         - Automate monitoring and reduce manual checks
 
     What:
-        - Periodically checks root disk usage
-        - Sends Slack alerts when usage exceeds threshold
-        - Implements cooldown to avoid alert spam
-        - Tracks last alert time in a file
+        - Periodically checks usage of every real mounted filesystem
+        - Sends alerts naming the mountpoint and device when usage exceeds threshold
+        - Alerts on inode exhaustion, listing the directories with the most entries
+        - Forecasts when each mount will fill up and warns before it happens
+        - Sends a "resolved" message with the incident duration when a mount recovers
+        - Supports per-mount thresholds, cooldowns and include/exclude globs
+        - Alerts at warning and critical levels; escalations bypass the cooldown
+        - Applies a "for" duration and a clear threshold (hysteresis) to space and inode alerts
+        - Tracks cooldowns per mount and alert kind in its own JSON state file
+          (.disk_alert_state.json), which no other monitor writes
 ============================================================
 */
 
-const cp = require('child_process');
-const axios = require('axios');
-
+const { loadConfig, watchConfig } = require('./lib/config');
 const {
-    loadConfig,
-    createAlertTracker,
-    validateWebhook,
+    SEVERITY_COLORS,
+    severityField,
+    createCooldownStore,
+    formatBytes,
+    formatDuration,
     setupGracefulShutdown,
 } = require('./lib/common');
 const { getLogger } = require('./lib/logger');
+const { createProcMetrics, statFilesystem } = require('./lib/proc-metrics');
+const { getMountUsages, findLargestDirectories } = require('./lib/mounts');
+const { createUsageHistory, forecastTimeToFull } = require('./lib/forecast');
+const { createHistoryStore } = require('./lib/history');
+const { createChannels, createNotifier, validateNotifier } = require('./lib/notifiers');
+const { STATES, createAlertLifecycle } = require('./lib/alert-lifecycle');
+const { ruleFromConfig, createRuleEngine } = require('./lib/rules');
 
 const logger = getLogger('disk-monitor');
 
 // =====================
 // Configuration Section
 // =====================
-const config = loadConfig();
+// Everything derived from the configuration is rebuilt by applyConfig() when it is reloaded
+let config;
+let notifier;
+let procMetrics;
+let INODE_RULE;
+let history;
+let usageHistory;
+
+function applyConfig(next) {
+    config = next;
+
+    // Alert delivery to every configured channel, routed per alert type
+    notifier = createNotifier({ channels: createChannels(config), routes: config.ALERT_ROUTES }, logger);
+
+    // Native /proc readers (PROC_ROOT lets tests point at fixture directories)
+    procMetrics = createProcMetrics({ procRoot: config.PROC_ROOT });
 
-const SLACK_WEBHOOK_URL = config.SLACK_WEBHOOK_URL;
-const DISK_THRESHOLD    = config.DISK_THRESHOLD;
-const CHECK_INTERVAL    = config.CHECK_INTERVAL;
-const ALERT_COOLDOWN    = config.ALERT_COOLDOWN;
+    // Inode levels, "for" duration and clear threshold apply to every mount
+    INODE_RULE = ruleFromConfig(config, 'INODE');
+
+    // Usage per mount on every check, for `linux-monitor history`
+    history = config.HISTORY_RETENTION > 0
+        ? createHistoryStore('.disk_history.json', { retentionMs: config.HISTORY_RETENTION, rawRetentionMs: config.HISTORY_RAW_RETENTION }, logger)
+        : null;
+
+    // Rolling used-bytes history per mount, for growth forecasts; a new window applies from
+    // the next sample on, and the samples already on disk are kept
+    usageHistory = createUsageHistory('.disk_usage_history.json', { windowMs: config.DISK_FORECAST_WINDOW }, logger);
+}
 
-// Alert cooldown tracking (persisted to file)
-const alertTracker = createAlertTracker('.last_disk_alert', logger);
+applyConfig(loadConfig(logger));
+
+// DISK_CHECK_INTERVAL overrides the shared CHECK_INTERVAL
+function getCheckInterval() {
+    return config.DISK_CHECK_INTERVAL !== null ? config.DISK_CHECK_INTERVAL : config.CHECK_INTERVAL;
+}
+
+// OK / PENDING / FIRING / RESOLVED per mount and alert kind ('disk:/data', 'inode:/data')
+const alertLifecycle = createAlertLifecycle(logger);
+
+// Cooldowns per alert key ('disk:/data', 'inode:/data', 'forecast:/data') in this monitor's own state file
+const cooldowns = createCooldownStore('.disk_alert_state.json', logger);
+
+// Breach start and firing state per mount and alert kind, driven by the rules below
+const ruleEngine = createRuleEngine();
+
+// Per-mount overrides fall back to the global settings (0 is a valid override)
+function mountSetting(overrides, mountpoint, fallback) {
+    const value = overrides[mountpoint];
+    return value !== undefined && value !== null ? value : fallback;
+}
+
+function getMountThreshold(mountpoint) {
+    return mountSetting(config.DISK_MOUNT_THRESHOLDS, mountpoint, config.DISK_THRESHOLD);
+}
+
+function getMountRule(mountpoint) {
+    return ruleFromConfig(config, 'DISK', {
+        warning: mountSetting(config.DISK_MOUNT_WARNING_THRESHOLDS, mountpoint, config.DISK_WARNING_THRESHOLD),
+        critical: getMountThreshold(mountpoint),
+    });
+}
+
+// Severity recorded for the last alert sent under a key, so recoveries follow the same routes
+function lastSeverity(key) {
+    const last = cooldowns.getLastAlert(key);
+    return last ? last.severity : 'critical';
+}
+
+function getMountCooldown(mountpoint) {
+    return mountSetting(config.DISK_MOUNT_COOLDOWNS, mountpoint, config.ALERT_COOLDOWN);
+}
 
 
 // Get disk usage percentage for root filesystem
 function getDiskUsage() {
     try {
-        // Uses 'df -h' and 'awk' to extract usage %
-        const output = cp.execSync("df -h / | awk 'NR==2 {print $5}' | sed 's/%//'", { encoding: 'utf8' });
-        return parseInt(output.trim());
+        // statfs on '/', rounded up the same way df reports Use%
+        return Math.ceil(statFilesystem('/').usagePercent);
     } catch (error) {
         logger.error({ err: error }, 'Error getting disk usage');
         return null;
@@ -55,28 +130,73 @@ function getDiskUsage() {
 }
 
 
-// Send alert to Slack channel via webhook
-async function sendSlackAlert(diskUsage) {
+// Get usage for every monitored mount (percentages rounded up like df)
+function getAllDiskUsage() {
+    try {
+        return getMountUsages(procMetrics, {
+            include: config.DISK_INCLUDE,
+            exclude: config.DISK_EXCLUDE,
+            onError: (error, mount) => logger.warn({ err: error, mountpoint: mount.mountpoint }, 'Skipping unreadable mount'),
+        }).map(mount => ({
+            device: mount.device,
+            mountpoint: mount.mountpoint,
+            fstype: mount.fstype,
+            totalBytes: mount.totalBytes,
+            usedBytes: mount.usedBytes,
+            availableBytes: mount.availableBytes,
+            usagePercent: Math.ceil(mount.usagePercent),
+            totalInodes: mount.totalInodes,
+            usedInodes: mount.usedInodes,
+            inodeUsagePercent: Math.ceil(mount.inodeUsagePercent)
+        }));
+    } catch (error) {
+        logger.error({ err: error }, 'Error listing mounted filesystems');
+        return null;
+    }
+}
+
+
+// Send a warning or critical alert for one mount through the notifier
+async function sendSlackAlert(mount, severity = 'critical') {
     const hostname = require('os').hostname();
+    const threshold = getMountRule(mount.mountpoint)[severity];
     const message = {
-        text: `🚨 Disk Usage Alert`,
+        type: 'disk',
+        severity,
+        text: `${severity === 'warning' ? '⚠️' : '🚨'} Disk Usage Alert: ${mount.mountpoint} on ${hostname}`,
         attachments: [
             {
-                color: 'danger',
+                color: SEVERITY_COLORS[severity],
                 fields: [
+                    severityField(severity),
                     {
                         title: 'Server',
                         value: hostname,
                         short: true
                     },
+                    {
+                        title: 'Mountpoint',
+                        value: mount.mountpoint,
+                        short: true
+                    },
+                    {
+                        title: 'Device',
+                        value: `${mount.device} (${mount.fstype})`,
+                        short: true
+                    },
                     {
                         title: 'Disk Usage',
-                        value: `${diskUsage}%`,
+                        value: `${mount.usagePercent}%`,
+                        short: true
+                    },
+                    {
+                        title: 'Used / Size',
+                        value: `${formatBytes(mount.usedBytes)} / ${formatBytes(mount.totalBytes)} (${formatBytes(mount.availableBytes)} available)`,
                         short: true
                     },
                     {
                         title: 'Threshold',
-                        value: `${DISK_THRESHOLD}%`,
+                        value: `${threshold}%`,
                         short: true
                     },
                     {
@@ -90,64 +210,394 @@ async function sendSlackAlert(diskUsage) {
     };
 
     try {
-        await axios.post(SLACK_WEBHOOK_URL, message);
-        logger.info({ diskUsage, threshold: DISK_THRESHOLD }, 'Slack disk alert sent');
-        alertTracker.setLastAlertTime();
+        const channels = await notifier.send(message);
+        // Routed to no channel: nobody was told, so the cooldown and lifecycle stay as they are
+        if (channels.length === 0) return;
+        logger.info({ mountpoint: mount.mountpoint, device: mount.device, diskUsage: mount.usagePercent, threshold, severity, channels }, 'Disk alert sent');
+        cooldowns.recordAlert(`disk:${mount.mountpoint}`, { severity });
+        alertLifecycle.markNotified(`disk:${mount.mountpoint}`);
     } catch (error) {
-        logger.error({ err: error, diskUsage }, 'Error sending Slack message');
+        logger.error({ err: error, mountpoint: mount.mountpoint, diskUsage: mount.usagePercent }, 'Error sending disk alert');
+    }
+}
+
+
+// Send a warning or critical inode exhaustion alert for one mount through the notifier
+async function sendInodeAlert(mount, directories, severity = 'critical') {
+    const hostname = require('os').hostname();
+    const threshold = INODE_RULE[severity];
+    const directoryList = directories && directories.length > 0
+        ? directories.map((dir, index) => `${index + 1}. ${dir.path} (${dir.entries.toLocaleString('en-US')} entries)`).join('\n')
+        : 'Directory scan unavailable';
+    const message = {
+        type: 'inode',
+        severity,
+        text: `${severity === 'warning' ? '⚠️' : '🚨'} Inode Exhaustion Alert: ${mount.mountpoint} on ${hostname}`,
+        attachments: [
+            {
+                color: SEVERITY_COLORS[severity],
+                fields: [
+                    severityField(severity),
+                    {
+                        title: 'Server',
+                        value: hostname,
+                        short: true
+                    },
+                    {
+                        title: 'Mountpoint',
+                        value: mount.mountpoint,
+                        short: true
+                    },
+                    {
+                        title: 'Device',
+                        value: `${mount.device} (${mount.fstype})`,
+                        short: true
+                    },
+                    {
+                        title: 'Inode Usage',
+                        value: `${mount.inodeUsagePercent}% (${mount.usedInodes.toLocaleString('en-US')} / ${mount.totalInodes.toLocaleString('en-US')})`,
+                        short: true
+                    },
+                    {
+                        title: 'Disk Usage',
+                        value: `${mount.usagePercent}%`,
+                        short: true
+                    },
+                    {
+                        title: 'Threshold',
+                        value: `${threshold}%`,
+                        short: true
+                    },
+                    {
+                        title: 'Directories With Most Entries',
+                        value: directoryList,
+                        short: false
+                    }
+                ]
+            }
+        ]
+    };
+
+    try {
+        const channels = await notifier.send(message);
+        // Routed to no channel: nobody was told, so the cooldown and lifecycle stay as they are
+        if (channels.length === 0) return;
+        logger.info({ mountpoint: mount.mountpoint, device: mount.device, inodeUsage: mount.inodeUsagePercent, threshold, severity, channels }, 'Inode alert sent');
+        cooldowns.recordAlert(`inode:${mount.mountpoint}`, { severity });
+        alertLifecycle.markNotified(`inode:${mount.mountpoint}`);
+    } catch (error) {
+        logger.error({ err: error, mountpoint: mount.mountpoint, inodeUsage: mount.inodeUsagePercent }, 'Error sending inode alert');
+    }
+}
+
+
+// Send predictive "disk full in N hours" alert for one mount through the notifier
+async function sendForecastAlert(mount, forecast) {
+    const hostname = require('os').hostname();
+    const eta = formatDuration(forecast.msToFull);
+    const message = {
+        type: 'forecast',
+        severity: 'warning',
+        text: `📈 Disk Fill Forecast: ${mount.mountpoint} on ${hostname} is full in ~${eta}`,
+        attachments: [
+            {
+                color: 'warning',
+                fields: [
+                    {
+                        title: 'Server',
+                        value: hostname,
+                        short: true
+                    },
+                    {
+                        title: 'Mountpoint',
+                        value: mount.mountpoint,
+                        short: true
+                    },
+                    {
+                        title: 'Device',
+                        value: `${mount.device} (${mount.fstype})`,
+                        short: true
+                    },
+                    {
+                        title: 'Disk Usage',
+                        value: `${mount.usagePercent}% (${formatBytes(mount.availableBytes)} available)`,
+                        short: true
+                    },
+                    {
+                        title: 'Growth Rate',
+                        value: `${formatBytes(forecast.bytesPerHour)}/hour`,
+                        short: true
+                    },
+                    {
+                        title: 'Estimated Full In',
+                        value: eta,
+                        short: true
+                    },
+                    {
+                        title: 'Estimated Full At',
+                        value: new Date(forecast.fullAt).toISOString(),
+                        short: true
+                    },
+                    {
+                        title: 'Forecast Horizon',
+                        value: formatDuration(config.DISK_FORECAST_HORIZON),
+                        short: true
+                    }
+                ]
+            }
+        ]
+    };
+
+    try {
+        const channels = await notifier.send(message);
+        // Routed to no channel: nobody was told, so the cooldown stays as it is
+        if (channels.length === 0) return;
+        logger.info({ mountpoint: mount.mountpoint, msToFull: Math.round(forecast.msToFull), bytesPerHour: Math.round(forecast.bytesPerHour), channels }, 'Disk forecast alert sent');
+        cooldowns.recordAlert(`forecast:${mount.mountpoint}`, { severity: 'warning' });
+    } catch (error) {
+        logger.error({ err: error, mountpoint: mount.mountpoint }, 'Error sending disk forecast alert');
+    }
+}
+
+
+// Send a green "resolved" message when a mount's space or inode alert clears
+async function sendRecoveryAlert(mount, kind, transition) {
+    const hostname = require('os').hostname();
+    const isInode = kind === 'inode';
+    const message = {
+        type: kind,
+        severity: lastSeverity(`${kind}:${mount.mountpoint}`),
+        recovery: true,
+        text: `✅ ${isInode ? 'Inode Exhaustion' : 'Disk Usage'} Resolved: ${mount.mountpoint} on ${hostname}`,
+        attachments: [
+            {
+                color: 'good',
+                fields: [
+                    {
+                        title: 'Server',
+                        value: hostname,
+                        short: true
+                    },
+                    {
+                        title: 'Mountpoint',
+                        value: mount.mountpoint,
+                        short: true
+                    },
+                    {
+                        title: 'Device',
+                        value: `${mount.device} (${mount.fstype})`,
+                        short: true
+                    },
+                    {
+                        title: isInode ? 'Inode Usage' : 'Disk Usage',
+                        value: `${isInode ? mount.inodeUsagePercent : mount.usagePercent}%`,
+                        short: true
+                    },
+                    {
+                        title: 'Threshold',
+                        value: `${(isInode ? INODE_RULE : getMountRule(mount.mountpoint)).clear}%`,
+                        short: true
+                    },
+                    {
+                        title: 'Incident Duration',
+                        value: formatDuration(transition.duration),
+                        short: true
+                    },
+                    {
+                        title: 'Incident Started',
+                        value: new Date(transition.startedAt).toISOString(),
+                        short: true
+                    }
+                ]
+            }
+        ]
+    };
+
+    try {
+        const channels = await notifier.send(message);
+        logger.info({ mountpoint: mount.mountpoint, kind, durationMs: transition.duration, channels }, 'Disk recovery sent');
+    } catch (error) {
+        logger.error({ err: error, mountpoint: mount.mountpoint, kind }, 'Error sending disk recovery');
+    }
+}
+
+
+// Run a mount's space or inode usage through its rule and lifecycle, announcing recoveries
+function evaluateCondition(mount, kind, value, rule, now) {
+    const key = `${kind}:${mount.mountpoint}`;
+    const evaluation = ruleEngine.evaluate(key, value, rule, now);
+    if (evaluation.status === 'pending') {
+        logger.info({ alertKey: key, value, threshold: evaluation.level, forMinutes: rule.forMs / 60000 }, 'Over threshold, but duration not met yet');
+    }
+    const transition = alertLifecycle.observe(key, evaluation.status, now);
+    if (transition.to === STATES.RESOLVED && transition.notified) {
+        sendRecoveryAlert(mount, kind, transition);
+    }
+    return evaluation;
+}
+
+
+// One entry of checkDiskUsage()'s result, keyed like the alert (disk:/data, inode:/data)
+function checkResult(mount, kind, value, evaluation, rule) {
+    return {
+        key: `${kind}:${mount.mountpoint}`,
+        label: `${kind === 'disk' ? 'Disk usage' : 'Inode usage'} ${mount.mountpoint}`,
+        value,
+        severity: evaluation.severity,
+        status: evaluation.status,
+        warning: rule.warning,
+        critical: rule.critical,
+    };
+}
+
+
+// Record the latest sample for a mount and project its time-to-full
+function getDiskForecast(mount, now = Date.now()) {
+    usageHistory.record(mount.mountpoint, now, mount.usedBytes);
+    return forecastTimeToFull(usageHistory.getSamples(mount.mountpoint), mount.availableBytes, {
+        minSamples: config.DISK_FORECAST_MIN_SAMPLES,
+    });
+}
+
+
+// Scan a mount for its fullest directories, tolerating unreadable mounts
+async function getLargestDirectories(mountpoint) {
+    try {
+        return await findLargestDirectories(mountpoint);
+    } catch (error) {
+        logger.error({ err: error, mountpoint }, 'Error scanning directories for inode usage');
+        return [];
     }
 }
 
 
 /*
   Main disk check logic:
-    - Checks root disk usage
-    - If usage exceeds threshold, checks cooldown
-    - Sends Slack alert if allowed
+    - Checks usage of every monitored mount
+    - Runs space and inode usage through their rules ("for" duration, clear threshold)
+    - If a mount's condition is firing, checks that mount's cooldown
+    - Sends one alert per mount if allowed; a rise from warning to critical skips the cooldown
+    - Checks inode usage per mount the same way, with its own cooldown
+    - Forecasts time-to-full from recent growth and warns inside the horizon
+    - Announces recoveries for space and inode alerts that were sent
+    - Returns one result per mount and condition; a dry run (`linux-monitor check`/`status`)
+      only applies the rules, so it sends nothing and writes no history or forecast samples
 */
-function checkDiskUsage() {
-    const diskUsage = getDiskUsage();
-    if (diskUsage === null) {
+function checkDiskUsage({ dryRun = false } = {}) {
+    const mounts = getAllDiskUsage();
+    if (mounts === null || mounts.length === 0) {
         logger.warn('Could not retrieve disk usage');
-        return;
+        return [{ key: 'disk', label: 'Disk usage', value: null, severity: null, status: 'unknown', warning: null, critical: null }];
+    }
+    const now = Date.now();
+    const results = [];
+    if (history && !dryRun) {
+        const readings = {};
+        for (const mount of mounts) {
+            readings[`disk:${mount.mountpoint}`] = mount.usagePercent;
+            if (mount.totalInodes > 0) readings[`inode:${mount.mountpoint}`] = mount.inodeUsagePercent;
+        }
+        history.record(readings, now);
     }
-    logger.info({ diskUsage }, 'Disk usage sampled');
-    if (diskUsage >= DISK_THRESHOLD) {
-        const lastAlertTime = alertTracker.getLastAlertTime();
-        const now = Date.now();
-        // Only send alert if cooldown expired
-        if (now - lastAlertTime >= ALERT_COOLDOWN) {
-            sendSlackAlert(diskUsage);
-        } else {
-            logger.info({ diskUsage, threshold: DISK_THRESHOLD }, 'Disk usage over threshold, but alert cooldown still active');
+    for (const mount of mounts) {
+        logger.info({ mountpoint: mount.mountpoint, device: mount.device, diskUsage: mount.usagePercent, inodeUsage: mount.inodeUsagePercent }, 'Disk usage sampled');
+        // A dry run only applies the rules; the lifecycle and its recovery messages stay untouched
+        const evaluate = (kind, value, rule) => (dryRun
+            ? ruleEngine.evaluate(`${kind}:${mount.mountpoint}`, value, rule, now)
+            : evaluateCondition(mount, kind, value, rule, now));
+        const diskRule = getMountRule(mount.mountpoint);
+        const disk = evaluate('disk', mount.usagePercent, diskRule);
+        const inode = mount.totalInodes > 0
+            ? evaluate('inode', mount.inodeUsagePercent, INODE_RULE)
+            : null;
+        results.push(checkResult(mount, 'disk', mount.usagePercent, disk, diskRule));
+        if (inode) results.push(checkResult(mount, 'inode', mount.inodeUsagePercent, inode, INODE_RULE));
+        if (dryRun) continue;
+
+        if (disk.status === 'firing') {
+            // Only send alert if this mount's cooldown expired or the severity rose
+            if (cooldowns.shouldAlert(`disk:${mount.mountpoint}`, { cooldownMs: getMountCooldown(mount.mountpoint), severity: disk.severity, now })) {
+                sendSlackAlert(mount, disk.severity);
+            } else {
+                logger.info({ mountpoint: mount.mountpoint, diskUsage: mount.usagePercent, threshold: disk.level, severity: disk.severity }, 'Disk usage over threshold, but alert cooldown still active');
+            }
+        }
+        if (inode && inode.status === 'firing') {
+            if (cooldowns.shouldAlert(`inode:${mount.mountpoint}`, { cooldownMs: getMountCooldown(mount.mountpoint), severity: inode.severity, now })) {
+                // The directory scan runs in the background; the alert follows once it is done
+                getLargestDirectories(mount.mountpoint).then(directories => sendInodeAlert(mount, directories, inode.severity));
+            } else {
+                logger.info({ mountpoint: mount.mountpoint, inodeUsage: mount.inodeUsagePercent, threshold: inode.level, severity: inode.severity }, 'Inode usage over threshold, but alert cooldown still active');
+            }
+        }
+        const forecast = getDiskForecast(mount, now);
+        if (forecast && forecast.msToFull <= config.DISK_FORECAST_HORIZON) {
+            if (cooldowns.shouldAlert(`forecast:${mount.mountpoint}`, { cooldownMs: getMountCooldown(mount.mountpoint), severity: 'warning', now })) {
+                sendForecastAlert(mount, forecast);
+            } else {
+                logger.info({ mountpoint: mount.mountpoint, msToFull: Math.round(forecast.msToFull) }, 'Disk predicted to fill within horizon, but alert cooldown still active');
+            }
         }
     }
+    return results;
 }
 
 
 // =====================
 // Startup
 // =====================
-if (require.main === module) {
-    validateWebhook(SLACK_WEBHOOK_URL);
+// Run the monitor: check now and on every interval, reload on SIGHUP
+function start() {
+    validateNotifier(notifier, config.ALERT_ROUTES, logger);
 
     logger.info({
-        checkIntervalMinutes: CHECK_INTERVAL / 1000 / 60,
-        alertThresholdPercent: DISK_THRESHOLD,
-        alertCooldownMinutes: ALERT_COOLDOWN / 1000 / 60,
+        configFile: config.CONFIG_FILE,
+        checkIntervalMinutes: getCheckInterval() / 1000 / 60,
+        alertThresholdPercent: config.DISK_THRESHOLD,
+        warningThresholdPercent: config.DISK_WARNING_THRESHOLD,
+        inodeThresholdPercent: config.INODE_THRESHOLD,
+        forecastHorizonHours: config.DISK_FORECAST_HORIZON / 1000 / 60 / 60,
+        alertCooldownMinutes: config.ALERT_COOLDOWN / 1000 / 60,
+        includeGlobs: config.DISK_INCLUDE,
+        excludeGlobs: config.DISK_EXCLUDE,
+        mountThresholds: config.DISK_MOUNT_THRESHOLDS,
+        mountWarningThresholds: config.DISK_MOUNT_WARNING_THRESHOLDS,
+        channels: notifier.channels.map(channel => channel.name),
     }, 'Disk usage monitor started');
 
     // Initial disk check and schedule periodic checks
     checkDiskUsage();
-    setInterval(checkDiskUsage, CHECK_INTERVAL);
+    let timer = setInterval(checkDiskUsage, getCheckInterval());
+
+    // SIGHUP (systemctl reload) applies a changed configuration without a restart
+    watchConfig(next => {
+        const previousInterval = getCheckInterval();
+        applyConfig(next);
+        if (getCheckInterval() !== previousInterval) {
+            clearInterval(timer);
+            timer = setInterval(checkDiskUsage, getCheckInterval());
+        }
+    }, logger);
 
     setupGracefulShutdown('Disk monitor', logger);
 }
 
+if (require.main === module) {
+    start();
+}
+
 
 // Export functions for testing and extension
 module.exports = {
     getDiskUsage,
+    getAllDiskUsage,
     sendSlackAlert,
-    checkDiskUsage
+    sendInodeAlert,
+    sendForecastAlert,
+    sendRecoveryAlert,
+    getDiskForecast,
+    checkDiskUsage,
+    alertLifecycle,
+    ruleEngine,
+    start
 };
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+============================================================
+    Goal: Alert Lifecycle State Machine
+============================================================
+    Why:
+        - An alert that fires and never clears leaves on-call guessing whether it is still real
+        - Recovery messages need to know when the incident started and whether anyone was told
+
+    What:
+        - Tracks every alert condition (cpu, mem, disk:/data, ...) through OK, PENDING, FIRING and RESOLVED
+        - Reports each transition with the incident start and duration
+        - Remembers whether a firing alert was actually notified, so recoveries are
+          only announced for alerts someone saw
+============================================================
+*/
+
+const { getLogger } = require('./logger');
+const logger = getLogger('alert-lifecycle');
+
+const STATES = Object.freeze({
+    OK: 'OK',
+    PENDING: 'PENDING',
+    FIRING: 'FIRING',
+    RESOLVED: 'RESOLVED',
+});
+
+
+/**
+ * Create an in-memory lifecycle tracker for alert conditions.
+ *
+ * Monitors report what they observe for each key on every check:
+ *   - 'ok'       condition is clear
+ *   - 'pending'  condition is breached but not yet alert-worthy (e.g. waiting out a duration)
+ *   - 'firing'   condition is breached and should alert
+ *
+ * Transitions:
+ *   OK/RESOLVED --pending--> PENDING --firing--> FIRING --ok--> RESOLVED --ok--> OK
+ *   PENDING --ok--> OK (nothing was ever announced)
+ *
+ * @returns {{ observe: Function, markNotified: Function, get: Function, reset: Function }}
+ */
+function createAlertLifecycle(monitorLogger = logger) {
+    const conditions = new Map();
+
+    function get(key) {
+        return conditions.get(key) || { state: STATES.OK, startedAt: null, firingSince: null, notified: false };
+    }
+
+    /**
+     * Feed one observation for a condition.
+     *
+     * @param {string} key        Alert key, e.g. 'cpu' or 'disk:/data'
+     * @param {'ok'|'pending'|'firing'} status
+     * @param {number} [now]      Observation time in milliseconds
+     * @returns {{ key: string, from: string, to: string, startedAt: number|null, duration: number|null, notified: boolean }}
+     *          `duration` is the time since the condition was first breached
+     */
+    function observe(key, status, now = Date.now()) {
+        const current = get(key);
+        const next = Object.assign({}, current);
+
+        if (status === 'ok') {
+            next.state = current.state === STATES.FIRING ? STATES.RESOLVED : STATES.OK;
+        } else if (status === 'pending') {
+            if (current.state !== STATES.FIRING) next.state = STATES.PENDING;
+        } else if (status === 'firing') {
+            next.state = STATES.FIRING;
+        } else {
+            throw new Error(`Unknown alert status "${status}" for ${key}`);
+        }
+
+        // A fresh breach starts a new incident; a recovery keeps the old one for reporting
+        if ((current.state === STATES.OK || current.state === STATES.RESOLVED) && status !== 'ok') {
+            next.startedAt = now;
+            next.firingSince = null;
+            next.notified = false;
+        }
+        if (next.state === STATES.FIRING && current.state !== STATES.FIRING) {
+            next.firingSince = now;
+        }
+
+        conditions.set(key, next);
+        const transition = {
+            key,
+            from: current.state,
+            to: next.state,
+            startedAt: next.startedAt,
+            duration: next.startedAt !== null ? now - next.startedAt : null,
+            notified: next.notified
+        };
+        if (transition.from !== transition.to) {
+            monitorLogger.info({ alertKey: key, from: transition.from, to: transition.to, durationMs: transition.duration }, 'Alert state changed');
+        }
+        if (next.state === STATES.OK) {
+            conditions.delete(key);
+        }
+        return transition;
+    }
+
+    // Record that a firing alert reached at least one channel
+    function markNotified(key) {
+        const current = conditions.get(key);
+        if (current && current.state === STATES.FIRING) {
+            current.notified = true;
+        }
+    }
+
+    function reset() {
+        conditions.clear();
+    }
+
+    return { observe, markNotified, get, reset };
+}
+
+
+module.exports = {
+    STATES,
+    createAlertLifecycle,
+};
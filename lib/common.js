@@ -4,14 +4,13 @@
 ============================================================
     Why:
         - Eliminate code duplication between disk-monitor and system-health-monitor
-        - Provide a single source of truth for configuration, alert tracking, and validation
-        - Make thresholds and intervals configurable via environment variables
+        - Provide a single source of truth for alert tracking and formatting
 
     What:
-        - Loads environment variables from .env file
-        - Reads config values from env with sensible defaults
-        - Provides alert-file-based cooldown tracking
-        - Validates Slack webhook presence
+        - Provides per-alert-key cooldowns in one JSON state file per monitor
+        - Classifies readings into warning and critical severities
+        - Formats byte counts and durations for human-readable alerts
+        - Keeps the previous sample of cumulative kernel counters for rates
         - Installs a graceful shutdown handler
 ============================================================
 */
@@ -19,82 +18,199 @@
 const fs = require('fs');
 const path = require('path');
 
-// Load environment variables from .env file if present
-try {
-    require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
-} catch (error) {
-    // dotenv not installed, fallback to direct env vars
-}
-
 const { getLogger } = require('./logger');
 const logger = getLogger('common');
 
 
+// Severities in increasing order; a higher one bypasses the cooldown of a lower one
+const SEVERITY_RANK = {
+    warning: 1,
+    critical: 2,
+};
+
+// Attachment colour per severity
+const SEVERITY_COLORS = {
+    warning: 'warning',
+    critical: 'danger',
+};
+
+
 /**
- * Read configuration from environment variables with fallback defaults.
- * Core monitor thresholds and intervals are returned here.
+ * Classify a reading against its warning and critical levels.
+ * A warning level at or above the critical level is ignored.
  *
- * @returns {object} Merged configuration object
+ * @param {number} value
+ * @param {{ warning: number|null, critical: number }} levels
+ * @returns {'critical'|'warning'|null} null when below every level
  */
-function loadConfig() {
-    return {
-        SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL || 'https://hooks.slack.com/services/MOCK/WEBHOOK/URL',
-        CPU_THRESHOLD:              parseInt(process.env.CPU_THRESHOLD, 10)              || 90,
-        MEM_THRESHOLD:              parseInt(process.env.MEM_THRESHOLD, 10)              || 90,
-        SWAP_THRESHOLD:             parseInt(process.env.SWAP_THRESHOLD, 10)             || 50,
-        DISK_THRESHOLD:             parseInt(process.env.DISK_THRESHOLD, 10)             || 80,
-        CHECK_INTERVAL:             parseInt(process.env.CHECK_INTERVAL, 10)             || 5 * 60 * 1000,
-        ALERT_COOLDOWN:             parseInt(process.env.ALERT_COOLDOWN, 10)             || 30 * 60 * 1000,
-        CPU_OVER_THRESHOLD_DURATION: parseInt(process.env.CPU_OVER_THRESHOLD_DURATION, 10) || 5 * 60 * 1000,
-    };
+function getSeverity(value, { warning, critical }) {
+    if (value >= critical) return 'critical';
+    if (warning && warning < critical && value >= warning) return 'warning';
+    return null;
+}
+
+
+// Leading attachment field that names the severity, e.g. { title: 'Severity', value: 'Warning' }
+function severityField(severity) {
+    return { title: 'Severity', value: severity.charAt(0).toUpperCase() + severity.slice(1), short: true };
 }
 
 
 /**
- * Create an alert tracker that persists the last-alert timestamp to a file.
- * This allows cooldown logic to survive process restarts.
+ * Create a cooldown store keyed by alert (e.g. 'cpu', 'mem', 'disk:/data').
+ * Every key of a monitor is kept in one JSON state file next to the monitors:
+ *
+ *   { "cooldowns": { "mem": { "lastAlertAt": 1718000000000, "severity": "critical" } } }
  *
- * @param {string} filename  Name of the tracking file (e.g. '.last_disk_alert')
- * @returns {{ getLastAlertTime: Function, setLastAlertTime: Function }}
+ * The file is re-read on every call and replaced atomically (write to a temp
+ * file, then rename), so a crash mid-write never leaves it truncated. Reads and
+ * writes are not locked against each other, so every monitor needs a file of
+ * its own.
+ *
+ * @param {string} filename  Name of the state file, e.g. '.disk_alert_state.json'
+ * @returns {{ getLastAlert: Function, shouldAlert: Function, recordAlert: Function }}
  */
-function createAlertTracker(filename, monitorLogger = logger) {
+function createCooldownStore(filename, monitorLogger = logger) {
     const filepath = path.join(__dirname, '..', filename);
 
-    function getLastAlertTime() {
+    function readState() {
         try {
             if (fs.existsSync(filepath)) {
-                const timestamp = fs.readFileSync(filepath, 'utf8');
-                return parseInt(timestamp, 10);
+                const state = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                if (state && typeof state.cooldowns === 'object' && state.cooldowns !== null) return state;
             }
         } catch (error) {
-            monitorLogger.error({ err: error, filepath }, 'Error reading last alert time');
+            monitorLogger.error({ err: error, filepath }, 'Error reading alert state');
         }
-        return 0;
+        return { cooldowns: {} };
     }
 
-    function setLastAlertTime() {
+    function writeState(state) {
+        const tempPath = `${filepath}.${process.pid}.tmp`;
         try {
-            fs.writeFileSync(filepath, Date.now().toString());
+            fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+            fs.renameSync(tempPath, filepath);
         } catch (error) {
-            monitorLogger.error({ err: error, filepath }, 'Error writing last alert time');
+            monitorLogger.error({ err: error, filepath }, 'Error writing alert state');
         }
     }
 
-    return { getLastAlertTime, setLastAlertTime };
+    // Last notification for a key, or null if it never alerted
+    function getLastAlert(key) {
+        return readState().cooldowns[key] || null;
+    }
+
+    /**
+     * Whether an alert for `key` may be sent now: it never alerted, its
+     * cooldown expired, or it escalated to a higher severity than last time.
+     *
+     * @param {string} key
+     * @param {object} options
+     * @param {number} options.cooldownMs
+     * @param {string} [options.severity='critical']
+     * @param {number} [options.now]
+     * @returns {boolean}
+     */
+    function shouldAlert(key, { cooldownMs, severity = 'critical', now = Date.now() }) {
+        const last = getLastAlert(key);
+        if (!last) return true;
+        if ((SEVERITY_RANK[severity] || 0) > (SEVERITY_RANK[last.severity] || 0)) return true;
+        return now - last.lastAlertAt >= cooldownMs;
+    }
+
+    function recordAlert(key, { severity = 'critical', now = Date.now() } = {}) {
+        const state = readState();
+        state.cooldowns[key] = { lastAlertAt: now, severity };
+        writeState(state);
+    }
+
+    return { getLastAlert, shouldAlert, recordAlert };
+}
+
+
+/**
+ * Create an in-memory sampler that keeps the previous sample of cumulative
+ * counters (/proc/net/dev, /proc/diskstats, cgroup CPU time, ...) and turns
+ * each new sample into rates through `diff`.
+ *
+ * @param {Function} diff  (previous, current, elapsedMs) => rates
+ * @returns {{ observe: Function, latest: Function, reset: Function }}
+ */
+function createCounterSampler(diff) {
+    let previous = null;
+    let rates = null;
+
+    /**
+     * Feed the current counters.
+     *
+     * @param {*} counters
+     * @param {number} [now]
+     * @returns {*} What `diff` made of the previous and current samples, or null on the first one
+     */
+    function observe(counters, now = Date.now()) {
+        rates = previous && now > previous.timestamp
+            ? diff(previous.counters, counters, now - previous.timestamp)
+            : null;
+        previous = { timestamp: now, counters };
+        return rates;
+    }
+
+    // Rates from the most recent sample, or null before there were two
+    function latest() {
+        return rates;
+    }
+
+    function reset() {
+        previous = null;
+        rates = null;
+    }
+
+    return { observe, latest, reset };
 }
 
 
 /**
- * Validate that a Slack webhook URL has been configured.
- * Exits the process with an error message if not.
+ * Round a reading to two decimals, as check results report it (e.g. 93.14).
  *
- * @param {string} url  The webhook URL to validate
+ * @param {number} value
+ * @returns {number}
  */
-function validateWebhook(url) {
-    if (!url || url === 'YOUR_SLACK_WEBHOOK_URL_HERE' || url === 'https://hooks.slack.com/services/YOUR/WEBHOOK/URL') {
-        logger.fatal('Please set your Slack webhook URL in the SLACK_WEBHOOK_URL environment variable (see .env.example)');
-        process.exit(1);
+function roundReading(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+
+/**
+ * Format a byte count the way `free -h` / `df -h` do (e.g. 8.2Gi, 15Gi).
+ *
+ * @param {number} bytes  Raw byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'Ki', 'Mi', 'Gi', 'Ti', 'Pi'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
     }
+    if (unit === 0) return `${value}${units[unit]}`;
+    return `${value < 10 ? value.toFixed(1) : Math.round(value)}${units[unit]}`;
+}
+
+
+/**
+ * Format a duration in milliseconds as "45 minutes", "5.2 hours" or "3.1 days".
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 90) return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    const hours = ms / 3600000;
+    if (hours < 48) return `${hours.toFixed(1)} hours`;
+    return `${(hours / 24).toFixed(1)} days`;
 }
 
 
@@ -112,8 +228,14 @@ function setupGracefulShutdown(monitorName, monitorLogger = logger) {
 
 
 module.exports = {
-    loadConfig,
-    createAlertTracker,
-    validateWebhook,
+    SEVERITY_RANK,
+    SEVERITY_COLORS,
+    getSeverity,
+    severityField,
+    createCooldownStore,
+    createCounterSampler,
+    roundReading,
+    formatBytes,
+    formatDuration,
     setupGracefulShutdown,
 };
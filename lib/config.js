@@ -0,0 +1,780 @@
+/**
+============================================================
+    Goal: Declarative Monitor Configuration
+============================================================
+    Why:
+        - A mistyped env var used to fall back to its default without a word
+        - `parseInt(...) || default` made zero impossible to set (e.g. CPU_THRESHOLD=0)
+        - Changing a threshold should not need a service restart
+
+    What:
+        - Reads an optional YAML or JSON config file (monitors, thresholds, mounts,
+          notifiers and schedules)
+        - Lets environment variables (and .env) override any setting by its flat name
+        - Validates everything against one schema and reports every problem at once
+        - Re-reads the configuration on SIGHUP, keeping the old one if the new one is invalid
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Load environment variables from .env file if present
+try {
+    require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+} catch (error) {
+    // dotenv not installed, fallback to direct env vars
+}
+
+const { getLogger } = require('./logger');
+const { MATCH_KINDS, KERNEL_SOURCES } = require('./constants');
+
+const logger = getLogger('config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Looked up next to the monitors, in this order, unless CONFIG_FILE names one
+const CONFIG_FILE_NAMES = ['linux-monitor.yaml', 'linux-monitor.yml', 'linux-monitor.json'];
+
+const CHANNEL_NAMES = ['slack', 'teams', 'discord', 'webhook', 'email', 'command'];
+
+// Which of the kernel's pressure stall averages the pressure thresholds apply to
+const PRESSURE_AVERAGES = ['avg10', 'avg60', 'avg300'];
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DURATION_UNITS = { ms: 1, s: SECOND, m: MINUTE, h: HOUR, d: 24 * HOUR };
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+
+/**
+ * Build the error thrown when the configuration file or environment does not
+ * match the schema. `errors` holds one human-readable line per problem.
+ *
+ * @param {string[]} errors
+ * @returns {Error} with name 'ConfigError'
+ */
+function configError(errors) {
+    const error = new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    error.name = 'ConfigError';
+    error.errors = errors;
+    return error;
+}
+
+function isConfigError(error) {
+    return Boolean(error) && error.name === 'ConfigError';
+}
+
+
+/**
+ * Split a comma-separated env value into trimmed, non-empty entries.
+ *
+ * @param {string} value  e.g. '/data, /var/lib/docker'
+ * @returns {string[]}
+ */
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+
+function toNumber(raw) {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : undefined;
+    if (typeof raw === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(raw)) return Number(raw);
+    return undefined;
+}
+
+
+/**
+ * Parse a duration given in milliseconds (300000) or with a unit ('90s', '5m', '2h', '1d').
+ *
+ * @param {number|string} raw
+ * @returns {number|undefined} Milliseconds, or undefined when not a duration
+ */
+function parseDuration(raw) {
+    const number = toNumber(raw);
+    if (number !== undefined) return Number.isInteger(number) && number >= 0 ? number : undefined;
+    const match = typeof raw === 'string' && raw.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/);
+    return match ? Math.round(Number(match[1]) * DURATION_UNITS[match[2]]) : undefined;
+}
+
+
+/**
+ * Parse a size in bytes (4294967296) or with a binary unit ('512MB', '4G', '1.5GiB').
+ * K, M, G and T are powers of 1024, as ps and /proc report memory.
+ *
+ * @param {number|string} raw
+ * @returns {number|undefined} Bytes, or undefined when not a size
+ */
+function parseSize(raw) {
+    const number = toNumber(raw);
+    if (number !== undefined) return Number.isInteger(number) && number > 0 ? number : undefined;
+    const match = typeof raw === 'string' && raw.trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT])(?:i?B)?$/i);
+    return match ? Math.round(Number(match[1]) * SIZE_UNITS[match[2].toUpperCase()]) : undefined;
+}
+
+
+// A setting type that takes one of a few words, in any case
+function oneOf(values) {
+    return {
+        expected: `one of ${values.join(', ')}`,
+        parse: raw => {
+            const value = typeof raw === 'string' ? raw.trim().toLowerCase() : undefined;
+            return values.includes(value) ? value : undefined;
+        },
+    };
+}
+
+// Every setting type: what it accepts (for error messages) and how to read it; undefined means invalid
+const TYPES = {
+    string: {
+        expected: 'a string',
+        parse: raw => (typeof raw === 'string' ? raw : undefined),
+    },
+    boolean: {
+        expected: 'true or false',
+        parse: raw => {
+            if (typeof raw === 'boolean') return raw;
+            if (typeof raw === 'string' && /^(true|false)$/i.test(raw.trim())) return raw.trim().toLowerCase() === 'true';
+            return undefined;
+        },
+    },
+    integer: {
+        expected: 'a whole number of at least 0',
+        parse: raw => {
+            const number = toNumber(raw);
+            return Number.isInteger(number) && number >= 0 ? number : undefined;
+        },
+    },
+    port: {
+        expected: 'a port number from 1 to 65535',
+        parse: raw => {
+            const number = toNumber(raw);
+            return Number.isInteger(number) && number >= 1 && number <= 65535 ? number : undefined;
+        },
+    },
+    percent: {
+        expected: 'a number from 0 to 100',
+        parse: raw => {
+            const number = toNumber(raw);
+            return number !== undefined && number >= 0 && number <= 100 ? number : undefined;
+        },
+    },
+    rate: {
+        expected: 'a number of events per second, at least 0',
+        parse: raw => {
+            const number = toNumber(raw);
+            return number !== undefined && number >= 0 ? number : undefined;
+        },
+    },
+    duration: {
+        expected: 'a duration in milliseconds or with a unit (e.g. 90s, 5m, 2h, 1d)',
+        parse: parseDuration,
+    },
+    interval: {
+        expected: 'a duration of at least 1s (e.g. 300000, 30s, 5m)',
+        parse: raw => {
+            const ms = parseDuration(raw);
+            return ms !== undefined && ms >= SECOND ? ms : undefined;
+        },
+    },
+    kernelSource: oneOf(KERNEL_SOURCES),
+    pressureAverage: oneOf(PRESSURE_AVERAGES),
+    list: {
+        expected: 'a list of strings (or a comma-separated string)',
+        parse: raw => {
+            if (typeof raw === 'string') return parseList(raw);
+            if (Array.isArray(raw) && raw.every(item => typeof item === 'string')) return raw.map(item => item.trim()).filter(Boolean);
+            return undefined;
+        },
+    },
+    routes: {
+        expected: `alert types mapped to channel lists, with channels from ${CHANNEL_NAMES.join(', ')}`,
+        parse: raw => {
+            // Env form: 'disk=email+slack,cpu.critical=webhook,*=slack'
+            let entries;
+            if (typeof raw === 'string') {
+                entries = parseList(raw).map(entry => {
+                    const separator = entry.indexOf('=');
+                    return separator > 0 ? [entry.slice(0, separator).trim(), entry.slice(separator + 1)] : [entry, ''];
+                });
+            } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+                entries = Object.entries(raw);
+            } else {
+                return undefined;
+            }
+            const routes = {};
+            for (const [type, value] of entries) {
+                const names = typeof value === 'string' ? value.split('+') : value;
+                if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) return undefined;
+                const channels = names.map(name => name.trim().toLowerCase()).filter(Boolean);
+                if (channels.length === 0 || !channels.every(name => CHANNEL_NAMES.includes(name))) return undefined;
+                routes[type] = channels;
+            }
+            return routes;
+        },
+    },
+    processes: {
+        expected: 'a list of processes, each with a name and at most one of process, cmdline (a regular expression), pidfile (an absolute path) or unit (a systemd unit)',
+        parse: raw => {
+            // Env form: 'nginx,db=unit:postgresql.service,app=cmdline:node .*server\.js,worker=pidfile:/run/worker.pid'
+            const entries = parseProcessEntries(raw, (name, spec) => {
+                const kind = spec.indexOf(':');
+                return kind > 0 ? { name, [spec.slice(0, kind).trim()]: spec.slice(kind + 1) } : null;
+            });
+            return entries && parseNamedEntries(entries, parseProcessWatch);
+        },
+    },
+    processLimits: {
+        expected: 'a list of processes like processes.watch, each with maxRss (a size such as 4GB) and/or leakFor (a duration of at least 1s)',
+        parse: raw => {
+            // Env form: 'java=rss:4GB,node=rss:2GB+leak:30m' (processes matched by program name)
+            const entries = parseProcessEntries(raw, (name, spec) => {
+                const entry = { name };
+                for (const part of spec.split('+')) {
+                    const [limit, value] = part.split(':').map(item => item.trim());
+                    if (limit === 'rss') entry.maxRss = value;
+                    else if (limit === 'leak') entry.leakFor = value;
+                    else return null;
+                }
+                return entry;
+            });
+            return entries && parseNamedEntries(entries, parseProcessLimit);
+        },
+    },
+};
+
+
+// File entries as given (a bare string is a name); env entries are 'name' or 'name=spec'
+function parseProcessEntries(raw, parseEnvSpec) {
+    if (typeof raw === 'string') {
+        return parseList(raw).map(entry => {
+            const separator = entry.indexOf('=');
+            return separator < 0 ? { name: entry } : parseEnvSpec(entry.slice(0, separator).trim(), entry.slice(separator + 1));
+        });
+    }
+    if (Array.isArray(raw)) return raw.map(entry => (typeof entry === 'string' ? { name: entry } : entry));
+    return undefined;
+}
+
+// Every entry parsed, or undefined when one is malformed or two share a name
+function parseNamedEntries(entries, parseEntry) {
+    const parsed = [];
+    for (const entry of entries) {
+        const value = parseEntry(entry);
+        if (!value || parsed.some(other => other.name === value.name)) return undefined;
+        parsed.push(value);
+    }
+    return parsed;
+}
+
+
+// The name and matcher every processes.* entry has, or undefined when malformed
+function parseProcessMatcher(entry, fields) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return undefined;
+    if (Object.keys(entry).some(field => field !== 'name' && !MATCH_KINDS.includes(field) && !fields.includes(field))) return undefined;
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    const kinds = MATCH_KINDS.filter(kind => entry[kind] !== undefined);
+    if (!name || kinds.length > 1) return undefined;
+
+    // Without a matcher the name is the program name to look for
+    const match = kinds[0] || 'process';
+    const target = kinds[0] ? entry[match] : name;
+    if (typeof target !== 'string' || !target.trim()) return undefined;
+    if (match === 'cmdline') {
+        try {
+            new RegExp(target);
+        } catch (error) {
+            return undefined;
+        }
+    }
+    if (match === 'pidfile' && !path.isAbsolute(target)) return undefined;
+    // Unit names end up on the systemctl command line
+    if (match === 'unit' && !/^[\w@:.\\-]+$/.test(target)) return undefined;
+    return { name, match, target: match === 'cmdline' ? target : target.trim() };
+}
+
+// One entry of processes.watch, or undefined when it is malformed
+function parseProcessWatch(entry) {
+    const watch = parseProcessMatcher(entry, ['maxRestarts', 'restartWindow']);
+    if (!watch) return undefined;
+    const maxRestarts = entry.maxRestarts === undefined ? null : TYPES.integer.parse(entry.maxRestarts);
+    const restartWindow = entry.restartWindow === undefined ? null : TYPES.interval.parse(entry.restartWindow);
+    if (maxRestarts === undefined || restartWindow === undefined) return undefined;
+    return Object.assign(watch, { maxRestarts, restartWindow });
+}
+
+// One entry of processes.limits, or undefined when it is malformed or sets no limit
+function parseProcessLimit(entry) {
+    const limit = parseProcessMatcher(entry, ['maxRss', 'leakFor']);
+    if (!limit) return undefined;
+    const maxRss = entry.maxRss === undefined ? null : parseSize(entry.maxRss);
+    const leakFor = entry.leakFor === undefined ? null : TYPES.interval.parse(entry.leakFor);
+    if (maxRss === undefined || leakFor === undefined || (maxRss === null && leakFor === null)) return undefined;
+    return Object.assign(limit, { maxRss, leakFor });
+}
+
+
+/*
+  The schema: one entry per setting.
+    - key      flat name used by the monitors and as the environment variable
+    - path     where the setting lives in the config file; '*' under disk.mounts
+               is a mountpoint, and those settings become { mountpoint: value } maps
+    - type     one of TYPES
+    - default  used when neither the file nor the environment sets it (null = off)
+*/
+const CONFIG_SCHEMA = [
+    // Schedules
+    { key: 'CHECK_INTERVAL', path: 'monitors.checkInterval', type: 'interval', default: 5 * MINUTE },
+    { key: 'HEALTH_CHECK_INTERVAL', path: 'monitors.health.checkInterval', type: 'interval', default: null },
+    { key: 'DISK_CHECK_INTERVAL', path: 'monitors.disk.checkInterval', type: 'interval', default: null },
+    { key: 'PROC_ROOT', path: 'monitors.procRoot', type: 'string', default: '/proc' },
+    { key: 'SYS_ROOT', path: 'monitors.sysRoot', type: 'string', default: '/sys' },
+
+    // Alerting behaviour shared by every metric
+    { key: 'ALERT_COOLDOWN', path: 'alerting.cooldown', type: 'duration', default: 30 * MINUTE },
+    { key: 'ALERT_FOR_DURATION', path: 'alerting.for', type: 'duration', default: 0 },
+    { key: 'ALERT_HYSTERESIS', path: 'alerting.hysteresis', type: 'percent', default: 0 },
+
+    // Thresholds per metric: critical level, optional warning level, "for" duration and clear threshold
+    { key: 'CPU_THRESHOLD', path: 'thresholds.cpu.critical', type: 'percent', default: 90 },
+    { key: 'CPU_WARNING_THRESHOLD', path: 'thresholds.cpu.warning', type: 'percent', default: null },
+    { key: 'CPU_OVER_THRESHOLD_DURATION', path: 'thresholds.cpu.for', type: 'duration', default: 5 * MINUTE },
+    { key: 'CPU_CLEAR_THRESHOLD', path: 'thresholds.cpu.clear', type: 'percent', default: null },
+    { key: 'MEM_THRESHOLD', path: 'thresholds.mem.critical', type: 'percent', default: 90 },
+    { key: 'MEM_WARNING_THRESHOLD', path: 'thresholds.mem.warning', type: 'percent', default: null },
+    { key: 'MEM_FOR_DURATION', path: 'thresholds.mem.for', type: 'duration', default: null },
+    { key: 'MEM_CLEAR_THRESHOLD', path: 'thresholds.mem.clear', type: 'percent', default: null },
+    { key: 'SWAP_THRESHOLD', path: 'thresholds.swap.critical', type: 'percent', default: 50 },
+    { key: 'SWAP_WARNING_THRESHOLD', path: 'thresholds.swap.warning', type: 'percent', default: null },
+    { key: 'SWAP_FOR_DURATION', path: 'thresholds.swap.for', type: 'duration', default: null },
+    { key: 'SWAP_CLEAR_THRESHOLD', path: 'thresholds.swap.clear', type: 'percent', default: null },
+    { key: 'IOWAIT_THRESHOLD', path: 'thresholds.iowait.critical', type: 'percent', default: 20 },
+    { key: 'IOWAIT_WARNING_THRESHOLD', path: 'thresholds.iowait.warning', type: 'percent', default: null },
+    { key: 'IOWAIT_FOR_DURATION', path: 'thresholds.iowait.for', type: 'duration', default: null },
+    { key: 'IOWAIT_CLEAR_THRESHOLD', path: 'thresholds.iowait.clear', type: 'percent', default: null },
+    { key: 'STEAL_THRESHOLD', path: 'thresholds.steal.critical', type: 'percent', default: 10 },
+    { key: 'STEAL_WARNING_THRESHOLD', path: 'thresholds.steal.warning', type: 'percent', default: null },
+    { key: 'STEAL_FOR_DURATION', path: 'thresholds.steal.for', type: 'duration', default: null },
+    { key: 'STEAL_CLEAR_THRESHOLD', path: 'thresholds.steal.clear', type: 'percent', default: null },
+    // Pressure stall information: share of time some task waited on the resource (see PRESSURE_AVERAGE)
+    { key: 'CPU_PRESSURE_THRESHOLD', path: 'thresholds.cpuPressure.critical', type: 'percent', default: 80 },
+    { key: 'CPU_PRESSURE_WARNING_THRESHOLD', path: 'thresholds.cpuPressure.warning', type: 'percent', default: null },
+    { key: 'CPU_PRESSURE_FOR_DURATION', path: 'thresholds.cpuPressure.for', type: 'duration', default: null },
+    { key: 'CPU_PRESSURE_CLEAR_THRESHOLD', path: 'thresholds.cpuPressure.clear', type: 'percent', default: null },
+    { key: 'MEM_PRESSURE_THRESHOLD', path: 'thresholds.memPressure.critical', type: 'percent', default: 20 },
+    { key: 'MEM_PRESSURE_WARNING_THRESHOLD', path: 'thresholds.memPressure.warning', type: 'percent', default: null },
+    { key: 'MEM_PRESSURE_FOR_DURATION', path: 'thresholds.memPressure.for', type: 'duration', default: null },
+    { key: 'MEM_PRESSURE_CLEAR_THRESHOLD', path: 'thresholds.memPressure.clear', type: 'percent', default: null },
+    { key: 'IO_PRESSURE_THRESHOLD', path: 'thresholds.ioPressure.critical', type: 'percent', default: 40 },
+    { key: 'IO_PRESSURE_WARNING_THRESHOLD', path: 'thresholds.ioPressure.warning', type: 'percent', default: null },
+    { key: 'IO_PRESSURE_FOR_DURATION', path: 'thresholds.ioPressure.for', type: 'duration', default: null },
+    { key: 'IO_PRESSURE_CLEAR_THRESHOLD', path: 'thresholds.ioPressure.clear', type: 'percent', default: null },
+    // Share of time every non-idle task waited at once. The kernel reports no system-wide CPU
+    // "full" line before 5.13 and only zeros after it, so the CPU one is off unless set
+    { key: 'CPU_PRESSURE_FULL_THRESHOLD', path: 'thresholds.cpuPressureFull.critical', type: 'percent', default: null },
+    { key: 'CPU_PRESSURE_FULL_WARNING_THRESHOLD', path: 'thresholds.cpuPressureFull.warning', type: 'percent', default: null },
+    { key: 'CPU_PRESSURE_FULL_FOR_DURATION', path: 'thresholds.cpuPressureFull.for', type: 'duration', default: null },
+    { key: 'CPU_PRESSURE_FULL_CLEAR_THRESHOLD', path: 'thresholds.cpuPressureFull.clear', type: 'percent', default: null },
+    { key: 'MEM_PRESSURE_FULL_THRESHOLD', path: 'thresholds.memPressureFull.critical', type: 'percent', default: 10 },
+    { key: 'MEM_PRESSURE_FULL_WARNING_THRESHOLD', path: 'thresholds.memPressureFull.warning', type: 'percent', default: null },
+    { key: 'MEM_PRESSURE_FULL_FOR_DURATION', path: 'thresholds.memPressureFull.for', type: 'duration', default: null },
+    { key: 'MEM_PRESSURE_FULL_CLEAR_THRESHOLD', path: 'thresholds.memPressureFull.clear', type: 'percent', default: null },
+    { key: 'IO_PRESSURE_FULL_THRESHOLD', path: 'thresholds.ioPressureFull.critical', type: 'percent', default: 20 },
+    { key: 'IO_PRESSURE_FULL_WARNING_THRESHOLD', path: 'thresholds.ioPressureFull.warning', type: 'percent', default: null },
+    { key: 'IO_PRESSURE_FULL_FOR_DURATION', path: 'thresholds.ioPressureFull.for', type: 'duration', default: null },
+    { key: 'IO_PRESSURE_FULL_CLEAR_THRESHOLD', path: 'thresholds.ioPressureFull.clear', type: 'percent', default: null },
+    { key: 'PRESSURE_AVERAGE', path: 'thresholds.pressureAverage', type: 'pressureAverage', default: 'avg60' },
+    // Network saturation: the busier direction's traffic as a share of the link speed
+    { key: 'NET_SATURATION_THRESHOLD', path: 'thresholds.netSaturation.critical', type: 'percent', default: 90 },
+    { key: 'NET_SATURATION_WARNING_THRESHOLD', path: 'thresholds.netSaturation.warning', type: 'percent', default: null },
+    { key: 'NET_SATURATION_FOR_DURATION', path: 'thresholds.netSaturation.for', type: 'duration', default: null },
+    { key: 'NET_SATURATION_CLEAR_THRESHOLD', path: 'thresholds.netSaturation.clear', type: 'percent', default: null },
+    // Short bursts at 100% util are normal, so a device has to stay busy for 5 minutes by default
+    { key: 'DISK_UTIL_THRESHOLD', path: 'thresholds.diskUtil.critical', type: 'percent', default: 90 },
+    { key: 'DISK_UTIL_WARNING_THRESHOLD', path: 'thresholds.diskUtil.warning', type: 'percent', default: null },
+    { key: 'DISK_UTIL_FOR_DURATION', path: 'thresholds.diskUtil.for', type: 'duration', default: 5 * MINUTE },
+    { key: 'DISK_UTIL_CLEAR_THRESHOLD', path: 'thresholds.diskUtil.clear', type: 'percent', default: null },
+    { key: 'EPHEMERAL_PORTS_THRESHOLD', path: 'thresholds.ephemeralPorts.critical', type: 'percent', default: 90 },
+    { key: 'EPHEMERAL_PORTS_WARNING_THRESHOLD', path: 'thresholds.ephemeralPorts.warning', type: 'percent', default: null },
+    { key: 'EPHEMERAL_PORTS_FOR_DURATION', path: 'thresholds.ephemeralPorts.for', type: 'duration', default: null },
+    { key: 'EPHEMERAL_PORTS_CLEAR_THRESHOLD', path: 'thresholds.ephemeralPorts.clear', type: 'percent', default: null },
+    // Open descriptors of the process closest to its own "Max open files" limit
+    { key: 'PROCESS_FDS_THRESHOLD', path: 'thresholds.processFds.critical', type: 'percent', default: 90 },
+    { key: 'PROCESS_FDS_WARNING_THRESHOLD', path: 'thresholds.processFds.warning', type: 'percent', default: null },
+    { key: 'PROCESS_FDS_FOR_DURATION', path: 'thresholds.processFds.for', type: 'duration', default: null },
+    { key: 'PROCESS_FDS_CLEAR_THRESHOLD', path: 'thresholds.processFds.clear', type: 'percent', default: null },
+    // Containers: memory as a share of the cgroup memory limit, CPU as a share of the CPU quota;
+    // containers without a limit are not checked. Running at the quota only throttles, so it has to last
+    { key: 'CONTAINER_MEM_THRESHOLD', path: 'thresholds.containerMem.critical', type: 'percent', default: 90 },
+    { key: 'CONTAINER_MEM_WARNING_THRESHOLD', path: 'thresholds.containerMem.warning', type: 'percent', default: null },
+    { key: 'CONTAINER_MEM_FOR_DURATION', path: 'thresholds.containerMem.for', type: 'duration', default: null },
+    { key: 'CONTAINER_MEM_CLEAR_THRESHOLD', path: 'thresholds.containerMem.clear', type: 'percent', default: null },
+    { key: 'CONTAINER_CPU_THRESHOLD', path: 'thresholds.containerCpu.critical', type: 'percent', default: 90 },
+    { key: 'CONTAINER_CPU_WARNING_THRESHOLD', path: 'thresholds.containerCpu.warning', type: 'percent', default: null },
+    { key: 'CONTAINER_CPU_FOR_DURATION', path: 'thresholds.containerCpu.for', type: 'duration', default: 5 * MINUTE },
+    { key: 'CONTAINER_CPU_CLEAR_THRESHOLD', path: 'thresholds.containerCpu.clear', type: 'percent', default: null },
+    { key: 'DISK_THRESHOLD', path: 'thresholds.disk.critical', type: 'percent', default: 80 },
+    { key: 'DISK_WARNING_THRESHOLD', path: 'thresholds.disk.warning', type: 'percent', default: null },
+    { key: 'DISK_FOR_DURATION', path: 'thresholds.disk.for', type: 'duration', default: null },
+    { key: 'DISK_CLEAR_THRESHOLD', path: 'thresholds.disk.clear', type: 'percent', default: null },
+    { key: 'INODE_THRESHOLD', path: 'thresholds.inode.critical', type: 'percent', default: 90 },
+    { key: 'INODE_WARNING_THRESHOLD', path: 'thresholds.inode.warning', type: 'percent', default: null },
+    { key: 'INODE_FOR_DURATION', path: 'thresholds.inode.for', type: 'duration', default: null },
+    { key: 'INODE_CLEAR_THRESHOLD', path: 'thresholds.inode.clear', type: 'percent', default: null },
+
+    // Mounts and forecasting
+    { key: 'DISK_INCLUDE', path: 'disk.include', type: 'list', default: [] },
+    { key: 'DISK_EXCLUDE', path: 'disk.exclude', type: 'list', default: [] },
+    { key: 'DISK_MOUNT_THRESHOLDS', path: 'disk.mounts.*.critical', type: 'percent', default: {} },
+    { key: 'DISK_MOUNT_WARNING_THRESHOLDS', path: 'disk.mounts.*.warning', type: 'percent', default: {} },
+    { key: 'DISK_MOUNT_COOLDOWNS', path: 'disk.mounts.*.cooldown', type: 'duration', default: {} },
+    { key: 'DISK_FORECAST_HORIZON', path: 'disk.forecast.horizon', type: 'duration', default: 24 * HOUR },
+    { key: 'DISK_FORECAST_WINDOW', path: 'disk.forecast.window', type: 'duration', default: 6 * HOUR },
+    { key: 'DISK_FORECAST_MIN_SAMPLES', path: 'disk.forecast.minSamples', type: 'integer', default: 6 },
+
+    // Network interfaces (system health monitor): physical NICs unless NET_INCLUDE names others;
+    // error and drop rates are packets per second over both directions, 0 turns them off
+    { key: 'NET_INCLUDE', path: 'network.include', type: 'list', default: [] },
+    { key: 'NET_EXCLUDE', path: 'network.exclude', type: 'list', default: [] },
+    { key: 'NET_ERROR_THRESHOLD', path: 'network.errorRate', type: 'rate', default: 1 },
+    { key: 'NET_DROP_THRESHOLD', path: 'network.dropRate', type: 'rate', default: 10 },
+
+    // Block devices (system health monitor): whole devices unless DISK_IO_INCLUDE names others;
+    // the await threshold is the average request latency in ms that warns, 0 turns it off
+    { key: 'DISK_IO_INCLUDE', path: 'diskIo.include', type: 'list', default: [] },
+    { key: 'DISK_IO_EXCLUDE', path: 'diskIo.exclude', type: 'list', default: ['loop*', 'ram*', 'zram*', 'sr*', 'fd*'] },
+    { key: 'DISK_IO_AWAIT_THRESHOLD', path: 'diskIo.await', type: 'duration', default: 100 },
+
+    // TCP sockets (system health monitor): socket counts per state and listen queue
+    // overflows per second that warn, 0 turns each off
+    { key: 'TCP_TIME_WAIT_THRESHOLD', path: 'tcp.timeWait', type: 'integer', default: 30000 },
+    { key: 'TCP_CLOSE_WAIT_THRESHOLD', path: 'tcp.closeWait', type: 'integer', default: 100 },
+    { key: 'TCP_LISTEN_OVERFLOW_THRESHOLD', path: 'tcp.listenOverflowRate', type: 'rate', default: 1 },
+
+    // Containers (system health monitor): processes are mapped to containers through
+    // /proc/<pid>/cgroup, names and images come from `<CONTAINER_CLI> ps` ("off" skips it);
+    // thresholds per container name or glob override the CONTAINER_MEM and CONTAINER_CPU levels
+    { key: 'CONTAINER_CLI', path: 'containers.cli', type: 'string', default: 'docker' },
+    { key: 'CONTAINER_MEM_THRESHOLDS', path: 'containers.thresholds.*.memory', type: 'percent', default: {}, entry: 'container' },
+    { key: 'CONTAINER_MEM_WARNING_THRESHOLDS', path: 'containers.thresholds.*.memoryWarning', type: 'percent', default: {}, entry: 'container' },
+    { key: 'CONTAINER_CPU_THRESHOLDS', path: 'containers.thresholds.*.cpu', type: 'percent', default: {}, entry: 'container' },
+    { key: 'CONTAINER_CPU_WARNING_THRESHOLDS', path: 'containers.thresholds.*.cpuWarning', type: 'percent', default: {}, entry: 'container' },
+
+    // Notifiers
+    { key: 'NOTIFY_TIMEOUT', path: 'notifiers.timeout', type: 'duration', default: 10 * SECOND },
+    { key: 'ALERT_ROUTES', path: 'notifiers.routes', type: 'routes', default: {} },
+    { key: 'SLACK_WEBHOOK_URL', path: 'notifiers.slack.webhookUrl', type: 'string', default: '' },
+    { key: 'SLACK_MENTION_WARNING', path: 'notifiers.slack.mentions.warning', type: 'string', default: '' },
+    { key: 'SLACK_MENTION_CRITICAL', path: 'notifiers.slack.mentions.critical', type: 'string', default: '' },
+    { key: 'TEAMS_WEBHOOK_URL', path: 'notifiers.teams.webhookUrl', type: 'string', default: '' },
+    { key: 'DISCORD_WEBHOOK_URL', path: 'notifiers.discord.webhookUrl', type: 'string', default: '' },
+    { key: 'ALERT_WEBHOOK_URL', path: 'notifiers.webhook.url', type: 'string', default: '' },
+    { key: 'SMTP_HOST', path: 'notifiers.email.host', type: 'string', default: '' },
+    { key: 'SMTP_PORT', path: 'notifiers.email.port', type: 'port', default: 25 },
+    { key: 'SMTP_SECURE', path: 'notifiers.email.secure', type: 'boolean', default: false },
+    { key: 'SMTP_USER', path: 'notifiers.email.user', type: 'string', default: '' },
+    { key: 'SMTP_PASS', path: 'notifiers.email.pass', type: 'string', default: '', secret: true },
+    { key: 'ALERT_EMAIL_FROM', path: 'notifiers.email.from', type: 'string', default: '' },
+    { key: 'ALERT_EMAIL_TO', path: 'notifiers.email.to', type: 'list', default: [] },
+    { key: 'ALERT_COMMAND', path: 'notifiers.command.run', type: 'string', default: '' },
+
+    // Local metrics history (`linux-monitor history`); a retention of 0 turns it off
+    { key: 'HISTORY_RETENTION', path: 'history.retention', type: 'duration', default: 7 * 24 * HOUR },
+    { key: 'HISTORY_RAW_RETENTION', path: 'history.rawRetention', type: 'duration', default: 24 * HOUR },
+
+    // Prometheus exporter (system health monitor)
+    { key: 'METRICS_PORT', path: 'metrics.port', type: 'port', default: null },
+    { key: 'METRICS_HOST', path: 'metrics.host', type: 'string', default: '127.0.0.1' },
+
+    // Local web dashboard (system health monitor); basic auth needs both user and password
+    { key: 'DASHBOARD_PORT', path: 'dashboard.port', type: 'port', default: null },
+    { key: 'DASHBOARD_HOST', path: 'dashboard.host', type: 'string', default: '127.0.0.1' },
+    { key: 'DASHBOARD_USER', path: 'dashboard.user', type: 'string', default: '' },
+    { key: 'DASHBOARD_PASSWORD', path: 'dashboard.password', type: 'string', default: '', secret: true },
+
+    // Process watchdog (system health monitor); maxRestarts and restartWindow can be set per process
+    { key: 'PROCESS_WATCH', path: 'processes.watch', type: 'processes', default: [] },
+    { key: 'PROCESS_MAX_RESTARTS', path: 'processes.maxRestarts', type: 'integer', default: 3 },
+    { key: 'PROCESS_RESTART_WINDOW', path: 'processes.restartWindow', type: 'interval', default: HOUR },
+    // Per-process RSS limits and leak detection (system health monitor)
+    { key: 'PROCESS_LIMITS', path: 'processes.limits', type: 'processLimits', default: [] },
+
+    // Kernel events (system health monitor): OOM kills, hung tasks, filesystem errors and segfault floods
+    { key: 'KERNEL_EVENT_SOURCE', path: 'kernel.source', type: 'kernelSource', default: 'auto' },
+    { key: 'KERNEL_KMSG_PATH', path: 'kernel.kmsgPath', type: 'string', default: '/dev/kmsg' },
+    { key: 'KERNEL_EVENT_WINDOW', path: 'kernel.window', type: 'interval', default: 15 * MINUTE },
+    { key: 'KERNEL_SEGFAULT_THRESHOLD', path: 'kernel.segfaults.threshold', type: 'integer', default: 10 },
+    { key: 'KERNEL_SEGFAULT_WINDOW', path: 'kernel.segfaults.window', type: 'interval', default: 5 * MINUTE },
+];
+
+// Metrics whose warning level must sit below their critical level, when the critical one is set
+const LEVEL_PAIRS = ['CPU', 'MEM', 'SWAP', 'IOWAIT', 'STEAL', 'CPU_PRESSURE', 'MEM_PRESSURE', 'IO_PRESSURE', 'CPU_PRESSURE_FULL', 'MEM_PRESSURE_FULL', 'IO_PRESSURE_FULL', 'NET_SATURATION', 'DISK_UTIL', 'EPHEMERAL_PORTS', 'PROCESS_FDS', 'CONTAINER_MEM', 'CONTAINER_CPU', 'DISK', 'INODE']
+    .map(metric => [`${metric}_WARNING_THRESHOLD`, `${metric}_THRESHOLD`]);
+
+
+// Settings per mountpoint or per container, e.g. disk.mounts.*.critical
+function isMapSetting(spec) {
+    return spec.path.includes('.*.');
+}
+
+function describeValue(raw, spec) {
+    return spec.secret ? '(hidden)' : JSON.stringify(raw);
+}
+
+// Walk a dotted path through the parsed file; undefined when any part is missing
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((node, part) => (
+        node !== null && typeof node === 'object' && !Array.isArray(node) ? node[part] : undefined
+    ), object);
+}
+
+
+// Report file keys the schema does not know, so typos fail loudly instead of being ignored
+function findUnknownKeys(fileConfig, fileLabel) {
+    const known = CONFIG_SCHEMA.map(spec => spec.path.split('.'));
+    const errors = [];
+
+    function walk(node, trail) {
+        for (const [name, value] of Object.entries(node)) {
+            const candidate = trail.concat(name);
+            const matches = known.filter(parts => candidate.every((part, i) => parts[i] === part || parts[i] === '*'));
+            if (matches.length === 0) {
+                errors.push(`${candidate.join('.')} (${fileLabel}): unknown setting`);
+            } else if (!matches.some(parts => parts.length === candidate.length)) {
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    walk(value, candidate);
+                } else {
+                    errors.push(`${candidate.join('.')} (${fileLabel}): must be a section with settings, got ${JSON.stringify(value)}`);
+                }
+            }
+        }
+    }
+
+    walk(fileConfig, []);
+    return errors;
+}
+
+
+/**
+ * Combine schema defaults, the config file and environment overrides into
+ * the flat configuration the monitors use (e.g. config.CPU_THRESHOLD).
+ *
+ * Precedence: environment > file > default. Empty env vars count as unset.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env=process.env]
+ * @param {object|null} [options.fileConfig]  Parsed config file contents
+ * @param {string} [options.fileLabel]       File name used in error messages
+ * @returns {object} Flat configuration
+ * @throws {Error} ConfigError listing every invalid or unknown setting
+ */
+function resolveConfig({ env = process.env, fileConfig = null, fileLabel = 'config file' } = {}) {
+    const errors = [];
+    const config = {};
+    const labels = {};
+
+    if (fileConfig !== null && (typeof fileConfig !== 'object' || Array.isArray(fileConfig))) {
+        throw configError([`${fileLabel}: must contain a mapping of settings at the top level`]);
+    }
+    if (fileConfig) errors.push(...findUnknownKeys(fileConfig, fileLabel));
+
+    for (const spec of CONFIG_SCHEMA) {
+        const type = TYPES[spec.type];
+        config[spec.key] = spec.default;
+        labels[spec.key] = spec.key;
+
+        if (isMapSetting(spec)) {
+            // Mount settings: { '/data': { critical: 90 } } in the file, '/data=90,/srv=85' in env;
+            // container settings the same way by name
+            const entryName = spec.entry || 'mountpoint';
+            const [sectionPath, field] = spec.path.split('.*.');
+            const section = fileConfig ? getPath(fileConfig, sectionPath) : undefined;
+            const map = {};
+            if (section !== undefined && (section === null || typeof section !== 'object' || Array.isArray(section))) {
+                errors.push(`${sectionPath} (${fileLabel}): must map ${entryName}s to their settings`);
+            } else if (section) {
+                for (const [mountpoint, settings] of Object.entries(section)) {
+                    const raw = settings && typeof settings === 'object' ? settings[field] : undefined;
+                    if (raw === undefined || raw === null) continue;
+                    const value = type.parse(raw);
+                    if (value === undefined) {
+                        errors.push(`${sectionPath}.${mountpoint}.${field} (${fileLabel}): must be ${type.expected}, got ${describeValue(raw, spec)}`);
+                    } else {
+                        map[mountpoint] = value;
+                    }
+                }
+            }
+            if (env[spec.key] !== undefined && env[spec.key] !== '') {
+                for (const entry of parseList(env[spec.key])) {
+                    const separator = entry.lastIndexOf('=');
+                    const value = separator > 0 ? type.parse(entry.slice(separator + 1)) : undefined;
+                    if (value === undefined) {
+                        errors.push(`${spec.key} (environment): "${entry}" must be ${entryName}=value with ${type.expected}`);
+                    } else {
+                        map[entry.slice(0, separator).trim()] = value;
+                    }
+                }
+            }
+            config[spec.key] = map;
+            continue;
+        }
+
+        const fileValue = fileConfig ? getPath(fileConfig, spec.path) : undefined;
+        if (fileValue !== undefined && fileValue !== null) {
+            const value = type.parse(fileValue);
+            if (value === undefined) {
+                errors.push(`${spec.path} (${fileLabel}): must be ${type.expected}, got ${describeValue(fileValue, spec)}`);
+            } else {
+                config[spec.key] = value;
+                labels[spec.key] = `${spec.path} (${fileLabel})`;
+            }
+        }
+
+        const envValue = env[spec.key];
+        if (envValue !== undefined && envValue !== '') {
+            const value = type.parse(envValue);
+            if (value === undefined) {
+                errors.push(`${spec.key} (environment): must be ${type.expected}, got ${describeValue(envValue, spec)}`);
+            } else {
+                config[spec.key] = value;
+                labels[spec.key] = `${spec.key} (environment)`;
+            }
+        }
+    }
+
+    for (const [warningKey, criticalKey] of LEVEL_PAIRS) {
+        if (config[warningKey] !== null && config[criticalKey] !== null && config[warningKey] >= config[criticalKey]) {
+            errors.push(`${labels[warningKey]}: warning level ${config[warningKey]} must be below the critical level ${config[criticalKey]} set by ${labels[criticalKey]}`);
+        }
+    }
+    for (const [mountpoint, warning] of Object.entries(config.DISK_MOUNT_WARNING_THRESHOLDS)) {
+        const critical = config.DISK_MOUNT_THRESHOLDS[mountpoint] !== undefined ? config.DISK_MOUNT_THRESHOLDS[mountpoint] : config.DISK_THRESHOLD;
+        if (warning >= critical) {
+            errors.push(`disk mount ${mountpoint}: warning level ${warning} must be below its critical level ${critical}`);
+        }
+    }
+    for (const metric of ['MEM', 'CPU']) {
+        for (const [name, warning] of Object.entries(config[`CONTAINER_${metric}_WARNING_THRESHOLDS`])) {
+            const critical = config[`CONTAINER_${metric}_THRESHOLDS`][name] !== undefined ? config[`CONTAINER_${metric}_THRESHOLDS`][name] : config[`CONTAINER_${metric}_THRESHOLD`];
+            if (warning >= critical) {
+                errors.push(`container ${name}: ${metric === 'MEM' ? 'memory' : 'CPU'} warning level ${warning} must be below its critical level ${critical}`);
+            }
+        }
+    }
+
+    if (Boolean(config.DASHBOARD_USER) !== Boolean(config.DASHBOARD_PASSWORD)) {
+        errors.push('DASHBOARD_USER and DASHBOARD_PASSWORD: set both to turn on basic auth, or neither');
+    }
+
+    if (errors.length > 0) throw configError(errors);
+    return config;
+}
+
+
+/**
+ * Find the config file: CONFIG_FILE if set, else the first of
+ * linux-monitor.yaml / .yml / .json next to the monitors.
+ *
+ * @param {object} [env=process.env]
+ * @returns {string|null} Absolute path, or null when there is no file
+ */
+function findConfigFile(env = process.env) {
+    if (env.CONFIG_FILE) return path.resolve(ROOT_DIR, env.CONFIG_FILE);
+    const found = CONFIG_FILE_NAMES.map(name => path.join(ROOT_DIR, name)).find(file => fs.existsSync(file));
+    return found || null;
+}
+
+
+/**
+ * Read and parse a YAML or JSON config file (by extension; YAML otherwise).
+ *
+ * @param {string} filepath
+ * @returns {object|null} Parsed contents (null for an empty file)
+ * @throws {Error} ConfigError when the file is missing or not valid YAML/JSON
+ */
+function readConfigFile(filepath) {
+    let text;
+    try {
+        text = fs.readFileSync(filepath, 'utf8');
+    } catch (error) {
+        throw configError([`${filepath}: cannot be read (${error.code || error.message})`]);
+    }
+    try {
+        const parsed = path.extname(filepath) === '.json' ? JSON.parse(text) : yaml.load(text);
+        return parsed === undefined ? null : parsed;
+    } catch (error) {
+        const where = error.mark ? ` at line ${error.mark.line + 1}, column ${error.mark.column + 1}` : '';
+        throw configError([`${filepath}: not valid ${path.extname(filepath) === '.json' ? 'JSON' : 'YAML'}${where} (${error.reason || error.message})`]);
+    }
+}
+
+
+/**
+ * Read the config file (if any) and the environment, and validate them.
+ *
+ * @param {object} [env=process.env]
+ * @returns {object} Flat configuration, with CONFIG_FILE set to the file used (or null)
+ * @throws {Error} ConfigError
+ */
+function readConfig(env = process.env) {
+    const filepath = findConfigFile(env);
+    const fileConfig = filepath ? readConfigFile(filepath) : null;
+    const config = resolveConfig({ env, fileConfig, fileLabel: filepath ? path.basename(filepath) : undefined });
+    config.CONFIG_FILE = filepath;
+    return config;
+}
+
+
+/**
+ * Load the configuration at startup. An invalid configuration is logged
+ * setting by setting and stops the process, so a typo never runs on defaults.
+ *
+ * @returns {object} Flat configuration
+ */
+function loadConfig(monitorLogger = logger) {
+    try {
+        return readConfig();
+    } catch (error) {
+        if (!isConfigError(error)) throw error;
+        monitorLogger.fatal({ errors: error.errors }, 'Invalid configuration');
+        process.exit(1);
+    }
+}
+
+
+/**
+ * Re-read the configuration whenever the process receives SIGHUP
+ * (`systemctl reload`). A new configuration that fails validation is
+ * logged and ignored; the monitor keeps running on the previous one.
+ *
+ * @param {Function} onReload  Called with the new flat configuration
+ */
+function watchConfig(onReload, monitorLogger = logger) {
+    process.on('SIGHUP', () => {
+        let next;
+        try {
+            next = readConfig();
+        } catch (error) {
+            monitorLogger.error(isConfigError(error) ? { errors: error.errors } : { err: error }, 'Configuration reload failed, keeping the previous configuration');
+            return;
+        }
+        onReload(next);
+        monitorLogger.info({ configFile: next.CONFIG_FILE, signal: 'SIGHUP' }, 'Configuration reloaded');
+    });
+}
+
+
+module.exports = {
+    CONFIG_SCHEMA,
+    isConfigError,
+    parseDuration,
+    parseSize,
+    resolveConfig,
+    findConfigFile,
+    readConfigFile,
+    readConfig,
+    loadConfig,
+    watchConfig,
+};
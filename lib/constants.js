@@ -0,0 +1,24 @@
+/**
+============================================================
+    Goal: Shared Setting Values
+============================================================
+    Why:
+        - The config layer validates settings whose allowed values belong to a
+          feature module, and should load without those modules
+
+    What:
+        - Holds the enumerations that both the config schema and the features use
+============================================================
+*/
+
+// How each watched process can be found
+const MATCH_KINDS = ['process', 'cmdline', 'pidfile', 'unit'];
+
+// Where kernel events can be read from; 'auto' tries /dev/kmsg, then the journal
+const KERNEL_SOURCES = ['auto', 'kmsg', 'journal', 'off'];
+
+
+module.exports = {
+    MATCH_KINDS,
+    KERNEL_SOURCES,
+};
@@ -0,0 +1,260 @@
+/**
+============================================================
+    Goal: Container-Aware Resource Monitoring
+============================================================
+    Why:
+        - On a Docker host the busiest processes are `containerd-shim` and
+          anonymous `node` or `java` processes, which says nothing about which
+          service is in trouble
+        - A container is killed at its own memory limit and throttled at its own
+          CPU quota, long before the host runs short
+        - The kernel already accounts every container in its control group
+
+    What:
+        - Maps processes to containers through the container ID in /proc/<pid>/cgroup
+          (Docker, containerd, CRI-O and Podman, with either cgroup driver)
+        - Reads container names and images from `docker ps` (or podman)
+        - Turns successive cgroup CPU counters into cores used and throttling
+        - Looks up per-container thresholds by name or glob
+        - Checks memory and CPU against each container's limits and builds the
+          alerts for them, with the container's busiest processes
+============================================================
+*/
+
+const { globToRegExp } = require('./mounts');
+const { createCounterSampler, formatBytes, roundReading } = require('./common');
+
+// One cgroup path segment naming a container: /docker/<id> with the cgroupfs driver,
+// docker-<id>.scope with systemd, and the same for containerd, CRI-O and Podman
+const CONTAINER_SEGMENT = /^(?:docker-|cri-containerd-|crio-|libpod-)?([0-9a-f]{64})(?:\.scope)?$/;
+
+// Potential Issues text of the container alerts
+const CONTAINER_ADVICE = {
+    memory: 'The kernel OOM-kills processes in a container that reaches its memory limit, even when the host has memory to spare. Look for a leak in the service, or raise the limit (`docker update --memory`, `mem_limit` in compose or the pod\'s resources.limits).',
+    cpu: 'A container that uses its whole CPU quota is throttled: its processes wait for the next period even when the host has idle cores, which shows up as latency. Raise the quota (`--cpus`, `cpus` in compose or the pod\'s resources.limits) or find what keeps it busy.',
+};
+
+
+/**
+ * Find the container a process runs in from its control groups.
+ *
+ * Paths are cut at the container's own cgroup, so processes in nested
+ * cgroups below it still point at the container's totals.
+ *
+ * @param {object[]} cgroups  Entries from procMetrics.readProcessCgroup()
+ * @returns {{ id: string, cgroups: object[] }|null} null outside a container
+ */
+function containerFromCgroup(cgroups) {
+    for (const entry of cgroups) {
+        const match = entry.path.split('/').map(segment => segment.match(CONTAINER_SEGMENT)).find(Boolean);
+        if (!match) continue;
+        const id = match[1];
+        return {
+            id,
+            cgroups: cgroups.map(other => {
+                const segments = other.path.split('/');
+                const index = segments.findIndex(segment => segment.includes(id));
+                return index === -1 ? other : Object.assign({}, other, { path: segments.slice(0, index + 1).join('/') });
+            }),
+        };
+    }
+    return null;
+}
+
+
+/**
+ * Group processes by the container they run in.
+ *
+ * @param {object[]} processes  { pid, cgroups } per process
+ * @returns {object[]} { id, cgroups, pids } per container
+ */
+function groupContainers(processes) {
+    const containers = new Map();
+    for (const { pid, cgroups } of processes) {
+        const found = containerFromCgroup(cgroups);
+        if (!found) continue;
+        if (!containers.has(found.id)) containers.set(found.id, { id: found.id, cgroups: found.cgroups, pids: [] });
+        containers.get(found.id).pids.push(pid);
+    }
+    return Array.from(containers.values());
+}
+
+
+/**
+ * Parse `docker ps --no-trunc --format '{{.ID}}\t{{.Names}}\t{{.Image}}'`
+ * (podman prints the same).
+ *
+ * @param {string} output
+ * @returns {Map<string, { name: string, image: string }>} Keyed by full container ID
+ */
+function parseContainerList(output) {
+    const containers = new Map();
+    for (const line of output.split('\n')) {
+        const [id, name, image] = line.trim().split('\t');
+        if (id && name) containers.set(id, { name, image: image || null });
+    }
+    return containers;
+}
+
+
+/**
+ * Look up a per-container setting: an exact name first, then the first glob
+ * that matches (e.g. "shop-web-*" for every replica).
+ *
+ * @param {object} overrides  Settings by container name or glob
+ * @param {string} name
+ * @param {*} fallback        Used when nothing matches
+ * @returns {*}
+ */
+function containerSetting(overrides, name, fallback) {
+    if (overrides[name] !== undefined) return overrides[name];
+    const glob = Object.keys(overrides).find(key => key.includes('*') && globToRegExp(key).test(name));
+    return glob !== undefined ? overrides[glob] : fallback;
+}
+
+
+// CPU cores used and the share of throttled periods per container between two samples,
+// for containers in both
+function diffContainerCpu(previous, current, elapsedMs) {
+    const before = new Map(previous.filter(container => container.stats).map(container => [container.id, container.stats]));
+    const rates = new Map();
+    for (const { id, stats } of current) {
+        if (!stats || !before.has(id)) continue;
+        const last = before.get(id);
+        const periods = stats.cpuPeriods - last.cpuPeriods;
+        rates.set(id, {
+            cpuCores: Math.max(0, stats.cpuUsageSeconds - last.cpuUsageSeconds) / (elapsedMs / 1000),
+            throttledPercent: periods > 0 ? (stats.cpuThrottledPeriods - last.cpuThrottledPeriods) / periods * 100 : null,
+        });
+    }
+    return rates;
+}
+
+
+/**
+ * Create an in-memory sampler that keeps the previous CPU counters per container.
+ * `observe(containers, now)` takes { id, stats } per container, stats from
+ * procMetrics.readCgroupStats(), and returns { cpuCores, throttledPercent } by
+ * container ID for the containers in the previous sample as well, or null on the
+ * first sample. Containers missing from a sample are forgotten.
+ *
+ * @returns {{ observe: Function, latest: Function, reset: Function }}
+ */
+function createContainerSampler() {
+    return createCounterSampler(diffContainerCpu);
+}
+
+
+/**
+ * Check every container with a limit:
+ *   - Memory (the working set) as a share of the memory limit
+ *   - CPU cores used as a share of the CPU quota (skipped without a rate yet)
+ * Alerts are keyed by the short container ID and list the container's busiest
+ * processes from one `listProcesses()` call, made only when an alert fires.
+ *
+ * @param {object[]} containers             From groupContainers(), with `memoryPercent` and `cpuPercent`
+ * @param {object}   options
+ * @param {object}   options.ruleEngine     From createRuleEngine()
+ * @param {Function} options.ruleFor        (metric: 'MEM'|'CPU', name) => the container's rule
+ * @param {Function} options.listProcesses  () => processes with pid, cpu, rssBytes and command, or null
+ * @param {number}   options.now
+ * @param {boolean}  [options.dryRun]       Build no alerts
+ * @returns {{ results: object[], alerts: object[], conditions: object[] }} `conditions`
+ *          are { key, firing, name, label, detail } for the alert lifecycle
+ */
+function evaluateContainers(containers, { ruleEngine, ruleFor, listProcesses, now, dryRun = false }) {
+    const results = [];
+    const alerts = [];
+    const conditions = [];
+
+    // One ps listing serves the process lists of every alert, taken only when one fires
+    let processes;
+    const formatContainerProcesses = (container, sortBy) => {
+        if (processes === undefined) processes = listProcesses();
+        if (!processes) return 'Process list unavailable';
+        const own = processes
+            .filter(proc => container.pids.includes(Number(proc.pid)))
+            .sort((a, b) => (sortBy === 'cpu' ? b.cpu - a.cpu : b.rssBytes - a.rssBytes))
+            .slice(0, 5);
+        if (own.length === 0) return 'None';
+        return own.map(proc => {
+            const shortCommand = proc.command.length > 50 ? proc.command.substring(0, 47) + '...' : proc.command;
+            return `• PID ${proc.pid}: ${sortBy === 'cpu' ? `CPU ${proc.cpu}%` : `RSS ${formatBytes(proc.rssBytes)}`} | ${shortCommand}`;
+        }).join('\n');
+    };
+
+    // Keyed by the short ID, since the name only shows up once the container CLI answered
+    for (const container of containers) {
+        const { name, stats } = container;
+        const shortId = container.id.slice(0, 12);
+        const identity = `*Image: ${container.image || 'unknown'}*\n*Container ID: ${shortId}*`;
+
+        if (container.memoryPercent !== null) {
+            const key = `container-mem:${shortId}`;
+            const rule = ruleFor('MEM', name);
+            const percent = container.memoryPercent.toFixed(1);
+            const evaluation = ruleEngine.evaluate(key, container.memoryPercent, rule, now);
+            results.push({
+                key,
+                label: `Memory ${name}`,
+                value: roundReading(container.memoryPercent),
+                severity: evaluation.severity,
+                status: evaluation.status,
+                warning: rule.warning,
+                critical: rule.critical,
+            });
+            const firing = evaluation.status === 'firing';
+            if (firing && !dryRun) {
+                alerts.push({
+                    type: 'container',
+                    key,
+                    severity: evaluation.severity,
+                    title: `🐳 Container ${name} Near Its Memory Limit`,
+                    value: `*Memory: ${formatBytes(stats.memoryBytes)} of ${formatBytes(stats.memoryLimitBytes)} limit (${percent}%)*\n*Threshold: ${evaluation.level}%*\n${identity}\n*Top Memory Processes:*\n${formatContainerProcesses(container, 'memory')}`,
+                    fields: [{ title: 'Potential Issues', value: CONTAINER_ADVICE.memory, short: false }]
+                });
+            }
+            conditions.push({ key, firing, name, label: `${name} Memory`, detail: `*Memory: ${percent}% of the limit*\n*Threshold: ${rule.clear}%*` });
+        }
+
+        if (container.cpuPercent !== null) {
+            const key = `container-cpu:${shortId}`;
+            const rule = ruleFor('CPU', name);
+            const percent = container.cpuPercent.toFixed(1);
+            const evaluation = ruleEngine.evaluate(key, container.cpuPercent, rule, now);
+            results.push({
+                key,
+                label: `CPU ${name}`,
+                value: roundReading(container.cpuPercent),
+                severity: evaluation.severity,
+                status: evaluation.status,
+                warning: rule.warning,
+                critical: rule.critical,
+            });
+            const firing = evaluation.status === 'firing';
+            if (firing && !dryRun) {
+                const throttled = container.throttledPercent !== null ? `\n*Throttled: ${container.throttledPercent.toFixed(1)}% of scheduling periods*` : '';
+                alerts.push({
+                    type: 'container',
+                    key,
+                    severity: evaluation.severity,
+                    title: `🐢 Container ${name} at Its CPU Limit`,
+                    value: `*CPU: ${container.cpuCores.toFixed(2)} of ${stats.cpuLimitCores} cores (${percent}% of the quota)*\n*Threshold: ${evaluation.level}%*\n*Duration: ${((now - evaluation.since) / 60000).toFixed(1)} minutes*${throttled}\n${identity}\n*Top CPU Processes:*\n${formatContainerProcesses(container, 'cpu')}`,
+                    fields: [{ title: 'Potential Issues', value: CONTAINER_ADVICE.cpu, short: false }]
+                });
+            }
+            conditions.push({ key, firing, name, label: `${name} CPU`, detail: `*CPU: ${percent}% of the quota*\n*Threshold: ${rule.clear}%*` });
+        }
+    }
+    return { results, alerts, conditions };
+}
+
+
+module.exports = {
+    containerFromCgroup,
+    groupContainers,
+    parseContainerList,
+    containerSetting,
+    evaluateContainers,
+    createContainerSampler,
+};
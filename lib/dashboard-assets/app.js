@@ -0,0 +1,263 @@
+/*
+  Linux Monitor dashboard client.
+    - Polls /api/snapshot for gauges, alert states, filesystems and top processes
+    - Polls /api/history for the charts of the selected range
+    - Builds every element with the DOM API; process command lines and mount
+      names are untrusted, so nothing is ever assigned through innerHTML
+*/
+(function () {
+    'use strict';
+
+    var SNAPSHOT_INTERVAL = 5000;
+    var HISTORY_INTERVAL = 60000;
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Charts drawn from the health monitor's history, in display order
+    var CHARTS = [
+        { metric: 'cpu', label: 'CPU %', max: 100 },
+        { metric: 'mem', label: 'Memory %', max: 100 },
+        { metric: 'swap', label: 'Swap %', max: 100 },
+        { metric: 'iowait', label: 'I/O wait %', max: 100 },
+        { metric: 'memPressure', label: 'Memory pressure %', max: 100 },
+        { metric: 'load1', label: 'Load (1 min)', max: null }
+    ];
+
+    var range = '1h';
+
+    function $(id) {
+        return document.getElementById(id);
+    }
+
+    function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = String(text);
+        return node;
+    }
+
+    function svg(tag, attributes) {
+        var node = document.createElementNS(SVG_NS, tag);
+        Object.keys(attributes || {}).forEach(function (name) {
+            node.setAttribute(name, attributes[name]);
+        });
+        return node;
+    }
+
+    function clear(node) {
+        while (node.firstChild) node.removeChild(node.firstChild);
+    }
+
+    function fixed(value, digits) {
+        return value === null || value === undefined ? '—' : Number(value).toFixed(digits === undefined ? 1 : digits);
+    }
+
+    function formatBytes(bytes) {
+        if (bytes === null || bytes === undefined) return '—';
+        var units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+        var i = 0;
+        while (bytes >= 1024 && i < units.length - 1) {
+            bytes /= 1024;
+            i += 1;
+        }
+        return bytes.toFixed(i === 0 ? 0 : 1) + ' ' + units[i];
+    }
+
+    function formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '—';
+    }
+
+    function level(value, warning, critical) {
+        if (value === null || value === undefined) return '';
+        if (critical !== null && critical !== undefined && value >= critical) return 'critical';
+        if (warning !== null && warning !== undefined && value >= warning) return 'warning';
+        return 'ok';
+    }
+
+    function getJson(url) {
+        return fetch(url, { credentials: 'same-origin', cache: 'no-store' }).then(function (response) {
+            if (!response.ok) throw new Error(url + ': HTTP ' + response.status);
+            return response.json();
+        });
+    }
+
+    function setStatus(error) {
+        var status = $('status');
+        status.textContent = error ? '(' + error.message + ')' : '';
+        status.className = error ? 'status error' : 'status';
+    }
+
+
+    // Half-circle gauge filled to value / 100
+    function renderGauge(gauge) {
+        var container = el('div', 'gauge');
+        var picture = svg('svg', { viewBox: '0 0 120 70', role: 'img', 'aria-label': gauge.label });
+        var arc = 'M 10 60 A 50 50 0 0 1 110 60';
+        var length = Math.PI * 50;
+        var ratio = gauge.value === null ? 0 : Math.max(0, Math.min(1, gauge.value / 100));
+
+        picture.appendChild(svg('path', { d: arc, 'class': 'gauge-track', fill: 'none', 'stroke-width': 10 }));
+        picture.appendChild(svg('path', {
+            d: arc,
+            'class': 'gauge-fill ' + level(gauge.value, gauge.warning, gauge.critical),
+            fill: 'none',
+            'stroke-width': 10,
+            'stroke-dasharray': (ratio * length) + ' ' + length
+        }));
+        var text = svg('text', { x: 60, y: 58, 'class': 'gauge-value' });
+        text.textContent = gauge.value === null ? 'n/a' : fixed(gauge.value) + '%';
+        picture.appendChild(text);
+
+        container.appendChild(picture);
+        container.appendChild(el('div', 'label', gauge.label));
+        return container;
+    }
+
+    function renderRow(cells) {
+        var row = el('tr');
+        cells.forEach(function (cell) {
+            row.appendChild(typeof cell === 'object' && cell !== null ? cell : el('td', null, cell));
+        });
+        return row;
+    }
+
+    function renderAlerts(alerts) {
+        var body = $('alerts');
+        clear(body);
+        alerts.forEach(function (alert) {
+            var state = alert.state.toLowerCase();
+            var stateClass = state === 'firing' ? (alert.severity || 'critical') : (state === 'pending' ? 'pending' : 'ok');
+            body.appendChild(renderRow([
+                alert.label,
+                el('td', stateClass, alert.state),
+                el('td', alert.severity || '', alert.severity || '—'),
+                fixed(alert.value),
+                fixed(alert.warning),
+                fixed(alert.critical),
+                formatTime(alert.since)
+            ]));
+        });
+    }
+
+    function renderDisks(disks) {
+        var body = $('disks');
+        clear(body);
+        disks.forEach(function (disk) {
+            body.appendChild(renderRow([
+                disk.mountpoint,
+                disk.device,
+                formatBytes(disk.usedBytes),
+                formatBytes(disk.totalBytes),
+                el('td', level(disk.usagePercent, disk.warning, disk.critical), fixed(disk.usagePercent) + '%'),
+                fixed(disk.inodeUsagePercent) + '%'
+            ]));
+        });
+    }
+
+    function renderProcesses(id, processes) {
+        var body = $(id);
+        clear(body);
+        processes.forEach(function (proc) {
+            body.appendChild(renderRow([proc.pid, proc.user, fixed(proc.cpu), fixed(proc.mem), el('td', 'command', proc.command)]));
+        });
+    }
+
+    function renderSnapshot(snapshot) {
+        $('host').textContent = snapshot.host;
+        $('uptime').textContent = snapshot.uptime || '';
+        $('updated').textContent = new Date(snapshot.generatedAt).toLocaleTimeString();
+        $('load').textContent = snapshot.load
+            ? 'Load ' + fixed(snapshot.load['1min'], 2) + ' / ' + fixed(snapshot.load['5min'], 2) + ' / ' + fixed(snapshot.load['15min'], 2) + ' on ' + snapshot.cpuCount + ' CPUs'
+            : '';
+
+        var gauges = $('gauges');
+        clear(gauges);
+        snapshot.gauges.forEach(function (gauge) {
+            gauges.appendChild(renderGauge(gauge));
+        });
+
+        renderAlerts(snapshot.alerts);
+        renderDisks(snapshot.disks);
+        renderProcesses('top-cpu', snapshot.topProcesses.cpu);
+        renderProcesses('top-mem', snapshot.topProcesses.memory);
+    }
+
+
+    // Line chart of the average with a min/max band (rollups) behind it
+    function renderChart(chart, result) {
+        var width = 340;
+        var height = 120;
+        var pad = 4;
+        var container = el('div', 'chart');
+        var points = result.points;
+        var latest = points.length > 0 ? points[points.length - 1].value : null;
+        var label = el('div', 'label');
+        label.appendChild(el('span', null, chart.label));
+        label.appendChild(el('span', null, fixed(latest, chart.max ? 1 : 2)));
+        container.appendChild(label);
+
+        var picture = svg('svg', { viewBox: '0 0 ' + width + ' ' + height, role: 'img', 'aria-label': chart.label });
+        if (points.length === 0) {
+            var empty = svg('text', { x: width / 2, y: height / 2, 'class': 'chart-empty' });
+            empty.textContent = 'No samples in the last ' + range;
+            picture.appendChild(empty);
+            container.appendChild(picture);
+            return container;
+        }
+
+        var since = result.since;
+        var until = result.until;
+        var top = chart.max || Math.max.apply(null, points.map(function (p) { return p.max; })) || 1;
+        var x = function (timestamp) { return pad + (timestamp - since) / (until - since) * (width - 2 * pad); };
+        var y = function (value) { return height - pad - Math.min(value, top) / top * (height - 2 * pad); };
+
+        if (result.resolution === 'rollup') {
+            var upper = points.map(function (p) { return x(p.timestamp) + ',' + y(p.max); });
+            var lower = points.slice().reverse().map(function (p) { return x(p.timestamp) + ',' + y(p.min); });
+            picture.appendChild(svg('polygon', { points: upper.concat(lower).join(' '), 'class': 'chart-band' }));
+        }
+        picture.appendChild(svg('polyline', {
+            points: points.map(function (p) { return x(p.timestamp) + ',' + y(p.value); }).join(' '),
+            'class': 'chart-line'
+        }));
+        container.appendChild(picture);
+        return container;
+    }
+
+    function refreshHistory() {
+        var requests = CHARTS.map(function (chart) {
+            return getJson('/api/history?metric=' + encodeURIComponent(chart.metric) + '&range=' + encodeURIComponent(range));
+        });
+        return Promise.all(requests).then(function (results) {
+            var charts = $('charts');
+            clear(charts);
+            CHARTS.forEach(function (chart, i) {
+                charts.appendChild(renderChart(chart, results[i]));
+            });
+        }).catch(setStatus);
+    }
+
+    function refreshSnapshot() {
+        return getJson('/api/snapshot').then(function (snapshot) {
+            renderSnapshot(snapshot);
+            setStatus(null);
+        }).catch(setStatus);
+    }
+
+
+    document.addEventListener('DOMContentLoaded', function () {
+        Array.prototype.forEach.call(document.querySelectorAll('#ranges button'), function (button) {
+            button.addEventListener('click', function () {
+                range = button.getAttribute('data-range');
+                Array.prototype.forEach.call(document.querySelectorAll('#ranges button'), function (other) {
+                    other.classList.toggle('active', other === button);
+                });
+                refreshHistory();
+            });
+        });
+
+        refreshSnapshot();
+        refreshHistory();
+        setInterval(refreshSnapshot, SNAPSHOT_INTERVAL);
+        setInterval(refreshHistory, HISTORY_INTERVAL);
+    });
+}());
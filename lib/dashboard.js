@@ -0,0 +1,182 @@
+/**
+============================================================
+    Goal: Built-in Web Dashboard
+============================================================
+    Why:
+        - A quick look at a host should not need Grafana, SSH or a Slack alert
+        - Servers often have no internet access, and a CDN is one more thing to trust
+
+    What:
+        - Serves a single-page dashboard and its JSON API from the monitor process
+        - Every asset ships in lib/dashboard-assets; nothing is loaded from elsewhere
+        - Binds to 127.0.0.1 unless told otherwise, with optional HTTP basic auth
+        - Sends a strict Content-Security-Policy so only its own script and style run
+============================================================
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { getLogger } = require('./logger');
+const logger = getLogger('dashboard');
+
+const ASSET_DIR = path.join(__dirname, 'dashboard-assets');
+
+// Read once at load; the dashboard never serves anything outside this list
+const ASSETS = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' },
+    '/style.css': { file: 'style.css', type: 'text/css; charset=utf-8' },
+};
+for (const asset of Object.values(ASSETS)) {
+    asset.body = fs.readFileSync(path.join(ASSET_DIR, asset.file));
+}
+
+// History ranges the charts offer
+const HISTORY_RANGES = {
+    '1h': 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': "default-src 'none'; script-src 'self'; style-src 'self'; img-src 'self' data:; connect-src 'self'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+    'X-Frame-Options': 'DENY',
+};
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+
+// Compare digests so neither the length nor the content leaks through timing
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Whether a request carries the expected basic auth credentials.
+ *
+ * @param {string|undefined} header   The Authorization header
+ * @param {{ username: string, password: string }} credentials
+ * @returns {boolean}
+ */
+function checkBasicAuth(header, { username, password }) {
+    const match = typeof header === 'string' && header.match(/^Basic\s+([A-Za-z0-9+/=]+)$/i);
+    if (!match) return false;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) return false;
+    // Evaluate both so a wrong user name takes as long as a wrong password
+    const userOk = safeEqual(decoded.slice(0, separator), username);
+    const passwordOk = safeEqual(decoded.slice(separator + 1), password);
+    return userOk && passwordOk;
+}
+
+
+/**
+ * Create the dashboard HTTP server.
+ *
+ * Routes:
+ *   GET /                                 the dashboard page (plus /app.js and /style.css)
+ *   GET /api/snapshot                     getSnapshot() as JSON
+ *   GET /api/history?metric=mem&range=6h  getHistory(metric, rangeMs) as JSON
+ *
+ * @param {object} options
+ * @param {Function} options.getSnapshot   () => current readings, alert states and top processes
+ * @param {Function} options.getHistory    (metric, rangeMs) => { resolution, points }
+ * @param {number} options.port            Port to listen on (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.username]      Basic auth is on when username and password are both set
+ * @param {string} [options.password]
+ * @returns {{ start: Function, stop: Function, address: Function }}
+ */
+function createDashboardServer({ getSnapshot, getHistory, port, host = '127.0.0.1', username = '', password = '' }, monitorLogger = logger) {
+    const auth = username && password ? { username, password } : null;
+
+    function send(res, status, type, body, headers = {}) {
+        res.writeHead(status, Object.assign({ 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) }, SECURITY_HEADERS, headers));
+        res.end(body);
+    }
+
+    function sendJson(res, status, data) {
+        send(res, status, 'application/json; charset=utf-8', JSON.stringify(data), { 'Cache-Control': 'no-store' });
+    }
+
+    function handle(req, res) {
+        const url = new URL(req.url, 'http://dashboard');
+
+        if (auth && !checkBasicAuth(req.headers.authorization, auth)) {
+            send(res, 401, 'text/plain; charset=utf-8', 'Authentication required\n', { 'WWW-Authenticate': 'Basic realm="linux-monitor", charset="UTF-8"' });
+            return;
+        }
+        if (req.method !== 'GET') {
+            send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed\n', { Allow: 'GET' });
+            return;
+        }
+
+        if (ASSETS[url.pathname]) {
+            const asset = ASSETS[url.pathname];
+            send(res, 200, asset.type, asset.body);
+        } else if (url.pathname === '/api/snapshot') {
+            sendJson(res, 200, getSnapshot());
+        } else if (url.pathname === '/api/history') {
+            const metric = url.searchParams.get('metric');
+            const range = url.searchParams.get('range') || '1h';
+            if (!metric || !HISTORY_RANGES[range]) {
+                sendJson(res, 400, { error: `metric is required and range must be one of ${Object.keys(HISTORY_RANGES).join(', ')}` });
+                return;
+            }
+            sendJson(res, 200, Object.assign({ metric, range }, getHistory(metric, HISTORY_RANGES[range])));
+        } else {
+            send(res, 404, 'text/plain; charset=utf-8', 'Not found\n');
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        try {
+            handle(req, res);
+        } catch (error) {
+            monitorLogger.error({ err: error, url: req.url }, 'Error serving dashboard request');
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
+        }
+    });
+
+    /**
+     * @returns {Promise<{ address: string, port: number }>} Where the server listens
+     */
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.removeListener('error', reject);
+                if (!auth && !LOOPBACK_HOSTS.has(host)) {
+                    monitorLogger.warn({ host }, 'Dashboard is reachable from other hosts without authentication; set DASHBOARD_USER and DASHBOARD_PASSWORD');
+                }
+                monitorLogger.info({ host, port: server.address().port, auth: Boolean(auth) }, 'Dashboard listening');
+                resolve(server.address());
+            });
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => {
+            if (!server.listening) return resolve();
+            server.close(() => resolve());
+            if (server.closeAllConnections) server.closeAllConnections();
+        });
+    }
+
+    return { start, stop, address: () => server.address() };
+}
+
+
+module.exports = {
+    HISTORY_RANGES,
+    checkBasicAuth,
+    createDashboardServer,
+};
@@ -0,0 +1,159 @@
+/**
+============================================================
+    Goal: Per-Device Disk I/O Monitoring
+============================================================
+    Why:
+        - Operation counts summed over every disk hide the one volume that is slow or full
+        - A device that is busy all the time, or whose requests wait for tens of
+          milliseconds, is what stalls databases and builds long before iowait shows it
+        - Device names differ between clouds and setups (sd*, nvme*, xvd*, dm-*, md*,
+          mmcblk*), so a fixed name pattern always misses some
+
+    What:
+        - Picks the block devices worth watching: whole devices by default, or globs
+        - Turns successive /proc/diskstats samples into per-device throughput,
+          await latency, %util and queue depth
+        - Checks %util and await per device and builds the alerts for them
+============================================================
+*/
+
+const { diffDiskStats } = require('./proc-metrics');
+const { matchesAny } = require('./mounts');
+const { createCounterSampler, roundReading } = require('./common');
+
+// Potential Issues text of the disk I/O alerts
+const DISK_IO_ADVICE = {
+    util: 'The device had requests in flight almost all the time, so new I/O queues behind them. On SSDs and RAID volumes this only means trouble together with a long await; find the busiest processes with iotop or pidstat -d.',
+    await: 'Requests wait a long time from queueing to completion: a saturated or failing disk, a throttled cloud volume (check its IOPS and throughput limits) or a deep queue of writeback. Compare read and write await to see which side is slow.',
+};
+
+
+/**
+ * Pick the block devices to watch. Without include globs that is every whole
+ * device (partitions would count the same I/O twice), less the excluded ones.
+ *
+ * @param {object[]} devices             Entries from procMetrics.readBlockDevice()
+ * @param {object}   [options]
+ * @param {string[]} [options.include]   Device name globs to watch, e.g. ['nvme*n1', 'dm-*']
+ * @param {string[]} [options.exclude]   Device name globs to leave out, e.g. ['loop*', 'ram*']
+ * @returns {object[]}
+ */
+function selectBlockDevices(devices, { include = [], exclude = [] } = {}) {
+    return devices.filter(entry => (
+        (include.length > 0 ? matchesAny(entry.device, include) : !entry.partition) &&
+        !matchesAny(entry.device, exclude)
+    ));
+}
+
+
+/**
+ * Format a disk byte rate in binary units, as iostat -h does.
+ *
+ * @param {number} bytesPerSec
+ * @returns {string} e.g. "12.5 MiB/s"
+ */
+function formatByteRate(bytesPerSec) {
+    if (bytesPerSec >= 1024 ** 3) return `${(bytesPerSec / 1024 ** 3).toFixed(2)} GiB/s`;
+    if (bytesPerSec >= 1024 ** 2) return `${(bytesPerSec / 1024 ** 2).toFixed(1)} MiB/s`;
+    if (bytesPerSec >= 1024) return `${(bytesPerSec / 1024).toFixed(1)} KiB/s`;
+    return `${bytesPerSec.toFixed(0)} B/s`;
+}
+
+
+/**
+ * Check the watched block devices:
+ *   - %util goes through `utilRule`
+ *   - An average await of `awaitThreshold` ms or more warns
+ * Devices without stats yet (the first sample) are skipped.
+ *
+ * @param {object[]} watched                 Devices from selectBlockDevices(), with `stats`
+ * @param {object}   options
+ * @param {object}   options.ruleEngine      From createRuleEngine()
+ * @param {object}   options.utilRule        From createRule()
+ * @param {number}   options.awaitThreshold  Milliseconds per request that warn; 0 is off
+ * @param {number}   options.now
+ * @param {boolean}  [options.dryRun]        Build no alerts
+ * @returns {{ results: object[], alerts: object[], conditions: object[] }} `conditions`
+ *          are { key, firing, label, detail } for the alert lifecycle
+ */
+function evaluateBlockDevices(watched, { ruleEngine, utilRule, awaitThreshold, now, dryRun = false }) {
+    const results = [];
+    const alerts = [];
+    const conditions = [];
+
+    for (const entry of watched) {
+        const name = entry.device;
+        const stats = entry.stats;
+        if (!stats) continue;
+        const activity = `*Reads: ${Math.round(stats.readsPerSec)}/s, ${formatByteRate(stats.readBytesPerSec)} (await ${stats.readAwaitMs.toFixed(1)} ms)*\n*Writes: ${Math.round(stats.writesPerSec)}/s, ${formatByteRate(stats.writeBytesPerSec)} (await ${stats.writeAwaitMs.toFixed(1)} ms)*\n*Queue Depth: ${stats.queueDepth.toFixed(1)} (${stats.inFlight} in flight)*`;
+
+        const utilKey = `util:${name}`;
+        const evaluation = ruleEngine.evaluate(utilKey, stats.utilisation, utilRule, now);
+        results.push({
+            key: utilKey,
+            label: `Utilisation ${name}`,
+            value: roundReading(stats.utilisation),
+            severity: evaluation.severity,
+            status: evaluation.status,
+            warning: utilRule.warning,
+            critical: utilRule.critical,
+        });
+        const saturated = evaluation.status === 'firing';
+        if (saturated && !dryRun) {
+            alerts.push({
+                type: 'diskio',
+                key: utilKey,
+                severity: evaluation.severity,
+                title: `💽 Disk ${name} Saturated`,
+                value: `*Current Utilisation: ${stats.utilisation.toFixed(1)}%*\n*Threshold: ${evaluation.level}%*\n*Duration: ${((now - evaluation.since) / 60000).toFixed(1)} minutes*\n${activity}`,
+                fields: [{ title: 'Potential Issues', value: DISK_IO_ADVICE.util, short: false }]
+            });
+        }
+        conditions.push({ key: utilKey, firing: saturated, label: `${name} Utilisation`, detail: `*Current Utilisation: ${stats.utilisation.toFixed(1)}%*\n*Threshold: ${utilRule.clear}%*` });
+
+        const awaitKey = `await:${name}`;
+        const slow = awaitThreshold > 0 && stats.awaitMs >= awaitThreshold;
+        results.push(Object.assign({
+            key: awaitKey,
+            label: `Await ${name}`,
+            value: roundReading(stats.awaitMs),
+            unit: 'ms',
+            warning: awaitThreshold || null,
+            critical: null,
+        }, slow
+            ? { severity: 'warning', status: 'firing', detail: `${roundReading(stats.awaitMs)} ms per request` }
+            : { severity: null, status: 'ok' }));
+        if (slow && !dryRun) {
+            alerts.push({
+                type: 'diskio',
+                key: awaitKey,
+                severity: 'warning',
+                title: `🐌 Slow I/O on ${name}`,
+                value: `*Average Await: ${stats.awaitMs.toFixed(1)} ms (threshold ${awaitThreshold} ms)*\n${activity}\n*Utilisation: ${stats.utilisation.toFixed(1)}%*`,
+                fields: [{ title: 'Potential Issues', value: DISK_IO_ADVICE.await, short: false }]
+            });
+        }
+        conditions.push({ key: awaitKey, firing: slow, label: `Await on ${name}`, detail: `*Average Await: ${stats.awaitMs.toFixed(1)} ms*\n*Threshold: ${awaitThreshold} ms*` });
+    }
+    return { results, alerts, conditions };
+}
+
+
+/**
+ * Create an in-memory sampler that keeps the previous /proc/diskstats sample.
+ * `observe(counters, now)` takes the entries from procMetrics.readDiskStats() and
+ * returns stats per device since the previous sample, or null on the first one.
+ *
+ * @returns {{ observe: Function, latest: Function, reset: Function }}
+ */
+function createDiskIoSampler() {
+    return createCounterSampler(diffDiskStats);
+}
+
+
+module.exports = {
+    selectBlockDevices,
+    formatByteRate,
+    evaluateBlockDevices,
+    createDiskIoSampler,
+};
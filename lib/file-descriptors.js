@@ -0,0 +1,119 @@
+/**
+============================================================
+    Goal: Per-Process File Descriptor Usage
+============================================================
+    Why:
+        - A process reaches its own `ulimit -n` long before the host runs out of
+          descriptors, and /proc/sys/fs/file-nr only counts the host
+        - At the limit every open(), accept() and socket() fails with EMFILE
+          ("Too many open files"), which looks like a network or disk fault
+        - Leaked sockets and files grow slowly, so the share of the limit shows
+          the problem hours before it bites
+
+    What:
+        - Counts each process's descriptors in /proc/<pid>/fd against the soft
+          "Max open files" limit in /proc/<pid>/limits, which is the one that fails
+        - Skips processes that exit during the scan and counts the ones it may not read
+        - Orders processes by how close they are to their limit
+        - Checks the process closest to its limit and builds the alert for it
+============================================================
+*/
+
+const { roundReading } = require('./common');
+
+// Errors that mean the process exited between listing /proc and reading it
+const EXITED_CODES = ['ENOENT', 'ESRCH'];
+
+// Potential Issues text of the file descriptor alert
+const FD_ADVICE = 'Once a process reaches its open file limit, every open(), accept() and socket() it makes fails with "Too many open files". A count that keeps growing points at leaked files or sockets (CLOSE_WAIT sockets are a common sign); otherwise raise LimitNOFILE in the unit or `ulimit -n`.';
+
+
+/**
+ * Scan every process's open descriptors against its soft limit.
+ *
+ * Without root only the monitor's own user's processes can be read; the
+ * others are counted in `unreadable` so the report can say what it missed.
+ *
+ * @param {object} procMetrics  Collector from createProcMetrics()
+ * @returns {{ processes: object[], unreadable: number }} Processes closest to their
+ *          limit first, each { pid, command, openFiles, softLimit, hardLimit, usagePercent }
+ */
+function scanFdUsage(procMetrics) {
+    const processes = [];
+    let unreadable = 0;
+    for (const pid of procMetrics.listPids()) {
+        let usage;
+        try {
+            usage = procMetrics.readProcessFds(pid);
+        } catch (error) {
+            if (!EXITED_CODES.includes(error.code)) unreadable++;
+            continue;
+        }
+        if (!usage.softLimit) continue;
+        processes.push(Object.assign(usage, { usagePercent: usage.openFiles / usage.softLimit * 100 }));
+    }
+    processes.sort((a, b) => b.usagePercent - a.usagePercent || b.openFiles - a.openFiles);
+    return { processes, unreadable };
+}
+
+
+// Format processes with their open descriptors and limits
+function formatFdUsage(processes, limit = 5) {
+    return processes.slice(0, limit)
+        .map(proc => `• ${proc.command} (PID ${proc.pid}): ${proc.openFiles} / ${proc.softLimit} open files (${proc.usagePercent.toFixed(1)}%)`)
+        .join('\n');
+}
+
+
+/**
+ * Check the process closest to its descriptor limit through `rule`, so one
+ * condition covers the host; the alert lists the five closest processes.
+ *
+ * @param {object}  usage               From scanFdUsage(), with at least one process
+ * @param {object}  options
+ * @param {object}  options.ruleEngine  From createRuleEngine()
+ * @param {object}  options.rule        From createRule()
+ * @param {number}  options.now
+ * @param {boolean} [options.dryRun]    Build no alerts
+ * @returns {{ results: object[], alerts: object[], conditions: object[] }} `conditions`
+ *          are { key, firing, label, detail } for the alert lifecycle
+ */
+function evaluateProcessFds(usage, { ruleEngine, rule, now, dryRun = false }) {
+    const results = [];
+    const alerts = [];
+    const conditions = [];
+    const key = 'fds';
+    const label = 'Process File Descriptors';
+    const closest = usage.processes[0];
+
+    const evaluation = ruleEngine.evaluate(key, closest.usagePercent, rule, now);
+    results.push({
+        key,
+        label,
+        value: roundReading(closest.usagePercent),
+        severity: evaluation.severity,
+        status: evaluation.status,
+        warning: rule.warning,
+        critical: rule.critical,
+    });
+    const firing = evaluation.status === 'firing';
+    if (firing && !dryRun) {
+        const hidden = usage.unreadable > 0 ? `\n*Processes Not Readable: ${usage.unreadable} (run the monitor as root to see every process)*` : '';
+        alerts.push({
+            type: 'process',
+            key,
+            severity: evaluation.severity,
+            title: `📂 ${closest.command} Running Out of File Descriptors`,
+            value: `*${closest.command} (PID ${closest.pid}): ${closest.openFiles} of ${closest.softLimit} open files (${closest.usagePercent.toFixed(1)}%)*\n*Threshold: ${evaluation.level}%*\n*Hard Limit: ${closest.hardLimit !== null ? closest.hardLimit : 'unlimited'}*\n*Closest To Their Limit:*\n${formatFdUsage(usage.processes)}${hidden}`,
+            fields: [{ title: 'Potential Issues', value: FD_ADVICE, short: false }]
+        });
+    }
+    conditions.push({ key, firing, label, detail: `*Closest To Its Limit: ${closest.command} (PID ${closest.pid}) at ${closest.usagePercent.toFixed(1)}%*\n*Threshold: ${rule.clear}%*` });
+    return { results, alerts, conditions };
+}
+
+
+module.exports = {
+    scanFdUsage,
+    evaluateProcessFds,
+};
@@ -0,0 +1,131 @@
+/**
+============================================================
+    Goal: Disk-Fill Forecasting
+============================================================
+    Why:
+        - A threshold alert at 80% arrives long after a runaway log started growing
+        - The growth rate tells us how long we have, not just how full we are
+
+    What:
+        - Keeps a rolling, file-backed history of used bytes per mount
+        - Fits a least-squares growth rate to the history
+        - Projects the time until the mount runs out of available space
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { getLogger } = require('./logger');
+const logger = getLogger('forecast');
+
+const HOUR = 60 * 60 * 1000;
+
+
+/**
+ * Create a per-mount usage history persisted to a JSON file.
+ * Samples older than `windowMs` are dropped on every write.
+ *
+ * @param {string} filename               Name of the history file (e.g. '.disk_usage_history.json')
+ * @param {object} [options]
+ * @param {number} [options.windowMs]     How much history to keep (default 6 hours)
+ * @param {number} [options.maxSamples]   Hard cap on samples per mount
+ * @returns {{ record: Function, getSamples: Function }}
+ */
+function createUsageHistory(filename, { windowMs = 6 * HOUR, maxSamples = 500 } = {}, monitorLogger = logger) {
+    const filepath = path.join(__dirname, '..', filename);
+    let history = null;
+
+    function load() {
+        if (history) return history;
+        history = {};
+        try {
+            if (fs.existsSync(filepath)) {
+                const parsed = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                if (parsed && typeof parsed === 'object') history = parsed;
+            }
+        } catch (error) {
+            monitorLogger.error({ err: error, filepath }, 'Error reading disk usage history');
+        }
+        return history;
+    }
+
+    // Samples are stored as [timestamp, usedBytes] pairs to keep the file small
+    function record(mountpoint, timestamp, usedBytes) {
+        const data = load();
+        const samples = (data[mountpoint] || []).filter(([ts]) => timestamp - ts <= windowMs);
+        samples.push([timestamp, usedBytes]);
+        data[mountpoint] = samples.slice(-maxSamples);
+        // Write a temp file and rename it, so a crash mid-write cannot truncate the history
+        const tempPath = `${filepath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, filepath);
+        } catch (error) {
+            monitorLogger.error({ err: error, filepath }, 'Error writing disk usage history');
+        }
+    }
+
+    function getSamples(mountpoint) {
+        return (load()[mountpoint] || []).map(([timestamp, usedBytes]) => ({ timestamp, usedBytes }));
+    }
+
+    return { record, getSamples };
+}
+
+
+/**
+ * Least-squares slope of used bytes over time.
+ *
+ * @param {{ timestamp: number, usedBytes: number }[]} samples
+ * @returns {number|null} Bytes per millisecond, or null with fewer than two distinct timestamps
+ */
+function fitGrowthRate(samples) {
+    if (samples.length < 2) return null;
+    const n = samples.length;
+    const meanT = samples.reduce((sum, s) => sum + s.timestamp, 0) / n;
+    const meanU = samples.reduce((sum, s) => sum + s.usedBytes, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (const sample of samples) {
+        const dt = sample.timestamp - meanT;
+        numerator += dt * (sample.usedBytes - meanU);
+        denominator += dt * dt;
+    }
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+
+/**
+ * Project when a mount will run out of available space.
+ * Returns null when there is too little history or usage is flat or shrinking.
+ *
+ * @param {{ timestamp: number, usedBytes: number }[]} samples  Oldest first
+ * @param {number} availableBytes                          Space left right now
+ * @param {object} [options]
+ * @param {number} [options.minSamples=6]                  Samples needed before forecasting
+ * @param {number} [options.minSpanMs=30 minutes]          Time the samples must cover
+ * @returns {{ bytesPerHour: number, msToFull: number, fullAt: number }|null}
+ */
+function forecastTimeToFull(samples, availableBytes, { minSamples = 6, minSpanMs = 30 * 60 * 1000 } = {}) {
+    if (samples.length < minSamples) return null;
+    const span = samples[samples.length - 1].timestamp - samples[0].timestamp;
+    if (span < minSpanMs) return null;
+
+    const bytesPerMs = fitGrowthRate(samples);
+    if (!bytesPerMs || bytesPerMs <= 0) return null;
+
+    const msToFull = Math.max(0, availableBytes) / bytesPerMs;
+    return {
+        bytesPerHour: bytesPerMs * HOUR,
+        msToFull,
+        fullAt: samples[samples.length - 1].timestamp + msToFull
+    };
+}
+
+
+module.exports = {
+    createUsageHistory,
+    fitGrowthRate,
+    forecastTimeToFull,
+};
@@ -0,0 +1,185 @@
+/**
+============================================================
+    Goal: Local Metrics History
+============================================================
+    Why:
+        - An alert says memory is at 93%, but not what it looked like an hour before
+        - Answering that should not need Prometheus or any other external service
+
+    What:
+        - Appends every check-loop sample to a small JSON file per monitor
+        - Keeps raw samples for a short window and hourly min/avg/max rollups for longer
+        - Prunes both tiers on every write and replaces the file atomically
+        - Answers range queries from the finest tier that covers them
+        - Renders sparklines for the `linux-monitor history` command
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { getLogger } = require('./logger');
+const logger = getLogger('history');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// One file per monitor so the two processes never rewrite each other's samples
+const HISTORY_FILES = ['.health_history.json', '.disk_history.json'];
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+
+// Two decimals are plenty for percentages and load averages, and keep the file small
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+
+/**
+ * Create a metrics history persisted to a JSON file next to the monitors.
+ *
+ * The file holds two tiers per metric:
+ *   raw:     [timestamp, value] for the last `rawRetentionMs`
+ *   rollups: [bucketStart, count, sum, min, max] per `bucketMs` for the last `retentionMs`
+ *
+ * @param {string} filename                   Name of the history file (e.g. '.health_history.json')
+ * @param {object} [options]
+ * @param {number} [options.retentionMs]      How long rollups are kept (default 7 days)
+ * @param {number} [options.rawRetentionMs]   How long raw samples are kept (default 24 hours)
+ * @param {number} [options.bucketMs]         Rollup bucket size (default 1 hour)
+ * @returns {{ record: Function, query: Function, listMetrics: Function }}
+ */
+function createHistoryStore(filename, { retentionMs = 7 * DAY, rawRetentionMs = DAY, bucketMs = HOUR } = {}, monitorLogger = logger) {
+    const filepath = path.join(__dirname, '..', filename);
+    let history = null;
+
+    function load() {
+        if (history) return history;
+        history = { raw: {}, rollups: {} };
+        try {
+            if (fs.existsSync(filepath)) {
+                const parsed = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                if (parsed && typeof parsed.raw === 'object' && typeof parsed.rollups === 'object') history = parsed;
+            }
+        } catch (error) {
+            monitorLogger.error({ err: error, filepath }, 'Error reading metrics history');
+        }
+        return history;
+    }
+
+    function save(data) {
+        const tempPath = `${filepath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, filepath);
+        } catch (error) {
+            monitorLogger.error({ err: error, filepath }, 'Error writing metrics history');
+        }
+    }
+
+    /**
+     * Append one sample per metric; null readings are skipped.
+     *
+     * @param {object} readings   Metric name to value, e.g. { cpu: 12.5, mem: 61.2 }
+     * @param {number} [timestamp]
+     */
+    function record(readings, timestamp = Date.now()) {
+        const data = load();
+        const bucketStart = Math.floor(timestamp / bucketMs) * bucketMs;
+
+        for (const [metric, value] of Object.entries(readings)) {
+            if (value === null || value === undefined || !Number.isFinite(value)) continue;
+
+            const raw = data.raw[metric] || [];
+            raw.push([timestamp, round(value)]);
+            data.raw[metric] = raw;
+
+            const rollups = data.rollups[metric] || [];
+            const last = rollups[rollups.length - 1];
+            if (last && last[0] === bucketStart) {
+                last[1] += 1;
+                last[2] = round(last[2] + value);
+                last[3] = Math.min(last[3], round(value));
+                last[4] = Math.max(last[4], round(value));
+            } else {
+                rollups.push([bucketStart, 1, round(value), round(value), round(value)]);
+            }
+            data.rollups[metric] = rollups;
+        }
+
+        // Prune every metric, including ones that stopped reporting (unmounted disks)
+        for (const metric of Object.keys(data.raw)) {
+            data.raw[metric] = data.raw[metric].filter(([ts]) => timestamp - ts <= rawRetentionMs);
+            if (data.raw[metric].length === 0) delete data.raw[metric];
+        }
+        for (const metric of Object.keys(data.rollups)) {
+            data.rollups[metric] = data.rollups[metric].filter(([ts]) => timestamp - ts <= retentionMs);
+            if (data.rollups[metric].length === 0) delete data.rollups[metric];
+        }
+
+        save(data);
+    }
+
+    /**
+     * Samples for one metric between `since` and `until`. Raw samples answer
+     * ranges that fit inside the raw retention; older ranges get hourly rollups.
+     *
+     * @param {string} metric
+     * @param {object} options
+     * @param {number} options.since    Start of the range (ms timestamp)
+     * @param {number} [options.until]  End of the range (ms timestamp)
+     * @returns {{ resolution: 'raw'|'rollup', points: { timestamp: number, value: number, min: number, max: number }[] }}
+     */
+    function query(metric, { since, until = Date.now() }) {
+        const data = load();
+        if (until - since <= rawRetentionMs) {
+            const points = (data.raw[metric] || [])
+                .filter(([ts]) => ts >= since && ts <= until)
+                .map(([timestamp, value]) => ({ timestamp, value, min: value, max: value }));
+            return { resolution: 'raw', points };
+        }
+        const points = (data.rollups[metric] || [])
+            .filter(([ts]) => ts + bucketMs > since && ts <= until)
+            .map(([timestamp, count, sum, min, max]) => ({ timestamp, value: round(sum / count), min, max }));
+        return { resolution: 'rollup', points };
+    }
+
+    function listMetrics() {
+        const data = load();
+        return Array.from(new Set(Object.keys(data.rollups).concat(Object.keys(data.raw)))).sort();
+    }
+
+    return { record, query, listMetrics };
+}
+
+
+/**
+ * Draw values as a one-line sparkline, averaging them into at most `width`
+ * characters. A flat series is drawn at the lowest level.
+ *
+ * @param {number[]} values
+ * @param {number} [width=40]
+ * @returns {string}
+ */
+function sparkline(values, width = 40) {
+    if (values.length === 0) return '';
+    const size = Math.ceil(values.length / width);
+    const columns = [];
+    for (let i = 0; i < values.length; i += size) {
+        const chunk = values.slice(i, i + size);
+        columns.push(chunk.reduce((sum, value) => sum + value, 0) / chunk.length);
+    }
+    const min = Math.min(...columns);
+    const range = Math.max(...columns) - min;
+    return columns
+        .map(value => SPARK_CHARS[range === 0 ? 0 : Math.round((value - min) / range * (SPARK_CHARS.length - 1))])
+        .join('');
+}
+
+
+module.exports = {
+    HISTORY_FILES,
+    createHistoryStore,
+    sparkline,
+};
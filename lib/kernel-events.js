@@ -0,0 +1,329 @@
+/**
+============================================================
+    Goal: Kernel Event Collector
+============================================================
+    Why:
+        - When memory runs out, the OOM killer is what takes the service down,
+          and it says so only in the kernel log
+        - Hung tasks and filesystem errors come before an outage or a read-only root
+        - A program crashing in a loop shows as a flood of segfault lines
+
+    What:
+        - Reads kernel log records from /dev/kmsg, or from `journalctl -k` where
+          /dev/kmsg cannot be read
+        - Picks out OOM kills (with the killed process's memory), hung tasks,
+          EXT4/XFS/Btrfs errors and segfaults
+        - Continues from a cursor, so every record is reported once
+        - Accepts a plain file in kmsg format and a command runner so tests can use fixtures
+============================================================
+*/
+
+const cp = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { KERNEL_SOURCES } = require('./constants');
+
+// The kinds of events picked out of the kernel log
+const EVENT_KINDS = ['oom', 'hung-task', 'fs-error', 'segfault'];
+
+// /dev/kmsg hands out one record per read(); records are at most 1KiB plus their dictionary
+const KMSG_RECORD_BYTES = 8192;
+
+// Errors that mean "this source is not available here", as opposed to broken
+const UNAVAILABLE_CODES = ['ENOENT', 'EACCES', 'EPERM'];
+
+
+/**
+ * Parse kernel log records in /dev/kmsg format: "priority,sequence,microseconds,flags;message",
+ * each optionally followed by " KEY=value" dictionary lines, which are skipped.
+ *
+ * @param {string} text  One record per read of /dev/kmsg, or many records from a file
+ * @returns {{ sequence: number, monotonicMs: number, priority: number, message: string }[]}
+ *          `monotonicMs` is the time since boot; `priority` the syslog level (0 = emerg ... 7 = debug)
+ */
+function parseKmsgRecords(text) {
+    const records = [];
+    for (const line of String(text).split('\n')) {
+        const match = line.match(/^(\d+),(\d+),(\d+),[^;]*;(.*)$/);
+        if (!match) continue;
+        records.push({
+            sequence: parseInt(match[2], 10),
+            monotonicMs: parseInt(match[3], 10) / 1000,
+            priority: parseInt(match[1], 10) & 7,
+            message: match[4],
+        });
+    }
+    return records;
+}
+
+
+/**
+ * Parse `journalctl -k -o json` output, one JSON object per line.
+ *
+ * @param {string} text
+ * @returns {{ cursor: string, timestamp: number, priority: number, message: string }[]}
+ *          `timestamp` is wall-clock milliseconds
+ */
+function parseJournalRecords(text) {
+    const records = [];
+    for (const line of String(text).split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        // journald stores messages that are not valid UTF-8 as byte arrays
+        const message = Array.isArray(entry.MESSAGE) ? Buffer.from(entry.MESSAGE).toString('utf8') : entry.MESSAGE;
+        if (typeof message !== 'string' || !entry.__CURSOR) continue;
+        records.push({
+            cursor: entry.__CURSOR,
+            timestamp: parseInt(entry.__REALTIME_TIMESTAMP, 10) / 1000,
+            priority: parseInt(entry.PRIORITY, 10),
+            message,
+        });
+    }
+    return records;
+}
+
+
+// "total-vm:8412332kB, anon-rss:4120856kB, ..." as bytes keyed by field name
+function parseKbFields(text) {
+    const fields = {};
+    for (const [, name, kb] of text.matchAll(/([\w-]+):(\d+)kB/g)) fields[name] = parseInt(kb, 10) * 1024;
+    return fields;
+}
+
+
+/**
+ * What one kernel log message reports, or null when it is none of EVENT_KINDS.
+ *
+ * @param {string} message
+ * @returns {object|null} `{ kind, ... }` with the details of its kind:
+ *          oom: pid, command, rssBytes, anonRssBytes, fileRssBytes, shmemRssBytes, totalVmBytes, cgroup
+ *          hung-task: pid, command, blockedSeconds
+ *          fs-error: filesystem, device, detail
+ *          segfault: pid, command, object
+ */
+function classifyKernelMessage(message) {
+    let match = message.match(/^(Memory cgroup out of memory|Out of memory)[^:]*: Killed process (\d+) \((.*)\) (total-vm:.*)$/);
+    if (match) {
+        const memory = parseKbFields(match[4]);
+        const anonRssBytes = memory['anon-rss'] || 0;
+        const fileRssBytes = memory['file-rss'] || 0;
+        const shmemRssBytes = memory['shmem-rss'] || 0;
+        return {
+            kind: 'oom',
+            pid: parseInt(match[2], 10),
+            command: match[3],
+            rssBytes: anonRssBytes + fileRssBytes + shmemRssBytes,
+            anonRssBytes,
+            fileRssBytes,
+            shmemRssBytes,
+            totalVmBytes: memory['total-vm'] || 0,
+            // A memory cgroup hit its own limit, rather than the whole host running out
+            cgroup: match[1].startsWith('Memory cgroup'),
+        };
+    }
+    match = message.match(/^INFO: task (.+):(\d+) blocked for more than (\d+) seconds/);
+    if (match) {
+        return { kind: 'hung-task', pid: parseInt(match[2], 10), command: match[1], blockedSeconds: parseInt(match[3], 10) };
+    }
+    match = message.match(/^EXT4-fs error \(device ([^)]+)\): (.*)$/) || message.match(/^EXT4-fs \(([^)]+)\): (Remounting filesystem read-only.*)$/);
+    if (match) return { kind: 'fs-error', filesystem: 'ext4', device: match[1], detail: match[2] };
+    match = message.match(/^XFS \(([^)]+)\): (.*(?:[Cc]orruption|[Cc]orrupt|Shutting down filesystem).*)$/);
+    if (match) return { kind: 'fs-error', filesystem: 'xfs', device: match[1], detail: match[2] };
+    match = message.match(/^BTRFS (?:error|critical) \(device ([^)]+)[^)]*\): (.*)$/);
+    if (match) return { kind: 'fs-error', filesystem: 'btrfs', device: match[1], detail: match[2] };
+    match = message.match(/^(.+)\[(\d+)\]: segfault at \S+ ip \S+ sp \S+ error \d+(?: in ([^\s[]+))?/);
+    if (match) return { kind: 'segfault', pid: parseInt(match[2], 10), command: match[1], object: match[3] || null };
+    return null;
+}
+
+
+/**
+ * Turn kernel log records into events, oldest first. The "oom-kill:" line the
+ * kernel writes just before an OOM kill adds the killed task's memory cgroup.
+ *
+ * @param {{ timestamp: number, message: string }[]} records
+ * @returns {object[]} Events from classifyKernelMessage with `timestamp` and `message`
+ */
+function toKernelEvents(records) {
+    const events = [];
+    const memcgs = new Map();
+    for (const record of records) {
+        const context = record.message.match(/^oom-kill:.*\btask_memcg=([^,]*),.*\bpid=(\d+)/);
+        if (context) {
+            memcgs.set(parseInt(context[2], 10), context[1]);
+            continue;
+        }
+        const event = classifyKernelMessage(record.message);
+        if (!event) continue;
+        if (event.kind === 'oom') event.memcg = memcgs.get(event.pid) || null;
+        events.push(Object.assign(event, { timestamp: record.timestamp, message: record.message }));
+    }
+    return events;
+}
+
+
+/**
+ * Create a reader for kernel events.
+ *
+ * @param {object} [options]
+ * @param {string} [options.source='auto']          One of KERNEL_SOURCES except 'off'
+ * @param {string} [options.kmsgPath='/dev/kmsg']   A plain file in kmsg format works too
+ * @param {string} [options.procRoot='/proc']       Where to read uptime, to date kmsg records
+ * @param {Function} [options.runCommand]           Runs a journalctl command line and returns its stdout
+ * @returns {{ read: Function }}
+ */
+function createKernelEventReader({ source = 'auto', kmsgPath = '/dev/kmsg', procRoot = '/proc', runCommand } = {}) {
+    const run = runCommand || (command => cp.execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024, timeout: 30 * 1000 }));
+    // What 'auto' settled on after its first successful read
+    let resolved = source === 'auto' ? null : source;
+
+    // Every record /dev/kmsg still holds; reading it never blocks
+    function readKmsgText() {
+        const fd = fs.openSync(kmsgPath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK);
+        try {
+            if (fs.fstatSync(fd).isFile()) return fs.readFileSync(fd, 'utf8');
+            const buffer = Buffer.alloc(KMSG_RECORD_BYTES);
+            const chunks = [];
+            for (;;) {
+                let bytes;
+                try {
+                    bytes = fs.readSync(fd, buffer, 0, buffer.length, null);
+                } catch (error) {
+                    // EAGAIN: no more records; EPIPE: the next record was overwritten while reading
+                    if (error.code === 'EAGAIN') break;
+                    if (error.code === 'EPIPE') continue;
+                    throw error;
+                }
+                if (bytes === 0) break;
+                chunks.push(buffer.toString('utf8', 0, bytes));
+            }
+            return chunks.join('');
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    function readKmsg(after, since, now) {
+        const records = parseKmsgRecords(readKmsgText());
+        // kmsg stamps records with the time since boot
+        const uptimeMs = parseFloat(fs.readFileSync(path.join(procRoot, 'uptime'), 'utf8')) * 1000;
+        const bootTime = now - uptimeMs;
+        const sequence = after && after.source === 'kmsg' ? after.sequence : null;
+        const fresh = records
+            .map(record => Object.assign(record, { timestamp: bootTime + record.monotonicMs }))
+            .filter(record => (sequence !== null ? record.sequence > sequence : record.timestamp >= since));
+        const last = records.length > 0 ? records[records.length - 1].sequence : (sequence !== null ? sequence : -1);
+        return { source: 'kmsg', cursor: { source: 'kmsg', sequence: last }, events: toKernelEvents(fresh) };
+    }
+
+    function readJournal(after, since) {
+        // Journal cursors are made of hex digits, '=', ';' and '-'
+        const cursor = after && after.source === 'journal' && /^[\w=;-]+$/.test(after.cursor) ? after.cursor : null;
+        const range = cursor ? `--after-cursor='${cursor}'` : `--since='@${Math.floor(since / 1000)}'`;
+        const records = parseJournalRecords(run(`journalctl -k -o json --no-pager -q ${range}`));
+        const last = records.length > 0 ? records[records.length - 1].cursor : cursor;
+        return { source: 'journal', cursor: last ? { source: 'journal', cursor: last } : null, events: toKernelEvents(records) };
+    }
+
+    /**
+     * Read the kernel events after a cursor, or since a time when there is none.
+     *
+     * @param {object} options
+     * @param {object|null} options.after  Cursor returned by the previous read
+     * @param {number} options.since       Oldest event to return without a cursor (ms)
+     * @param {number} [options.now]
+     * @returns {{ source: string, cursor: object|null, events: object[] }}
+     * @throws when no source can be read
+     */
+    function read({ after = null, since, now = Date.now() }) {
+        if (resolved === 'kmsg') return readKmsg(after, since, now);
+        if (resolved === 'journal') return readJournal(after, since);
+
+        try {
+            const result = readKmsg(after, since, now);
+            resolved = 'kmsg';
+            return result;
+        } catch (error) {
+            // Reading /dev/kmsg needs root or kernel.dmesg_restrict=0; journald may still have it
+            if (!UNAVAILABLE_CODES.includes(error.code)) throw error;
+        }
+        const result = readJournal(after, since);
+        resolved = 'journal';
+        return result;
+    }
+
+    return { read };
+}
+
+
+/**
+ * Create an in-memory log of what the kernel event reader returned: where to
+ * continue reading, recent events for counting floods over several checks, and
+ * alerts about events that could not be sent yet.
+ *
+ * @returns {{ record: Function, cursor: Function, recent: Function, hold: Function, takeHeld: Function, reset: Function }}
+ */
+function createKernelEventLog() {
+    let lastCursor = null;
+    let kept = [];
+    let held = [];
+
+    /**
+     * Keep a read's cursor and its events.
+     *
+     * @param {{ cursor: object|null, events: object[] }} result  From reader.read()
+     * @param {number} keepMs  How long to keep events around for recent()
+     * @param {number} [now]
+     */
+    function record(result, keepMs, now = Date.now()) {
+        if (result.cursor) lastCursor = result.cursor;
+        kept = kept.concat(result.events).filter(event => event.timestamp > now - keepMs);
+    }
+
+    function cursor() {
+        return lastCursor;
+    }
+
+    // Kept events of one kind within the last `windowMs`
+    function recent(kind, windowMs, now = Date.now()) {
+        return kept.filter(event => event.kind === kind && event.timestamp > now - windowMs);
+    }
+
+    // The cursor has moved past events whose alert failed to send; keep the alerts for the next check
+    function hold(alerts) {
+        held = held.concat(alerts);
+    }
+
+    // Held alerts, oldest first; they are handed out once
+    function takeHeld() {
+        const taken = held;
+        held = [];
+        return taken;
+    }
+
+    function reset() {
+        lastCursor = null;
+        kept = [];
+        held = [];
+    }
+
+    return { record, cursor, recent, hold, takeHeld, reset };
+}
+
+
+module.exports = {
+    KERNEL_SOURCES,
+    EVENT_KINDS,
+    parseKmsgRecords,
+    parseJournalRecords,
+    classifyKernelMessage,
+    toKernelEvents,
+    createKernelEventReader,
+    createKernelEventLog,
+};
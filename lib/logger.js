@@ -2,6 +2,8 @@ const pino = require('pino');
 
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').toLowerCase();
+// stderr keeps stdout free for command output (`linux-monitor check --json`)
+const LOG_DESTINATION = (process.env.LOG_DESTINATION || 'stdout').toLowerCase() === 'stderr' ? 2 : 1;
 
 const baseOptions = {
     level: LOG_LEVEL,
@@ -24,12 +26,13 @@ function buildRootLogger() {
                 colorize: true,
                 translateTime: 'SYS:standard',
                 singleLine: true,
+                destination: LOG_DESTINATION,
             },
         });
         return pino(baseOptions, transport);
     }
 
-    return pino(baseOptions);
+    return pino(baseOptions, pino.destination(LOG_DESTINATION));
 }
 
 const rootLogger = buildRootLogger();
@@ -0,0 +1,187 @@
+/**
+============================================================
+    Goal: Mounted Filesystem Discovery
+============================================================
+    Why:
+        - Data lives on /var/lib/docker, /data and EBS mounts, not just /
+        - /proc/mounts also lists dozens of pseudo filesystems nobody wants alerts for
+        - Operators need to include or exclude mounts without code changes
+
+    What:
+        - Lists real mounts from /proc/mounts, dropping pseudo filesystems and bind duplicates
+        - Applies include/exclude globs to mountpoints
+        - Reads per-mount capacity and inode counts through statfs
+        - Finds the directories holding the most entries when inodes run out
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { statFilesystem } = require('./proc-metrics');
+
+// Filesystem types that never represent persistent disk capacity
+const PSEUDO_FILESYSTEMS = new Set([
+    'autofs', 'binfmt_misc', 'bpf', 'cgroup', 'cgroup2', 'configfs', 'debugfs',
+    'devpts', 'devtmpfs', 'efivarfs', 'fuse.gvfsd-fuse', 'fusectl', 'hugetlbfs',
+    'mqueue', 'nsfs', 'overlay', 'proc', 'pstore', 'ramfs', 'rpc_pipefs',
+    'securityfs', 'selinuxfs', 'squashfs', 'sysfs', 'tmpfs', 'tracefs',
+]);
+
+
+/**
+ * Convert a mountpoint glob into a RegExp.
+ * `*` matches within one path segment, `**` matches across segments, `?` matches one character.
+ *
+ * @param {string} glob  e.g. '/var/lib/docker/**' or '/mnt/*'
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+
+/**
+ * Whether a mountpoint, interface or device name matches any of the globs.
+ *
+ * @param {string} name
+ * @param {string[]} globs
+ * @returns {boolean}
+ */
+function matchesAny(name, globs) {
+    return globs.some(glob => globToRegExp(glob).test(name));
+}
+
+
+/**
+ * Pick the mounts worth monitoring from a raw mount table.
+ *
+ * @param {object[]} mounts              Entries from procMetrics.readMounts()
+ * @param {object}   [options]
+ * @param {string[]} [options.include]   Mountpoint globs to keep (empty keeps everything)
+ * @param {string[]} [options.exclude]   Mountpoint globs to drop
+ * @returns {object[]} One entry per real filesystem
+ */
+function selectMounts(mounts, { include = [], exclude = [] } = {}) {
+    const seenMountpoints = new Set();
+    return mounts.filter(mount => {
+        if (PSEUDO_FILESYSTEMS.has(mount.fstype)) return false;
+        // Remounts list the same mountpoint again; keep the first
+        if (seenMountpoints.has(mount.mountpoint)) return false;
+        if (include.length > 0 && !matchesAny(mount.mountpoint, include)) return false;
+        if (exclude.length > 0 && matchesAny(mount.mountpoint, exclude)) return false;
+        seenMountpoints.add(mount.mountpoint);
+        return true;
+    });
+}
+
+
+// statfs figures that tell two mounts of one device apart
+const USAGE_FIELDS = ['totalBytes', 'freeBytes', 'availableBytes', 'totalInodes', 'freeInodes'];
+
+
+/**
+ * Read capacity for every selected mount.
+ * Mounts that cannot be stat'ed (stale NFS, permission denied) are reported through
+ * `onError` and skipped so one bad mount doesn't hide the others.
+ *
+ * A device mounted more than once (bind mounts, btrfs subvolumes) is reported once
+ * per distinct usage: mounts with the same statfs figures are the same data and keep
+ * the first mountpoint, while a subvolume or directory with its own quota stays.
+ *
+ * @param {object}   procMetrics        Collector from createProcMetrics()
+ * @param {object}   [options]          Same include/exclude options as selectMounts
+ * @param {Function} [options.onError]  Called with (error, mount) for skipped mounts
+ * @returns {object[]} Mount entries merged with statFilesystem() results
+ */
+function getMountUsages(procMetrics, { include = [], exclude = [], onError = () => {} } = {}) {
+    const usages = [];
+    for (const mount of selectMounts(procMetrics.readMounts(), { include, exclude })) {
+        let usage;
+        try {
+            usage = Object.assign({}, mount, statFilesystem(mount.mountpoint));
+        } catch (error) {
+            onError(error, mount);
+            continue;
+        }
+        const duplicate = usages.some(other => other.device === usage.device && USAGE_FIELDS.every(field => other[field] === usage[field]));
+        if (!duplicate) usages.push(usage);
+    }
+    return usages;
+}
+
+
+/**
+ * Walk a mount breadth-first and return the directories with the most entries.
+ * The walk never crosses into other filesystems and stops after `maxDirs`
+ * directories or `timeoutMs`, whichever comes first, so it stays cheap on
+ * mounts with millions of files. It reads through fs.promises, so a slow
+ * disk or NFS mount does not block the event loop while it runs.
+ *
+ * @param {string} mountpoint         Root of the filesystem to scan
+ * @param {object} [options]
+ * @param {number} [options.limit=5]          How many directories to return
+ * @param {number} [options.maxDepth=4]       Deepest level below the mountpoint to open
+ * @param {number} [options.maxDirs=5000]     Upper bound on directories read
+ * @param {number} [options.timeoutMs=10000]  Time after which the directories read so far are ranked
+ * @returns {Promise<{ path: string, entries: number }[]>} Largest first
+ */
+async function findLargestDirectories(mountpoint, { limit = 5, maxDepth = 4, maxDirs = 5000, timeoutMs = 10000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    const rootDevice = (await fs.promises.lstat(mountpoint)).dev;
+    const results = [];
+    const queue = [{ dir: mountpoint, depth: 0 }];
+    let visited = 0;
+
+    while (queue.length > 0 && visited < maxDirs && Date.now() < deadline) {
+        const { dir, depth } = queue.shift();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            // Unreadable directories (permissions, races with deletes) are skipped
+            continue;
+        }
+        visited++;
+        results.push({ path: dir, entries: entries.length });
+
+        if (depth >= maxDepth) continue;
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const child = path.join(dir, entry.name);
+            try {
+                if ((await fs.promises.lstat(child)).dev === rootDevice) {
+                    queue.push({ dir: child, depth: depth + 1 });
+                }
+            } catch (error) {
+                // Entry vanished between readdir and lstat
+            }
+        }
+    }
+
+    return results.sort((a, b) => b.entries - a.entries).slice(0, limit);
+}
+
+
+module.exports = {
+    PSEUDO_FILESYSTEMS,
+    globToRegExp,
+    matchesAny,
+    selectMounts,
+    getMountUsages,
+    findLargestDirectories,
+};
@@ -0,0 +1,233 @@
+/**
+============================================================
+    Goal: Per-Interface Network Monitoring
+============================================================
+    Why:
+        - A total across every interface hides the one link that is full or failing
+        - Errors, drops and FIFO overruns point at cabling, drivers and undersized
+          ring buffers long before users notice
+        - A bond member or uplink can lose its carrier while the host keeps running
+
+    What:
+        - Picks the interfaces worth watching: physical NICs by default, or globs
+        - Turns successive /proc/net/dev samples into per-second rates per interface
+        - Works out how full a link is from its rate and its speed in /sys/class/net
+        - Checks link state, saturation, errors and drops per interface and
+          builds the alerts for them
+============================================================
+*/
+
+const { diffNetCounters } = require('./proc-metrics');
+const { matchesAny } = require('./mounts');
+const { createCounterSampler, roundReading } = require('./common');
+
+// Operstates that mean the link is gone (RFC 2863); "unknown" is normal for
+// loopback, tunnels and some virtual drivers, and "dormant" for 802.1X waits
+const DOWN_OPERSTATES = ['down', 'lowerlayerdown', 'notpresent'];
+
+// Potential Issues text of the network alerts
+const NETWORK_ADVICE = {
+    link: 'The interface lost its link: a cable, switch port, transceiver or the virtual NIC behind it. Traffic over it has stopped; check `ip link` and the kernel log.',
+    saturation: 'The link is close to its line rate, so packets queue up and latency climbs. Find the traffic with iftop or nethogs, or move it to a faster link.',
+    errors: 'Frames arrive damaged or cannot be sent: usually a bad cable, transceiver or duplex mismatch, sometimes a driver bug. The counters in `ip -s link` and `ethtool -S` show which kind.',
+    drops: 'The host throws packets away: full ring buffers or backlog queues under load, or traffic nothing listens for. FIFO overruns point at the NIC ring size (`ethtool -g`).',
+};
+
+
+/**
+ * Pick the interfaces to watch. Without include globs that is every physical
+ * interface (one backed by a device), which leaves out loopback, bridges,
+ * veths and tunnels that come and go with containers.
+ *
+ * @param {object[]} interfaces          Entries from procMetrics.readNetInterface()
+ * @param {object}   [options]
+ * @param {string[]} [options.include]   Interface name globs to watch, e.g. ['eth*', 'bond0']
+ * @param {string[]} [options.exclude]   Interface name globs to leave out
+ * @returns {object[]}
+ */
+function selectInterfaces(interfaces, { include = [], exclude = [] } = {}) {
+    return interfaces.filter(entry => (
+        (include.length > 0 ? matchesAny(entry.interface, include) : entry.physical) &&
+        !matchesAny(entry.interface, exclude)
+    ));
+}
+
+
+/**
+ * How full a link is: the busier direction's bit rate as a percentage of the
+ * link speed. Links run full duplex, so each direction has the whole speed.
+ *
+ * @param {object} rates           One entry from diffNetCounters()
+ * @param {number|null} speedMbps  Link speed from /sys/class/net/<name>/speed
+ * @returns {number|null} Percentage, or null when the speed is unknown
+ */
+function linkUtilisation(rates, speedMbps) {
+    if (!speedMbps) return null;
+    const bitsPerSecond = Math.max(rates.rxBytes, rates.txBytes) * 8;
+    return bitsPerSecond / (speedMbps * 1e6) * 100;
+}
+
+
+/**
+ * Format a byte rate as bits per second, the unit link speeds come in.
+ *
+ * @param {number} bytesPerSec
+ * @returns {string} e.g. "930.0 Mb/s"
+ */
+function formatBitRate(bytesPerSec) {
+    const bits = bytesPerSec * 8;
+    if (bits >= 1e9) return `${(bits / 1e9).toFixed(2)} Gb/s`;
+    if (bits >= 1e6) return `${(bits / 1e6).toFixed(1)} Mb/s`;
+    if (bits >= 1e3) return `${(bits / 1e3).toFixed(1)} kb/s`;
+    return `${bits.toFixed(0)} b/s`;
+}
+
+
+/**
+ * Check the watched interfaces:
+ *   - A link whose operstate is in DOWN_OPERSTATES is critical
+ *   - Saturation goes through `saturationRule`; links without a speed are skipped
+ *   - Errors and drops per second over both directions warn from their thresholds
+ *
+ * @param {object[]} watched                  Interfaces from selectInterfaces(), with
+ *                                            `rates` (null on the first sample) and `utilisation`
+ * @param {object}   options
+ * @param {object}   options.ruleEngine       From createRuleEngine()
+ * @param {object}   options.saturationRule   From createRule()
+ * @param {number}   options.errorThreshold   Errors per second that warn; 0 is off
+ * @param {number}   options.dropThreshold    Drops per second that warn; 0 is off
+ * @param {number}   options.now
+ * @param {boolean}  [options.dryRun]         Build no alerts
+ * @returns {{ results: object[], alerts: object[], conditions: object[] }} `conditions`
+ *          are { key, firing, label, detail } for the alert lifecycle
+ */
+function evaluateInterfaces(watched, { ruleEngine, saturationRule, errorThreshold, dropThreshold, now, dryRun = false }) {
+    const results = [];
+    const alerts = [];
+    const conditions = [];
+
+    for (const entry of watched) {
+        const name = entry.interface;
+        const speed = entry.speedMbps ? `${entry.speedMbps} Mb/s` : 'unknown speed';
+
+        const linkKey = `link:${name}`;
+        const result = { key: linkKey, label: `Link ${name}`, unit: '', warning: null, critical: null };
+        if (entry.operstate === null) {
+            results.push(Object.assign(result, { value: null, severity: null, status: 'unknown' }));
+        } else {
+            const down = DOWN_OPERSTATES.includes(entry.operstate);
+            results.push(Object.assign(result, { value: down ? 0 : 1 }, down
+                ? { severity: 'critical', status: 'firing', detail: `operstate ${entry.operstate}` }
+                : { severity: null, status: 'ok' }));
+            if (down && !dryRun) {
+                alerts.push({
+                    type: 'network',
+                    key: linkKey,
+                    severity: 'critical',
+                    title: `🔌 Network Link ${name} Down`,
+                    value: `*Interface: ${name}*\n*Operstate: ${entry.operstate}*`,
+                    fields: [{ title: 'Potential Issues', value: NETWORK_ADVICE.link, short: false }]
+                });
+            }
+            conditions.push({ key: linkKey, firing: down, label: `Link ${name}`, detail: `*Operstate: ${entry.operstate} (${speed})*` });
+        }
+
+        const rates = entry.rates;
+        if (!rates) continue;
+        const traffic = `*RX: ${formatBitRate(rates.rxBytes)} (${Math.round(rates.rxPackets)} packets/s)*\n*TX: ${formatBitRate(rates.txBytes)} (${Math.round(rates.txPackets)} packets/s)*`;
+
+        if (entry.utilisation !== null) {
+            const key = `saturation:${name}`;
+            const evaluation = ruleEngine.evaluate(key, entry.utilisation, saturationRule, now);
+            const direction = rates.txBytes > rates.rxBytes ? 'TX' : 'RX';
+            results.push({
+                key,
+                label: `Saturation ${name}`,
+                value: roundReading(entry.utilisation),
+                severity: evaluation.severity,
+                status: evaluation.status,
+                warning: saturationRule.warning,
+                critical: saturationRule.critical,
+            });
+            const firing = evaluation.status === 'firing';
+            if (firing && !dryRun) {
+                alerts.push({
+                    type: 'network',
+                    key,
+                    severity: evaluation.severity,
+                    title: `📶 Network Link ${name} Saturated`,
+                    value: `*Current Utilisation: ${entry.utilisation.toFixed(1)}% of ${speed} (${direction})*\n*Threshold: ${evaluation.level}%*\n${traffic}`,
+                    fields: [{ title: 'Potential Issues', value: NETWORK_ADVICE.saturation, short: false }]
+                });
+            }
+            conditions.push({ key, firing, label: `${name} Saturation`, detail: `*Current Utilisation: ${entry.utilisation.toFixed(1)}% of ${speed}*\n*Threshold: ${saturationRule.clear}%*` });
+        }
+
+        const counters = [
+            {
+                kind: 'errors',
+                label: 'Errors',
+                perSecond: rates.rxErrors + rates.txErrors,
+                threshold: errorThreshold,
+                title: `⚠️ Network Errors on ${name}`,
+                breakdown: `• RX Errors: ${roundReading(rates.rxErrors)}/s (frame ${roundReading(rates.rxFrame)}/s, FIFO overruns ${roundReading(rates.rxFifo)}/s)\n• TX Errors: ${roundReading(rates.txErrors)}/s (carrier ${roundReading(rates.txCarrier)}/s, FIFO ${roundReading(rates.txFifo)}/s)\n• Collisions: ${roundReading(rates.txCollisions)}/s`,
+            },
+            {
+                kind: 'drops',
+                label: 'Drops',
+                perSecond: rates.rxDropped + rates.txDropped,
+                threshold: dropThreshold,
+                title: `📉 Packets Dropped on ${name}`,
+                breakdown: `• RX Dropped: ${roundReading(rates.rxDropped)}/s (FIFO overruns ${roundReading(rates.rxFifo)}/s)\n• TX Dropped: ${roundReading(rates.txDropped)}/s`,
+            },
+        ];
+        for (const counter of counters) {
+            const key = `${counter.kind}:${name}`;
+            const firing = counter.threshold > 0 && counter.perSecond >= counter.threshold;
+            results.push(Object.assign({
+                key,
+                label: `${counter.label} ${name}`,
+                value: roundReading(counter.perSecond),
+                unit: '',
+                warning: counter.threshold || null,
+                critical: null,
+            }, firing
+                ? { severity: 'warning', status: 'firing', detail: `${roundReading(counter.perSecond)} packets/s` }
+                : { severity: null, status: 'ok' }));
+            if (firing && !dryRun) {
+                alerts.push({
+                    type: 'network',
+                    key,
+                    severity: 'warning',
+                    title: counter.title,
+                    value: `*${counter.label}: ${roundReading(counter.perSecond)} packets/s (threshold ${counter.threshold}/s)*\n${counter.breakdown}\n${traffic}`,
+                    fields: [{ title: 'Potential Issues', value: NETWORK_ADVICE[counter.kind], short: false }]
+                });
+            }
+            conditions.push({ key, firing, label: `${counter.label} on ${name}`, detail: `*${counter.label}: ${roundReading(counter.perSecond)} packets/s*\n*Threshold: ${counter.threshold}/s*` });
+        }
+    }
+    return { results, alerts, conditions };
+}
+
+
+/**
+ * Create an in-memory sampler that keeps the previous /proc/net/dev sample.
+ * `observe(counters, now)` takes the entries from procMetrics.readNetDev() and
+ * returns rates per interface since the previous sample, or null on the first one.
+ *
+ * @returns {{ observe: Function, latest: Function, reset: Function }}
+ */
+function createNetworkSampler() {
+    return createCounterSampler(diffNetCounters);
+}
+
+
+module.exports = {
+    DOWN_OPERSTATES,
+    selectInterfaces,
+    linkUtilisation,
+    formatBitRate,
+    evaluateInterfaces,
+    createNetworkSampler,
+};
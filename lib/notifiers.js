@@ -0,0 +1,552 @@
+/**
+============================================================
+    Goal: Pluggable Alert Notifiers
+============================================================
+    Why:
+        - Not every team lives in Slack; alerts also need to reach Teams, Discord, email and pagers
+        - Different alert types belong in different places (disk to ops email, CPU to chat)
+        - Monitors should describe an alert once, not once per destination
+
+    What:
+        - Built-in channels: Slack, Microsoft Teams, Discord, generic JSON webhook,
+          email over SMTP and a local command hook
+        - Each channel turns a notification into its own payload format
+        - Routes every alert type and severity to one or more channels (ALERT_ROUTES)
+        - Mentions people in Slack according to severity
+        - A notification is only reported as failed when no channel accepted it
+============================================================
+*/
+
+const cp = require('child_process');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const axios = require('axios');
+
+const { getLogger } = require('./logger');
+const logger = getLogger('notifiers');
+
+// Values copied from .env.example that mean "not configured"
+const PLACEHOLDER_URLS = new Set([
+    'YOUR_SLACK_WEBHOOK_URL_HERE',
+    'https://hooks.slack.com/services/YOUR/WEBHOOK/URL',
+]);
+
+// Slack attachment colours mapped to hex for the channels that need one
+const COLORS = {
+    danger: '#D00000',
+    warning: '#DAA038',
+    good: '#2EB886',
+};
+
+/*
+  Notifications use the Slack message shape the monitors already build:
+
+    {
+      type: 'disk',                        // routing key for the whole message
+      severity: 'critical',                // 'warning' or 'critical', also used for routing
+      text: '🚨 Disk Usage Alert: / on web-1',
+      attachments: [{
+        type: 'inode',                     // optional per-attachment routing key
+        severity: 'warning',               // optional per-attachment severity
+        color: 'danger',
+        title: '...',
+        text: '...',                       // Slack mrkdwn (*bold*)
+        fields: [{ title, value, short }]
+      }]
+    }
+*/
+
+
+function toHexColor(color) {
+    return COLORS[color] || (/^#?[0-9a-f]{6}$/i.test(color || '') ? `#${color.replace('#', '')}` : COLORS.danger);
+}
+
+// Slack's *bold* becomes **bold** for Markdown renderers (Teams, Discord)
+function toMarkdown(text) {
+    return (text || '').replace(/(^|[^*])\*([^*\n]+)\*(?!\*)/g, '$1**$2**');
+}
+
+function toPlainText(text) {
+    return (text || '').replace(/\*([^*\n]+)\*/g, '$1');
+}
+
+function truncate(text, limit) {
+    const value = String(text);
+    return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+function stripRouting(attachment) {
+    const copy = Object.assign({}, attachment);
+    delete copy.type;
+    delete copy.severity;
+    return copy;
+}
+
+
+/**
+ * Flatten a notification into the payload used by the webhook and command channels.
+ *
+ * @param {object} notification
+ * @returns {object} { host, type, severity, text, timestamp, alerts: [{ type, severity, title, text, color, fields }] }
+ */
+function toJsonPayload(notification) {
+    return {
+        host: os.hostname(),
+        type: notification.type,
+        severity: notification.severity || null,
+        text: toPlainText(notification.text),
+        timestamp: new Date().toISOString(),
+        alerts: (notification.attachments || []).map(attachment => ({
+            type: attachment.type || notification.type,
+            severity: attachment.severity || notification.severity || null,
+            title: attachment.title || null,
+            text: toPlainText(attachment.text) || null,
+            color: attachment.color || 'danger',
+            fields: attachment.fields || []
+        }))
+    };
+}
+
+
+// =====================
+// HTTP channels
+// =====================
+
+// `mentions` maps a severity to Slack mention syntax, e.g. { critical: '<!channel>' };
+// recoveries keep the severity they resolve but mention nobody
+function createSlackChannel({ url, timeout, mentions = {} }) {
+    return {
+        name: 'slack',
+        send(notification) {
+            const mention = notification.recovery ? null : mentions[notification.severity];
+            return axios.post(url, {
+                text: mention ? `${mention} ${notification.text}` : notification.text,
+                attachments: (notification.attachments || []).map(stripRouting)
+            }, { timeout });
+        }
+    };
+}
+
+
+// Legacy Office 365 connector card, accepted by Teams incoming webhooks and workflows
+function createTeamsChannel({ url, timeout }) {
+    return {
+        name: 'teams',
+        send(notification) {
+            const attachments = notification.attachments || [];
+            return axios.post(url, {
+                '@type': 'MessageCard',
+                '@context': 'https://schema.org/extensions',
+                summary: toPlainText(notification.text),
+                themeColor: toHexColor(attachments[0] && attachments[0].color).slice(1),
+                title: toMarkdown(notification.text),
+                sections: attachments.map(attachment => ({
+                    activityTitle: attachment.title,
+                    text: toMarkdown(attachment.text),
+                    facts: (attachment.fields || []).map(field => ({ name: field.title, value: String(field.value) }))
+                }))
+            }, { timeout });
+        }
+    };
+}
+
+
+// Discord caps embeds at 10 per message and 25 fields per embed, with per-field length limits
+function createDiscordChannel({ url, timeout }) {
+    return {
+        name: 'discord',
+        send(notification) {
+            return axios.post(url, {
+                content: truncate(toMarkdown(notification.text), 2000),
+                embeds: (notification.attachments || []).slice(0, 10).map(attachment => ({
+                    title: attachment.title ? truncate(attachment.title, 256) : undefined,
+                    description: attachment.text ? truncate(toMarkdown(attachment.text), 4096) : undefined,
+                    color: parseInt(toHexColor(attachment.color).slice(1), 16),
+                    fields: (attachment.fields || []).slice(0, 25).map(field => ({
+                        name: truncate(field.title, 256),
+                        value: truncate(field.value, 1024),
+                        inline: Boolean(field.short)
+                    })),
+                    timestamp: new Date().toISOString()
+                }))
+            }, { timeout });
+        }
+    };
+}
+
+
+function createWebhookChannel({ url, timeout }) {
+    return {
+        name: 'webhook',
+        send(notification) {
+            return axios.post(url, toJsonPayload(notification), { timeout });
+        }
+    };
+}
+
+
+// =====================
+// SMTP
+// =====================
+
+/*
+  Collects SMTP replies from a socket. Multi-line replies ("250-...")
+  are joined until the final "250 ..." line. The socket can be swapped
+  after STARTTLS with detach/attach.
+*/
+function createReplyReader() {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiters = [];
+
+    function flush() {
+        while (replies.length > 0 && waiters.length > 0) waiters.shift().resolve(replies.shift());
+        if (failure) while (waiters.length > 0) waiters.shift().reject(failure);
+    }
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line.slice(4));
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+                lines = [];
+            }
+        }
+        flush();
+    }
+
+    function onError(error) {
+        failure = failure || error;
+        flush();
+    }
+
+    function onClose() {
+        onError(new Error('SMTP connection closed unexpectedly'));
+    }
+
+    return {
+        attach(socket) {
+            socket.on('data', onData);
+            socket.on('error', onError);
+            socket.on('close', onClose);
+        },
+        detach(socket) {
+            socket.removeListener('data', onData);
+            socket.removeListener('error', onError);
+            socket.removeListener('close', onClose);
+        },
+        next() {
+            return new Promise((resolve, reject) => {
+                waiters.push({ resolve, reject });
+                flush();
+            });
+        }
+    };
+}
+
+
+// RFC 2047 encoded-word for non-ASCII headers (emoji in subjects)
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMimeMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${process.pid}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+
+/**
+ * Deliver one plain-text email over SMTP.
+ * Uses implicit TLS when `secure` is set (port 465), upgrades with STARTTLS
+ * when the server offers it, and authenticates with AUTH PLAIN when a user is given.
+ *
+ * @param {object}   options
+ * @param {string}   options.host
+ * @param {number}   options.port
+ * @param {boolean}  [options.secure]   Connect with TLS from the start
+ * @param {string}   [options.user]
+ * @param {string}   [options.pass]
+ * @param {string}   options.from
+ * @param {string[]} options.to
+ * @param {number}   [options.timeout]  Socket idle timeout in milliseconds
+ * @param {object}   mail               { subject, text }
+ * @returns {Promise<void>} Rejects with the failing SMTP step and reply
+ */
+async function sendMail({ host, port, secure = false, user, pass, from, to, timeout = 10000 }, mail) {
+    const reader = createReplyReader();
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timeout after ${timeout}ms`)));
+    reader.attach(socket);
+
+    // `label` names the step in errors so credentials never end up in logs
+    async function expectReply(codes, command, label) {
+        if (command !== undefined) socket.write(`${command}\r\n`);
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    try {
+        await expectReply([220], undefined, 'greeting');
+        let ehlo = await expectReply([250], `EHLO ${os.hostname()}`, 'EHLO');
+
+        if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await expectReply([220], 'STARTTLS', 'STARTTLS');
+            reader.detach(socket);
+            socket = tls.connect({ socket, servername: host });
+            socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timeout after ${timeout}ms`)));
+            reader.attach(socket);
+            ehlo = await expectReply([250], `EHLO ${os.hostname()}`, 'EHLO');
+        }
+
+        if (user) {
+            const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+            await expectReply([235], `AUTH PLAIN ${credentials}`, 'AUTH');
+        }
+
+        await expectReply([250], `MAIL FROM:<${from}>`, 'MAIL FROM');
+        for (const recipient of to) {
+            await expectReply([250, 251], `RCPT TO:<${recipient}>`, 'RCPT TO');
+        }
+        await expectReply([354], 'DATA', 'DATA');
+        // Base64 bodies never start a line with '.', so no dot-stuffing is needed
+        await expectReply([250], `${buildMimeMessage({ from, to, subject: mail.subject, text: mail.text })}\r\n.`, 'message');
+        socket.write('QUIT\r\n');
+    } finally {
+        reader.detach(socket);
+        socket.on('error', () => {});
+        socket.end();
+    }
+}
+
+
+function formatEmail(notification) {
+    const sections = (notification.attachments || []).map(attachment => {
+        const lines = [];
+        if (attachment.title) lines.push(attachment.title, '-'.repeat(Math.min(attachment.title.length, 60)));
+        if (attachment.text) lines.push(toPlainText(attachment.text));
+        for (const field of attachment.fields || []) {
+            lines.push(`${field.title}: ${toPlainText(String(field.value))}`);
+        }
+        return lines.join('\n');
+    });
+    return {
+        subject: toPlainText(notification.text).split('\n')[0],
+        text: [toPlainText(notification.text)].concat(sections).join('\n\n') + '\n'
+    };
+}
+
+
+function createEmailChannel(options) {
+    return {
+        name: 'email',
+        send(notification) {
+            return sendMail(options, formatEmail(notification));
+        }
+    };
+}
+
+
+// =====================
+// Local command hook
+// =====================
+
+/*
+  Runs a shell command per notification. The JSON payload is written to
+  stdin and the headline is exposed as ALERT_TYPE / ALERT_TEXT for simple
+  scripts. A non-zero exit or timeout counts as a failed delivery.
+*/
+function createCommandChannel({ command, timeout }) {
+    return {
+        name: 'command',
+        send(notification) {
+            const payload = toJsonPayload(notification);
+            return new Promise((resolve, reject) => {
+                const child = cp.spawn(command, {
+                    shell: true,
+                    stdio: ['pipe', 'ignore', 'pipe'],
+                    env: Object.assign({}, process.env, { ALERT_TYPE: payload.type || '', ALERT_TEXT: payload.text })
+                });
+                let stderr = '';
+                const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+                child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-500); });
+                child.stdin.on('error', () => {});
+                child.on('error', error => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+                child.on('close', (code, signal) => {
+                    clearTimeout(timer);
+                    if (code === 0) return resolve();
+                    const reason = signal ? `killed by ${signal}` : `exited with code ${code}`;
+                    reject(new Error(`Alert command ${reason}${stderr ? `: ${stderr.trim()}` : ''}`));
+                });
+                child.stdin.end(JSON.stringify(payload));
+            });
+        }
+    };
+}
+
+
+// =====================
+// Routing
+// =====================
+
+/**
+ * Build the channels enabled by the configuration. A channel is enabled
+ * when its destination is set; placeholder URLs from .env.example are ignored.
+ *
+ * @param {object} config  Result of loadConfig()
+ * @returns {object[]} Channels with { name, send(notification) }
+ */
+function createChannels(config) {
+    const timeout = config.NOTIFY_TIMEOUT;
+    const isSet = url => Boolean(url) && !PLACEHOLDER_URLS.has(url);
+    const channels = [];
+    if (isSet(config.SLACK_WEBHOOK_URL)) {
+        channels.push(createSlackChannel({
+            url: config.SLACK_WEBHOOK_URL,
+            timeout,
+            mentions: { warning: config.SLACK_MENTION_WARNING, critical: config.SLACK_MENTION_CRITICAL }
+        }));
+    }
+    if (isSet(config.TEAMS_WEBHOOK_URL)) channels.push(createTeamsChannel({ url: config.TEAMS_WEBHOOK_URL, timeout }));
+    if (isSet(config.DISCORD_WEBHOOK_URL)) channels.push(createDiscordChannel({ url: config.DISCORD_WEBHOOK_URL, timeout }));
+    if (isSet(config.ALERT_WEBHOOK_URL)) channels.push(createWebhookChannel({ url: config.ALERT_WEBHOOK_URL, timeout }));
+    if (config.SMTP_HOST && config.ALERT_EMAIL_TO.length > 0) {
+        channels.push(createEmailChannel({
+            host: config.SMTP_HOST,
+            port: config.SMTP_PORT,
+            secure: config.SMTP_SECURE,
+            user: config.SMTP_USER,
+            pass: config.SMTP_PASS,
+            from: config.ALERT_EMAIL_FROM || `linux-monitor@${os.hostname()}`,
+            to: config.ALERT_EMAIL_TO,
+            timeout
+        }));
+    }
+    if (config.ALERT_COMMAND) channels.push(createCommandChannel({ command: config.ALERT_COMMAND, timeout }));
+    return channels;
+}
+
+
+/**
+ * Create a notifier that fans notifications out to the configured channels.
+ *
+ * Routes map an alert type to channel names, with '*' as the fallback
+ * (e.g. { disk: ['email', 'slack'], '*': ['slack'] }). A route can be
+ * narrowed to one severity ('mem.critical', '*.warning'); the most specific
+ * match wins: 'type.severity', 'type', '*.severity', then '*'. Types without
+ * a route go to every channel. Attachments are routed by their own `type`
+ * and `severity` when set, so one health message can reach different
+ * channels per alert.
+ *
+ * @param {object}   options
+ * @param {object[]} options.channels  Channels from createChannels()
+ * @param {Object<string, string[]>} [options.routes]
+ * @returns {{ channels: object[], routeFor: Function, send: Function }}
+ */
+function createNotifier({ channels, routes = {} }, monitorLogger = logger) {
+
+    function routeFor(type, severity) {
+        const candidates = severity ? [`${type}.${severity}`, type, `*.${severity}`, '*'] : [type, '*'];
+        const match = candidates.find(key => routes[key]);
+        return match ? channels.filter(channel => routes[match].includes(channel.name)) : channels;
+    }
+
+    // Resolves with the names of the channels that accepted the notification;
+    // rejects only when it was routed somewhere and every channel failed
+    async function send(notification) {
+        const attachments = notification.attachments || [];
+        const deliveries = [];
+        for (const channel of channels) {
+            const routed = attachments.filter(attachment => routeFor(
+                attachment.type || notification.type,
+                attachment.severity || notification.severity
+            ).includes(channel));
+            if (attachments.length > 0 ? routed.length === 0 : !routeFor(notification.type, notification.severity).includes(channel)) continue;
+            const message = Object.assign({}, notification, { attachments: routed });
+            // Channels start sending synchronously so a caller that doesn't await still dispatches
+            let delivery;
+            try {
+                delivery = Promise.resolve(channel.send(message));
+            } catch (error) {
+                delivery = Promise.reject(error);
+            }
+            deliveries.push(delivery
+                .then(() => channel.name, error => {
+                    monitorLogger.error({ err: error, channel: channel.name, alertType: notification.type }, 'Error sending notification');
+                    throw error;
+                }));
+        }
+        if (deliveries.length === 0) {
+            monitorLogger.warn({ alertType: notification.type }, 'No notification channel routed for alert');
+            return [];
+        }
+        const results = await Promise.allSettled(deliveries);
+        const delivered = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (delivered.length === 0) {
+            throw new Error(`All notification channels failed for ${notification.type} alert`);
+        }
+        return delivered;
+    }
+
+    return { channels, routeFor, send };
+}
+
+
+/**
+ * Make sure at least one channel is configured and every route names a real channel.
+ * Exits the process with an error message if no channel is configured.
+ *
+ * @param {object} notifier  Result of createNotifier()
+ * @param {Object<string, string[]>} [routes]
+ */
+function validateNotifier(notifier, routes = {}, monitorLogger = logger) {
+    if (notifier.channels.length === 0) {
+        monitorLogger.fatal('No alert channel configured. Set SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, DISCORD_WEBHOOK_URL, ALERT_WEBHOOK_URL, SMTP_HOST with ALERT_EMAIL_TO, or ALERT_COMMAND (see .env.example)');
+        process.exit(1);
+    }
+    const configured = notifier.channels.map(channel => channel.name);
+    for (const [route, names] of Object.entries(routes)) {
+        const unknown = names.filter(name => !configured.includes(name));
+        if (unknown.length > 0) {
+            monitorLogger.warn({ route, unknownChannels: unknown, configuredChannels: configured }, 'Alert route names channels that are not configured');
+        }
+    }
+}
+
+
+module.exports = {
+    createSlackChannel,
+    createTeamsChannel,
+    createDiscordChannel,
+    createWebhookChannel,
+    createEmailChannel,
+    createCommandChannel,
+    createChannels,
+    createNotifier,
+    validateNotifier,
+    sendMail,
+};
@@ -0,0 +1,635 @@
+/**
+============================================================
+    Goal: Native /proc Metrics Collector
+============================================================
+    Why:
+        - Shell pipelines (top, free, uptime, df) change output with locale and procps version
+        - execSync blocks the event loop on every sample
+        - Tests need to point collectors at fixture directories instead of the live host
+
+    What:
+        - Reads /proc/stat, /proc/meminfo, /proc/loadavg, /proc/uptime, /proc/mounts,
+          /proc/net/dev, /proc/diskstats and /proc/pressure/*, plus link state and
+          speed per network interface from /sys/class/net and whether a block
+          device is a partition from /sys/class/block
+        - Reads TCP sockets from /proc/net/tcp and tcp6, socket totals from
+          /proc/net/sockstat, kernel network counters from /proc/net/netstat and
+          the ephemeral port range
+        - Reads the descriptors open across the host from /proc/sys/fs/file-nr
+        - Lists processes and reads each one's open descriptors from /proc/<pid>/fd
+          and its "Max open files" limit from /proc/<pid>/limits
+        - Reads each process's control groups from /proc/<pid>/cgroup, and memory
+          and CPU usage and limits of a control group from /sys/fs/cgroup (v1 and v2)
+        - Reads filesystem capacity through statfs
+        - Returns plain numbers (bytes, jiffies, seconds) and leaves formatting to the monitors
+        - Turns successive CPU, network and disk counter samples into utilisation,
+          rates and latencies
+        - Accepts configurable proc and sys roots so tests can use fixture directories
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+// Column order of the cpu lines in /proc/stat (see proc(5))
+const CPU_FIELDS = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal', 'guest', 'guestNice'];
+
+// Modes that together make up `total` (guest time is already inside user/nice)
+const CPU_MODES = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal'];
+
+// Column order of the per-interface counters in /proc/net/dev
+const NET_DEV_FIELDS = [
+    'rxBytes', 'rxPackets', 'rxErrors', 'rxDropped', 'rxFifo', 'rxFrame', 'rxCompressed', 'rxMulticast',
+    'txBytes', 'txPackets', 'txErrors', 'txDropped', 'txFifo', 'txCollisions', 'txCarrier', 'txCompressed',
+];
+
+// Column order of the per-device counters in /proc/diskstats after major, minor and name
+// (Documentation/admin-guide/iostats.rst); discard and flush columns are left out
+const DISKSTATS_FIELDS = [
+    'readsCompleted', 'readsMerged', 'sectorsRead', 'readTimeMs',
+    'writesCompleted', 'writesMerged', 'sectorsWritten', 'writeTimeMs',
+    'ioInProgress', 'ioTimeMs', 'weightedIoTimeMs',
+];
+
+// /proc/diskstats sectors are always 512 bytes, whatever the device's own sector size
+const SECTOR_BYTES = 512;
+
+// TCP states by their code in the st column of /proc/net/tcp (include/net/tcp_states.h)
+const TCP_STATES = {
+    '01': 'ESTABLISHED',
+    '02': 'SYN_SENT',
+    '03': 'SYN_RECV',
+    '04': 'FIN_WAIT1',
+    '05': 'FIN_WAIT2',
+    '06': 'TIME_WAIT',
+    '07': 'CLOSE',
+    '08': 'CLOSE_WAIT',
+    '09': 'LAST_ACK',
+    '0A': 'LISTEN',
+    '0B': 'CLOSING',
+    '0C': 'NEW_SYN_RECV',
+};
+
+// Resources with pressure stall information under /proc/pressure (Linux 4.20+)
+const PRESSURE_RESOURCES = ['cpu', 'memory', 'io'];
+
+// cgroup v1 reports "no memory limit" as the largest page-aligned 64-bit value
+const CGROUP_V1_UNLIMITED = 2 ** 60;
+
+
+/**
+ * Parse one "cpu" / "cpuN" line from /proc/stat into named jiffy counters.
+ * Guest time is already included in user/nice, so it is left out of the total.
+ *
+ * @param {string[]} columns  Whitespace-split line without the label
+ * @returns {object} Counters keyed by CPU_FIELDS plus a `total`
+ */
+function parseCpuLine(columns) {
+    const times = {};
+    CPU_FIELDS.forEach((field, index) => {
+        times[field] = parseInt(columns[index], 10) || 0;
+    });
+    times.total = times.user + times.nice + times.system + times.idle +
+        times.iowait + times.irq + times.softirq + times.steal;
+    return times;
+}
+
+
+/**
+ * Turn two cumulative CPU counter samples into percentages of the elapsed time.
+ * With no previous sample the counters are measured from boot, like top's first frame.
+ *
+ * @param {object|null} previous  Earlier counters from parseCpuLine, or null
+ * @param {object} current        Later counters from parseCpuLine
+ * @returns {{ usage: number, modes: object }} Busy percentage plus one percentage per CPU_MODES entry
+ */
+function diffCpuTimes(previous, current) {
+    const before = previous || {};
+    const elapsed = current.total - (before.total || 0);
+    const modes = {};
+    for (const mode of CPU_MODES) {
+        const delta = Math.max(0, current[mode] - (before[mode] || 0));
+        modes[mode] = elapsed > 0 ? parseFloat((delta / elapsed * 100).toFixed(1)) : 0;
+    }
+    if (elapsed <= 0) {
+        return { usage: 0, modes };
+    }
+    const idle = (current.idle - (before.idle || 0)) + (current.iowait - (before.iowait || 0));
+    const usage = Math.max(0, elapsed - idle) / elapsed * 100;
+    return { usage: parseFloat(usage.toFixed(1)), modes };
+}
+
+
+/**
+ * Turn two /proc/net/dev samples into per-second rates of every counter.
+ * Interfaces missing from the earlier sample have no rate yet and are left out;
+ * a counter that went backwards (driver reload, recreated interface) counts as 0.
+ *
+ * @param {object[]} previous  Earlier entries from readNetDev()
+ * @param {object[]} current   Later entries from readNetDev()
+ * @param {number} elapsedMs   Time between the two samples
+ * @returns {object[]} One entry per interface: its name plus one rate per NET_DEV_FIELDS entry
+ */
+function diffNetCounters(previous, current, elapsedMs) {
+    const before = new Map(previous.map(entry => [entry.interface, entry]));
+    const seconds = elapsedMs / 1000;
+    return current
+        .filter(entry => before.has(entry.interface))
+        .map(entry => {
+            const rates = { interface: entry.interface };
+            for (const field of NET_DEV_FIELDS) {
+                const delta = Math.max(0, entry[field] - before.get(entry.interface)[field]);
+                rates[field] = seconds > 0 ? delta / seconds : 0;
+            }
+            return rates;
+        });
+}
+
+
+/**
+ * Turn two /proc/diskstats samples into what iostat -x shows per device:
+ * operations and bytes per second, the average time a request took from
+ * queueing to completion (await), the share of time the device was busy
+ * (%util) and the average number of requests in flight (aqu-sz).
+ * Devices missing from the earlier sample are left out; counters that went
+ * backwards (device re-created) count as 0.
+ *
+ * @param {object[]} previous  Earlier entries from readDiskStats()
+ * @param {object[]} current   Later entries from readDiskStats()
+ * @param {number} elapsedMs   Time between the two samples
+ * @returns {object[]} One entry per device with its rates, latencies in ms and utilisation in percent
+ */
+function diffDiskStats(previous, current, elapsedMs) {
+    const before = new Map(previous.map(entry => [entry.device, entry]));
+    const seconds = elapsedMs / 1000;
+    return current
+        .filter(entry => before.has(entry.device))
+        .map(entry => {
+            const earlier = before.get(entry.device);
+            const delta = field => Math.max(0, entry[field] - earlier[field]);
+            const perSecond = value => (seconds > 0 ? value / seconds : 0);
+            const average = (total, count) => (count > 0 ? total / count : 0);
+            const reads = delta('readsCompleted');
+            const writes = delta('writesCompleted');
+            return {
+                device: entry.device,
+                readsPerSec: perSecond(reads),
+                writesPerSec: perSecond(writes),
+                readBytesPerSec: perSecond(delta('sectorsRead') * SECTOR_BYTES),
+                writeBytesPerSec: perSecond(delta('sectorsWritten') * SECTOR_BYTES),
+                readAwaitMs: average(delta('readTimeMs'), reads),
+                writeAwaitMs: average(delta('writeTimeMs'), writes),
+                awaitMs: average(delta('readTimeMs') + delta('writeTimeMs'), reads + writes),
+                // io_ticks can run slightly ahead of the wall clock between two reads
+                utilisation: elapsedMs > 0 ? Math.min(100, delta('ioTimeMs') / elapsedMs * 100) : 0,
+                queueDepth: elapsedMs > 0 ? delta('weightedIoTimeMs') / elapsedMs : 0,
+                inFlight: entry.ioInProgress,
+            };
+        });
+}
+
+
+/**
+ * Decode an address:port field of /proc/net/tcp or tcp6. The address is hex in
+ * 32-bit words of host byte order, so on little-endian machines 127.0.0.1 reads
+ * 0100007F; IPv6 addresses are four such words.
+ *
+ * @param {string} field  e.g. '0100007F:1F90'
+ * @returns {{ address: string, port: number }}
+ */
+function decodeSocketAddress(field) {
+    const [hex, port] = field.split(':');
+    const bytes = [];
+    for (let word = 0; word < hex.length; word += 8) {
+        bytes.push(...Buffer.from(hex.slice(word, word + 8), 'hex').reverse());
+    }
+    let address;
+    if (bytes.length === 4) {
+        address = bytes.join('.');
+    } else if (bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+        // IPv4 clients of a dual-stack listener
+        address = `::ffff:${bytes.slice(12).join('.')}`;
+    } else {
+        const groups = [];
+        for (let i = 0; i < bytes.length; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        // Collapse the longest run of zero groups to '::'
+        const run = groups.join(':').match(/(?:^|:)0(?::0)+(?::|$)/g);
+        const longest = run ? run.reduce((a, b) => (b.length > a.length ? b : a)) : null;
+        address = longest ? groups.join(':').replace(longest, '::') : groups.join(':');
+    }
+    return { address, port: parseInt(port, 16) };
+}
+
+
+/**
+ * Decode the octal escapes (\040 for space, etc.) used in /proc/mounts fields.
+ *
+ * @param {string} value  Raw field from /proc/mounts
+ * @returns {string}
+ */
+function unescapeMountField(value) {
+    return value.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+
+/**
+ * Create a collector bound to a proc root.
+ *
+ * @param {object} [options]
+ * @param {string} [options.procRoot='/proc']  Directory to read proc files from
+ * @param {string} [options.sysRoot='/sys']    Directory to read sysfs files from
+ * @returns {object} Collector functions; each throws if its source cannot be read
+ */
+function createProcMetrics({ procRoot = '/proc', sysRoot = '/sys' } = {}) {
+
+    function readProcFile(name) {
+        return fs.readFileSync(path.join(procRoot, name), 'utf8');
+    }
+
+    // Aggregate and per-core jiffy counters from /proc/stat
+    function readCpuTimes() {
+        const lines = readProcFile('stat').split('\n');
+        let total = null;
+        const cores = [];
+        for (const line of lines) {
+            const columns = line.trim().split(/\s+/);
+            const label = columns.shift();
+            if (label === 'cpu') {
+                total = parseCpuLine(columns);
+            } else if (/^cpu\d+$/.test(label)) {
+                cores.push(Object.assign({ id: parseInt(label.slice(3), 10) }, parseCpuLine(columns)));
+            }
+        }
+        if (!total) {
+            throw new Error(`No aggregate cpu line in ${path.join(procRoot, 'stat')}`);
+        }
+        return { total, cores };
+    }
+
+    // All /proc/meminfo fields in bytes, keyed by their kernel names (MemTotal, SwapFree, ...)
+    function readMemInfo() {
+        const info = {};
+        for (const line of readProcFile('meminfo').split('\n')) {
+            const match = line.match(/^([\w()]+):\s+(\d+)(?:\s+kB)?/);
+            if (match) {
+                const value = parseInt(match[2], 10);
+                info[match[1]] = line.includes('kB') ? value * 1024 : value;
+            }
+        }
+        if (info.MemTotal === undefined) {
+            throw new Error(`No MemTotal in ${path.join(procRoot, 'meminfo')}`);
+        }
+        return info;
+    }
+
+    // Load averages plus the running/total scheduling entity counts
+    function readLoadAvg() {
+        const parts = readProcFile('loadavg').trim().split(/\s+/);
+        if (parts.length < 4) {
+            throw new Error(`Malformed ${path.join(procRoot, 'loadavg')}`);
+        }
+        const [running, total] = parts[3].split('/').map(n => parseInt(n, 10));
+        return {
+            '1min': parseFloat(parts[0]),
+            '5min': parseFloat(parts[1]),
+            '15min': parseFloat(parts[2]),
+            running,
+            total
+        };
+    }
+
+    // Seconds since boot and cumulative idle seconds across all cores
+    function readUptime() {
+        const parts = readProcFile('uptime').trim().split(/\s+/);
+        const uptimeSeconds = parseFloat(parts[0]);
+        if (Number.isNaN(uptimeSeconds)) {
+            throw new Error(`Malformed ${path.join(procRoot, 'uptime')}`);
+        }
+        return { uptimeSeconds, idleSeconds: parseFloat(parts[1]) || 0 };
+    }
+
+    // Mount table entries in the order the kernel lists them
+    function readMounts() {
+        return readProcFile('mounts').split('\n')
+            .map(line => line.trim().split(/\s+/))
+            .filter(parts => parts.length >= 4)
+            .map(parts => ({
+                device: unescapeMountField(parts[0]),
+                mountpoint: unescapeMountField(parts[1]),
+                fstype: parts[2],
+                options: parts[3].split(',')
+            }));
+    }
+
+    // Cumulative traffic counters per network interface, loopback included
+    function readNetDev() {
+        return readProcFile('net/dev').split('\n')
+            .filter(line => line.includes(':'))
+            .map(line => {
+                const separator = line.indexOf(':');
+                const columns = line.slice(separator + 1).trim().split(/\s+/);
+                const counters = { interface: line.slice(0, separator).trim() };
+                NET_DEV_FIELDS.forEach((field, index) => {
+                    counters[field] = parseInt(columns[index], 10) || 0;
+                });
+                return counters;
+            });
+    }
+
+    // Link state of one network interface from /sys/class/net/<name>: the operstate
+    // (up, down, lowerlayerdown, dormant, unknown, ...), the link speed in Mb/s, and
+    // whether a device backs it (physical NICs do; bridges, veths and tunnels do not)
+    function readNetInterface(name) {
+        const dir = path.join(sysRoot, 'class', 'net', name);
+        const operstate = fs.readFileSync(path.join(dir, 'operstate'), 'utf8').trim();
+        let speedMbps = null;
+        try {
+            // Virtual interfaces report -1 or nothing; reading fails with EINVAL while the link is down
+            const speed = parseInt(fs.readFileSync(path.join(dir, 'speed'), 'utf8'), 10);
+            if (speed > 0) speedMbps = speed;
+        } catch (error) {
+            speedMbps = null;
+        }
+        return { interface: name, operstate, speedMbps, physical: fs.existsSync(path.join(dir, 'device')) };
+    }
+
+    // Whether a block device is a partition, from /sys/class/block/<name>/partition;
+    // whole disks, device-mapper, md and loop devices have no such file
+    function readBlockDevice(name) {
+        return { device: name, partition: fs.existsSync(path.join(sysRoot, 'class', 'block', name, 'partition')) };
+    }
+
+    // Cumulative I/O counters per block device and partition; sectors are always 512 bytes
+    function readDiskStats() {
+        return readProcFile('diskstats').split('\n')
+            .map(line => line.trim().split(/\s+/))
+            .filter(parts => parts.length >= 3 + DISKSTATS_FIELDS.length)
+            .map(parts => {
+                const counters = {
+                    major: parseInt(parts[0], 10),
+                    minor: parseInt(parts[1], 10),
+                    device: parts[2],
+                };
+                DISKSTATS_FIELDS.forEach((field, index) => {
+                    counters[field] = parseInt(parts[3 + index], 10) || 0;
+                });
+                return counters;
+            });
+    }
+
+    // Every TCP socket in /proc/net/tcp and tcp6 (tcp6 is absent when IPv6 is disabled).
+    // For LISTEN sockets rxQueue is the number of connections waiting for accept()
+    function readTcpSockets() {
+        const sockets = [];
+        for (const [name, family] of [['net/tcp', 'ipv4'], ['net/tcp6', 'ipv6']]) {
+            let content;
+            try {
+                content = readProcFile(name);
+            } catch (error) {
+                if (family === 'ipv6' && error.code === 'ENOENT') continue;
+                throw error;
+            }
+            for (const line of content.split('\n').slice(1)) {
+                const parts = line.trim().split(/\s+/);
+                if (parts.length < 5) continue;
+                const local = decodeSocketAddress(parts[1]);
+                const remote = decodeSocketAddress(parts[2]);
+                const [txQueue, rxQueue] = parts[4].split(':').map(value => parseInt(value, 16));
+                sockets.push({
+                    family,
+                    localAddress: local.address,
+                    localPort: local.port,
+                    remoteAddress: remote.address,
+                    remotePort: remote.port,
+                    state: TCP_STATES[parts[3].toUpperCase()] || parts[3],
+                    txQueue,
+                    rxQueue,
+                });
+            }
+        }
+        return sockets;
+    }
+
+    // Socket totals per protocol from /proc/net/sockstat, e.g. { sockets: { used }, TCP: { inuse, orphan, tw, alloc, mem } };
+    // mem counts pages
+    function readSockstat() {
+        const stats = {};
+        for (const line of readProcFile('net/sockstat').split('\n')) {
+            const match = line.match(/^(\w+):\s+(.*)$/);
+            if (!match) continue;
+            const values = {};
+            for (const [, name, value] of match[2].matchAll(/(\w+) (\d+)/g)) values[name] = parseInt(value, 10);
+            stats[match[1]] = values;
+        }
+        return stats;
+    }
+
+    // Kernel network counters from /proc/net/netstat, whose lines come in pairs of
+    // names and values per group, e.g. { TcpExt: { ListenOverflows, ListenDrops, ... }, IpExt: { ... } }
+    function readNetstat() {
+        const groups = {};
+        const lines = readProcFile('net/netstat').split('\n').filter(line => line.includes(':'));
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const names = lines[i].split(/\s+/);
+            const values = lines[i + 1].split(/\s+/);
+            const group = names[0].replace(/:$/, '');
+            groups[group] = {};
+            names.slice(1).forEach((name, index) => {
+                groups[group][name] = parseInt(values[index + 1], 10) || 0;
+            });
+        }
+        return groups;
+    }
+
+    // The local ports the kernel picks from for outgoing connections
+    function readLocalPortRange() {
+        const [low, high] = readProcFile('sys/net/ipv4/ip_local_port_range').trim().split(/\s+/).map(value => parseInt(value, 10));
+        if (!(low > 0 && high >= low)) {
+            throw new Error(`Malformed ${path.join(procRoot, 'sys/net/ipv4/ip_local_port_range')}`);
+        }
+        return { low, high };
+    }
+
+    // Descriptors allocated across the host against the system-wide maximum (fs.file-max)
+    function readFileNr() {
+        const [allocated, , maximum] = readProcFile('sys/fs/file-nr').trim().split(/\s+/).map(value => parseInt(value, 10));
+        if (Number.isNaN(allocated) || !(maximum >= 0)) {
+            throw new Error(`Malformed ${path.join(procRoot, 'sys/fs/file-nr')}`);
+        }
+        return { allocated, maximum };
+    }
+
+    // PIDs of every process in the proc root
+    function listPids() {
+        return fs.readdirSync(procRoot)
+            .filter(name => /^\d+$/.test(name))
+            .map(name => parseInt(name, 10));
+    }
+
+    // Open descriptors of one process against its "Max open files" limits (null when
+    // unlimited). Throws ENOENT once the process has exited, and EACCES on /proc/<pid>/fd
+    // for other users' processes unless running as root
+    function readProcessFds(pid) {
+        const dir = String(pid);
+        const limits = readProcFile(path.join(dir, 'limits')).split('\n').find(line => line.startsWith('Max open files'));
+        if (!limits) {
+            throw new Error(`No "Max open files" in ${path.join(procRoot, dir, 'limits')}`);
+        }
+        const [softLimit, hardLimit] = limits.slice('Max open files'.length).trim().split(/\s+/)
+            .map(value => (value === 'unlimited' ? null : parseInt(value, 10)));
+        return {
+            pid,
+            command: readProcFile(path.join(dir, 'comm')).trim(),
+            openFiles: fs.readdirSync(path.join(procRoot, dir, 'fd')).length,
+            softLimit,
+            hardLimit,
+        };
+    }
+
+    // Control groups of one process: one entry per v1 hierarchy with its controllers,
+    // or a single entry with hierarchy 0 and no controllers on cgroup v2
+    function readProcessCgroup(pid) {
+        return readProcFile(path.join(String(pid), 'cgroup')).split('\n')
+            .map(line => line.match(/^(\d+):([^:]*):(.*)$/))
+            .filter(Boolean)
+            .map(([, hierarchy, controllers, cgroupPath]) => ({
+                hierarchy: parseInt(hierarchy, 10),
+                controllers: controllers ? controllers.split(',') : [],
+                path: cgroupPath,
+            }));
+    }
+
+    // Memory and CPU usage and limits of one control group, given its entries from
+    // readProcessCgroup(). memoryBytes is the working set (usage less inactive page
+    // cache, as `docker stats` shows it); limits are null when there are none.
+    // Reads the unified hierarchy when /sys/fs/cgroup/cgroup.controllers exists (v2),
+    // else the memory and cpu,cpuacct hierarchies (v1)
+    function readCgroupStats(cgroups) {
+        const root = path.join(sysRoot, 'fs', 'cgroup');
+        const read = (entry, file) => {
+            if (!entry) throw new Error(`No control group for ${file}`);
+            return fs.readFileSync(path.join(root, entry.dir, entry.path, file), 'utf8').trim();
+        };
+        const readStat = (entry, file) => {
+            const values = {};
+            for (const line of read(entry, file).split('\n')) {
+                const [name, value] = line.split(/\s+/);
+                values[name] = parseInt(value, 10) || 0;
+            }
+            return values;
+        };
+
+        if (fs.existsSync(path.join(root, 'cgroup.controllers'))) {
+            const unified = cgroups.find(entry => entry.hierarchy === 0);
+            const entry = unified && { dir: '', path: unified.path };
+            const memoryMax = read(entry, 'memory.max');
+            const [quota, period] = read(entry, 'cpu.max').split(/\s+/);
+            const cpuStat = readStat(entry, 'cpu.stat');
+            return {
+                version: 2,
+                memoryBytes: parseInt(read(entry, 'memory.current'), 10) - (readStat(entry, 'memory.stat').inactive_file || 0),
+                memoryLimitBytes: memoryMax === 'max' ? null : parseInt(memoryMax, 10),
+                cpuUsageSeconds: cpuStat.usage_usec / 1e6,
+                cpuLimitCores: quota === 'max' ? null : parseInt(quota, 10) / parseInt(period, 10),
+                cpuPeriods: cpuStat.nr_periods || 0,
+                cpuThrottledPeriods: cpuStat.nr_throttled || 0,
+            };
+        }
+
+        // v1 mounts each hierarchy at its controllers, e.g. /sys/fs/cgroup/cpu,cpuacct
+        const hierarchy = controller => {
+            const found = cgroups.find(entry => entry.controllers.includes(controller));
+            return found && { dir: found.controllers.join(','), path: found.path };
+        };
+        const memory = hierarchy('memory');
+        const cpu = hierarchy('cpu');
+        const memoryLimit = Number(read(memory, 'memory.limit_in_bytes'));
+        const quota = parseInt(read(cpu, 'cpu.cfs_quota_us'), 10);
+        const cpuStat = readStat(cpu, 'cpu.stat');
+        return {
+            version: 1,
+            memoryBytes: parseInt(read(memory, 'memory.usage_in_bytes'), 10) - (readStat(memory, 'memory.stat').total_inactive_file || 0),
+            memoryLimitBytes: memoryLimit >= CGROUP_V1_UNLIMITED ? null : memoryLimit,
+            cpuUsageSeconds: parseInt(read(hierarchy('cpuacct'), 'cpuacct.usage'), 10) / 1e9,
+            cpuLimitCores: quota > 0 ? quota / parseInt(read(cpu, 'cpu.cfs_period_us'), 10) : null,
+            cpuPeriods: cpuStat.nr_periods || 0,
+            cpuThrottledPeriods: cpuStat.nr_throttled || 0,
+        };
+    }
+
+    // Share of time tasks stalled per resource: "some" (at least one task) and
+    // "full" (every non-idle task) over 10s, 60s and 300s, plus total stall microseconds.
+    // Kernels without PSI have no /proc/pressure (ENOENT) or refuse reads (EOPNOTSUPP with psi=0)
+    function readPressure() {
+        const pressure = {};
+        for (const resource of PRESSURE_RESOURCES) {
+            const lines = {};
+            for (const line of readProcFile(path.join('pressure', resource)).split('\n')) {
+                const match = line.match(/^(some|full)\s+(.*)$/);
+                if (!match) continue;
+                const values = {};
+                for (const [, name, value] of match[2].matchAll(/(\w+)=([\d.]+)/g)) values[name] = parseFloat(value);
+                lines[match[1]] = values;
+            }
+            if (!lines.some) {
+                throw new Error(`Malformed ${path.join(procRoot, 'pressure', resource)}`);
+            }
+            // The cpu file has no "full" line before Linux 5.13
+            pressure[resource] = { some: lines.some, full: lines.full || null };
+        }
+        return pressure;
+    }
+
+    return {
+        readCpuTimes, readMemInfo, readLoadAvg, readUptime, readMounts, readNetDev, readNetInterface,
+        readBlockDevice, readDiskStats, readPressure, readTcpSockets, readSockstat, readNetstat, readLocalPortRange,
+        readFileNr, listPids, readProcessFds, readProcessCgroup, readCgroupStats,
+    };
+}
+
+
+/**
+ * Read capacity and inode counts for the filesystem holding `target`.
+ * `usagePercent` follows df: used / (used + available), so root-reserved
+ * blocks count as unavailable. Filesystems without a fixed inode table
+ * (btrfs, some network filesystems) report zero inodes and 0% inode usage.
+ *
+ * @param {string} target  Any path on the filesystem (usually its mountpoint)
+ * @returns {object} Byte and inode counts
+ */
+function statFilesystem(target) {
+    const stats = fs.statfsSync(target);
+    const totalBytes = stats.blocks * stats.bsize;
+    const freeBytes = stats.bfree * stats.bsize;
+    const availableBytes = stats.bavail * stats.bsize;
+    const usedBytes = totalBytes - freeBytes;
+    const usable = usedBytes + availableBytes;
+    const usedInodes = stats.files - stats.ffree;
+    return {
+        totalBytes,
+        usedBytes,
+        freeBytes,
+        availableBytes,
+        usagePercent: usable > 0 ? (usedBytes / usable) * 100 : 0,
+        totalInodes: stats.files,
+        freeInodes: stats.ffree,
+        usedInodes,
+        inodeUsagePercent: stats.files > 0 ? (usedInodes / stats.files) * 100 : 0
+    };
+}
+
+
+module.exports = {
+    CPU_FIELDS,
+    CPU_MODES,
+    NET_DEV_FIELDS,
+    DISKSTATS_FIELDS,
+    SECTOR_BYTES,
+    TCP_STATES,
+    PRESSURE_RESOURCES,
+    createProcMetrics,
+    diffCpuTimes,
+    diffNetCounters,
+    diffDiskStats,
+    statFilesystem,
+};
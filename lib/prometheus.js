@@ -0,0 +1,181 @@
+/**
+============================================================
+    Goal: Prometheus Metrics Exporter
+============================================================
+    Why:
+        - Every sample the monitors take is thrown away once thresholds are checked
+        - Grafana should be able to scrape this agent instead of a node_exporter beside it
+
+    What:
+        - Collects gauges and counters with labels into the Prometheus text format (0.0.4)
+        - Adds constant labels (the host name) to every sample
+        - Serves GET /metrics from an embedded HTTP server, collecting on every scrape
+============================================================
+*/
+
+const http = require('http');
+
+const { getLogger } = require('./logger');
+const logger = getLogger('prometheus');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+
+// Label values escape backslash, double quote and newline; HELP text only the first and last
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+
+/**
+ * Create a set of metric families for one scrape.
+ *
+ * Samples with a null or undefined value are skipped, so an unreadable
+ * source simply leaves its series out of the scrape.
+ *
+ * @param {object} [constLabels={}]  Labels added to every sample (e.g. { host: 'web-1' })
+ * @returns {{ gauge: Function, counter: Function, render: Function }}
+ */
+function createMetricSet(constLabels = {}) {
+    const families = new Map();
+
+    function add(type, name, help, value, labels = {}) {
+        let family = families.get(name);
+        if (!family) {
+            family = { type, help, samples: [] };
+            families.set(name, family);
+        } else if (family.type !== type) {
+            throw new Error(`Metric ${name} is already registered as a ${family.type}`);
+        }
+        if (value === null || value === undefined) return;
+        family.samples.push({ labels: Object.assign({}, constLabels, labels), value: Number(value) });
+    }
+
+    /**
+     * Record a gauge sample (a value that can go up and down).
+     *
+     * @param {string} name    Metric name, e.g. 'linux_monitor_memory_usage_percent'
+     * @param {string} help    One-line description for the HELP line
+     * @param {number|null} value
+     * @param {object} [labels]
+     */
+    function gauge(name, help, value, labels) {
+        add('gauge', name, help, value, labels);
+    }
+
+    /**
+     * Record a counter sample (a cumulative value that only resets on reboot).
+     * Names end in `_total` by convention.
+     */
+    function counter(name, help, value, labels) {
+        add('counter', name, help, value, labels);
+    }
+
+    /**
+     * @returns {string} Every family in the Prometheus text exposition format
+     */
+    function render() {
+        const lines = [];
+        for (const [name, family] of families) {
+            lines.push(`# HELP ${name} ${escapeHelp(family.help)}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+            for (const sample of family.samples) {
+                const labels = Object.entries(sample.labels)
+                    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+                    .join(',');
+                lines.push(`${name}${labels ? `{${labels}}` : ''} ${formatValue(sample.value)}`);
+            }
+        }
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    return { gauge, counter, render };
+}
+
+
+/**
+ * Create the HTTP server that answers Prometheus scrapes.
+ *
+ * `collect` runs on every GET /metrics and returns a metric set (or its
+ * rendered text); anything it throws becomes a 500 for that scrape only.
+ *
+ * @param {object} options
+ * @param {Function} options.collect    () => metric set from createMetricSet()
+ * @param {number} options.port         Port to listen on (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1']
+ * @returns {{ start: Function, stop: Function, address: Function }}
+ */
+function createMetricsServer({ collect, port, host = '127.0.0.1' }, monitorLogger = logger) {
+    const server = http.createServer((req, res) => {
+        const pathname = req.url.split('?')[0];
+        if (pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found. Metrics are served at /metrics\n');
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+            res.end('Method not allowed\n');
+            return;
+        }
+
+        let body;
+        try {
+            const metrics = collect();
+            body = typeof metrics === 'string' ? metrics : metrics.render();
+        } catch (error) {
+            monitorLogger.error({ err: error }, 'Error collecting metrics for scrape');
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Error collecting metrics\n');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+
+    /**
+     * @returns {Promise<{ address: string, port: number }>} Where the server listens
+     */
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.removeListener('error', reject);
+                monitorLogger.info({ host, port: server.address().port }, 'Metrics endpoint listening');
+                resolve(server.address());
+            });
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => {
+            if (!server.listening) return resolve();
+            server.close(() => resolve());
+            if (server.closeAllConnections) server.closeAllConnections();
+        });
+    }
+
+    function address() {
+        return server.listening ? server.address() : null;
+    }
+
+    return { start, stop, address };
+}
+
+
+module.exports = {
+    CONTENT_TYPE,
+    createMetricSet,
+    createMetricsServer,
+};
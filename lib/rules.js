@@ -0,0 +1,133 @@
+/**
+============================================================
+    Goal: Threshold Rule Engine
+============================================================
+    Why:
+        - A metric hovering around its threshold alerts and resolves on every other sample
+        - A single spike should not page anyone unless it lasts
+
+    What:
+        - Evaluates a reading against warning and critical levels
+        - Holds a breach "for" a minimum duration before it fires (PENDING until then)
+        - Keeps a firing condition active until the reading falls below a separate
+          clear threshold (hysteresis)
+        - Keeps its state per alert key (cpu, mem, disk:/data, ...) in memory
+============================================================
+*/
+
+const { getSeverity } = require('./common');
+
+
+/**
+ * Build a rule from warning/critical levels and the optional "for" and clear settings.
+ *
+ * The clear threshold must sit below the lowest alerting level; otherwise it
+ * falls back to that level minus `hysteresis` percentage points.
+ *
+ * @param {object} options
+ * @param {number|null} options.warning     Warning level, or null when disabled
+ * @param {number} options.critical         Critical level
+ * @param {number} [options.forMs=0]        How long a breach must last before it fires
+ * @param {number|null} [options.clear]     Reading a firing condition must drop below to clear
+ * @param {number} [options.hysteresis=0]   Gap below the alerting level when `clear` is not set
+ * @returns {{ warning: number|null, critical: number, forMs: number, clear: number }}
+ */
+function createRule({ warning = null, critical, forMs = 0, clear = null, hysteresis = 0 }) {
+    const usableWarning = warning && warning < critical ? warning : null;
+    const breachLevel = usableWarning || critical;
+    return {
+        warning: usableWarning,
+        critical,
+        forMs: forMs || 0,
+        clear: clear !== null && clear !== undefined && clear < breachLevel ? clear : breachLevel - (hysteresis || 0),
+    };
+}
+
+
+/**
+ * Build the rule for one metric from the flat configuration: 'MEM' reads
+ * MEM_THRESHOLD, MEM_WARNING_THRESHOLD, MEM_FOR_DURATION (falling back to
+ * ALERT_FOR_DURATION) and MEM_CLEAR_THRESHOLD, plus ALERT_HYSTERESIS.
+ *
+ * @param {object} config      Result of loadConfig()
+ * @param {string} metric      Config key prefix, e.g. 'CPU', 'MEM', 'DISK'
+ * @param {object} [overrides] Rule options that replace the configured ones
+ * @returns {object} Result of createRule()
+ */
+function ruleFromConfig(config, metric, overrides = {}) {
+    const forMs = config[`${metric}_FOR_DURATION`];
+    return createRule(Object.assign({
+        warning: config[`${metric}_WARNING_THRESHOLD`],
+        critical: config[`${metric}_THRESHOLD`],
+        forMs: forMs !== null && forMs !== undefined ? forMs : config.ALERT_FOR_DURATION,
+        clear: config[`${metric}_CLEAR_THRESHOLD`],
+        hysteresis: config.ALERT_HYSTERESIS,
+    }, overrides));
+}
+
+
+/**
+ * Create an in-memory rule engine.
+ *
+ * Each call to evaluate() reports what the alert lifecycle should observe:
+ *   - 'ok'       below every level (or, once firing, below the clear threshold)
+ *   - 'pending'  breached, but not for `forMs` yet
+ *   - 'firing'   breached for at least `forMs`, or still above the clear threshold
+ *
+ * @returns {{ evaluate: Function, get: Function, forget: Function, reset: Function }}
+ */
+function createRuleEngine() {
+    const conditions = new Map();
+
+    /**
+     * Evaluate one reading for an alert key.
+     *
+     * @param {string} key       Alert key, e.g. 'mem' or 'disk:/data'
+     * @param {number} value     Current reading
+     * @param {object} rule      Result of createRule()
+     * @param {number} [now]     Sample time in milliseconds
+     * @returns {{ status: 'ok'|'pending'|'firing', severity: 'warning'|'critical'|null, since: number|null, level: number|null }}
+     *          `since` is when the breach began; `level` is the threshold behind `severity`
+     */
+    function evaluate(key, value, rule, now = Date.now()) {
+        const current = conditions.get(key);
+        let severity = getSeverity(value, rule);
+
+        // Hysteresis: a firing condition stays active at its lowest level until it clears
+        if (!severity && current && current.firing && value >= rule.clear) {
+            severity = rule.warning ? 'warning' : 'critical';
+        }
+
+        if (!severity) {
+            conditions.delete(key);
+            return { status: 'ok', severity: null, since: null, level: null };
+        }
+
+        const since = current ? current.since : now;
+        const firing = (current && current.firing) || now - since >= rule.forMs;
+        conditions.set(key, { since, firing });
+        return { status: firing ? 'firing' : 'pending', severity, since, level: rule[severity] };
+    }
+
+    function get(key) {
+        return conditions.get(key) || null;
+    }
+
+    // Drop the breach of a key that is no longer measured, e.g. a container that stopped
+    function forget(key) {
+        conditions.delete(key);
+    }
+
+    function reset() {
+        conditions.clear();
+    }
+
+    return { evaluate, get, forget, reset };
+}
+
+
+module.exports = {
+    createRule,
+    ruleFromConfig,
+    createRuleEngine,
+};
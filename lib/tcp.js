@@ -0,0 +1,275 @@
+/**
+============================================================
+    Goal: TCP Connection and Socket Monitoring
+============================================================
+    Why:
+        - Running out of ephemeral ports makes outgoing connections fail with
+          EADDRNOTAVAIL while every other metric looks fine
+        - Thousands of CLOSE_WAIT sockets mean an application stopped closing
+          connections; a flood of TIME_WAIT means connections are not reused
+        - A full listen queue drops new connections before the application sees them
+
+    What:
+        - Counts sockets per TCP state and, for listening ports, per local port
+        - Groups the sockets in one state by where they come from or go to
+        - Measures ephemeral port usage per destination against ip_local_port_range
+        - Turns successive /proc/net/netstat samples into listen overflow rates
+        - Checks socket states, listen overflows and ephemeral ports and builds
+          the alerts for them
+============================================================
+*/
+
+const { TCP_STATES } = require('./proc-metrics');
+const { createCounterSampler, roundReading } = require('./common');
+
+// Counters from /proc/net/netstat (group TcpExt) sampled for rates
+const LISTEN_COUNTERS = ['ListenOverflows', 'ListenDrops'];
+
+// Potential Issues text of the TCP alerts
+const TCP_ADVICE = {
+    timeWait: 'The side that closes a connection keeps it in TIME_WAIT for 60 seconds. Many of them towards one destination mean connections are opened and closed per request instead of reused: enable keep-alive or connection pooling there.',
+    closeWait: 'The peer closed these connections but the application holding them never did. They pile up until the process runs out of file descriptors; `ss -tnp state close-wait` shows which process owns them.',
+    listenOverflows: 'Connections arrive faster than the application accepts them, so the kernel drops the handshakes and clients retry after a second or more. Raise the listen backlog (and net.core.somaxconn) or find what slows the accept loop.',
+    ephemeral: 'Outgoing connections to one destination are running out of local ports; once they are gone connect() fails with EADDRNOTAVAIL. Reuse connections, widen net.ipv4.ip_local_port_range, or spread the traffic over more destination addresses.',
+};
+
+
+/**
+ * Count sockets per state, and per local port for the ports something listens on.
+ *
+ * @param {object[]} sockets  Entries from procMetrics.readTcpSockets()
+ * @returns {{ states: object, ports: object[] }} Counts per TCP_STATES name, and per listening
+ *          port its connections by state plus those waiting for accept(), busiest port first
+ */
+function summariseSockets(sockets) {
+    const states = {};
+    for (const state of Object.values(TCP_STATES)) states[state] = 0;
+    const ports = new Map();
+    for (const socket of sockets.filter(entry => entry.state === 'LISTEN')) {
+        const port = ports.get(socket.localPort) || { port: socket.localPort, connections: 0, states: {}, backlog: 0 };
+        // One port can have a listener per address family or per address
+        port.backlog += socket.rxQueue;
+        ports.set(socket.localPort, port);
+    }
+    for (const socket of sockets) {
+        states[socket.state] = (states[socket.state] || 0) + 1;
+        const port = ports.get(socket.localPort);
+        if (socket.state === 'LISTEN' || !port) continue;
+        port.connections++;
+        port.states[socket.state] = (port.states[socket.state] || 0) + 1;
+    }
+    return { states, ports: [...ports.values()].sort((a, b) => b.connections - a.connections) };
+}
+
+
+/**
+ * Group the sockets in one state by endpoint: the local port for connections to
+ * a listening port, otherwise the remote address and port they connect to.
+ *
+ * @param {object[]} sockets         Entries from procMetrics.readTcpSockets()
+ * @param {string}   state           e.g. 'TIME_WAIT'
+ * @param {number}   [limit=5]
+ * @returns {{ endpoint: string, count: number }[]} Busiest endpoints first
+ */
+function topEndpoints(sockets, state, limit = 5) {
+    const listening = new Set(sockets.filter(entry => entry.state === 'LISTEN').map(entry => entry.localPort));
+    const counts = new Map();
+    for (const socket of sockets.filter(entry => entry.state === state)) {
+        const endpoint = listening.has(socket.localPort)
+            ? `local port ${socket.localPort}`
+            : `to ${formatEndpoint(socket.remoteAddress, socket.remotePort)}`;
+        counts.set(endpoint, (counts.get(endpoint) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .map(([endpoint, count]) => ({ endpoint, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+
+function formatEndpoint(address, port) {
+    return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+
+/**
+ * How much of the ephemeral port range is in use. The kernel can reuse a local
+ * port for connections to different destinations, so the range runs out per
+ * remote address and port: the busiest destination is what counts. Connections
+ * accepted on a listening port use that port, not an ephemeral one.
+ *
+ * @param {object[]} sockets    Entries from procMetrics.readTcpSockets()
+ * @param {{ low: number, high: number }} range  From procMetrics.readLocalPortRange()
+ * @returns {{ rangeSize: number, used: number, busiest: object|null, percent: number }}
+ *          Distinct local ports in use, and the destination using the most of them
+ */
+function ephemeralPortUsage(sockets, { low, high }) {
+    const rangeSize = high - low + 1;
+    const listening = new Set(sockets.filter(entry => entry.state === 'LISTEN').map(entry => entry.localPort));
+    const used = new Set();
+    const destinations = new Map();
+    for (const socket of sockets) {
+        if (listening.has(socket.localPort) || socket.localPort < low || socket.localPort > high) continue;
+        used.add(socket.localPort);
+        const destination = formatEndpoint(socket.remoteAddress, socket.remotePort);
+        destinations.set(destination, (destinations.get(destination) || 0) + 1);
+    }
+    let busiest = null;
+    for (const [destination, count] of destinations) {
+        if (!busiest || count > busiest.count) busiest = { destination, count };
+    }
+    return { rangeSize, used: used.size, busiest, percent: busiest ? busiest.count / rangeSize * 100 : 0 };
+}
+
+
+// Per-second rate of each LISTEN_COUNTERS entry between two /proc/net/netstat samples
+function diffListenCounters(previous, current, elapsedMs) {
+    const rates = {};
+    for (const name of LISTEN_COUNTERS) {
+        const counter = netstat => (netstat.TcpExt && netstat.TcpExt[name]) || 0;
+        rates[name] = Math.max(0, counter(current) - counter(previous)) / (elapsedMs / 1000);
+    }
+    return rates;
+}
+
+
+// Format socket counts per state, leaving out empty states
+function formatTcpStates(states) {
+    return Object.entries(states)
+        .filter(([, count]) => count > 0)
+        .map(([state, count]) => `${state} ${count}`)
+        .join(' | ');
+}
+
+
+// Format the endpoints with the most sockets in `state`
+function formatTcpEndpoints(sockets, state) {
+    const endpoints = topEndpoints(sockets, state);
+    return endpoints.length > 0 ? endpoints.map(entry => `• ${entry.endpoint}: ${entry.count}`).join('\n') : 'None';
+}
+
+
+/**
+ * Check a TCP summary:
+ *   - TIME_WAIT and CLOSE_WAIT counts warn from their thresholds
+ *   - Listen overflows per second warn from theirs (skipped without a rate yet)
+ *   - The busiest destination's share of the ephemeral range goes through `ephemeralRule`
+ *
+ * @param {object}  tcp                              { states, sockets, ports, overflows, ephemeral, portRange }
+ * @param {object}  options
+ * @param {object}  options.ruleEngine               From createRuleEngine()
+ * @param {object}  options.ephemeralRule            From createRule()
+ * @param {number}  options.timeWaitThreshold        TIME_WAIT sockets that warn; 0 is off
+ * @param {number}  options.closeWaitThreshold       CLOSE_WAIT sockets that warn; 0 is off
+ * @param {number}  options.listenOverflowThreshold  Overflows per second that warn; 0 is off
+ * @param {number}  options.now
+ * @param {boolean} [options.dryRun]                 Build no alerts
+ * @returns {{ results: object[], alerts: object[], conditions: object[] }} `conditions`
+ *          are { key, firing, label, detail } for the alert lifecycle
+ */
+function evaluateTcp(tcp, { ruleEngine, ephemeralRule, timeWaitThreshold, closeWaitThreshold, listenOverflowThreshold, now, dryRun = false }) {
+    const results = [];
+    const alerts = [];
+    const conditions = [];
+
+    const statesLine = `*Connections by State:* ${formatTcpStates(tcp.states)}`;
+
+    // A count of sockets in one state, over a warning threshold
+    const countCheck = ({ key, state, threshold, title, advice }) => {
+        const count = tcp.states[state];
+        const firing = threshold > 0 && count >= threshold;
+        results.push(Object.assign({ key, label: `${state} Sockets`, value: count, unit: '', warning: threshold || null, critical: null }, firing
+            ? { severity: 'warning', status: 'firing', detail: `${count} sockets` }
+            : { severity: null, status: 'ok' }));
+        if (firing && !dryRun) {
+            alerts.push({
+                type: 'tcp',
+                key,
+                severity: 'warning',
+                title,
+                value: `*${state}: ${count} sockets (threshold ${threshold})*\n${statesLine}\n*Most ${state} Sockets:*\n${formatTcpEndpoints(tcp.sockets, state)}`,
+                fields: [{ title: 'Potential Issues', value: advice, short: false }]
+            });
+        }
+        conditions.push({ key, firing, label: `${state} Sockets`, detail: `*${state}: ${count} sockets*\n*Threshold: ${threshold}*` });
+    };
+    countCheck({ key: 'tcp:time-wait', state: 'TIME_WAIT', threshold: timeWaitThreshold, title: '🕰️ Many TCP Connections in TIME_WAIT', advice: TCP_ADVICE.timeWait });
+    countCheck({ key: 'tcp:close-wait', state: 'CLOSE_WAIT', threshold: closeWaitThreshold, title: '🧟 TCP Connections Stuck in CLOSE_WAIT', advice: TCP_ADVICE.closeWait });
+
+    if (tcp.overflows) {
+        const key = 'tcp:listen-overflows';
+        const threshold = listenOverflowThreshold;
+        const perSecond = roundReading(tcp.overflows.ListenOverflows);
+        const firing = threshold > 0 && perSecond >= threshold;
+        results.push(Object.assign({ key, label: 'Listen Overflows', value: perSecond, unit: '', warning: threshold || null, critical: null }, firing
+            ? { severity: 'warning', status: 'firing', detail: `${perSecond} per second` }
+            : { severity: null, status: 'ok' }));
+        if (firing && !dryRun) {
+            const queues = tcp.ports
+                .filter(port => port.backlog > 0)
+                .sort((a, b) => b.backlog - a.backlog)
+                .slice(0, 5)
+                .map(port => `• port ${port.port}: ${port.backlog} waiting for accept()`)
+                .join('\n');
+            alerts.push({
+                type: 'tcp',
+                key,
+                severity: 'warning',
+                title: '🚪 TCP Listen Queue Overflows',
+                value: `*Listen Overflows: ${perSecond}/s (threshold ${threshold}/s)*\n*Connection Requests Dropped: ${tcp.overflows.ListenDrops.toFixed(2)}/s*\n*Longest Accept Queues:*\n${queues || 'None right now'}`,
+                fields: [{ title: 'Potential Issues', value: TCP_ADVICE.listenOverflows, short: false }]
+            });
+        }
+        conditions.push({ key, firing, label: 'Listen Overflows', detail: `*Listen Overflows: ${perSecond}/s*\n*Threshold: ${threshold}/s*` });
+    }
+
+    if (tcp.ephemeral) {
+        const key = 'tcp:ephemeral';
+        const { percent, busiest, used, rangeSize } = tcp.ephemeral;
+        const evaluation = ruleEngine.evaluate(key, percent, ephemeralRule, now);
+        results.push({
+            key,
+            label: 'Ephemeral Ports',
+            value: roundReading(percent),
+            severity: evaluation.severity,
+            status: evaluation.status,
+            warning: ephemeralRule.warning,
+            critical: ephemeralRule.critical,
+        });
+        const firing = evaluation.status === 'firing';
+        if (firing && !dryRun) {
+            alerts.push({
+                type: 'tcp',
+                key,
+                severity: evaluation.severity,
+                title: '🔢 Ephemeral Ports Running Out',
+                value: `*Ports In Use Towards ${busiest.destination}: ${busiest.count} of ${rangeSize} (${percent.toFixed(1)}%)*\n*Threshold: ${evaluation.level}%*\n*Local Ports In Use: ${used} (range ${tcp.portRange.low}-${tcp.portRange.high})*\n${statesLine}`,
+                fields: [{ title: 'Potential Issues', value: TCP_ADVICE.ephemeral, short: false }]
+            });
+        }
+        conditions.push({ key, firing, label: 'Ephemeral Ports', detail: `*Ephemeral Ports In Use: ${percent.toFixed(1)}%*\n*Threshold: ${ephemeralRule.clear}%*` });
+    }
+    return { results, alerts, conditions };
+}
+
+
+/**
+ * Create an in-memory sampler that keeps the previous listen queue counters.
+ * `observe(netstat, now)` takes the result of procMetrics.readNetstat() and returns
+ * the per-second rate per LISTEN_COUNTERS entry, or null on the first sample.
+ *
+ * @returns {{ observe: Function, latest: Function, reset: Function }}
+ */
+function createTcpSampler() {
+    return createCounterSampler(diffListenCounters);
+}
+
+
+module.exports = {
+    LISTEN_COUNTERS,
+    summariseSockets,
+    topEndpoints,
+    ephemeralPortUsage,
+    evaluateTcp,
+    createTcpSampler,
+};
@@ -0,0 +1,228 @@
+/**
+============================================================
+    Goal: Process Watchdog
+============================================================
+    Why:
+        - A host can look perfectly healthy while nginx or the app it serves is gone
+        - A service that crash-loops under systemd never shows as down for long
+        - A leaking process takes hours to move host memory, and then it is too late
+
+    What:
+        - Finds required processes by program name, command line regex, pidfile or systemd unit
+        - Notices when one is missing and when its PID changes (a restart)
+        - Counts restarts per process over a sliding window to catch restart loops
+        - Tracks each matched process's RSS to spot steady growth (a leak)
+        - Keeps its state per watched process in memory
+============================================================
+*/
+
+const path = require('path');
+
+const { fitGrowthRate } = require('./forecast');
+const { MATCH_KINDS } = require('./constants');
+
+const HOUR = 60 * 60 * 1000;
+
+
+/**
+ * The program name of a `ps` command line: the first word without its
+ * directory, so "/usr/sbin/nginx -g ..." and "nginx: worker process" are
+ * both "nginx". Kernel threads lose their brackets ("[kworker/0:1]").
+ *
+ * @param {string} command
+ * @returns {string}
+ */
+function processName(command) {
+    const first = String(command || '').trim().split(/\s+/)[0] || '';
+    if (/^\[.*\]$/.test(first)) return first.slice(1, -1);
+    return path.basename(first).replace(/:$/, '');
+}
+
+
+/**
+ * The PIDs in a process list that a watch matches by program name or
+ * command line. Pidfiles and units are looked up by the monitor.
+ *
+ * @param {{ match: string, target: string }} watch
+ * @param {{ pid: string|number, command: string }[]} processes
+ * @returns {number[]}
+ */
+function matchProcesses(watch, processes) {
+    let matches;
+    if (watch.match === 'process') {
+        matches = proc => processName(proc.command) === watch.target;
+    } else if (watch.match === 'cmdline') {
+        const pattern = new RegExp(watch.target);
+        matches = proc => pattern.test(proc.command);
+    } else {
+        throw new Error(`Cannot match ${watch.match} watches against a process list`);
+    }
+    return processes.filter(matches).map(proc => Number(proc.pid));
+}
+
+
+/**
+ * Parse `systemctl show --property=ActiveState,SubState,MainPID,NRestarts`.
+ *
+ * @param {string} output  KEY=value lines
+ * @returns {{ running: boolean, state: string, pids: number[], restartCounter: number|null }}
+ *          `restartCounter` is systemd's own count of automatic restarts (null before systemd 235)
+ */
+function parseUnitStatus(output) {
+    const properties = {};
+    for (const line of String(output).split('\n')) {
+        const separator = line.indexOf('=');
+        if (separator > 0) properties[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    const mainPid = parseInt(properties.MainPID, 10);
+    const restarts = parseInt(properties.NRestarts, 10);
+    return {
+        running: properties.ActiveState === 'active',
+        state: [properties.ActiveState, properties.SubState].filter(Boolean).join('/') || 'unknown',
+        pids: mainPid > 0 ? [mainPid] : [],
+        restartCounter: Number.isInteger(restarts) ? restarts : null,
+    };
+}
+
+
+/**
+ * Create an in-memory watchdog for named processes.
+ *
+ * Each check reports what was found for every watched process. A restart is
+ * counted when none of the previously seen PIDs is left but the process runs
+ * again, or when systemd's restart counter goes up; worker processes coming
+ * and going while the main one stays do not count.
+ *
+ * @returns {{ observe: Function, get: Function, reset: Function }}
+ */
+function createProcessWatchdog() {
+    const watched = new Map();
+
+    /**
+     * Feed one observation for a watched process.
+     *
+     * @param {string} name     Watch name, e.g. 'nginx'
+     * @param {{ running: boolean, pids: number[], restartCounter?: number|null }} found
+     * @param {object} options
+     * @param {number} options.maxRestarts      Restarts within the window that make a restart loop (0 = off)
+     * @param {number} options.restartWindowMs  How far back restarts are counted
+     * @param {number} [now]
+     * @returns {{ running: boolean, pids: number[], previousPids: number[], restarted: number, recovered: boolean,
+     *            restartCount: number, restartLoop: boolean, missingSince: number|null }}
+     *          `restarted` is how many restarts this observation revealed; `recovered`
+     *          means the previous check found the process gone
+     */
+    function observe(name, found, { maxRestarts, restartWindowMs }, now = Date.now()) {
+        const previous = watched.get(name);
+        const pids = found.running ? found.pids : [];
+        const recovered = Boolean(previous) && !previous.running && found.running;
+        let restarted = 0;
+
+        if (previous && found.running) {
+            if (recovered) {
+                // Back after a check that found it gone
+                restarted = 1;
+            } else if (previous.pids.length > 0 && pids.length > 0 && !pids.some(pid => previous.pids.includes(pid))) {
+                restarted = 1;
+            }
+        }
+        const counter = found.restartCounter === undefined ? null : found.restartCounter;
+        if (previous && counter !== null && previous.restartCounter !== null && counter > previous.restartCounter) {
+            // systemd may have restarted it several times between two checks
+            restarted = Math.max(restarted, counter - previous.restartCounter);
+        }
+
+        const restarts = (previous ? previous.restarts : [])
+            .concat(Array(restarted).fill(now))
+            .filter(timestamp => timestamp > now - restartWindowMs);
+        const missingSince = found.running ? null : (previous && previous.missingSince !== null ? previous.missingSince : now);
+
+        watched.set(name, { running: found.running, pids, restartCounter: counter, restarts, missingSince });
+        return {
+            running: found.running,
+            pids,
+            previousPids: previous ? previous.pids : [],
+            restarted,
+            recovered,
+            restartCount: restarts.length,
+            restartLoop: maxRestarts > 0 && restarts.length >= maxRestarts,
+            missingSince,
+        };
+    }
+
+    function get(name) {
+        return watched.get(name) || null;
+    }
+
+    function reset() {
+        watched.clear();
+    }
+
+    return { observe, get, reset };
+}
+
+
+/**
+ * Create an in-memory RSS history per process for leak detection.
+ *
+ * A process is leaking once its RSS went up on every sample for at least
+ * `forMs`. A sample that is not higher than the one before starts its run
+ * over, so a process that levels off or frees memory is never flagged.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxSamples=500]  Samples kept per process (the oldest go first)
+ * @returns {{ observe: Function, prune: Function, reset: Function }}
+ */
+function createLeakTracker({ maxSamples = 500 } = {}) {
+    const runs = new Map();
+
+    /**
+     * Feed one RSS sample for a process.
+     *
+     * @param {string} key        Process key, e.g. 'java:4312'
+     * @param {number} rssBytes
+     * @param {number} forMs      How long RSS must keep growing
+     * @param {number} [now]
+     * @returns {{ leaking: boolean, since: number, samples: { timestamp: number, rssBytes: number }[], bytesPerHour: number|null }}
+     *          `samples` is the growth curve since `since`, oldest first
+     */
+    function observe(key, rssBytes, forMs, now = Date.now()) {
+        const run = runs.get(key);
+        const sample = { timestamp: now, rssBytes };
+        const next = run && rssBytes > run.samples[run.samples.length - 1].rssBytes
+            ? { since: run.since, samples: run.samples.concat(sample).slice(-maxSamples) }
+            : { since: now, samples: [sample] };
+        runs.set(key, next);
+
+        const rate = fitGrowthRate(next.samples.map(point => ({ timestamp: point.timestamp, usedBytes: point.rssBytes })));
+        return {
+            leaking: next.samples.length > 1 && now - next.since >= forMs,
+            since: next.since,
+            samples: next.samples,
+            bytesPerHour: rate === null ? null : rate * HOUR,
+        };
+    }
+
+    // Forget processes that have exited
+    function prune(activeKeys) {
+        for (const key of runs.keys()) {
+            if (!activeKeys.has(key)) runs.delete(key);
+        }
+    }
+
+    function reset() {
+        runs.clear();
+    }
+
+    return { observe, prune, reset };
+}
+
+
+module.exports = {
+    MATCH_KINDS,
+    processName,
+    matchProcesses,
+    parseUnitStatus,
+    createProcessWatchdog,
+    createLeakTracker,
+};
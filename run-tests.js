@@ -3,7 +3,7 @@
  * ------------------------------------------------
  * Allows running all core tests without Jest or external dependencies.
  * - Used for quick validation and CI environments.
- * - Mocks system calls and file operations for safe testing.
+ * - Mocks system calls, /proc reads and file operations for safe testing.
  * - See TEST_README.md for more details.
  *
  * How to use:
@@ -23,12 +23,34 @@ const originalExecSync = cp.execSync;
 const originalExistsSync = fs.existsSync;
 const originalReadFileSync = fs.readFileSync;
 const originalWriteFileSync = fs.writeFileSync;
+const originalStatfsSync = fs.statfsSync;
 
 let mockExecSyncReturnValues = [];
 let mockExecSyncCallCount = 0;
 let mockFsExistsSync = false;
 let mockFsReadFileSync = '0';
 let mockFsWriteFileSyncCalled = false;
+let mockProcFiles = {};
+let mockStatfsError = null;
+
+// Realistic /proc contents used as defaults
+const DEFAULT_PROC_FILES = {
+    '/proc/stat': 'cpu  855 0 0 145 0 0 0 0 0 0\ncpu0 855 0 0 145 0 0 0 0 0 0',
+    '/proc/meminfo': [
+        'MemTotal:       15728640 kB',
+        'MemFree:         2202010 kB',
+        'MemAvailable:    7130317 kB',
+        'Buffers:          419430 kB',
+        'Cached:          4089446 kB',
+        'Shmem:                 0 kB',
+        'SReclaimable:     419430 kB',
+        'SwapTotal:       8388608 kB',
+        'SwapFree:        7130317 kB'
+    ].join('\n'),
+    '/proc/loadavg': '1.25 1.15 0.95 2/345 6789',
+    '/proc/uptime': '186300.52 350000.10',
+    '/proc/mounts': '/dev/sda1 / ext4 rw,relatime 0 0'
+};
 
 function mockExecSyncFn(command, options) {
     mockExecSyncCallCount++;
@@ -41,59 +63,59 @@ function mockExecSyncFn(command, options) {
     }
     
     // Provide safe, realistic mocked system outputs as defaults
-    if (command.includes("top -bn1 | grep 'Cpu(s)'")) {
-        return '85.5';
-    } else if (command.includes("free | grep Mem")) {
-        return '75.3';
-    } else if (command.includes("free | grep Swap")) {
-        return '35.7';
-    } else if (command.includes("free -h")) {
-        return `              total        used        free      shared  buff/cache   available
-Mem:           15Gi       8.2Gi       2.1Gi       0.0Ki       4.7Gi       6.8Gi
-Swap:         8.0Gi       1.2Gi       6.8Gi`;
-    } else if (command.includes("ps aux --sort=-%cpu")) {
+    if (command.includes("ps aux --sort=-%cpu")) {
         return `user1 1234 25.5 10.2 1234567 89012 pts/0 S+ 10:30 0:05 /usr/bin/node app.js
 user2 5678 15.2 5.1 987654 32109 pts/1 R+ 10:31 0:02 /usr/bin/python script.py`;
     } else if (command.includes("ps aux --sort=-%mem")) {
         return `user1 1234 5.2 25.5 1234567 89012 pts/0 S+ 10:30 0:05 /usr/bin/node app.js
 user2 5678 3.1 15.2 987654 32109 pts/1 R+ 10:31 0:02 /usr/bin/python script.py`;
-    } else if (command.includes("uptime -p")) {
-        return 'up 2 days, 3 hours, 45 minutes';
-    } else if (command.includes("uptime")) {
-        return ' 10:45:30 up 2 days, 3:45, 2 users, load average: 1.25, 1.15, 0.95';
-    } else if (command.includes("df -h /")) {
-        return '/dev/sda1       100G   75G   20G  79% /';
     }
     return '';
 }
 
 function mockExistsSync(path) {
-    if (path.includes('.last_health_alert') || path.includes('.last_disk_alert') || path.includes('.env')) {
+    if (path.includes('_alert_state.json') || path.includes('.env')) {
         return mockFsExistsSync;
     }
     return originalExistsSync(path);
 }
 
 function mockReadFileSync(path, encoding) {
-    if (path.includes('.last_health_alert') || path.includes('.last_disk_alert') || path.includes('.env')) {
+    if (typeof path === 'string' && path in mockProcFiles) {
+        const content = mockProcFiles[path];
+        if (content instanceof Error) {
+            throw content;
+        }
+        return content;
+    }
+    if (path.includes('_alert_state.json') || path.includes('.env')) {
         return mockFsReadFileSync;
     }
     return originalReadFileSync(path, encoding);
 }
 
 function mockWriteFileSync(path, data, options) {
-    if (path.includes('.last_health_alert') || path.includes('.last_disk_alert')) {
+    if (path.includes('_alert_state.json')) {
         mockFsWriteFileSyncCalled = true;
         return;
     }
     return originalWriteFileSync(path, data, options);
 }
 
+// statfs for '/': 100Gi total, 75Gi used, 20Gi available
+function mockStatfsSync() {
+    if (mockStatfsError) {
+        throw mockStatfsError;
+    }
+    return { bsize: 4096, blocks: 26214400, bfree: 6553600, bavail: 5242880, files: 6553600, ffree: 6000000 };
+}
+
 // Override module properties
 cp.execSync = mockExecSyncFn;
 fs.existsSync = mockExistsSync;
 fs.readFileSync = mockReadFileSync;
 fs.writeFileSync = mockWriteFileSync;
+fs.statfsSync = mockStatfsSync;
 
 function resetMocks() {
     mockExecSyncReturnValues = [];
@@ -101,6 +123,9 @@ function resetMocks() {
     mockFsExistsSync = false;
     mockFsReadFileSync = '0';
     mockFsWriteFileSyncCalled = false;
+    mockProcFiles = Object.assign({}, DEFAULT_PROC_FILES);
+    mockStatfsError = null;
+    cpuSampler.reset();
 }
 
 // Now safely import the functions to test
@@ -115,7 +140,8 @@ const {
     getSystemLoad,
     getUptime,
     getDiskUsage,
-    formatProcessList
+    formatProcessList,
+    cpuSampler
 } = require('./system-health-monitor');
 
 // Simple test runner for system health monitor
@@ -168,7 +194,6 @@ function expect(value) {
 // Test CPU Usage
 test('getCpuUsage should return correct CPU percentage', () => {
     resetMocks();
-    mockExecSyncReturnValues = ['85.5'];
     
     const result = getCpuUsage();
     expect(result).toBe(85.5);
@@ -176,7 +201,7 @@ test('getCpuUsage should return correct CPU percentage', () => {
 
 test('getCpuUsage should handle errors gracefully', () => {
     resetMocks();
-    mockExecSyncReturnValues = [new Error('Command failed')];
+    mockProcFiles['/proc/stat'] = new Error('ENOENT');
     
     const result = getCpuUsage();
     expect(result).toBeNull();
@@ -185,25 +210,20 @@ test('getCpuUsage should handle errors gracefully', () => {
 // Test Memory Usage
 test('getMemUsage should return correct memory percentage', () => {
     resetMocks();
-    mockExecSyncReturnValues = ['75.3'];
     
     const result = getMemUsage();
-    expect(result).toBe(75.3);
+    expect(result).toBe(54.7);
 });
 
 test('getDetailedMemoryInfo should parse memory info correctly', () => {
     resetMocks();
-    const mockFreeOutput = `              total        used        free      shared  buff/cache   available
-Mem:           15Gi       8.2Gi       2.1Gi       0.0Ki       4.7Gi       6.8Gi
-Swap:         8.0Gi       1.2Gi       6.8Gi`;
-    mockExecSyncReturnValues = [mockFreeOutput];
     
     const result = getDetailedMemoryInfo();
     expect(result).toEqual({
         total: '15Gi',
         used: '8.2Gi',
         free: '2.1Gi',
-        shared: '0.0Ki',
+        shared: '0B',
         cache: '4.7Gi',
         available: '6.8Gi'
     });
@@ -237,18 +257,13 @@ user2 5678 3.1 15.2 987654 32109 pts/1 R+ 10:31 0:02 /usr/bin/python script.py`;
 // Test Swap Usage
 test('getSwapUsage should return correct swap percentage', () => {
     resetMocks();
-    mockExecSyncReturnValues = ['35.7'];
     
     const result = getSwapUsage();
-    expect(result).toBe(35.7);
+    expect(result).toBe(15);
 });
 
 test('getDetailedSwapInfo should parse swap info correctly', () => {
     resetMocks();
-    const mockFreeOutput = `              total        used        free      shared  buff/cache   available
-Mem:           15Gi       8.2Gi       2.1Gi       0.0Ki       4.7Gi       6.8Gi
-Swap:         8.0Gi       1.2Gi       6.8Gi`;
-    mockExecSyncReturnValues = [mockFreeOutput];
     
     const result = getDetailedSwapInfo();
     expect(result).toEqual({
@@ -261,8 +276,6 @@ Swap:         8.0Gi       1.2Gi       6.8Gi`;
 // Test System Information
 test('getSystemLoad should parse load averages correctly', () => {
     resetMocks();
-    const mockUptimeOutput = ' 10:45:30 up 2 days, 3:45, 2 users, load average: 1.25, 1.15, 0.95';
-    mockExecSyncReturnValues = [mockUptimeOutput];
     
     const result = getSystemLoad();
     expect(result).toEqual({
@@ -274,8 +287,6 @@ test('getSystemLoad should parse load averages correctly', () => {
 
 test('getUptime should return uptime string', () => {
     resetMocks();
-    const mockUptimeOutput = 'up 2 days, 3 hours, 45 minutes';
-    mockExecSyncReturnValues = [mockUptimeOutput];
     
     const result = getUptime();
     expect(result).toBe('up 2 days, 3 hours, 45 minutes');
@@ -283,16 +294,15 @@ test('getUptime should return uptime string', () => {
 
 test('getDiskUsage should parse disk usage correctly', () => {
     resetMocks();
-    const mockDfOutput = '/dev/sda1       100G   75G   20G  79% /';
-    mockExecSyncReturnValues = [mockDfOutput];
     
     const result = getDiskUsage();
     expect(result).toEqual({
         filesystem: '/dev/sda1',
-        size: '100G',
-        used: '75G',
-        available: '20G',
+        size: '100Gi',
+        used: '75Gi',
+        available: '20Gi',
         usagePercent: '79%',
+        inodeUsagePercent: '9%',
         mountpoint: '/'
     });
 });
@@ -350,17 +360,13 @@ test('formatProcessList should truncate long command names', () => {
 test('should handle command failures gracefully', () => {
     resetMocks();
     mockExecSyncReturnValues = [
-        new Error('Command failed'), // getCpuUsage
         new Error('Command failed'), // getTopCpuProcesses
-        new Error('Command failed'), // getMemUsage
-        new Error('Command failed'), // getDetailedMemoryInfo
-        new Error('Command failed'), // getTopMemoryProcesses
-        new Error('Command failed'), // getSwapUsage
-        new Error('Command failed'), // getDetailedSwapInfo
-        new Error('Command failed'), // getSystemLoad
-        new Error('Command failed'), // getUptime
-        new Error('Command failed')  // getDiskUsage
+        new Error('Command failed')  // getTopMemoryProcesses
     ];
+    Object.keys(mockProcFiles).forEach(file => {
+        mockProcFiles[file] = new Error('ENOENT');
+    });
+    mockStatfsError = new Error('ENOENT');
     
     expect(getCpuUsage()).toBeNull();
     expect(getTopCpuProcesses()).toEqual([]);
@@ -386,6 +392,7 @@ cp.execSync = originalExecSync;
 fs.existsSync = originalExistsSync;
 fs.readFileSync = originalReadFileSync;
 fs.writeFileSync = originalWriteFileSync;
+fs.statfsSync = originalStatfsSync;
 
 if (testsFailed === 0) {
     logger.info('All standalone tests passed');
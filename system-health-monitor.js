@@ -4,55 +4,236 @@
 ============================================================
     Why:
         - Proactively detect and alert on system resource issues (CPU, memory, swap, disk)
-        - Prevent downtime and performance degradation by notifying admins via Slack
+        - Prevent downtime and performance degradation by notifying admins via Slack, Teams, email or other channels
         - Provide actionable process details for troubleshooting
 
     What:
-        - Periodically checks system health metrics
-        - Sends Slack alerts when thresholds are exceeded
+        - Periodically checks system health metrics read natively from /proc
+        - Alerts on pressure stall information (PSI): time tasks spent waiting on CPU, memory and I/O
+        - Sends alerts through the configured notifier channels (Slack, Teams, email, ...)
         - Includes top resource-consuming processes in alerts
-        - Implements cooldowns and duration checks to avoid alert spam
+        - Classifies every alert as warning or critical; escalations bypass the cooldown
+        - Applies a "for" duration and a clear threshold (hysteresis) to every metric
+        - Implements per-alert-key cooldowns to avoid alert spam, in its own JSON
+          state file (.health_alert_state.json)
+        - Tracks each alert condition's lifecycle and announces recoveries
+        - Watches required processes and systemd units for deaths, restarts and restart loops
+        - Enforces per-process RSS limits and flags processes whose memory keeps growing
+        - Reports OOM kills, hung tasks, filesystem errors and segfault floods from the kernel log
+        - Watches each network interface for lost links, saturation, errors and drops
+        - Watches each block device for sustained saturation (%util) and slow I/O (await)
+        - Watches TCP sockets for TIME_WAIT and CLOSE_WAIT floods, listen queue overflows
+          and ephemeral port exhaustion
+        - Optionally serves Prometheus metrics and a local web dashboard
         - Exports functions for testing and extension
 ============================================================
 */
 
 const cp = require('child_process');
-const axios = require('axios');
 const fs = require('fs');
+const os = require('os');
 
+const { loadConfig, watchConfig } = require('./lib/config');
 const {
-    loadConfig,
-    createAlertTracker,
-    validateWebhook,
+    SEVERITY_COLORS,
+    severityField,
+    createCooldownStore,
+    createCounterSampler,
+    roundReading,
+    formatBytes,
+    formatDuration,
     setupGracefulShutdown,
 } = require('./lib/common');
 const { getLogger } = require('./lib/logger');
+const { SECTOR_BYTES, createProcMetrics, diffCpuTimes, statFilesystem } = require('./lib/proc-metrics');
+const { getMountUsages } = require('./lib/mounts');
+const { createChannels, createNotifier, validateNotifier } = require('./lib/notifiers');
+const { STATES, createAlertLifecycle } = require('./lib/alert-lifecycle');
+const { ruleFromConfig, createRuleEngine } = require('./lib/rules');
+const { createMetricSet, createMetricsServer } = require('./lib/prometheus');
+const { createHistoryStore, sparkline } = require('./lib/history');
+const { createDashboardServer } = require('./lib/dashboard');
+const { matchProcesses, parseUnitStatus, createProcessWatchdog, createLeakTracker } = require('./lib/watchdog');
+const { EVENT_KINDS, createKernelEventReader, createKernelEventLog } = require('./lib/kernel-events');
+const { selectInterfaces, linkUtilisation, formatBitRate, evaluateInterfaces, createNetworkSampler } = require('./lib/network');
+const { selectBlockDevices, formatByteRate, evaluateBlockDevices, createDiskIoSampler } = require('./lib/disk-io');
+const { summariseSockets, ephemeralPortUsage, evaluateTcp, createTcpSampler } = require('./lib/tcp');
+const { scanFdUsage, evaluateProcessFds } = require('./lib/file-descriptors');
+const { containerFromCgroup, groupContainers, parseContainerList, containerSetting, evaluateContainers, createContainerSampler } = require('./lib/containers');
 
 const logger = getLogger('system-health-monitor');
 
 // =====================
 // Configuration Section
 // =====================
-const config = loadConfig();
+// Everything derived from the configuration is rebuilt by applyConfig() when it is reloaded
+let config;
+let RULES;
+let NET_SATURATION_RULE;
+let DISK_UTIL_RULE;
+let EPHEMERAL_PORTS_RULE;
+let PROCESS_FDS_RULE;
+let notifier;
+let procMetrics;
+let history;
+let kernelEvents;
 
-const SLACK_WEBHOOK_URL          = config.SLACK_WEBHOOK_URL;
-const CPU_THRESHOLD              = config.CPU_THRESHOLD;
-const MEM_THRESHOLD              = config.MEM_THRESHOLD;
-const SWAP_THRESHOLD             = config.SWAP_THRESHOLD;
-const CPU_OVER_THRESHOLD_DURATION = config.CPU_OVER_THRESHOLD_DURATION;
-const CHECK_INTERVAL             = config.CHECK_INTERVAL;
-const ALERT_COOLDOWN             = config.ALERT_COOLDOWN;
+function applyConfig(next) {
+    config = next;
 
-// Alert cooldown tracking (persisted to file)
-const alertTracker = createAlertTracker('.last_health_alert', logger);
+    // Warning/critical levels, "for" duration and clear threshold per alert type
+    RULES = {
+        cpu: ruleFromConfig(config, 'CPU', { forMs: config.CPU_OVER_THRESHOLD_DURATION }),
+        iowait: ruleFromConfig(config, 'IOWAIT'),
+        steal: ruleFromConfig(config, 'STEAL'),
+        mem: ruleFromConfig(config, 'MEM'),
+        swap: ruleFromConfig(config, 'SWAP'),
+        cpuPressure: ruleFromConfig(config, 'CPU_PRESSURE'),
+        memPressure: ruleFromConfig(config, 'MEM_PRESSURE'),
+        ioPressure: ruleFromConfig(config, 'IO_PRESSURE'),
+        cpuPressureFull: ruleFromConfig(config, 'CPU_PRESSURE_FULL'),
+        memPressureFull: ruleFromConfig(config, 'MEM_PRESSURE_FULL'),
+        ioPressureFull: ruleFromConfig(config, 'IO_PRESSURE_FULL'),
+    };
+    // Applied per interface (saturation:eth0, ...), so it is not one of the host-wide RULES
+    NET_SATURATION_RULE = ruleFromConfig(config, 'NET_SATURATION');
+    // Likewise applied per block device (util:sda, ...)
+    DISK_UTIL_RULE = ruleFromConfig(config, 'DISK_UTIL');
+    // Checked with the other TCP conditions, per busiest destination
+    EPHEMERAL_PORTS_RULE = ruleFromConfig(config, 'EPHEMERAL_PORTS');
+    // Applied to whichever process is closest to its open file limit
+    PROCESS_FDS_RULE = ruleFromConfig(config, 'PROCESS_FDS');
 
+    // Alert delivery to every configured channel, routed per alert type
+    notifier = createNotifier({ channels: createChannels(config), routes: config.ALERT_ROUTES }, logger);
 
-// Get current CPU usage as a percentage
-function getCpuUsage() {
+    // Native /proc and /sys readers (PROC_ROOT and SYS_ROOT let tests point at fixture directories)
+    procMetrics = createProcMetrics({ procRoot: config.PROC_ROOT, sysRoot: config.SYS_ROOT });
+
+    // Kernel log reader for OOM kills and other kernel events (null when KERNEL_EVENT_SOURCE is off)
+    kernelEvents = config.KERNEL_EVENT_SOURCE === 'off'
+        ? null
+        : createKernelEventReader({ source: config.KERNEL_EVENT_SOURCE, kmsgPath: config.KERNEL_KMSG_PATH, procRoot: config.PROC_ROOT });
+
+    // Every check's readings, for `linux-monitor history`
+    history = config.HISTORY_RETENTION > 0
+        ? createHistoryStore('.health_history.json', { retentionMs: config.HISTORY_RETENTION, rawRetentionMs: config.HISTORY_RAW_RETENTION }, logger)
+        : null;
+}
+
+applyConfig(loadConfig(logger));
+
+// HEALTH_CHECK_INTERVAL overrides the shared CHECK_INTERVAL
+function getCheckInterval() {
+    return config.HEALTH_CHECK_INTERVAL !== null ? config.HEALTH_CHECK_INTERVAL : config.CHECK_INTERVAL;
+}
+
+// Breach start and firing state per alert type, driven by RULES
+const ruleEngine = createRuleEngine();
+
+// Cooldowns per alert key (cpu, mem, container-mem:<id>, ...) in this monitor's own state file
+const cooldowns = createCooldownStore('.health_alert_state.json', logger);
+
+// OK / PENDING / FIRING / RESOLVED per condition (cpu, iowait, steal, mem, swap)
+const alertLifecycle = createAlertLifecycle(logger);
+
+// PIDs and recent restarts per watched process (PROCESS_WATCH)
+const processWatchdog = createProcessWatchdog();
+
+// RSS growth per matched process (PROCESS_LIMITS with leakFor)
+const leakTracker = createLeakTracker();
+
+// Where the previous check stopped reading the kernel log, and its recent segfaults
+const kernelEventLog = createKernelEventLog();
+
+// The previous /proc/stat sample, for CPU usage since the previous check
+const cpuSampler = createCounterSampler(diffCpuBreakdown);
+
+// The previous /proc/net/dev sample, for per-interface rates
+const networkSampler = createNetworkSampler();
+
+// getNetworkBandwidth()'s own previous sample, so calling it does not shorten the interval the check measures
+const bandwidthSampler = createNetworkSampler();
+
+// The previous /proc/diskstats sample, for per-device latency and utilisation
+const diskIoSampler = createDiskIoSampler();
+
+// getDiskIO()'s own previous sample, so calling it does not shorten the interval the check measures
+const diskOpsSampler = createDiskIoSampler();
+
+// The previous listen overflow counters from /proc/net/netstat
+const tcpSampler = createTcpSampler();
+
+// The previous cgroup CPU counters per container
+const containerSampler = createContainerSampler();
+
+// Name and image per container ID from `<CONTAINER_CLI> ps` (null when it did not list the ID)
+const containerNames = new Map();
+
+// The container each memory and CPU alert key belongs to, kept until the key is OK again
+// after the container is gone
+const containerConditions = new Map();
+
+// How the lookups went: a CONTAINER_CLI that is not installed is not run again until the
+// setting changes, and a failing one is logged once until it works again
+const containerLookup = {
+    missingCli: null,
+    failing: false,
+    reset() {
+        containerNames.clear();
+        this.missingCli = null;
+        this.failing = false;
+    },
+};
+
+// How recoveries are described, keyed by alert type
+const RECOVERY_LABELS = {
+    cpu: 'CPU Usage',
+    iowait: 'CPU I/O Wait',
+    steal: 'CPU Steal Time',
+    mem: 'Memory Usage',
+    swap: 'Swap Usage',
+    cpuPressure: 'CPU Pressure',
+    memPressure: 'Memory Pressure',
+    ioPressure: 'I/O Pressure',
+    cpuPressureFull: 'CPU Full Pressure',
+    memPressureFull: 'Memory Full Pressure',
+    ioPressureFull: 'I/O Full Pressure',
+};
+
+// The /proc/pressure resource and line ("some" or "full") behind each pressure alert type
+const PRESSURE_TYPES = {
+    cpuPressure: { resource: 'cpu', line: 'some' },
+    memPressure: { resource: 'memory', line: 'some' },
+    ioPressure: { resource: 'io', line: 'some' },
+    cpuPressureFull: { resource: 'cpu', line: 'full' },
+    memPressureFull: { resource: 'memory', line: 'full' },
+    ioPressureFull: { resource: 'io', line: 'full' },
+};
+
+// Readings and rule evaluations of the most recent check, shown on the dashboard
+let latestCheck = { readings: {}, evaluations: {} };
+
+
+
+// CPU utilisation between two /proc/stat samples, split per mode and per core;
+// without a previous sample it is "since boot", the same as top's first frame
+function diffCpuBreakdown(previous, times) {
+    const overall = diffCpuTimes(previous ? previous.total : null, times.total);
+    const cores = times.cores.map(core => {
+        const previousCore = previous ? previous.cores.find(c => c.id === core.id) : null;
+        return Object.assign({ id: core.id }, diffCpuTimes(previousCore, core));
+    });
+    return { usage: overall.usage, modes: overall.modes, cores };
+}
+
+
+// Get CPU utilisation since the previous sample, split per mode and per core
+function getCpuBreakdown() {
     try {
-        // Uses 'top' and 'awk' to sum user and system CPU usage
-        const output = cp.execSync("top -bn1 | grep 'Cpu(s)' | awk '{print $2 + $4}'", { encoding: 'utf8' });
-        return parseFloat(output.trim());
+        const times = procMetrics.readCpuTimes();
+        // /proc/stat keeps its own clock: the total jiffies, which only move forward
+        return cpuSampler.observe(times, times.total.total) || diffCpuBreakdown(null, times);
     } catch (error) {
         logger.error({ err: error }, 'Error getting CPU usage');
         return null;
@@ -60,30 +241,59 @@ function getCpuUsage() {
 }
 
 
+// Get current CPU usage as a percentage
+function getCpuUsage() {
+    const breakdown = getCpuBreakdown();
+    return breakdown ? breakdown.usage : null;
+}
+
+
+// Parse `ps aux` lines (without the header); lines missing a column are skipped.
+// `rss` stays as ps prints it (KiB); `rssBytes` is the same figure for limits.
+function parseProcessList(output) {
+    return output.trim().split('\n').map(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length >= 11) {
+            return {
+                user: parts[0],
+                pid: parts[1],
+                cpu: parseFloat(parts[2]),
+                mem: parseFloat(parts[3]),
+                vsz: parts[4],
+                rss: parts[5],
+                rssBytes: parseInt(parts[5], 10) * 1024,
+                tty: parts[6],
+                stat: parts[7],
+                start: parts[8],
+                time: parts[9],
+                command: parts.slice(10).join(' ')
+            };
+        }
+        return null;
+    }).filter(Boolean);
+}
+
+
+// Add the name of the container each process runs in, when it runs in one
+function labelContainers(processes) {
+    for (const proc of processes) {
+        try {
+            const found = containerFromCgroup(procMetrics.readProcessCgroup(proc.pid));
+            if (found) proc.container = containerName(found.id);
+        } catch (error) {
+            // The process exited since ps listed it
+        }
+    }
+    return processes;
+}
+
+
 // Get top N processes by CPU usage
 function getTopCpuProcesses(limit = 5) {
     try {
         // Uses 'ps aux' sorted by CPU, returns process details
         const output = cp.execSync(`ps aux --sort=-%cpu | head -${limit + 1} | tail -${limit}`, { encoding: 'utf8' });
-        return output.trim().split('\n').map(line => {
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 11) {
-                return {
-                    user: parts[0],
-                    pid: parts[1],
-                    cpu: parseFloat(parts[2]),
-                    mem: parseFloat(parts[3]),
-                    vsz: parts[4],
-                    rss: parts[5],
-                    tty: parts[6],
-                    stat: parts[7],
-                    start: parts[8],
-                    time: parts[9],
-                    command: parts.slice(10).join(' ')
-                };
-            }
-            return null;
-        }).filter(Boolean);
+        return labelContainers(parseProcessList(output));
     } catch (error) {
         logger.error({ err: error }, 'Error getting top CPU processes');
         return [];
@@ -94,9 +304,10 @@ function getTopCpuProcesses(limit = 5) {
 // Get current memory usage as a percentage
 function getMemUsage() {
     try {
-        // Uses 'free' and 'awk' to calculate memory usage
-        const output = cp.execSync("free | grep Mem | awk '{print $3/$2 * 100.0}'", { encoding: 'utf8' });
-        return parseFloat(output.trim());
+        // Counts reclaimable cache as free, like the "available" column of free
+        const info = procMetrics.readMemInfo();
+        const available = memAvailable(info);
+        return parseFloat(((info.MemTotal - available) / info.MemTotal * 100).toFixed(1));
     } catch (error) {
         logger.error({ err: error }, 'Error getting memory usage');
         return null;
@@ -107,20 +318,16 @@ function getMemUsage() {
 // Get detailed memory info (human-readable)
 function getDetailedMemoryInfo() {
     try {
-        // Uses 'free -h' for breakdown
-        const freeOutput = cp.execSync("free -h", { encoding: 'utf8' });
-        const lines = freeOutput.split('\n');
-        if (lines.length < 2) return null;
-        const memLine = lines[1];
-        const parts = memLine.trim().split(/\s+/);
-        if (parts.length < 7) return null;
+        const info = procMetrics.readMemInfo();
+        const cache = (info.Buffers || 0) + (info.Cached || 0) + (info.SReclaimable || 0);
+        const available = memAvailable(info);
         return {
-            total: parts[1],
-            used: parts[2],
-            free: parts[3],
-            shared: parts[4],
-            cache: parts[5],
-            available: parts[6]
+            total: formatBytes(info.MemTotal),
+            used: formatBytes(Math.max(0, info.MemTotal - (info.MemFree || 0) - cache)),
+            free: formatBytes(info.MemFree || 0),
+            shared: formatBytes(info.Shmem || 0),
+            cache: formatBytes(cache),
+            available: formatBytes(available)
         };
     } catch (error) {
         logger.error({ err: error }, 'Error getting detailed memory info');
@@ -129,30 +336,19 @@ function getDetailedMemoryInfo() {
 }
 
 
+// MemAvailable is missing on pre-3.14 kernels; fall back to free + page cache
+function memAvailable(info) {
+    if (info.MemAvailable !== undefined) return info.MemAvailable;
+    return (info.MemFree || 0) + (info.Buffers || 0) + (info.Cached || 0);
+}
+
+
 // Get top N processes by memory usage
 function getTopMemoryProcesses(limit = 5) {
     try {
         // Uses 'ps aux' sorted by memory, returns process details
         const output = cp.execSync(`ps aux --sort=-%mem | head -${limit + 1} | tail -${limit}`, { encoding: 'utf8' });
-        return output.trim().split('\n').map(line => {
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 11) {
-                return {
-                    user: parts[0],
-                    pid: parts[1],
-                    cpu: parseFloat(parts[2]),
-                    mem: parseFloat(parts[3]),
-                    vsz: parts[4],
-                    rss: parts[5],
-                    tty: parts[6],
-                    stat: parts[7],
-                    start: parts[8],
-                    time: parts[9],
-                    command: parts.slice(10).join(' ')
-                };
-            }
-            return null;
-        }).filter(Boolean);
+        return labelContainers(parseProcessList(output));
     } catch (error) {
         logger.error({ err: error }, 'Error getting top memory processes');
         return [];
@@ -160,12 +356,55 @@ function getTopMemoryProcesses(limit = 5) {
 }
 
 
+// Get every running process, or null when ps fails
+function listProcesses() {
+    try {
+        return parseProcessList(cp.execSync('ps aux --no-headers', { encoding: 'utf8' }));
+    } catch (error) {
+        logger.error({ err: error }, 'Error listing processes');
+        return null;
+    }
+}
+
+
+// Get pressure stall information per resource, or null when it cannot be read.
+// Kernels without PSI (before 4.20, or booted with psi=0) give undefined: there
+// is nothing to report, which is not the same as a source that stopped working
+function getPressure() {
+    try {
+        return procMetrics.readPressure();
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EOPNOTSUPP') return undefined;
+        logger.error({ err: error }, 'Error reading pressure stall information');
+        return null;
+    }
+}
+
+// The stall percentage per pressure alert type, at PRESSURE_AVERAGE; empty without PSI.
+// Types without a critical level are off, and kernels before 5.13 have no CPU "full" line
+function getPressureReadings(pressure) {
+    if (pressure === undefined) return {};
+    const readings = {};
+    for (const [type, { resource, line }] of Object.entries(PRESSURE_TYPES)) {
+        if (RULES[type].critical === null || (pressure && !pressure[resource][line])) continue;
+        readings[type] = pressure ? pressure[resource][line][config.PRESSURE_AVERAGE] : null;
+    }
+    return readings;
+}
+
+// Format one resource's stall averages, e.g. "some 4.2% / 3.1%, full 1.0% / 0.5%" (avg10 / avg60)
+function formatPressure(stalls) {
+    const line = (name, values) => `${name} ${values.avg10.toFixed(1)}% / ${values.avg60.toFixed(1)}%`;
+    return stalls.full ? `${line('some', stalls.some)}, ${line('full', stalls.full)}` : line('some', stalls.some);
+}
+
+
 // Get current swap usage as a percentage
 function getSwapUsage() {
     try {
-        // Uses 'free' and 'awk' to calculate swap usage
-        const output = cp.execSync("free | grep Swap | awk '{if ($2==0) print 0; else print $3/$2 * 100.0}'", { encoding: 'utf8' });
-        return parseFloat(output.trim());
+        const info = procMetrics.readMemInfo();
+        if (!info.SwapTotal) return 0;
+        return parseFloat(((info.SwapTotal - (info.SwapFree || 0)) / info.SwapTotal * 100).toFixed(1));
     } catch (error) {
         logger.error({ err: error }, 'Error getting swap usage');
         return null;
@@ -176,17 +415,13 @@ function getSwapUsage() {
 // Get detailed swap info (human-readable)
 function getDetailedSwapInfo() {
     try {
-        // Uses 'free -h' for breakdown
-        const freeOutput = cp.execSync("free -h", { encoding: 'utf8' });
-        const lines = freeOutput.split('\n');
-        if (lines.length < 3) return null;
-        const swapLine = lines[2];
-        const parts = swapLine.trim().split(/\s+/);
-        if (parts.length < 4) return null;
+        const info = procMetrics.readMemInfo();
+        const total = info.SwapTotal || 0;
+        const free = info.SwapFree || 0;
         return {
-            total: parts[1],
-            used: parts[2],
-            free: parts[3]
+            total: formatBytes(total),
+            used: formatBytes(total - free),
+            free: formatBytes(free)
         };
     } catch (error) {
         logger.error({ err: error }, 'Error getting detailed swap info');
@@ -198,17 +433,12 @@ function getDetailedSwapInfo() {
 // Get system load averages (1, 5, 15 min)
 function getSystemLoad() {
     try {
-        // Uses 'uptime' and regex to extract load averages
-        const output = cp.execSync("uptime", { encoding: 'utf8' });
-        const loadMatch = output.match(/load average: ([\d.]+), ([\d.]+), ([\d.]+)/);
-        if (loadMatch) {
-            return {
-                '1min': parseFloat(loadMatch[1]),
-                '5min': parseFloat(loadMatch[2]),
-                '15min': parseFloat(loadMatch[3])
-            };
-        }
-        return null;
+        const load = procMetrics.readLoadAvg();
+        return {
+            '1min': load['1min'],
+            '5min': load['5min'],
+            '15min': load['15min']
+        };
     } catch (error) {
         logger.error({ err: error }, 'Error getting system load');
         return null;
@@ -216,11 +446,11 @@ function getSystemLoad() {
 }
 
 
-// Get system uptime (pretty format)
+// Get system uptime (pretty format, same wording as `uptime -p`)
 function getUptime() {
     try {
-        const output = cp.execSync("uptime -p", { encoding: 'utf8' });
-        return output.trim();
+        const { uptimeSeconds } = procMetrics.readUptime();
+        return formatUptime(uptimeSeconds);
     } catch (error) {
         logger.error({ err: error }, 'Error getting uptime');
         return null;
@@ -228,20 +458,38 @@ function getUptime() {
 }
 
 
+// Render seconds as "up 2 days, 3 hours, 45 minutes"
+function formatUptime(seconds) {
+    let minutes = Math.floor(seconds / 60);
+    const units = [
+        ['week', 7 * 24 * 60],
+        ['day', 24 * 60],
+        ['hour', 60],
+        ['minute', 1]
+    ];
+    const parts = [];
+    for (const [name, size] of units) {
+        const count = Math.floor(minutes / size);
+        minutes -= count * size;
+        if (count > 0) parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+    }
+    return `up ${parts.length > 0 ? parts.join(', ') : '0 minutes'}`;
+}
+
+
 // Get root disk usage info
 function getDiskUsage() {
     try {
-        // Uses 'df -h' for root filesystem
-        const output = cp.execSync("df -h / | tail -1", { encoding: 'utf8' });
-        const parts = output.trim().split(/\s+/);
-        if (parts.length < 6) return null;
+        const fsStats = statFilesystem('/');
+        const rootMount = procMetrics.readMounts().filter(mount => mount.mountpoint === '/').pop();
         return {
-            filesystem: parts[0],
-            size: parts[1],
-            used: parts[2],
-            available: parts[3],
-            usagePercent: parts[4],
-            mountpoint: parts[5]
+            filesystem: rootMount ? rootMount.device : 'unknown',
+            size: formatBytes(fsStats.totalBytes),
+            used: formatBytes(fsStats.usedBytes),
+            available: formatBytes(fsStats.availableBytes),
+            usagePercent: `${Math.ceil(fsStats.usagePercent)}%`,
+            inodeUsagePercent: `${Math.ceil(fsStats.inodeUsagePercent)}%`,
+            mountpoint: '/'
         };
     } catch (error) {
         logger.error({ err: error }, 'Error getting disk usage');
@@ -250,157 +498,211 @@ function getDiskUsage() {
 }
 
 
+// Get usage info for every monitored mount (same shape as getDiskUsage)
+function getAllDiskUsage() {
+    try {
+        return getMountUsages(procMetrics, {
+            include: config.DISK_INCLUDE,
+            exclude: config.DISK_EXCLUDE,
+            onError: (error, mount) => logger.warn({ err: error, mountpoint: mount.mountpoint }, 'Skipping unreadable mount'),
+        }).map(mount => ({
+            filesystem: mount.device,
+            size: formatBytes(mount.totalBytes),
+            used: formatBytes(mount.usedBytes),
+            available: formatBytes(mount.availableBytes),
+            usagePercent: `${Math.ceil(mount.usagePercent)}%`,
+            inodeUsagePercent: `${Math.ceil(mount.inodeUsagePercent)}%`,
+            mountpoint: mount.mountpoint
+        }));
+    } catch (error) {
+        logger.error({ err: error }, 'Error listing mounted filesystems');
+        return null;
+    }
+}
+
+
 // Get open file descriptors count and limit
 function getOpenFileDescriptors() {
     try {
-        if (!fs.existsSync('/proc/sys/fs/file-nr')) {
-            return null;
-        }
-        const fileNrContent = fs.readFileSync('/proc/sys/fs/file-nr', 'utf8');
-        const parts = fileNrContent.trim().split(/\s+/);
-        if (parts.length >= 3) {
-            const allocated = parseInt(parts[0], 10);
-            const maximum = parseInt(parts[2], 10);
-            const usagePercent = maximum > 0 ? (allocated / maximum * 100) : 0;
-            return {
-                allocated,
-                maximum,
-                usagePercent: parseFloat(usagePercent.toFixed(2))
-            };
-        }
-        return null;
+        const { allocated, maximum } = procMetrics.readFileNr();
+        const usagePercent = maximum > 0 ? (allocated / maximum * 100) : 0;
+        return {
+            allocated,
+            maximum,
+            usagePercent: parseFloat(usagePercent.toFixed(2))
+        };
     } catch (error) {
-        logger.error({ err: error }, 'Error getting open file descriptors');
+        // A proc root without the file has nothing to report, which is not an error
+        if (error.code !== 'ENOENT') logger.error({ err: error }, 'Error getting open file descriptors');
         return null;
     }
 }
 
 
-// Get network bandwidth usage (bytes/sec)
-function getNetworkBandwidth() {
+// The name of a container, or its short ID until `<CONTAINER_CLI> ps` has named it
+function containerName(id) {
+    const known = containerNames.get(id);
+    return known ? known.name : id.slice(0, 12);
+}
+
+
+// Fill in the names and images of containers not seen before from `<CONTAINER_CLI> ps`,
+// and forget the ones that are gone. A failed lookup leaves the IDs for the next check,
+// unless the CLI is not installed at all
+function lookupContainerNames(ids) {
+    for (const id of containerNames.keys()) {
+        if (!ids.includes(id)) containerNames.delete(id);
+    }
+    if (config.CONTAINER_CLI === 'off' || config.CONTAINER_CLI === containerLookup.missingCli) return;
+    if (ids.every(id => containerNames.has(id))) return;
     try {
-        if (!fs.existsSync('/proc/net/dev')) {
-            return null;
-        }
-        const devContent = fs.readFileSync('/proc/net/dev', 'utf8');
-        const lines = devContent.split('\n');
-        
-        let totalRx = 0;
-        let totalTx = 0;
-        
-        for (const line of lines) {
-            if (!line.includes(':')) continue;
-            const parts = line.split(':');
-            const interfaceName = parts[0].trim();
-            // Skip loopback interface
-            if (interfaceName === 'lo') continue;
-            
-            const metrics = parts[1].trim().split(/\s+/);
-            if (metrics.length >= 9) {
-                totalRx += parseInt(metrics[0], 10);
-                totalTx += parseInt(metrics[8], 10);
-            }
-        }
-        
-        const now = Date.now();
-        const activeSample = (typeof global !== 'undefined' && global.lastNetworkSample !== undefined)
-            ? global.lastNetworkSample
-            : lastNetworkSample;
-
-        if (!activeSample) {
-            const newSample = { timestamp: now, rxBytes: totalRx, txBytes: totalTx };
-            if (typeof global !== 'undefined' && global.lastNetworkSample !== undefined) {
-                global.lastNetworkSample = newSample;
-            } else {
-                lastNetworkSample = newSample;
-            }
-            return { rxBytesPerSec: 0, txBytesPerSec: 0 };
+        const output = cp.execFileSync(config.CONTAINER_CLI, ['ps', '--no-trunc', '--format', '{{.ID}}\t{{.Names}}\t{{.Image}}'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 10 * 1000 });
+        const listed = parseContainerList(output);
+        for (const id of ids) containerNames.set(id, listed.get(id) || null);
+        containerLookup.failing = false;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logger.warn({ command: config.CONTAINER_CLI }, 'Container CLI not found; containers are named by their short IDs');
+            containerLookup.missingCli = config.CONTAINER_CLI;
+        } else if (!containerLookup.failing) {
+            logger.warn({ err: error, command: config.CONTAINER_CLI }, 'Could not look up container names');
+            containerLookup.failing = true;
         }
-        
-        const elapsedSec = (now - activeSample.timestamp) / 1000;
-        if (elapsedSec <= 0) {
-            return { rxBytesPerSec: 0, txBytesPerSec: 0 };
+    }
+}
+
+
+// Containers running on the host: their processes, cgroup memory and CPU usage and limits,
+// name and image. An empty list without containers, null when /proc cannot be listed
+function discoverContainers() {
+    let pids;
+    try {
+        pids = procMetrics.listPids();
+    } catch (error) {
+        logger.error({ err: error }, 'Error listing processes for containers');
+        return null;
+    }
+    const processes = [];
+    for (const pid of pids) {
+        try {
+            processes.push({ pid, cgroups: procMetrics.readProcessCgroup(pid) });
+        } catch (error) {
+            // The process exited since the listing
         }
-        
-        const rxBytesPerSec = Math.max(0, (totalRx - activeSample.rxBytes) / elapsedSec);
-        const txBytesPerSec = Math.max(0, (totalTx - activeSample.txBytes) / elapsedSec);
-        
-        const newSample = { timestamp: now, rxBytes: totalRx, txBytes: totalTx };
-        if (typeof global !== 'undefined' && global.lastNetworkSample !== undefined) {
-            global.lastNetworkSample = newSample;
-        } else {
-            lastNetworkSample = newSample;
+    }
+    const containers = groupContainers(processes);
+    lookupContainerNames(containers.map(container => container.id));
+    return containers.map(container => {
+        let stats = null;
+        try {
+            stats = procMetrics.readCgroupStats(container.cgroups);
+        } catch (error) {
+            logger.warn({ err: error, container: container.id }, 'Skipping unreadable container cgroup');
         }
-        
-        return {
-            rxBytesPerSec: parseFloat(rxBytesPerSec.toFixed(2)),
-            txBytesPerSec: parseFloat(txBytesPerSec.toFixed(2))
-        };
+        const known = containerNames.get(container.id);
+        return Object.assign(container, { name: containerName(container.id), image: known ? known.image : null, stats });
+    });
+}
+
+
+// Containers with their memory as a share of the memory limit, and CPU cores used (and as a
+// share of the CPU quota) and throttling since the previous call; percentages are null
+// without a limit and CPU figures null on the first call
+function getContainers(now = Date.now()) {
+    const containers = discoverContainers();
+    if (!containers) return null;
+    const rates = containerSampler.observe(containers, now);
+    return containers.map(container => {
+        const { stats } = container;
+        const rate = (rates && rates.get(container.id)) || null;
+        return Object.assign(container, {
+            memoryPercent: stats && stats.memoryLimitBytes ? stats.memoryBytes / stats.memoryLimitBytes * 100 : null,
+            cpuCores: rate ? rate.cpuCores : null,
+            cpuPercent: rate && stats.cpuLimitCores ? rate.cpuCores / stats.cpuLimitCores * 100 : null,
+            throttledPercent: rate ? rate.throttledPercent : null,
+        });
+    });
+}
+
+
+// Open descriptors per process against its own limit, closest to the limit first;
+// null when the proc root cannot be listed
+function getProcessFdUsage() {
+    try {
+        return scanFdUsage(procMetrics);
     } catch (error) {
-        logger.error({ err: error }, 'Error getting network bandwidth');
+        logger.error({ err: error }, 'Error scanning process file descriptors');
         return null;
     }
 }
 
 
-// Get disk I/O metrics (reads/writes per sec)
-function getDiskIO() {
+// Every network interface with its link state and speed, plus per-second rates since the
+// previous call (null on the first); null when /proc/net/dev cannot be read
+function getNetworkInterfaces(now = Date.now()) {
     try {
-        if (!fs.existsSync('/proc/diskstats')) {
-            return null;
-        }
-        const statsContent = fs.readFileSync('/proc/diskstats', 'utf8');
-        const lines = statsContent.split('\n');
-        
-        let totalReads = 0;
-        let totalWrites = 0;
-        
-        for (const line of lines) {
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 14) {
-                const deviceName = parts[2];
-                // Only track actual block devices: sdX, nvmeXnX, vdX, hdX
-                if (/^(sd[a-z]|nvme\d+n\d+|vd[a-z]|hd[a-z])$/.test(deviceName)) {
-                    totalReads += parseInt(parts[3], 10);
-                    totalWrites += parseInt(parts[7], 10);
-                }
-            }
-        }
-        
-        const now = Date.now();
-        const activeSample = (typeof global !== 'undefined' && global.lastDiskIOSample !== undefined)
-            ? global.lastDiskIOSample
-            : lastDiskIOSample;
-
-        if (!activeSample) {
-            const newSample = { timestamp: now, reads: totalReads, writes: totalWrites };
-            if (typeof global !== 'undefined' && global.lastDiskIOSample !== undefined) {
-                global.lastDiskIOSample = newSample;
-            } else {
-                lastDiskIOSample = newSample;
+        const counters = procMetrics.readNetDev();
+        const rates = networkSampler.observe(counters, now);
+        return counters.map(({ interface: name }) => {
+            let link;
+            try {
+                link = procMetrics.readNetInterface(name);
+            } catch (error) {
+                // The interface went away between the two reads, or its sysfs entry is not readable
+                link = { interface: name, operstate: null, speedMbps: null, physical: false };
             }
-            return { readOpsPerSec: 0, writeOpsPerSec: 0 };
-        }
-        
-        const elapsedSec = (now - activeSample.timestamp) / 1000;
-        if (elapsedSec <= 0) {
-            return { readOpsPerSec: 0, writeOpsPerSec: 0 };
-        }
-        
-        const readOpsPerSec = Math.max(0, (totalReads - activeSample.reads) / elapsedSec);
-        const writeOpsPerSec = Math.max(0, (totalWrites - activeSample.writes) / elapsedSec);
-        
-        const newSample = { timestamp: now, reads: totalReads, writes: totalWrites };
-        if (typeof global !== 'undefined' && global.lastDiskIOSample !== undefined) {
-            global.lastDiskIOSample = newSample;
-        } else {
-            lastDiskIOSample = newSample;
-        }
-        
-        return {
-            readOpsPerSec: parseFloat(readOpsPerSec.toFixed(2)),
-            writeOpsPerSec: parseFloat(writeOpsPerSec.toFixed(2))
-        };
+            const rate = rates ? rates.find(entry => entry.interface === name) || null : null;
+            return Object.assign(link, { rates: rate, utilisation: rate ? linkUtilisation(rate, link.speedMbps) : null });
+        });
+    } catch (error) {
+        logger.error({ err: error }, 'Error reading network interfaces');
+        return null;
+    }
+}
+
+
+// Get network bandwidth (bytes/sec) summed over every interface but loopback since the previous
+// call (0 on the first); null when /proc/net/dev cannot be read
+function getNetworkBandwidth(now = Date.now()) {
+    try {
+        const rates = bandwidthSampler.observe(procMetrics.readNetDev().filter(entry => entry.interface !== 'lo'), now);
+        if (!rates) return { rxBytesPerSec: 0, txBytesPerSec: 0 };
+        const sum = field => roundReading(rates.reduce((total, entry) => total + entry[field], 0));
+        return { rxBytesPerSec: sum('rxBytes'), txBytesPerSec: sum('txBytes') };
+    } catch (error) {
+        logger.error({ err: error }, 'Error getting network bandwidth');
+        return null;
+    }
+}
+
+
+// Every block device with whether it is a partition, plus its throughput, latency and
+// utilisation since the previous call (null on the first); null when /proc/diskstats cannot be read
+function getDiskDevices(now = Date.now()) {
+    try {
+        const counters = procMetrics.readDiskStats();
+        const stats = diskIoSampler.observe(counters, now);
+        return counters.map(({ device }) => Object.assign(procMetrics.readBlockDevice(device), {
+            stats: stats ? stats.find(entry => entry.device === device) || null : null,
+        }));
+    } catch (error) {
+        logger.error({ err: error }, 'Error getting disk I/O');
+        return null;
+    }
+}
+
+
+// Get disk I/O (read and write operations per second) summed over the DISK_IO_INCLUDE /
+// DISK_IO_EXCLUDE devices since the previous call (0 on the first); null when /proc/diskstats
+// cannot be read. Kept for callers of the module; the checks use getDiskDevices()
+function getDiskIO(now = Date.now()) {
+    try {
+        const devices = procMetrics.readDiskStats().map(counters => Object.assign(procMetrics.readBlockDevice(counters.device), counters));
+        const watched = selectBlockDevices(devices, { include: config.DISK_IO_INCLUDE, exclude: config.DISK_IO_EXCLUDE });
+        const stats = diskOpsSampler.observe(watched, now);
+        if (!stats) return { readOpsPerSec: 0, writeOpsPerSec: 0 };
+        const sum = field => roundReading(stats.reduce((total, entry) => total + entry[field], 0));
+        return { readOpsPerSec: sum('readsPerSec'), writeOpsPerSec: sum('writesPerSec') };
     } catch (error) {
         logger.error({ err: error }, 'Error getting disk I/O');
         return null;
@@ -408,35 +710,96 @@ function getDiskIO() {
 }
 
 
+// TCP sockets counted per state and per listening port, socket totals, ephemeral port usage
+// and listen queue overflow rates since the previous call (null on the first); null when
+// /proc/net/tcp cannot be read, and sockstat, overflows or ephemeral null when their file cannot
+function getTcpConnections(now = Date.now()) {
+    let sockets;
+    try {
+        sockets = procMetrics.readTcpSockets();
+    } catch (error) {
+        logger.error({ err: error }, 'Error reading TCP sockets');
+        return null;
+    }
+    const optional = (read, source) => {
+        try {
+            return read();
+        } catch (error) {
+            logger.warn({ err: error, source }, 'Skipping unreadable TCP statistics');
+            return null;
+        }
+    };
+    const netstat = optional(procMetrics.readNetstat, '/proc/net/netstat');
+    const portRange = optional(procMetrics.readLocalPortRange, 'ip_local_port_range');
+    return Object.assign(summariseSockets(sockets), {
+        sockets,
+        sockstat: optional(procMetrics.readSockstat, '/proc/net/sockstat'),
+        overflows: netstat ? tcpSampler.observe(netstat, now) : null,
+        portRange,
+        ephemeral: portRange ? ephemeralPortUsage(sockets, portRange) : null,
+    });
+}
+
+
 // Format process list for Slack message
 function formatProcessList(processes, type) {
     if (!processes || processes.length === 0) return 'No processes found';
     return processes.map((proc, index) => {
         const shortCommand = proc.command.length > 50 ? proc.command.substring(0, 47) + '...' : proc.command;
-        return `${index + 1}. *${shortCommand}*\n   PID: ${proc.pid} | User: ${proc.user} | ${type === 'cpu' ? `CPU: ${proc.cpu}%` : `Memory: ${proc.mem}%`} | RSS: ${proc.rss}`;
+        return `${index + 1}. *${shortCommand}*${proc.container ? ` (container ${proc.container})` : ''}\n   PID: ${proc.pid} | User: ${proc.user} | ${type === 'cpu' ? `CPU: ${proc.cpu}%` : `Memory: ${proc.mem}%`} | RSS: ${proc.rss}`;
     }).join('\n');
 }
 
 
-// Send alert(s) to Slack channel via webhook
+// Format the per-mode CPU split as a single line
+function formatCpuModes(modes) {
+    return ['user', 'system', 'iowait', 'steal', 'nice', 'irq', 'softirq']
+        .map(mode => `${mode} ${modes[mode].toFixed(1)}%`)
+        .join(' | ');
+}
+
+
+// Format the cores with the highest share of `mode` (or overall usage)
+function formatBusiestCores(cores, mode, limit = 4) {
+    if (!cores || cores.length === 0) return 'No per-core data';
+    const valueOf = core => (mode ? core.modes[mode] : core.usage);
+    return cores.slice()
+        .sort((a, b) => valueOf(b) - valueOf(a))
+        .slice(0, limit)
+        .map(core => `• cpu${core.id}: ${valueOf(core).toFixed(1)}%`)
+        .join('\n');
+}
+
+
+// Send alert(s) through the notifier, one attachment per alert
 async function sendSlackAlert(alerts) {
     const hostname = require('os').hostname();
     const uptime = getUptime();
     const load = getSystemLoad();
-    const disk = getDiskUsage();
+    const disks = getAllDiskUsage();
+    const disk = disks && disks.length > 0 ? null : getDiskUsage();
     const openFiles = getOpenFileDescriptors();
     const netBandwidth = getNetworkBandwidth();
-    const diskIO = getDiskIO();
+    const pressure = getPressure();
 
     // Compose main message text with system info
     let messageText = `🚨 *System Health Alert on ${hostname}*`;
     if (uptime) messageText += `\n⏰ Uptime: ${uptime}`;
     if (load) messageText += `\n📊 Load: ${load['1min']} (1m), ${load['5min']} (5m), ${load['15min']} (15m)`;
-    if (disk) messageText += `\n💾 Root Disk: ${disk.used}/${disk.size} (${disk.usagePercent})`;
+    if (disks && disks.length > 0) {
+        messageText += `\n💾 Disks: ${disks.map(d => `${d.mountpoint} ${d.used}/${d.size} (${d.usagePercent}, inodes ${d.inodeUsagePercent})`).join(' | ')}`;
+    }
+    if (disk) messageText += `\n💾 Root Disk: ${disk.used}/${disk.size} (${disk.usagePercent}, inodes ${disk.inodeUsagePercent})`;
     if (openFiles) {
         messageText += `\n📂 Open Files: ${openFiles.allocated} / ${openFiles.maximum} (${openFiles.usagePercent}%)`;
     }
-    if (netBandwidth) {
+    if (latestFdUsage && latestFdUsage.processes.length > 0) {
+        messageText += `\n🗂️ Closest To Their Open File Limit: ${latestFdUsage.processes.slice(0, 3).map(proc => `${proc.command} (PID ${proc.pid}) ${proc.usagePercent.toFixed(1)}%`).join(' | ')}`;
+    }
+    const sampled = latestInterfaces.filter(entry => entry.rates);
+    if (sampled.length > 0) {
+        messageText += `\n🌐 Network: ${sampled.map(entry => `${entry.interface} RX ${formatBitRate(entry.rates.rxBytes)} TX ${formatBitRate(entry.rates.txBytes)}${entry.utilisation !== null ? ` (${entry.utilisation.toFixed(1)}% of ${entry.speedMbps} Mb/s)` : ''}`).join(' | ')}`;
+    } else if (netBandwidth) {
         const formatSpeed = (bytes) => {
             if (bytes > 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB/s`;
             if (bytes > 1024) return `${(bytes / 1024).toFixed(2)} KB/s`;
@@ -444,116 +807,928 @@ async function sendSlackAlert(alerts) {
         };
         messageText += `\n🌐 Net Bandwidth: RX: ${formatSpeed(netBandwidth.rxBytesPerSec)} | TX: ${formatSpeed(netBandwidth.txBytesPerSec)}`;
     }
-    if (diskIO) {
-        messageText += `\n💽 Disk I/O: Read: ${diskIO.readOpsPerSec} ops/s | Write: ${diskIO.writeOpsPerSec} ops/s`;
+    if (latestTcp) {
+        const { states, ephemeral } = latestTcp;
+        messageText += `\n🔗 TCP: ESTABLISHED ${states.ESTABLISHED} | TIME_WAIT ${states.TIME_WAIT} | CLOSE_WAIT ${states.CLOSE_WAIT}${ephemeral ? ` | Ephemeral Ports ${ephemeral.percent.toFixed(1)}%` : ''}`;
+    }
+    const measured = (latestContainers || []).filter(container => container.stats)
+        .sort((a, b) => b.stats.memoryBytes - a.stats.memoryBytes)
+        .slice(0, 3);
+    if (measured.length > 0) {
+        messageText += `\n🐳 Containers: ${measured.map(container => `${container.name} ${formatBytes(container.stats.memoryBytes)}${container.memoryPercent !== null ? ` (${container.memoryPercent.toFixed(1)}% of limit)` : ''}${container.cpuCores !== null ? `, CPU ${container.cpuCores.toFixed(2)} cores` : ''}`).join(' | ')}`;
+    }
+    const busyDevices = latestBlockDevices.filter(entry => entry.stats);
+    if (busyDevices.length > 0) {
+        messageText += `\n💽 Disk I/O: ${busyDevices.map(entry => `${entry.device} R ${formatByteRate(entry.stats.readBytesPerSec)} W ${formatByteRate(entry.stats.writeBytesPerSec)} (await ${entry.stats.awaitMs.toFixed(1)} ms, util ${entry.stats.utilisation.toFixed(1)}%)`).join(' | ')}`;
+    }
+    if (pressure) {
+        // CPU "full" is always zero for the host as a whole, so only its "some" line is shown
+        messageText += `\n🧭 Pressure (avg10 / avg60): CPU ${formatPressure({ some: pressure.cpu.some, full: null })} | Memory ${formatPressure(pressure.memory)} | I/O ${formatPressure(pressure.io)}`;
     }
 
     // Format each alert as a Slack attachment
-    const attachments = alerts.map(alert => ({
-        color: 'danger',
-        title: alert.title,
-        text: alert.value,
-        fields: alert.fields || [],
-        ts: Math.floor(Date.now() / 1000)
-    }));
+    const attachments = alerts.map(alert => {
+        const severity = alert.severity || 'critical';
+        return {
+            type: alert.type,
+            severity,
+            color: SEVERITY_COLORS[severity],
+            title: alert.title,
+            text: alert.value,
+            fields: [severityField(severity)].concat(alert.fields || []),
+            ts: Math.floor(Date.now() / 1000)
+        };
+    });
 
     const message = {
+        type: 'health',
+        severity: attachments.some(attachment => attachment.severity === 'critical') ? 'critical' : 'warning',
         text: messageText,
         attachments: attachments
     };
 
     try {
-        await axios.post(SLACK_WEBHOOK_URL, message);
-        logger.info({ alertCount: alerts.length, alertTitles: alerts.map(a => a.title) }, 'Slack health alert sent');
-        alertTracker.setLastAlertTime();
+        const channels = await notifier.send(message);
+        // Routed to no channel: nobody was told, so the cooldown and lifecycle stay as they are
+        if (channels.length === 0) return;
+        logger.info({ alertCount: alerts.length, alertTitles: alerts.map(a => a.title), channels }, 'Health alert sent');
+        // Alerts about one of several things of a type (process:nginx) carry their own key
+        alerts.filter(alert => alert.type).forEach(alert => {
+            cooldowns.recordAlert(alert.key || alert.type, { severity: alert.severity || 'critical' });
+            alertLifecycle.markNotified(alert.key || alert.type);
+        });
+    } catch (error) {
+        logger.error({ err: error, alertCount: alerts.length }, 'Error sending health alert');
+        // The kernel log cursor has moved on, so one-shot events would be lost
+        kernelEventLog.hold(alerts.filter(alert => alert.oneShot));
+    }
+}
+
+
+// Feed one condition into its lifecycle, and collect a recovery once a condition that was
+// announced has cleared. `firing` is a boolean, or the rule engine's status where a breach
+// can be pending. The recovery keeps the severity last announced for the key, so it
+// reaches the same channels as the alert did
+function observeCondition(type, key, firing, label, detail, now, recoveries) {
+    const status = typeof firing === 'string' ? firing : (firing ? 'firing' : 'ok');
+    const transition = alertLifecycle.observe(key, status, now);
+    if (transition.to !== STATES.RESOLVED || !transition.notified) return;
+    const last = cooldowns.getLastAlert(key);
+    recoveries.push({
+        type,
+        key,
+        severity: last ? last.severity : 'critical',
+        startedAt: transition.startedAt,
+        duration: transition.duration,
+        label,
+        detail: `${detail}\n*Incident Duration: ${formatDuration(transition.duration)}*`,
+    });
+}
+
+
+// Observe the { key, firing, label, detail } conditions a feature module evaluated
+function observeConditions(type, conditions, now, recoveries) {
+    for (const condition of conditions) {
+        observeCondition(type, condition.key, condition.firing, condition.label, condition.detail, now, recoveries);
+    }
+}
+
+
+// Send a green "resolved" message for conditions that cleared after being announced
+async function sendRecoveryAlert(recoveries) {
+    const hostname = require('os').hostname();
+    const message = {
+        type: 'health',
+        recovery: true,
+        text: `✅ *System Health Recovered on ${hostname}*`,
+        attachments: recoveries.map(recovery => ({
+            type: recovery.type,
+            severity: recovery.severity,
+            color: 'good',
+            title: `✅ ${recovery.label} Resolved`,
+            text: recovery.detail,
+            fields: [
+                {
+                    title: 'Incident Started',
+                    value: new Date(recovery.startedAt).toISOString(),
+                    short: true
+                },
+                {
+                    title: 'Incident Duration',
+                    value: formatDuration(recovery.duration),
+                    short: true
+                }
+            ],
+            ts: Math.floor(Date.now() / 1000)
+        }))
+    };
+
+    try {
+        const channels = await notifier.send(message);
+        logger.info({ recovered: recoveries.map(recovery => recovery.key || recovery.type), channels }, 'Health recovery sent');
     } catch (error) {
-        logger.error({ err: error, alertCount: alerts.length }, 'Error sending Slack message');
+        logger.error({ err: error, recovered: recoveries.map(recovery => recovery.key || recovery.type) }, 'Error sending health recovery');
     }
 }
 
 
-// Track when CPU first exceeded threshold
-let cpuOverThresholdSince = null;
+// =====================
+// Process Watchdog
+// =====================
+// How a watch was configured, for alert text
+function describeWatch(watch) {
+    const labels = { process: 'program', cmdline: 'command line matching', pidfile: 'pidfile', unit: 'systemd unit' };
+    return `${labels[watch.match]} ${watch.target}`;
+}
 
-// State variables for network and disk I/O tracking
-let lastNetworkSample = null;
-let lastDiskIOSample = null;
+// What a watch finds right now, or null when its source cannot be read
+function findWatchedProcess(watch, processes) {
+    if (watch.match === 'unit') {
+        try {
+            // No shell, and a hung systemctl must not stall the check loop
+            const output = cp.execFileSync('systemctl', ['show', watch.target, '--property=ActiveState,SubState,MainPID,NRestarts'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 10 * 1000 });
+            return parseUnitStatus(output);
+        } catch (error) {
+            logger.error({ err: error, unit: watch.target }, 'Error reading systemd unit status');
+            return null;
+        }
+    }
+    if (!processes) return null;
+    if (watch.match === 'pidfile') {
+        let pid;
+        try {
+            pid = parseInt(fs.readFileSync(watch.target, 'utf8').trim(), 10);
+        } catch (error) {
+            // Services remove their pidfile when they stop
+            if (error.code === 'ENOENT') return { running: false, pids: [] };
+            logger.error({ err: error, pidfile: watch.target }, 'Error reading pidfile');
+            return null;
+        }
+        const running = processes.some(proc => Number(proc.pid) === pid);
+        return { running, pids: running ? [pid] : [] };
+    }
+    const pids = matchProcesses(watch, processes);
+    return { running: pids.length > 0, pids };
+}
 
 
 /*
-  Main health check logic:
-    - Checks CPU, memory, swap usage
-    - If thresholds exceeded, builds alert(s)
-    - For CPU, only alerts if high for >5 min
-    - Alerts include top processes and system breakdowns
-    - Alerts sent to Slack if cooldown expired
+  Process watchdog, run with every health check:
+    - Looks up every PROCESS_WATCH entry in one ps listing, or with systemctl
+    - A missing process is critical, repeated after the cooldown and resolved
+      once it runs again
+    - A restart (none of its PIDs left, or systemd's restart counter going up)
+      is a warning; PROCESS_MAX_RESTARTS of them within PROCESS_RESTART_WINDOW
+      is critical
+    - A dry run only reports whether each process runs, since one look
+      cannot tell a restart
 */
-function checkSystemHealth() {
+function checkWatchedProcesses(processes, now, { dryRun = false } = {}) {
+    const results = [];
     const alerts = [];
-    const cpu = getCpuUsage();
-    const mem = getMemUsage();
-    const swap = getSwapUsage();
-    const now = Date.now();
+    const recoveries = [];
 
-    // CPU: Only alert if over threshold for more than the configured duration
-    if (cpu !== null && cpu >= CPU_THRESHOLD) {
-        const thresholdSince = (typeof global !== 'undefined' && global.cpuOverThresholdSince !== undefined) 
-            ? global.cpuOverThresholdSince 
-            : cpuOverThresholdSince;
-
-        if (!thresholdSince) {
-            if (typeof global !== 'undefined' && global.cpuOverThresholdSince !== undefined) {
-                global.cpuOverThresholdSince = now;
-            } else {
-                cpuOverThresholdSince = now;
-            }
+    for (const watch of config.PROCESS_WATCH) {
+        const key = `process:${watch.name}`;
+        const found = findWatchedProcess(watch, processes);
+        const result = { key, label: `Process ${watch.name}`, value: found ? found.pids.length : null, unit: '', warning: null, critical: null };
+        if (!found) {
+            results.push(Object.assign(result, { severity: null, status: 'unknown' }));
+            continue;
+        }
+        const missingDetail = found.state ? `not running (${found.state})` : 'not running';
+        if (dryRun) {
+            results.push(Object.assign(result, found.running
+                ? { severity: null, status: 'ok' }
+                : { severity: 'critical', status: 'firing', detail: missingDetail }));
+            continue;
         }
 
-        const activeSince = (typeof global !== 'undefined' && global.cpuOverThresholdSince !== undefined) 
-            ? global.cpuOverThresholdSince 
-            : cpuOverThresholdSince;
+        const maxRestarts = watch.maxRestarts !== null ? watch.maxRestarts : config.PROCESS_MAX_RESTARTS;
+        const restartWindowMs = watch.restartWindow !== null ? watch.restartWindow : config.PROCESS_RESTART_WINDOW;
+        const observation = processWatchdog.observe(watch.name, found, { maxRestarts, restartWindowMs }, now);
+        const restartSummary = `${observation.restartCount} restart${observation.restartCount === 1 ? '' : 's'} in the last ${formatDuration(restartWindowMs)}`;
 
-        if (now - activeSince >= CPU_OVER_THRESHOLD_DURATION) {
-            const topProcesses = getTopCpuProcesses(8);
-            const processDetails = formatProcessList(topProcesses, 'cpu');
+        if (!observation.running) {
+            results.push(Object.assign(result, { severity: 'critical', status: 'firing', detail: missingDetail }));
             alerts.push({
-                title: '🚀 High CPU Usage Detected',
-                value: `*Current CPU Usage: ${cpu.toFixed(1)}%*\n*Threshold: ${CPU_THRESHOLD}%*\n*Duration: ${((now - activeSince) / 60000).toFixed(1)} minutes*\n\n*Top CPU Processes:*\n${processDetails}`,
+                type: 'process',
+                key,
+                severity: 'critical',
+                title: `💀 Process ${watch.name} Not Running`,
+                value: `*No process found for ${describeWatch(watch)}*${found.state ? `\n*Unit State: ${found.state}*` : ''}\n*Missing Since: ${new Date(observation.missingSince).toISOString()}*\n*Restarts: ${restartSummary}*`,
                 fields: [
                     {
-                        title: 'System Impact',
-                        value: 'High CPU usage can cause system slowdown, increased response times, and potential service degradation.',
+                        title: 'Potential Issues',
+                        value: 'A required service is down. Check its logs for the reason it exited and whether its supervisor gave up restarting it.',
+                        short: false
+                    }
+                ]
+            });
+        } else if (observation.restarted > 0 && (!observation.recovered || observation.restartLoop)) {
+            // Coming back after a check that found it gone is announced as a recovery instead
+            const severity = observation.restartLoop ? 'critical' : 'warning';
+            results.push(Object.assign(result, { severity, status: 'firing', detail: `restarted (${restartSummary})` }));
+            alerts.push({
+                type: 'process',
+                key: `restart:${watch.name}`,
+                severity,
+                title: observation.restartLoop ? `🔁 Process ${watch.name} Keeps Restarting` : `🔁 Process ${watch.name} Restarted`,
+                value: `*${describeWatch(watch)}*\n*PID: ${observation.previousPids.join(', ') || 'none'} → ${observation.pids.join(', ') || 'none'}*\n*Restarts: ${restartSummary}${maxRestarts > 0 ? ` (limit ${maxRestarts})` : ''}*`,
+                fields: [
+                    {
+                        title: 'Potential Issues',
+                        value: observation.restartLoop
+                            ? 'The service is crash-looping: its supervisor keeps restarting it. Check its logs before the restarts hide the first failure.'
+                            : 'The service restarted. If nobody restarted it on purpose, check its logs for a crash or an out-of-memory kill.',
                         short: false
                     }
                 ]
             });
         } else {
-            logger.info({
-                cpu,
-                cpuThreshold: CPU_THRESHOLD,
-                activeMinutes: ((now - activeSince) / 60000).toFixed(1),
-            }, 'CPU over threshold, but duration not met yet');
-        }
-    } else {
-        if (typeof global !== 'undefined' && global.cpuOverThresholdSince !== undefined) {
-            global.cpuOverThresholdSince = null;
-        } else {
-            cpuOverThresholdSince = null;
+            results.push(Object.assign(result, { severity: null, status: 'ok' }));
         }
+
+        observeCondition('process', key, !observation.running, `Process ${watch.name}`, `*Running again as PID ${observation.pids.join(', ') || 'unknown'}*`, now, recoveries);
     }
+    return { results, alerts, recoveries };
+}
 
-    // Memory: Alert if over threshold
-    if (mem !== null && mem >= MEM_THRESHOLD) {
-        const detailedMem = getDetailedMemoryInfo();
-        const topProcesses = getTopMemoryProcesses(8);
-        const processDetails = formatProcessList(topProcesses, 'memory');
 
-        let memoryDetails = `*Current Memory Usage: ${mem.toFixed(1)}%*\n*Threshold: ${MEM_THRESHOLD}%*`;
-        if (detailedMem) {
-            memoryDetails += `\n*Memory Breakdown:*\n• Total: ${detailedMem.total}\n• Used: ${detailedMem.used}\n• Available: ${detailedMem.available}\n• Cache: ${detailedMem.cache}`;
+// Spread `count` points of a growth curve over its whole length, as "HH:MM 1.2Gi"
+function formatRssCurve(samples, count = 8) {
+    const step = Math.max(1, (samples.length - 1) / (count - 1));
+    const picked = [];
+    for (let index = 0; index < samples.length - 1; index += step) picked.push(samples[Math.round(index)]);
+    picked.push(samples[samples.length - 1]);
+    return picked.map(sample => `${new Date(sample.timestamp).toISOString().slice(11, 16)} ${formatBytes(sample.rssBytes)}`).join(' · ');
+}
+
+
+/*
+  Per-process limits (PROCESS_LIMITS), run with every health check:
+    - maxRss: a matched process over it is critical; the alert lists every
+      offender and resolves once they are all back under the limit
+    - leakFor: a matched process whose RSS went up on every check for that
+      long is a warning, with its growth curve attached
+    - A dry run only checks maxRss, since one look cannot see a trend
+*/
+function checkProcessLimits(processes, now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    const recoveries = [];
+    const tracked = new Set();
+
+    for (const limit of config.PROCESS_LIMITS) {
+        const found = processes ? findWatchedProcess(limit, processes) : null;
+        const matched = found ? processes.filter(proc => found.pids.includes(Number(proc.pid))) : null;
+
+        if (limit.maxRss !== null) {
+            const key = `rss:${limit.name}`;
+            const result = { key, label: `RSS ${limit.name}`, unit: 'B', warning: null, critical: limit.maxRss };
+            if (!matched) {
+                results.push(Object.assign(result, { value: null, severity: null, status: 'unknown' }));
+            } else {
+                const over = matched.filter(proc => proc.rssBytes > limit.maxRss).sort((a, b) => b.rssBytes - a.rssBytes);
+                const largest = matched.length > 0 ? Math.max(...matched.map(proc => proc.rssBytes)) : null;
+                results.push(Object.assign(result, { value: largest }, over.length > 0
+                    ? { severity: 'critical', status: 'firing', detail: `PID ${over[0].pid} at ${formatBytes(over[0].rssBytes)} (limit ${formatBytes(limit.maxRss)})` }
+                    : { severity: null, status: 'ok' }));
+
+                if (!dryRun) {
+                    if (over.length > 0) {
+                        alerts.push({
+                            type: 'process',
+                            key,
+                            severity: 'critical',
+                            title: `🐘 ${limit.name} Over Its Memory Limit`,
+                            value: `*Limit: ${formatBytes(limit.maxRss)} RSS per process (${describeWatch(limit)})*\n*Processes Over It:*\n${over.slice(0, 5).map(proc => `• PID ${proc.pid} (${proc.user}): ${formatBytes(proc.rssBytes)} | ${proc.command.length > 50 ? proc.command.substring(0, 47) + '...' : proc.command}`).join('\n')}`,
+                            fields: [
+                                {
+                                    title: 'Potential Issues',
+                                    value: 'One process holding this much memory can push the host into swap or wake the OOM killer. Check for a leak, or raise the limit if the growth is expected.',
+                                    short: false
+                                }
+                            ]
+                        });
+                    }
+                    observeCondition('process', key, over.length > 0, `${limit.name} Memory Limit`, `*Largest RSS: ${largest !== null ? formatBytes(largest) : 'no process running'}*\n*Limit: ${formatBytes(limit.maxRss)}*`, now, recoveries);
+                }
+            }
+        }
+
+        if (limit.leakFor !== null && matched && !dryRun) {
+            const leaking = [];
+            for (const proc of matched) {
+                const trackKey = `${limit.name}:${proc.pid}`;
+                tracked.add(trackKey);
+                const trend = leakTracker.observe(trackKey, proc.rssBytes, limit.leakFor, now);
+                if (trend.leaking) leaking.push({ proc, trend });
+            }
+            if (leaking.length > 0) {
+                const shown = leaking.slice(0, 3);
+                alerts.push({
+                    type: 'process',
+                    key: `leak:${limit.name}`,
+                    severity: 'warning',
+                    title: `📈 Possible Memory Leak in ${limit.name}`,
+                    value: shown.map(({ proc, trend }) => {
+                        const first = trend.samples[0];
+                        const growth = trend.bytesPerHour !== null ? ` (+${formatBytes(Math.round(trend.bytesPerHour))}/h)` : '';
+                        return `*PID ${proc.pid}: ${formatBytes(first.rssBytes)} → ${formatBytes(proc.rssBytes)} over ${formatDuration(now - trend.since)}${growth}*\n\`${sparkline(trend.samples.map(sample => sample.rssBytes), 30)}\``;
+                    }).join('\n'),
+                    fields: shown.map(({ proc, trend }) => ({
+                        title: `RSS Growth, PID ${proc.pid} (UTC)`,
+                        value: formatRssCurve(trend.samples),
+                        short: false
+                    })).concat([
+                        {
+                            title: 'Potential Issues',
+                            value: `RSS has grown on every check for at least ${formatDuration(limit.leakFor)} without ever shrinking. A leak like this ends in swapping or an OOM kill.`,
+                            short: false
+                        }
+                    ])
+                });
+            }
+        }
+    }
+
+    // Only a full process list says which processes have exited
+    if (processes && !dryRun) leakTracker.prune(tracked);
+    return { results, alerts, recoveries };
+}
+
+
+// Titles ("some" and "full" line) and advice of the alerts for each /proc/pressure resource
+const PRESSURE_ALERTS = {
+    cpu: {
+        title: '🐢 High CPU Pressure Detected',
+        fullTitle: '🐢 All Tasks Stalled on CPU',
+        fields: [
+            {
+                title: 'Potential Issues',
+                value: 'Runnable tasks are queuing for a CPU. Work slows down even while usage looks moderate; check for CPU-throttled cgroups or too few cores.',
+                short: false
+            }
+        ]
+    },
+    memory: {
+        title: '🗜️ High Memory Pressure Detected',
+        fullTitle: '🗜️ All Tasks Stalled on Memory',
+        fields: [
+            {
+                title: 'Potential Issues',
+                value: 'Tasks are stalling on memory reclaim and on reading back evicted pages. The host is slowing down for lack of memory, whatever the used percentage says.',
+                short: false
+            }
+        ]
+    },
+    io: {
+        title: '🚧 High I/O Pressure Detected',
+        fullTitle: '🚧 All Tasks Stalled on I/O',
+        fields: [
+            {
+                title: 'Potential Issues',
+                value: 'Tasks are stalling on storage I/O. Check disk latency and the processes doing the most reads and writes.',
+                short: false
+            }
+        ]
+    },
+};
+
+// How each kind of kernel event is described in check results
+const KERNEL_EVENT_LABELS = {
+    oom: 'OOM Killer',
+    'hung-task': 'Hung Tasks',
+    'fs-error': 'Filesystem Errors',
+    segfault: 'Segfaults',
+};
+
+// Events grouped by one of their fields, in the order they were first seen
+function groupEvents(events, field) {
+    const groups = new Map();
+    for (const event of events) groups.set(event[field], (groups.get(event[field]) || []).concat(event));
+    return groups;
+}
+
+
+/*
+  Kernel events (KERNEL_EVENT_SOURCE), read with every health check:
+    - Reads the kernel log since the previous check from /dev/kmsg, or from
+      journalctl -k where /dev/kmsg cannot be read; the first check and a dry
+      run look back KERNEL_EVENT_WINDOW
+    - An OOM kill is critical and names the killed process and its memory
+      at the time; filesystem errors are critical and hung tasks a warning
+    - Single segfaults are normal; KERNEL_SEGFAULT_THRESHOLD of them within
+      KERNEL_SEGFAULT_WINDOW are a warning
+    - Events happen once, so nothing is ever resolved. OOM kills, filesystem
+      errors and hung tasks are never held back by a cooldown, and alerts whose
+      send failed are folded into the next check's alerts of the same key
+*/
+function checkKernelEvents(now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    if (!kernelEvents) return { results, alerts };
+
+    const resultFor = (kind, fields) => Object.assign({ key: `kernel:${kind}`, label: KERNEL_EVENT_LABELS[kind], unit: '', warning: null, critical: null }, fields);
+    const segfaultWindowMs = config.KERNEL_SEGFAULT_WINDOW;
+    let read;
+    try {
+        read = kernelEvents.read({
+            after: dryRun ? null : kernelEventLog.cursor(),
+            since: now - (dryRun ? Math.max(config.KERNEL_EVENT_WINDOW, segfaultWindowMs) : config.KERNEL_EVENT_WINDOW),
+            now,
+        });
+    } catch (error) {
+        logger.error({ err: error }, 'Error reading kernel events');
+        return { results: EVENT_KINDS.map(kind => resultFor(kind, { value: null, severity: null, status: 'unknown' })), alerts };
+    }
+
+    // A dry run counts everything within the windows; the monitor counts what is new since its last check
+    const within = windowMs => read.events.filter(event => event.timestamp > now - windowMs);
+    if (!dryRun) kernelEventLog.record(read, segfaultWindowMs, now);
+    const events = dryRun ? within(config.KERNEL_EVENT_WINDOW) : read.events;
+    const ofKind = kind => events.filter(event => event.kind === kind);
+    const kills = ofKind('oom');
+    const hungTasks = ofKind('hung-task');
+    const fsErrors = ofKind('fs-error');
+    const segfaults = dryRun
+        ? within(segfaultWindowMs).filter(event => event.kind === 'segfault')
+        : kernelEventLog.recent('segfault', segfaultWindowMs, now);
+    const segfaultFlood = config.KERNEL_SEGFAULT_THRESHOLD > 0 && segfaults.length >= config.KERNEL_SEGFAULT_THRESHOLD;
+    const segfaultPrograms = [...groupEvents(segfaults, 'command')].sort((a, b) => b[1].length - a[1].length);
+    const describeKill = kill => `${kill.command} (PID ${kill.pid}, ${formatBytes(kill.rssBytes)} RSS)`;
+
+    results.push(
+        resultFor('oom', Object.assign({ value: kills.length }, kills.length > 0
+            ? { severity: 'critical', status: 'firing', detail: `killed ${kills.map(describeKill).join(', ')}` }
+            : { severity: null, status: 'ok' })),
+        resultFor('hung-task', Object.assign({ value: hungTasks.length }, hungTasks.length > 0
+            ? { severity: 'warning', status: 'firing', detail: hungTasks.map(task => `${task.command} (PID ${task.pid}) blocked over ${task.blockedSeconds}s`).join(', ') }
+            : { severity: null, status: 'ok' })),
+        resultFor('fs-error', Object.assign({ value: fsErrors.length }, fsErrors.length > 0
+            ? { severity: 'critical', status: 'firing', detail: `on ${[...groupEvents(fsErrors, 'device').keys()].join(', ')}` }
+            : { severity: null, status: 'ok' })),
+        resultFor('segfault', Object.assign({ value: segfaults.length, warning: config.KERNEL_SEGFAULT_THRESHOLD || null }, segfaultFlood
+            ? { severity: 'warning', status: 'firing', detail: `${segfaults.length} in ${formatDuration(segfaultWindowMs)} (${segfaultPrograms.map(([command, crashes]) => `${command} ×${crashes.length}`).join(', ')})` }
+            : { severity: null, status: 'ok' }))
+    );
+    if (dryRun) return { results, alerts };
+
+    // The container a killed process ran in, named when it is still known
+    const killedIn = kill => {
+        const found = kill.memcg ? containerFromCgroup([{ hierarchy: 0, controllers: [], path: kill.memcg }]) : null;
+        if (!found) return '';
+        const known = containerNames.get(found.id);
+        return `\n• Container: ${containerName(found.id)}${known && known.image ? ` (${known.image})` : ''}`;
+    };
+
+    // One alert per killed program, so repeated kills of the same one share a cooldown
+    for (const [command, commandKills] of groupEvents(kills, 'command')) {
+        const cgroup = commandKills.some(kill => kill.cgroup);
+        alerts.push({
+            type: 'kernel',
+            key: `oom:${command}`,
+            severity: 'critical',
+            oneShot: true,
+            title: `💥 OOM Killer Killed ${command}`,
+            value: commandKills.map(kill => `*PID ${kill.pid} killed at ${new Date(kill.timestamp).toISOString()}${kill.cgroup ? ' (memory cgroup limit)' : ''}*\n• RSS: ${formatBytes(kill.rssBytes)} (anon ${formatBytes(kill.anonRssBytes)}, file ${formatBytes(kill.fileRssBytes)}, shmem ${formatBytes(kill.shmemRssBytes)})\n• Virtual Memory: ${formatBytes(kill.totalVmBytes)}${kill.memcg ? `\n• Memory Cgroup: ${kill.memcg}` : ''}${killedIn(kill)}`).join('\n'),
+            fields: [
+                {
+                    title: 'Potential Issues',
+                    value: cgroup
+                        ? 'The process reached the memory limit of its cgroup (a container or systemd unit) and the kernel killed it. Raise the limit or find out why it grew.'
+                        : 'The host ran out of memory and the kernel killed the process to free it. Check what else was growing, and whether the service restarted cleanly.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    for (const [device, deviceErrors] of groupEvents(fsErrors, 'device')) {
+        alerts.push({
+            type: 'kernel',
+            key: `fs-error:${device}`,
+            severity: 'critical',
+            oneShot: true,
+            title: `🗄️ Filesystem Error on ${device}`,
+            value: `*Filesystem: ${deviceErrors[0].filesystem}*\n*Kernel Messages:*\n${deviceErrors.slice(0, 5).map(error => `• ${new Date(error.timestamp).toISOString()}: ${error.detail}`).join('\n')}`,
+            fields: [
+                {
+                    title: 'Potential Issues',
+                    value: 'The kernel found corrupt metadata or failed I/O on this device. It may remount the filesystem read-only; check the disk and plan a fsck or xfs_repair.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    if (hungTasks.length > 0) {
+        alerts.push({
+            type: 'kernel',
+            key: 'hung-task',
+            severity: 'warning',
+            oneShot: true,
+            title: '🧊 Tasks Hung in the Kernel',
+            value: `*Blocked Tasks:*\n${hungTasks.slice(0, 5).map(task => `• ${task.command} (PID ${task.pid}) blocked for more than ${task.blockedSeconds}s at ${new Date(task.timestamp).toISOString()}`).join('\n')}`,
+            fields: [
+                {
+                    title: 'Potential Issues',
+                    value: 'Tasks stuck in uninterruptible sleep are almost always waiting on storage or a network filesystem. Check I/O wait and disk latency.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    if (segfaultFlood) {
+        alerts.push({
+            type: 'kernel',
+            key: 'segfault',
+            severity: 'warning',
+            title: '💣 Segfault Flood',
+            value: `*Segfaults: ${segfaults.length} in the last ${formatDuration(segfaultWindowMs)} (threshold ${config.KERNEL_SEGFAULT_THRESHOLD})*\n*By Program:*\n${segfaultPrograms.slice(0, 5).map(([command, crashes]) => `• ${command}: ${crashes.length}${crashes[0].object ? ` (in ${crashes[0].object})` : ''}`).join('\n')}`,
+            fields: [
+                {
+                    title: 'Potential Issues',
+                    value: 'A program keeps crashing, usually while its supervisor restarts it. Check its logs and core dumps.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    // Alerts whose send failed go out again, with this check's events of the same key after them
+    for (const earlier of kernelEventLog.takeHeld().reverse()) {
+        const current = alerts.find(alert => alert.key === earlier.key);
+        if (current) {
+            current.value = `${earlier.value}\n${current.value}`;
+        } else {
+            alerts.unshift(earlier);
+        }
+    }
+    return { results, alerts };
+}
+
+
+// The watched interfaces of the most recent check, for the alert summary line
+let latestInterfaces = [];
+
+
+/*
+  Network interfaces (NET_INCLUDE / NET_EXCLUDE, physical NICs by default),
+  checked with every health check:
+    - An interface whose operstate is down, lowerlayerdown or notpresent is
+      critical, and resolved once its link is back
+    - Saturation is the busier direction's traffic as a share of the link
+      speed, through the NET_SATURATION rule; interfaces without a speed
+      (most virtual NICs) are not checked
+    - Errors and drops are packets per second over both directions; either
+      one at NET_ERROR_THRESHOLD or NET_DROP_THRESHOLD is a warning
+    - Rates need two samples, so the monitor's first check only reports
+      link state (`linux-monitor check` takes its first sample a second early)
+*/
+function checkNetworkInterfaces(now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    const recoveries = [];
+
+    const interfaces = getNetworkInterfaces(now);
+    if (!interfaces) {
+        results.push({ key: 'network', label: 'Network Interfaces', value: null, unit: '', warning: null, critical: null, severity: null, status: 'unknown' });
+        return { results, alerts, recoveries };
+    }
+    const watched = selectInterfaces(interfaces, { include: config.NET_INCLUDE, exclude: config.NET_EXCLUDE });
+    latestInterfaces = watched;
+
+    const evaluated = evaluateInterfaces(watched, {
+        ruleEngine,
+        saturationRule: NET_SATURATION_RULE,
+        errorThreshold: config.NET_ERROR_THRESHOLD,
+        dropThreshold: config.NET_DROP_THRESHOLD,
+        now,
+        dryRun,
+    });
+    // A dry run leaves the lifecycles alone
+    if (!dryRun) observeConditions('network', evaluated.conditions, now, recoveries);
+    return { results: evaluated.results, alerts: evaluated.alerts, recoveries };
+}
+
+
+// The watched block devices of the most recent check, for the alert summary line
+let latestBlockDevices = [];
+
+
+/*
+  Block devices (DISK_IO_INCLUDE / DISK_IO_EXCLUDE, whole devices by default),
+  checked with every health check:
+    - %util is the share of time the device had I/O in flight, through the
+      DISK_UTIL rule, which by default has to hold for 5 minutes
+    - await is the average time a read or write took from queueing to
+      completion; DISK_IO_AWAIT_THRESHOLD ms or more is a warning
+    - Queue depth, throughput and operations per second go into the alerts,
+      the summary line and Prometheus
+    - Like network rates, these need two samples
+*/
+function checkDiskIO(now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    const recoveries = [];
+
+    const devices = getDiskDevices(now);
+    if (!devices) {
+        results.push({ key: 'diskio', label: 'Disk I/O', value: null, unit: '', warning: null, critical: null, severity: null, status: 'unknown' });
+        return { results, alerts, recoveries };
+    }
+    const watched = selectBlockDevices(devices, { include: config.DISK_IO_INCLUDE, exclude: config.DISK_IO_EXCLUDE });
+    latestBlockDevices = watched;
+
+    const evaluated = evaluateBlockDevices(watched, {
+        ruleEngine,
+        utilRule: DISK_UTIL_RULE,
+        awaitThreshold: config.DISK_IO_AWAIT_THRESHOLD,
+        now,
+        dryRun,
+    });
+    // A dry run leaves the lifecycles alone
+    if (!dryRun) observeConditions('diskio', evaluated.conditions, now, recoveries);
+    return { results: evaluated.results, alerts: evaluated.alerts, recoveries };
+}
+
+
+// The TCP summary of the most recent check, for the alert summary line
+let latestTcp = null;
+
+
+/*
+  TCP sockets from /proc/net/tcp and tcp6, checked with every health check:
+    - TIME_WAIT and CLOSE_WAIT sockets at TCP_TIME_WAIT_THRESHOLD or
+      TCP_CLOSE_WAIT_THRESHOLD are a warning, listing the local ports or
+      destinations that hold the most
+    - Listen queue overflows per second (TcpExt ListenOverflows in
+      /proc/net/netstat) at TCP_LISTEN_OVERFLOW_THRESHOLD are a warning,
+      listing the fullest accept queues; the rate needs two samples
+    - Ephemeral port usage is the busiest destination's share of
+      ip_local_port_range, through the EPHEMERAL_PORTS rule
+*/
+function checkTcpConnections(now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    const recoveries = [];
+
+    const tcp = getTcpConnections(now);
+    latestTcp = tcp;
+    if (!tcp) {
+        results.push({ key: 'tcp', label: 'TCP Sockets', value: null, unit: '', warning: null, critical: null, severity: null, status: 'unknown' });
+        return { results, alerts, recoveries };
+    }
+
+    const evaluated = evaluateTcp(tcp, {
+        ruleEngine,
+        ephemeralRule: EPHEMERAL_PORTS_RULE,
+        timeWaitThreshold: config.TCP_TIME_WAIT_THRESHOLD,
+        closeWaitThreshold: config.TCP_CLOSE_WAIT_THRESHOLD,
+        listenOverflowThreshold: config.TCP_LISTEN_OVERFLOW_THRESHOLD,
+        now,
+        dryRun,
+    });
+    // A dry run leaves the lifecycles alone
+    if (!dryRun) observeConditions('tcp', evaluated.conditions, now, recoveries);
+    return { results: evaluated.results, alerts: evaluated.alerts, recoveries };
+}
+
+
+// The descriptor scan of the most recent check, for the alert summary line
+let latestFdUsage = null;
+
+
+/*
+  Open file descriptors per process, checked with every health check:
+    - Counts /proc/<pid>/fd of every process against the soft "Max open files"
+      in its /proc/<pid>/limits
+    - The process closest to its limit goes through the PROCESS_FDS rule, so one
+      condition covers the host and the alert lists the five closest processes
+    - Without root only the monitor's own user's processes are readable; the
+      alert says how many it could not see
+*/
+function checkProcessFds(now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    const recoveries = [];
+    const key = 'fds';
+    const label = 'Process File Descriptors';
+
+    const usage = getProcessFdUsage();
+    latestFdUsage = usage;
+    const closest = usage ? usage.processes[0] : null;
+    if (!closest) {
+        results.push({ key, label, value: null, warning: PROCESS_FDS_RULE.warning, critical: PROCESS_FDS_RULE.critical, severity: null, status: 'unknown' });
+        return { results, alerts, recoveries };
+    }
+
+    const evaluated = evaluateProcessFds(usage, { ruleEngine, rule: PROCESS_FDS_RULE, now, dryRun });
+    // A dry run leaves the lifecycles alone
+    if (!dryRun) observeConditions('process', evaluated.conditions, now, recoveries);
+    return { results: evaluated.results, alerts: evaluated.alerts, recoveries };
+}
+
+
+// The containers of the most recent check, for the alert summary line and the metrics
+// endpoint; null when that check could not list the processes
+let latestContainers = [];
+
+
+// The CONTAINER_MEM or CONTAINER_CPU rule for one container, with its own levels from
+// containers.thresholds when it has them
+function containerRule(metric, name) {
+    return ruleFromConfig(config, `CONTAINER_${metric}`, {
+        warning: containerSetting(config[`CONTAINER_${metric}_WARNING_THRESHOLDS`], name, config[`CONTAINER_${metric}_WARNING_THRESHOLD`]),
+        critical: containerSetting(config[`CONTAINER_${metric}_THRESHOLDS`], name, config[`CONTAINER_${metric}_THRESHOLD`]),
+    });
+}
+
+
+/*
+  Containers found through /proc/<pid>/cgroup, checked with every health check:
+    - Memory (the working set) as a share of the cgroup memory limit, through
+      the CONTAINER_MEM rule or the container's own levels
+    - CPU cores used as a share of the CPU quota, through the CONTAINER_CPU
+      rule the same way; the rate needs two samples
+    - Containers without a memory limit or CPU quota are listed in the summary
+      line but not checked
+    - Alerts name the container and its image and list its busiest processes
+*/
+function checkContainers(now, { dryRun = false } = {}) {
+    const results = [];
+    const alerts = [];
+    const recoveries = [];
+
+    const containers = getContainers(now);
+    latestContainers = containers;
+    if (!containers) {
+        results.push({ key: 'containers', label: 'Containers', value: null, unit: '', warning: null, critical: null, severity: null, status: 'unknown' });
+        return { results, alerts, recoveries };
+    }
+
+    const evaluated = evaluateContainers(containers, { ruleEngine, ruleFor: containerRule, listProcesses, now, dryRun });
+    // A dry run leaves the lifecycles alone
+    if (dryRun) return { results: evaluated.results, alerts: evaluated.alerts, recoveries };
+    observeConditions('container', evaluated.conditions, now, recoveries);
+
+    // Containers that stopped (or lost their limit) resolve, and are let go once they are OK
+    const checked = new Set(evaluated.conditions.map(condition => condition.key));
+    for (const { key, name, label } of evaluated.conditions) containerConditions.set(key, { name, label });
+    const running = new Set(containers.map(container => container.id.slice(0, 12)));
+    for (const [key, { name, label }] of containerConditions) {
+        if (checked.has(key)) continue;
+        ruleEngine.forget(key);
+        const gone = !running.has(key.slice(key.indexOf(':') + 1));
+        observeCondition('container', key, false, label, gone ? `*Container ${name} has stopped*` : `*Container ${name} no longer has a limit*`, now, recoveries);
+        if (alertLifecycle.get(key).state === STATES.OK) containerConditions.delete(key);
+    }
+    return { results: evaluated.results, alerts: evaluated.alerts, recoveries };
+}
+
+
+/*
+  Main health check logic:
+    - Checks CPU (including iowait and steal), memory, swap usage and the
+      CPU, memory and I/O stall shares from /proc/pressure
+    - Runs each metric through its rule, which holds a breach PENDING for its
+      "for" duration and keeps it FIRING until it drops below the clear threshold
+    - Builds alert(s) for the metrics that are firing
+    - Alerts include top processes and system breakdowns
+    - Alerts sent through the notifier if their own type's cooldown expired
+    - Conditions that clear after being announced get a "resolved" message
+    - Watched processes, per-process limits, kernel events, network
+      interfaces, block devices, TCP sockets, per-process file descriptors
+      and containers are checked alongside (see checkWatchedProcesses,
+      checkProcessLimits, checkKernelEvents, checkNetworkInterfaces,
+      checkDiskIO, checkTcpConnections, checkProcessFds and checkContainers)
+    - Returns one result per metric; a dry run (`linux-monitor check`/`status`)
+      stops there, so it sends nothing and writes no history
+*/
+function checkSystemHealth({ dryRun = false } = {}) {
+    const alerts = [];
+    const cpuBreakdown = getCpuBreakdown();
+    const cpu = cpuBreakdown ? cpuBreakdown.usage : null;
+    const mem = getMemUsage();
+    const swap = getSwapUsage();
+    const pressure = getPressure();
+    const now = Date.now();
+
+    // Run every readable metric through its rule; unreadable metrics keep their last state
+    const readings = {
+        cpu,
+        iowait: cpuBreakdown ? cpuBreakdown.modes.iowait : null,
+        steal: cpuBreakdown ? cpuBreakdown.modes.steal : null,
+        mem,
+        swap,
+        ...getPressureReadings(pressure),
+    };
+    const evaluations = {};
+    for (const [type, value] of Object.entries(readings)) {
+        if (value !== null) evaluations[type] = ruleEngine.evaluate(type, value, RULES[type], now);
+    }
+    const isFiring = type => Boolean(evaluations[type]) && evaluations[type].status === 'firing';
+    latestCheck = { readings, evaluations };
+
+    const results = Object.keys(readings).map(type => ({
+        key: type,
+        label: RECOVERY_LABELS[type],
+        value: readings[type],
+        severity: evaluations[type] ? evaluations[type].severity : null,
+        status: evaluations[type] ? evaluations[type].status : 'unknown',
+        warning: RULES[type].warning,
+        critical: RULES[type].critical,
+    }));
+    // One ps listing serves both the watchdog and the per-process limits
+    const needsProcessList = config.PROCESS_LIMITS.length > 0 || config.PROCESS_WATCH.some(watch => watch.match !== 'unit');
+    const processes = needsProcessList ? listProcesses() : null;
+    const watched = checkWatchedProcesses(processes, now, { dryRun });
+    const limited = checkProcessLimits(processes, now, { dryRun });
+    const kernel = checkKernelEvents(now, { dryRun });
+    const network = checkNetworkInterfaces(now, { dryRun });
+    const diskIo = checkDiskIO(now, { dryRun });
+    const tcp = checkTcpConnections(now, { dryRun });
+    const fds = checkProcessFds(now, { dryRun });
+    const containers = checkContainers(now, { dryRun });
+    results.push(...watched.results, ...limited.results, ...kernel.results, ...network.results, ...diskIo.results, ...tcp.results, ...fds.results, ...containers.results);
+    if (dryRun) return results;
+
+    if (history) {
+        const load = getSystemLoad();
+        history.record(Object.assign({ load1: load ? load['1min'] : null }, readings), now);
+    }
+
+    // CPU: the rule keeps it PENDING until it has been high for CPU_OVER_THRESHOLD_DURATION
+    if (isFiring('cpu')) {
+        const { severity, level, since } = evaluations.cpu;
+        const topProcesses = getTopCpuProcesses(8);
+        const processDetails = formatProcessList(topProcesses, 'cpu');
+        alerts.push({
+            type: 'cpu',
+            severity,
+            title: '🚀 High CPU Usage Detected',
+            value: `*Current CPU Usage: ${cpu.toFixed(1)}%*\n*Threshold: ${level}%*\n*Duration: ${((now - since) / 60000).toFixed(1)} minutes*\n*CPU Modes:* ${formatCpuModes(cpuBreakdown.modes)}\n*Busiest Cores:*\n${formatBusiestCores(cpuBreakdown.cores)}\n\n*Top CPU Processes:*\n${processDetails}`,
+            fields: [
+                {
+                    title: 'System Impact',
+                    value: 'High CPU usage can cause system slowdown, increased response times, and potential service degradation.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    // I/O wait: processes stalled on storage
+    if (isFiring('iowait')) {
+        alerts.push({
+            type: 'iowait',
+            severity: evaluations.iowait.severity,
+            title: '⏳ High CPU I/O Wait Detected',
+            value: `*Current I/O Wait: ${cpuBreakdown.modes.iowait.toFixed(1)}%*\n*Threshold: ${evaluations.iowait.level}%*\n*CPU Modes:* ${formatCpuModes(cpuBreakdown.modes)}\n*Cores Waiting Most:*\n${formatBusiestCores(cpuBreakdown.cores, 'iowait')}`,
+            fields: [
+                {
+                    title: 'Potential Issues',
+                    value: 'High I/O wait means tasks are blocked on disk or network storage. Check volume latency and throughput limits.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    // Steal: hypervisor handing our CPU time to other guests
+    if (isFiring('steal')) {
+        alerts.push({
+            type: 'steal',
+            severity: evaluations.steal.severity,
+            title: '🕳️ High CPU Steal Time Detected',
+            value: `*Current Steal Time: ${cpuBreakdown.modes.steal.toFixed(1)}%*\n*Threshold: ${evaluations.steal.level}%*\n*CPU Modes:* ${formatCpuModes(cpuBreakdown.modes)}\n*Most Affected Cores:*\n${formatBusiestCores(cpuBreakdown.cores, 'steal')}`,
+            fields: [
+                {
+                    title: 'Potential Issues',
+                    value: 'Steal time is CPU the hypervisor gave to other guests. Sustained steal usually means burst credits are exhausted or the host is oversubscribed.',
+                    short: false
+                }
+            ]
+        });
+    }
+
+    // Memory: Alert if over a threshold
+    if (isFiring('mem')) {
+        const detailedMem = getDetailedMemoryInfo();
+        const topProcesses = getTopMemoryProcesses(8);
+        const processDetails = formatProcessList(topProcesses, 'memory');
+
+        let memoryDetails = `*Current Memory Usage: ${mem.toFixed(1)}%*\n*Threshold: ${evaluations.mem.level}%*`;
+        if (detailedMem) {
+            memoryDetails += `\n*Memory Breakdown:*\n• Total: ${detailedMem.total}\n• Used: ${detailedMem.used}\n• Available: ${detailedMem.available}\n• Cache: ${detailedMem.cache}`;
         }
         memoryDetails += `\n\n*Top Memory Processes:*\n${processDetails}`;
         alerts.push({
+            type: 'mem',
+            severity: evaluations.mem.severity,
             title: '🧠 High Memory Usage Detected',
             value: memoryDetails,
             fields: [
@@ -571,14 +1746,16 @@ function checkSystemHealth() {
         });
     }
 
-    // Swap: Alert if over threshold
-    if (swap !== null && swap >= SWAP_THRESHOLD) {
+    // Swap: Alert if over a threshold
+    if (isFiring('swap')) {
         const detailedSwap = getDetailedSwapInfo();
-        let swapDetails = `*Current Swap Usage: ${swap.toFixed(1)}%*\n*Threshold: ${SWAP_THRESHOLD}%*`;
+        let swapDetails = `*Current Swap Usage: ${swap.toFixed(1)}%*\n*Threshold: ${evaluations.swap.level}%*`;
         if (detailedSwap) {
             swapDetails += `\n*Swap Breakdown:*\n• Total: ${detailedSwap.total}\n• Used: ${detailedSwap.used}\n• Free: ${detailedSwap.free}`;
         }
         alerts.push({
+            type: 'swap',
+            severity: evaluations.swap.severity,
             title: '💾 High Swap Usage Detected',
             value: swapDetails,
             fields: [
@@ -596,58 +1773,472 @@ function checkSystemHealth() {
         });
     }
 
-    // Send alerts if any, respecting cooldown
+    // Pressure: tasks stalled waiting on a resource, whatever its usage percentage says
+    for (const [type, { resource, line }] of Object.entries(PRESSURE_TYPES)) {
+        if (!isFiring(type)) continue;
+        alerts.push({
+            type,
+            severity: evaluations[type].severity,
+            title: line === 'full' ? PRESSURE_ALERTS[resource].fullTitle : PRESSURE_ALERTS[resource].title,
+            value: `*Current ${RECOVERY_LABELS[type]}: ${readings[type].toFixed(1)}% (${line}, ${config.PRESSURE_AVERAGE})*\n*Threshold: ${evaluations[type].level}%*\n*Stall Time (avg10 / avg60):*\n• CPU: ${formatPressure({ some: pressure.cpu.some, full: null })}\n• Memory: ${formatPressure(pressure.memory)}\n• I/O: ${formatPressure(pressure.io)}`,
+            fields: PRESSURE_ALERTS[resource].fields,
+        });
+    }
+
+    // Watched processes that died or restarted, processes over their limits, kernel events,
+    // network interfaces, block devices, TCP sockets, processes near their open file limit and containers
+    alerts.push(...watched.alerts, ...limited.alerts, ...kernel.alerts, ...network.alerts, ...diskIo.alerts, ...tcp.alerts, ...fds.alerts, ...containers.alerts);
+
+    // Feed every rule outcome into its condition's lifecycle
+    const recoveries = watched.recoveries.concat(limited.recoveries, network.recoveries, diskIo.recoveries, tcp.recoveries, fds.recoveries, containers.recoveries);
+    for (const [type, evaluation] of Object.entries(evaluations)) {
+        if (evaluation.status === 'pending') {
+            logger.info({
+                alertType: type,
+                value: readings[type],
+                threshold: evaluation.level,
+                activeMinutes: ((now - evaluation.since) / 60000).toFixed(1),
+                forMinutes: RULES[type].forMs / 60000,
+            }, 'Over threshold, but duration not met yet');
+        }
+        observeCondition(type, type, evaluation.status, RECOVERY_LABELS[type], `*Current ${RECOVERY_LABELS[type]}: ${readings[type].toFixed(1)}%*\n*Threshold: ${RULES[type].clear}%*`, now, recoveries);
+    }
+
+    // Recoveries are never held back by the cooldown
+    if (recoveries.length > 0) {
+        sendRecoveryAlert(recoveries);
+    }
+
+    // Send alerts if any, each respecting the cooldown of its own type; one-shot kernel
+    // events are never repeated, so none of them may be dropped
     if (alerts.length > 0) {
-        const lastAlertTime = alertTracker.getLastAlertTime();
-        if (now - lastAlertTime >= ALERT_COOLDOWN) {
-            sendSlackAlert(alerts);
-        } else {
-            logger.info({ alertCount: alerts.length }, 'Alert(s) detected, but cooldown still active');
+        const due = alerts.filter(alert => alert.oneShot || cooldowns.shouldAlert(alert.key || alert.type, { cooldownMs: config.ALERT_COOLDOWN, severity: alert.severity, now }));
+        if (due.length < alerts.length) {
+            const held = alerts.filter(alert => !due.includes(alert)).map(alert => alert.key || alert.type);
+            logger.info({ alertTypes: held }, 'Alert(s) detected, but cooldown still active');
+        }
+        if (due.length > 0) {
+            sendSlackAlert(due);
         }
     } else {
-        logger.info({ cpu, mem, swap }, 'System health OK');
+        logger.info({
+            cpu,
+            iowait: cpuBreakdown ? cpuBreakdown.modes.iowait : null,
+            steal: cpuBreakdown ? cpuBreakdown.modes.steal : null,
+            mem,
+            swap,
+        }, 'System health OK');
+    }
+    return results;
+}
+
+
+// =====================
+// Prometheus Metrics
+// =====================
+// /proc/stat counts CPU time in USER_HZ ticks, which is 1/100 s on every mainstream architecture
+const USER_HZ = 100;
+
+// Each collector records one group of metrics and throws when its source cannot be read
+const METRIC_COLLECTORS = {
+    cpu(metrics) {
+        const { cores } = procMetrics.readCpuTimes();
+        for (const core of cores) {
+            for (const mode of ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal']) {
+                metrics.counter('linux_monitor_cpu_seconds_total', 'CPU time spent in each mode, per core', core[mode] / USER_HZ, { cpu: String(core.id), mode });
+            }
+        }
+    },
+    memory(metrics) {
+        const info = procMetrics.readMemInfo();
+        metrics.gauge('linux_monitor_memory_total_bytes', 'Total usable memory', info.MemTotal);
+        metrics.gauge('linux_monitor_memory_available_bytes', 'Memory available without swapping (MemAvailable)', memAvailable(info));
+        metrics.gauge('linux_monitor_memory_usage_percent', 'Memory in use, counting reclaimable cache as free', getMemUsage());
+        metrics.gauge('linux_monitor_swap_total_bytes', 'Total swap space', info.SwapTotal || 0);
+        metrics.gauge('linux_monitor_swap_free_bytes', 'Unused swap space', info.SwapFree || 0);
+        metrics.gauge('linux_monitor_swap_usage_percent', 'Swap space in use', getSwapUsage());
+    },
+    load(metrics) {
+        const load = procMetrics.readLoadAvg();
+        metrics.gauge('linux_monitor_load1', '1-minute load average', load['1min']);
+        metrics.gauge('linux_monitor_load5', '5-minute load average', load['5min']);
+        metrics.gauge('linux_monitor_load15', '15-minute load average', load['15min']);
+    },
+    uptime(metrics) {
+        metrics.gauge('linux_monitor_uptime_seconds', 'Seconds since boot', procMetrics.readUptime().uptimeSeconds);
+    },
+    filesystem(metrics) {
+        const mounts = getMountUsages(procMetrics, {
+            include: config.DISK_INCLUDE,
+            exclude: config.DISK_EXCLUDE,
+            onError: (error, mount) => logger.warn({ err: error, mountpoint: mount.mountpoint }, 'Skipping unreadable mount'),
+        });
+        for (const mount of mounts) {
+            const labels = { mountpoint: mount.mountpoint, device: mount.device, fstype: mount.fstype };
+            metrics.gauge('linux_monitor_filesystem_size_bytes', 'Filesystem size', mount.totalBytes, labels);
+            metrics.gauge('linux_monitor_filesystem_avail_bytes', 'Space available to unprivileged users', mount.availableBytes, labels);
+            metrics.gauge('linux_monitor_filesystem_usage_percent', 'Space in use, as df reports it', mount.usagePercent, labels);
+            metrics.gauge('linux_monitor_filesystem_inode_usage_percent', 'Inodes in use', mount.inodeUsagePercent, labels);
+        }
+    },
+    filefd(metrics) {
+        const openFiles = getOpenFileDescriptors();
+        if (!openFiles) throw new Error('/proc/sys/fs/file-nr is not readable');
+        metrics.gauge('linux_monitor_filefd_allocated', 'Allocated file descriptors', openFiles.allocated);
+        metrics.gauge('linux_monitor_filefd_maximum', 'System-wide file descriptor limit', openFiles.maximum);
+    },
+    network(metrics) {
+        for (const entry of procMetrics.readNetDev()) {
+            const labels = { interface: entry.interface };
+            metrics.counter('linux_monitor_network_receive_bytes_total', 'Bytes received', entry.rxBytes, labels);
+            metrics.counter('linux_monitor_network_transmit_bytes_total', 'Bytes transmitted', entry.txBytes, labels);
+            metrics.counter('linux_monitor_network_receive_errors_total', 'Receive errors', entry.rxErrors, labels);
+            metrics.counter('linux_monitor_network_transmit_errors_total', 'Transmit errors', entry.txErrors, labels);
+            metrics.counter('linux_monitor_network_receive_drop_total', 'Received packets dropped', entry.rxDropped, labels);
+            metrics.counter('linux_monitor_network_transmit_drop_total', 'Transmitted packets dropped', entry.txDropped, labels);
+            metrics.counter('linux_monitor_network_receive_packets_total', 'Packets received', entry.rxPackets, labels);
+            metrics.counter('linux_monitor_network_transmit_packets_total', 'Packets transmitted', entry.txPackets, labels);
+            metrics.counter('linux_monitor_network_receive_fifo_total', 'Receive FIFO overruns', entry.rxFifo, labels);
+            metrics.counter('linux_monitor_network_transmit_fifo_total', 'Transmit FIFO overruns', entry.txFifo, labels);
+            let link;
+            try {
+                link = procMetrics.readNetInterface(entry.interface);
+            } catch (error) {
+                continue;
+            }
+            metrics.gauge('linux_monitor_network_up', 'Whether the link is up (1) or not (0), from its operstate', link.operstate === 'up' ? 1 : 0, labels);
+            if (link.speedMbps) metrics.gauge('linux_monitor_network_speed_bytes', 'Link speed in bytes per second', link.speedMbps * 125000, labels);
+        }
+    },
+    diskstats(metrics) {
+        // The devices the health check watches (DISK_IO_INCLUDE / DISK_IO_EXCLUDE), so partitions do not double-count
+        const entries = procMetrics.readDiskStats();
+        const watched = new Set(selectBlockDevices(entries.map(entry => procMetrics.readBlockDevice(entry.device)), {
+            include: config.DISK_IO_INCLUDE,
+            exclude: config.DISK_IO_EXCLUDE,
+        }).map(entry => entry.device));
+        for (const entry of entries.filter(candidate => watched.has(candidate.device))) {
+            const labels = { device: entry.device };
+            metrics.counter('linux_monitor_disk_reads_completed_total', 'Reads completed', entry.readsCompleted, labels);
+            metrics.counter('linux_monitor_disk_writes_completed_total', 'Writes completed', entry.writesCompleted, labels);
+            metrics.counter('linux_monitor_disk_read_bytes_total', 'Bytes read', entry.sectorsRead * SECTOR_BYTES, labels);
+            metrics.counter('linux_monitor_disk_written_bytes_total', 'Bytes written', entry.sectorsWritten * SECTOR_BYTES, labels);
+            metrics.counter('linux_monitor_disk_read_time_seconds_total', 'Time spent on reads, summed over every read', entry.readTimeMs / 1000, labels);
+            metrics.counter('linux_monitor_disk_write_time_seconds_total', 'Time spent on writes, summed over every write', entry.writeTimeMs / 1000, labels);
+            metrics.counter('linux_monitor_disk_io_time_seconds_total', 'Time the device had I/O in flight', entry.ioTimeMs / 1000, labels);
+            metrics.counter('linux_monitor_disk_io_time_weighted_seconds_total', 'Time the device had I/O in flight, weighted by the number of requests', entry.weightedIoTimeMs / 1000, labels);
+            metrics.gauge('linux_monitor_disk_io_now', 'Requests in flight', entry.ioInProgress, labels);
+        }
+    },
+    tcp(metrics) {
+        const sockets = procMetrics.readTcpSockets();
+        const { states, ports } = summariseSockets(sockets);
+        for (const [state, count] of Object.entries(states)) {
+            metrics.gauge('linux_monitor_tcp_connections', 'TCP sockets in each state, IPv4 and IPv6', count, { state });
+        }
+        for (const port of ports) {
+            const labels = { port: String(port.port) };
+            metrics.gauge('linux_monitor_tcp_port_connections', 'Connections to a listening port', port.connections, labels);
+            metrics.gauge('linux_monitor_tcp_listen_queue', 'Connections waiting for accept() on a listening port', port.backlog, labels);
+        }
+        const { TcpExt = {} } = procMetrics.readNetstat();
+        metrics.counter('linux_monitor_tcp_listen_overflows_total', 'Connections dropped because an accept queue was full', TcpExt.ListenOverflows || 0);
+        metrics.counter('linux_monitor_tcp_listen_drops_total', 'Connection requests dropped by listening sockets, overflows included', TcpExt.ListenDrops || 0);
+        const sockstat = procMetrics.readSockstat();
+        metrics.gauge('linux_monitor_sockets_used', 'Sockets in use, all protocols', sockstat.sockets ? sockstat.sockets.used : 0);
+        metrics.gauge('linux_monitor_tcp_orphans', 'TCP sockets no longer attached to a process', sockstat.TCP ? sockstat.TCP.orphan : 0);
+        metrics.gauge('linux_monitor_tcp_memory_pages', 'Memory pages used by TCP buffers', sockstat.TCP ? sockstat.TCP.mem : 0);
+        const ephemeral = ephemeralPortUsage(sockets, procMetrics.readLocalPortRange());
+        metrics.gauge('linux_monitor_tcp_ephemeral_ports_used', 'Distinct local ports from ip_local_port_range in use', ephemeral.used);
+        metrics.gauge('linux_monitor_tcp_ephemeral_ports_total', 'Ports in ip_local_port_range', ephemeral.rangeSize);
+    },
+    containers(metrics) {
+        // Served from the last check: naming containers may run the container CLI, which a scrape must not wait for
+        if (!latestContainers) throw new Error('The process list was not readable at the last check');
+        for (const container of latestContainers) {
+            if (!container.stats) continue;
+            const { stats } = container;
+            const labels = { container: container.name, image: container.image || '' };
+            metrics.gauge('linux_monitor_container_memory_bytes', 'Working set of the container: cgroup memory less inactive page cache', stats.memoryBytes, labels);
+            if (stats.memoryLimitBytes !== null) metrics.gauge('linux_monitor_container_memory_limit_bytes', 'Memory limit of the container', stats.memoryLimitBytes, labels);
+            metrics.counter('linux_monitor_container_cpu_seconds_total', 'CPU time used by the container', stats.cpuUsageSeconds, labels);
+            if (stats.cpuLimitCores !== null) metrics.gauge('linux_monitor_container_cpu_limit_cores', 'CPU quota of the container in cores', stats.cpuLimitCores, labels);
+            metrics.counter('linux_monitor_container_cpu_throttled_periods_total', 'Scheduling periods in which the container was throttled', stats.cpuThrottledPeriods, labels);
+        }
+    },
+    alerts(metrics) {
+        for (const type of Object.keys(RULES)) {
+            const condition = ruleEngine.get(type);
+            metrics.gauge('linux_monitor_alert_firing', 'Whether the alert condition is firing (1) or not (0)', condition && condition.firing ? 1 : 0, { alert: type });
+        }
+    },
+};
+
+
+/*
+  Build the metrics for one Prometheus scrape:
+    - Every collector reads its source afresh, so scrapes never disturb the
+      samples the health check computes its own rates from
+    - Containers are the exception: they are served as the last check found
+      them, since discovering them can run the container CLI
+    - Cumulative kernel counters (CPU time, network, disk I/O) stay counters;
+      Prometheus derives the rates with rate()
+    - A collector that fails is logged and reported as
+      linux_monitor_collector_success{collector="..."} 0 instead of failing the scrape
+*/
+function collectMetrics() {
+    const metrics = createMetricSet({ host: os.hostname() });
+    const success = {};
+    for (const [name, collect] of Object.entries(METRIC_COLLECTORS)) {
+        try {
+            collect(metrics);
+            success[name] = 1;
+        } catch (error) {
+            success[name] = 0;
+            logger.warn({ err: error, collector: name }, 'Metrics collector failed');
+        }
+    }
+    for (const [name, value] of Object.entries(success)) {
+        metrics.gauge('linux_monitor_collector_success', 'Whether the collector could read its source (1) or not (0)', value, { collector: name });
     }
+    return metrics;
+}
+
+
+// =====================
+// Dashboard
+// =====================
+// ps is too heavy to run on every 5-second dashboard poll
+const TOP_PROCESS_CACHE_MS = 15 * 1000;
+let topProcessCache = null;
+
+// The dashboard's own CPU sample, so its polls never shorten the check loop's interval
+const dashboardCpuSampler = createCounterSampler(diffCpuBreakdown);
+
+function getDashboardCpu() {
+    try {
+        const times = procMetrics.readCpuTimes();
+        const breakdown = dashboardCpuSampler.observe(times, times.total.total) || diffCpuBreakdown(null, times);
+        return { usage: breakdown.usage, iowait: breakdown.modes.iowait, steal: breakdown.modes.steal };
+    } catch (error) {
+        logger.error({ err: error }, 'Error getting CPU usage for the dashboard');
+        return { usage: null, iowait: null, steal: null };
+    }
+}
+
+function getDashboardTopProcesses(now) {
+    if (!topProcessCache || now - topProcessCache.updatedAt >= TOP_PROCESS_CACHE_MS) {
+        topProcessCache = { updatedAt: now, cpu: getTopCpuProcesses(10), memory: getTopMemoryProcesses(10) };
+    }
+    return topProcessCache;
+}
+
+
+/*
+  Everything the dashboard shows at one moment:
+    - Gauges for CPU (with iowait and steal), memory, swap and pressure stalls,
+      coloured by their rules' levels
+    - Each alert condition's lifecycle state with the readings of the last check
+    - Filesystem usage with the disk monitor's levels per mount
+    - The top CPU and memory processes, refreshed at most every 15 seconds
+*/
+function getDashboardSnapshot(now = Date.now()) {
+    const cpu = getDashboardCpu();
+    const current = Object.assign({ cpu: cpu.usage, iowait: cpu.iowait, steal: cpu.steal, mem: getMemUsage(), swap: getSwapUsage() }, getPressureReadings(getPressure()));
+    // Kernels without PSI have no pressure readings to show
+    const types = Object.keys(RULES).filter(type => type in current);
+
+    const gauges = types.map(type => ({
+        metric: type,
+        label: RECOVERY_LABELS[type],
+        value: current[type],
+        warning: RULES[type].warning,
+        critical: RULES[type].critical,
+    }));
+
+    const alerts = types.map(type => {
+        const lifecycle = alertLifecycle.get(type);
+        const evaluation = latestCheck.evaluations[type];
+        return {
+            type,
+            label: RECOVERY_LABELS[type],
+            state: lifecycle ? lifecycle.state : STATES.OK,
+            severity: evaluation ? evaluation.severity : null,
+            value: latestCheck.readings[type] !== undefined ? latestCheck.readings[type] : null,
+            warning: RULES[type].warning,
+            critical: RULES[type].critical,
+            since: lifecycle ? lifecycle.startedAt : null,
+        };
+    });
+
+    let disks = [];
+    try {
+        disks = getMountUsages(procMetrics, {
+            include: config.DISK_INCLUDE,
+            exclude: config.DISK_EXCLUDE,
+            onError: (error, mount) => logger.warn({ err: error, mountpoint: mount.mountpoint }, 'Skipping unreadable mount'),
+        }).map(mount => ({
+            mountpoint: mount.mountpoint,
+            device: mount.device,
+            usedBytes: mount.usedBytes,
+            totalBytes: mount.totalBytes,
+            usagePercent: mount.usagePercent,
+            inodeUsagePercent: mount.inodeUsagePercent,
+            warning: config.DISK_MOUNT_WARNING_THRESHOLDS[mount.mountpoint] !== undefined ? config.DISK_MOUNT_WARNING_THRESHOLDS[mount.mountpoint] : config.DISK_WARNING_THRESHOLD,
+            critical: config.DISK_MOUNT_THRESHOLDS[mount.mountpoint] !== undefined ? config.DISK_MOUNT_THRESHOLDS[mount.mountpoint] : config.DISK_THRESHOLD,
+        }));
+    } catch (error) {
+        logger.error({ err: error }, 'Error listing mounted filesystems for the dashboard');
+    }
+
+    return {
+        host: os.hostname(),
+        generatedAt: now,
+        uptime: getUptime(),
+        load: getSystemLoad(),
+        cpuCount: os.cpus().length,
+        gauges,
+        alerts,
+        disks,
+        topProcesses: getDashboardTopProcesses(now),
+    };
+}
+
+
+// One metric's samples over the last `rangeMs`, from the health monitor's history
+function getDashboardHistory(metric, rangeMs, now = Date.now()) {
+    const range = { since: now - rangeMs, until: now };
+    const result = history ? history.query(metric, range) : { resolution: 'raw', points: [] };
+    return Object.assign(range, result);
 }
 
 
 // =====================
 // Startup
 // =====================
-if (require.main === module) {
-    validateWebhook(SLACK_WEBHOOK_URL);
+// Run the monitor: check now and on every interval, serve the optional endpoints, reload on SIGHUP
+function start() {
+    validateNotifier(notifier, config.ALERT_ROUTES, logger);
 
     logger.info({
-        checkIntervalMinutes: CHECK_INTERVAL / 1000 / 60,
-        cpuThresholdPercent: CPU_THRESHOLD,
-        memoryThresholdPercent: MEM_THRESHOLD,
-        swapThresholdPercent: SWAP_THRESHOLD,
-        alertCooldownMinutes: ALERT_COOLDOWN / 1000 / 60,
+        configFile: config.CONFIG_FILE,
+        checkIntervalMinutes: getCheckInterval() / 1000 / 60,
+        cpuThresholdPercent: config.CPU_THRESHOLD,
+        memoryThresholdPercent: config.MEM_THRESHOLD,
+        swapThresholdPercent: config.SWAP_THRESHOLD,
+        iowaitThresholdPercent: config.IOWAIT_THRESHOLD,
+        stealThresholdPercent: config.STEAL_THRESHOLD,
+        alertCooldownMinutes: config.ALERT_COOLDOWN / 1000 / 60,
+        channels: notifier.channels.map(channel => channel.name),
     }, 'System health monitor started');
 
     // Initial health check and schedule periodic checks
     checkSystemHealth();
-    setInterval(checkSystemHealth, CHECK_INTERVAL);
+    let timer = setInterval(checkSystemHealth, getCheckInterval());
+
+    // Optional Prometheus endpoint (METRICS_PORT)
+    let metricsServer = null;
+    const startMetricsServer = () => {
+        if (config.METRICS_PORT === null) return;
+        metricsServer = createMetricsServer({ collect: collectMetrics, port: config.METRICS_PORT, host: config.METRICS_HOST }, logger);
+        metricsServer.start().catch(error => {
+            logger.error({ err: error, port: config.METRICS_PORT, host: config.METRICS_HOST }, 'Could not start the metrics endpoint');
+            metricsServer = null;
+        });
+    };
+    startMetricsServer();
+
+    // Optional web dashboard (DASHBOARD_PORT)
+    let dashboardServer = null;
+    const startDashboardServer = () => {
+        if (config.DASHBOARD_PORT === null) return;
+        dashboardServer = createDashboardServer({
+            getSnapshot: getDashboardSnapshot,
+            getHistory: getDashboardHistory,
+            port: config.DASHBOARD_PORT,
+            host: config.DASHBOARD_HOST,
+            username: config.DASHBOARD_USER,
+            password: config.DASHBOARD_PASSWORD,
+        }, logger);
+        dashboardServer.start().catch(error => {
+            logger.error({ err: error, port: config.DASHBOARD_PORT, host: config.DASHBOARD_HOST }, 'Could not start the dashboard');
+            dashboardServer = null;
+        });
+    };
+    startDashboardServer();
+
+    // SIGHUP (systemctl reload) applies a changed configuration without a restart
+    watchConfig(next => {
+        const previous = config;
+        const previousInterval = getCheckInterval();
+        applyConfig(next);
+        if (getCheckInterval() !== previousInterval) {
+            clearInterval(timer);
+            timer = setInterval(checkSystemHealth, getCheckInterval());
+        }
+        if (config.METRICS_PORT !== previous.METRICS_PORT || config.METRICS_HOST !== previous.METRICS_HOST) {
+            const running = metricsServer;
+            metricsServer = null;
+            (running ? running.stop() : Promise.resolve()).then(startMetricsServer);
+        }
+        if (['DASHBOARD_PORT', 'DASHBOARD_HOST', 'DASHBOARD_USER', 'DASHBOARD_PASSWORD'].some(key => config[key] !== previous[key])) {
+            const running = dashboardServer;
+            dashboardServer = null;
+            (running ? running.stop() : Promise.resolve()).then(startDashboardServer);
+        }
+    }, logger);
 
     setupGracefulShutdown('System health monitor', logger);
 }
 
+if (require.main === module) {
+    start();
+}
+
 
 // Export functions for testing and extension
 module.exports = {
     getCpuUsage,
+    getCpuBreakdown,
     getTopCpuProcesses,
     getMemUsage,
     getDetailedMemoryInfo,
     getTopMemoryProcesses,
+    listProcesses,
     getSwapUsage,
     getDetailedSwapInfo,
     getSystemLoad,
     getUptime,
     getDiskUsage,
+    getAllDiskUsage,
     getOpenFileDescriptors,
+    getNetworkInterfaces,
     getNetworkBandwidth,
     getDiskIO,
+    getDiskDevices,
+    getTcpConnections,
+    getProcessFdUsage,
+    getContainers,
+    collectMetrics,
+    getDashboardSnapshot,
+    getDashboardHistory,
     formatProcessList,
+    formatCpuModes,
     checkSystemHealth,
-    sendSlackAlert
+    sendSlackAlert,
+    sendRecoveryAlert,
+    alertLifecycle,
+    ruleEngine,
+    processWatchdog,
+    leakTracker,
+    kernelEventLog,
+    cpuSampler,
+    networkSampler,
+    bandwidthSampler,
+    diskIoSampler,
+    diskOpsSampler,
+    tcpSampler,
+    containerSampler,
+    containerLookup,
+    start
 };
\ No newline at end of file
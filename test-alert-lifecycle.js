@@ -0,0 +1,82 @@
+/**
+============================================================
+    Goal: Automated Tests for the Alert Lifecycle
+============================================================
+    Why:
+        - Recovery messages are only trustworthy if transitions are exact
+        - A missed RESOLVED leaves on-call waiting; a spurious one hides a live incident
+
+    What:
+        - Walks conditions through OK, PENDING, FIRING and RESOLVED
+        - Checks incident start times, durations and the notified flag
+============================================================
+*/
+
+const { STATES, createAlertLifecycle } = require('./lib/alert-lifecycle');
+
+const MINUTE = 60 * 1000;
+
+describe('Alert Lifecycle Tests', () => {
+    let lifecycle;
+
+    beforeEach(() => {
+        lifecycle = createAlertLifecycle();
+    });
+
+    test('should start every condition in OK', () => {
+        expect(lifecycle.get('cpu').state).toBe(STATES.OK);
+        expect(lifecycle.observe('cpu', 'ok', 0)).toEqual(expect.objectContaining({ from: STATES.OK, to: STATES.OK }));
+    });
+
+    test('should go through PENDING and FIRING to RESOLVED with the incident duration', () => {
+        expect(lifecycle.observe('cpu', 'pending', 0).to).toBe(STATES.PENDING);
+        expect(lifecycle.observe('cpu', 'firing', 5 * MINUTE).to).toBe(STATES.FIRING);
+        lifecycle.markNotified('cpu');
+
+        const resolved = lifecycle.observe('cpu', 'ok', 20 * MINUTE);
+        expect(resolved).toEqual({
+            key: 'cpu',
+            from: STATES.FIRING,
+            to: STATES.RESOLVED,
+            startedAt: 0,
+            duration: 20 * MINUTE,
+            notified: true
+        });
+        expect(lifecycle.observe('cpu', 'ok', 25 * MINUTE).to).toBe(STATES.OK);
+    });
+
+    test('should return from PENDING to OK without resolving', () => {
+        lifecycle.observe('mem', 'pending', 0);
+        expect(lifecycle.observe('mem', 'ok', MINUTE)).toEqual(expect.objectContaining({ from: STATES.PENDING, to: STATES.OK }));
+    });
+
+    test('should stay FIRING while the condition is only pending', () => {
+        lifecycle.observe('cpu', 'firing', 0);
+        expect(lifecycle.observe('cpu', 'pending', MINUTE).to).toBe(STATES.FIRING);
+    });
+
+    test('should only report notified when a firing alert was delivered', () => {
+        lifecycle.observe('disk:/data', 'firing', 0);
+        expect(lifecycle.observe('disk:/data', 'ok', MINUTE).notified).toBe(false);
+    });
+
+    test('should start a new incident when a resolved condition breaches again', () => {
+        lifecycle.observe('swap', 'firing', 0);
+        lifecycle.markNotified('swap');
+        lifecycle.observe('swap', 'ok', MINUTE);
+
+        const refired = lifecycle.observe('swap', 'firing', 2 * MINUTE);
+        expect(refired).toEqual(expect.objectContaining({ from: STATES.RESOLVED, to: STATES.FIRING, startedAt: 2 * MINUTE, notified: false }));
+    });
+
+    test('should keep conditions independent per key', () => {
+        lifecycle.observe('disk:/', 'firing', 0);
+        lifecycle.observe('disk:/data', 'ok', 0);
+        expect(lifecycle.get('disk:/').state).toBe(STATES.FIRING);
+        expect(lifecycle.get('disk:/data').state).toBe(STATES.OK);
+    });
+
+    test('should reject unknown statuses', () => {
+        expect(() => lifecycle.observe('cpu', 'broken', 0)).toThrow('Unknown alert status');
+    });
+});
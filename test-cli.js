@@ -0,0 +1,255 @@
+/**
+============================================================
+    Goal: Automated Tests for the `linux-monitor` Command Line
+============================================================
+    Why:
+        - Nagios and scripts act on the exit codes and JSON, not on the wording
+        - A broken config or typo must never look like a healthy host
+
+    What:
+        - Stands in for both monitors so checks return chosen results
+        - Checks exit codes and output of check, status, test-alert, config validate and run
+        - Sends test alerts to a webhook with axios mocked
+============================================================
+*/
+
+jest.mock('axios');
+jest.mock('./system-health-monitor', () => ({
+    getCpuBreakdown: jest.fn(),
+    getNetworkInterfaces: jest.fn(),
+    getDiskDevices: jest.fn(),
+    getTcpConnections: jest.fn(),
+    getContainers: jest.fn(),
+    checkSystemHealth: jest.fn(),
+    getUptime: jest.fn(() => 'up 2 days'),
+    getSystemLoad: jest.fn(() => ({ '1min': 0.5, '5min': 0.4, '15min': 0.3 })),
+    getTopCpuProcesses: jest.fn(() => [{ pid: '1234', user: 'app', cpu: 25.5, mem: 10.2, command: '/usr/bin/node app.js' }]),
+    getTopMemoryProcesses: jest.fn(() => []),
+    start: jest.fn(),
+}));
+jest.mock('./disk-monitor', () => ({
+    checkDiskUsage: jest.fn(),
+    start: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const health = require('./system-health-monitor');
+const disk = require('./disk-monitor');
+const { main, formatCheckLine, formatPerfdata, formatNagiosOutput } = require('./bin/linux-monitor');
+
+// Collects everything written to it, like process.stdout
+function createOutput() {
+    return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+function result(key, label, value, severity, status = severity ? 'firing' : 'ok') {
+    return { key, label, value, severity, status, warning: 80, critical: 90 };
+}
+
+// Run a command with a webhook channel configured and no sampling delay
+async function run(argv, env = { ALERT_WEBHOOK_URL: 'https://hooks.example.com/alerts' }) {
+    const out = createOutput();
+    const err = createOutput();
+    const code = await main(argv, { out, err, env, sampleMs: 0, now: 0 });
+    return { code, out: out.text, err: err.text };
+}
+
+describe('linux-monitor CLI Tests', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        health.checkSystemHealth.mockReturnValue([result('cpu', 'CPU Usage', 12.5, null), result('mem', 'Memory Usage', 61.2, null)]);
+        disk.checkDiskUsage.mockReturnValue([result('disk:/', 'Disk usage /', 42, null)]);
+    });
+
+    describe('check', () => {
+        test('should exit 0 with a one-line summary when everything is OK', async () => {
+            const { code, out } = await run(['check']);
+
+            expect(code).toBe(0);
+            expect(out).toBe('OK - 3 checks OK | cpu=12.5%;80;90 mem=61.2%;80;90 disk:/=42%;80;90\n');
+            expect(health.checkSystemHealth).toHaveBeenCalledWith({ dryRun: true });
+            expect(disk.checkDiskUsage).toHaveBeenCalledWith({ dryRun: true });
+        });
+
+        test('should exit with the worst state among the checks', async () => {
+            disk.checkDiskUsage.mockReturnValue([result('disk:/data', 'Disk usage /data', 85, 'warning', 'pending')]);
+            expect((await run(['check'])).code).toBe(1);
+
+            health.checkSystemHealth.mockReturnValue([result('mem', 'Memory Usage', 95, 'critical'), result('swap', 'Swap Usage', null, null, 'unknown')]);
+            const { code, out } = await run(['check']);
+            expect(code).toBe(2);
+            expect(out).toBe('CRITICAL - Memory Usage 95.0% (critical 90%); Swap Usage unreadable; Disk usage /data 85.0% (warning 80%) | mem=95%;80;90 disk:/data=85%;80;90\n');
+        });
+
+        test('should exit 3 when a check cannot read its source', async () => {
+            health.checkSystemHealth.mockReturnValue([result('mem', 'Memory Usage', null, null, 'unknown')]);
+            expect((await run(['check', '--monitors', 'health'])).code).toBe(3);
+            expect(disk.checkDiskUsage).not.toHaveBeenCalled();
+        });
+
+        test('should print every check with its state as JSON', async () => {
+            const { code, out } = await run(['check', '--json', '--monitors', 'disk']);
+
+            expect(code).toBe(0);
+            expect(JSON.parse(out)).toEqual({
+                state: 'OK',
+                exitCode: 0,
+                perfdata: 'disk:/=42%;80;90',
+                checks: [expect.objectContaining({ key: 'disk:/', state: 'OK', value: 42 })],
+            });
+            expect(health.checkSystemHealth).not.toHaveBeenCalled();
+        });
+
+        test('should report usage and configuration errors as UNKNOWN on stdout', async () => {
+            const badMonitors = await run(['check', '--monitors', 'cpu']);
+            expect(badMonitors.code).toBe(3);
+            expect(badMonitors.out).toBe('UNKNOWN - --monitors takes a comma-separated list of health, disk, got "cpu"\n');
+            expect((await run(['check', '--bogus'])).code).toBe(3);
+
+            const { code, out, err } = await run(['check'], { CPU_THRESHOLD: '150' });
+            expect(code).toBe(3);
+            expect(out).toMatch(/^UNKNOWN - invalid configuration: CPU_THRESHOLD \(environment\)/);
+            expect(err).toContain('CPU_THRESHOLD (environment)');
+        });
+
+        test('should report a check that throws as UNKNOWN', async () => {
+            disk.checkDiskUsage.mockImplementation(() => { throw new Error('statfs timed out'); });
+            const { code, out } = await run(['check']);
+
+            expect(code).toBe(3);
+            expect(out).toBe('UNKNOWN - check failed: statfs timed out\n');
+        });
+    });
+
+    describe('status', () => {
+        test('should print a table of checks and the top processes', async () => {
+            const { code, out } = await run(['status']);
+            const lines = out.split('\n');
+
+            expect(code).toBe(0);
+            expect(lines[0]).toBe(`${os.hostname()} · up 2 days · load 0.5 0.4 0.3 on ${os.cpus().length} CPUs`);
+            expect(lines[1]).toBe('Overall: OK');
+            expect(out).toMatch(/Memory Usage\s+61\.2%\s+80%\s+90%\s+OK/);
+            expect(out).toContain('Top CPU processes');
+            expect(out).toMatch(/1234\s+app\s+25\.5\s+10\.2\s+\/usr\/bin\/node app\.js/);
+            expect(out).not.toContain('Top memory processes');
+        });
+
+        test('should print the same snapshot as JSON', async () => {
+            const status = JSON.parse((await run(['status', '--json'])).out);
+
+            expect(status).toEqual(expect.objectContaining({ host: os.hostname(), uptime: 'up 2 days', state: 'OK' }));
+            expect(status.checks.map(check => check.key)).toEqual(['cpu', 'mem', 'disk:/']);
+            expect(status.topProcesses.cpu[0].pid).toBe('1234');
+        });
+    });
+
+    describe('test-alert', () => {
+        test('should send a sample alert to every channel', async () => {
+            axios.post.mockResolvedValue({ status: 200 });
+            const { code, out } = await run(['test-alert']);
+
+            expect(code).toBe(0);
+            expect(out).toBe('✓ webhook: sent\n');
+            expect(axios.post).toHaveBeenCalledWith('https://hooks.example.com/alerts', expect.objectContaining({ type: 'test', severity: 'warning' }), expect.any(Object));
+        });
+
+        test('should exit 1 and say why when a channel fails', async () => {
+            axios.post.mockRejectedValue(new Error('Request failed with status code 404'));
+            const { code, out } = await run(['test-alert', '--json']);
+
+            expect(code).toBe(1);
+            expect(JSON.parse(out)).toEqual({ channels: [{ channel: 'webhook', delivered: false, error: 'Request failed with status code 404' }] });
+        });
+
+        test('should reject channels that are not configured and fail without any', async () => {
+            const unknown = await run(['test-alert', '--channel', 'slack']);
+            expect(unknown.code).toBe(2);
+            expect(unknown.err).toContain('Channel(s) not configured: slack (configured: webhook)');
+
+            const none = await run(['test-alert'], {});
+            expect(none.code).toBe(1);
+            expect(none.out).toContain('No alert channel configured');
+        });
+    });
+
+    describe('config validate', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linux-monitor-cli-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should accept a valid file and list the channels', async () => {
+            const file = path.join(dir, 'monitor.yaml');
+            fs.writeFileSync(file, 'thresholds:\n  mem:\n    critical: 95\nnotifiers:\n  routes:\n    "*": [webhook, email]\n');
+            const { code, out } = await run(['config', 'validate', '--file', file]);
+
+            expect(code).toBe(0);
+            expect(out).toBe(`Configuration is valid (${file})\nChannels: webhook\nWarning: Route "*" names channels that are not configured: email\n`);
+        });
+
+        test('should list every problem and exit 1', async () => {
+            const file = path.join(dir, 'monitor.yaml');
+            fs.writeFileSync(file, 'thresholds:\n  mem:\n    critical: 150\n');
+            const { code, out } = await run(['config', 'validate', '--file', file, '--json'], {});
+            const report = JSON.parse(out);
+
+            expect(code).toBe(1);
+            expect(report.valid).toBe(false);
+            expect(report.file).toBe(file);
+            expect(report.errors).toEqual([expect.stringContaining('thresholds.mem.critical')]);
+        });
+
+        test('should reject unknown actions', async () => {
+            expect((await run(['config'])).code).toBe(2);
+            expect((await run(['config', 'show'])).err).toContain('Unknown config action "show"');
+        });
+    });
+
+    describe('run', () => {
+        test('should start only the selected monitors', async () => {
+            expect((await run(['run', '--monitors', 'disk'])).code).toBe(0);
+            expect(disk.start).toHaveBeenCalled();
+            expect(health.start).not.toHaveBeenCalled();
+
+            expect((await run(['run', '--monitors', 'disk,network'])).code).toBe(2);
+        });
+    });
+
+    test('should treat an empty result list as UNKNOWN', () => {
+        expect(formatCheckLine([])).toBe('UNKNOWN - 0 checks OK');
+    });
+
+    test('should describe process checks by their state and count their PIDs', () => {
+        const results = [
+            { key: 'cpu', label: 'CPU Usage', value: 12, warning: null, critical: 90, severity: null, state: 'OK' },
+            { key: 'process:nginx', label: 'Process nginx', value: 0, unit: '', warning: null, critical: null, severity: 'critical', state: 'CRITICAL', detail: 'not running' },
+        ];
+        expect(formatNagiosOutput(results)).toBe('CRITICAL - Process nginx not running | cpu=12%;;90 process:nginx=0;;');
+    });
+
+    test('should print RSS checks in bytes', () => {
+        const results = [
+            { key: 'rss:java', label: 'RSS java', value: 5 * 1024 ** 3, unit: 'B', warning: null, critical: 4 * 1024 ** 3, severity: 'critical', state: 'CRITICAL', detail: 'PID 4312 at 5.0Gi (limit 4.0Gi)' },
+        ];
+        expect(formatNagiosOutput(results)).toBe('CRITICAL - RSS java PID 4312 at 5.0Gi (limit 4.0Gi) | rss:java=5368709120B;;4294967296');
+    });
+
+    test('should write perfdata in the Nagios plugin format', () => {
+        expect(formatPerfdata([
+            { key: 'cpu', value: 85.5, warning: 80, critical: 90 },
+            { key: 'disk:/data', value: 78.94736842105263, warning: null, critical: 80 },
+            { key: "disk:/mnt/Bob's files", value: 10, warning: null, critical: 80 },
+            { key: 'swap', value: null, warning: null, critical: 50 },
+        ])).toBe("cpu=85.5%;80;90 disk:/data=78.95%;;80 'disk:/mnt/Bob''s files'=10%;;80");
+    });
+});
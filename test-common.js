@@ -0,0 +1,144 @@
+/**
+============================================================
+    Goal: Automated Tests for Shared Monitor Utilities
+============================================================
+    Why:
+        - Cooldowns decide whether anyone hears about an incident
+        - The state file is shared by both monitors and must never be half-written
+
+    What:
+        - Backs fs with an in-memory map to observe temp-file-then-rename writes
+        - Tests per-key cooldowns, severity classification and escalation
+        - Tests the counter sampler the per-interface, per-device and TCP rates build on
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { createCooldownStore, createCounterSampler, getSeverity } = require('./lib/common');
+
+const MINUTE = 60 * 1000;
+
+describe('Common Utility Tests', () => {
+    describe('getSeverity', () => {
+        test('should classify a reading against both levels', () => {
+            expect(getSeverity(70, { warning: 80, critical: 90 })).toBeNull();
+            expect(getSeverity(80, { warning: 80, critical: 90 })).toBe('warning');
+            expect(getSeverity(90, { warning: 80, critical: 90 })).toBe('critical');
+        });
+
+        test('should only know critical when no usable warning level is set', () => {
+            expect(getSeverity(85, { warning: null, critical: 90 })).toBeNull();
+            expect(getSeverity(92, { warning: 95, critical: 90 })).toBe('critical');
+            expect(getSeverity(89, { warning: 95, critical: 90 })).toBeNull();
+        });
+    });
+
+    describe('createCooldownStore', () => {
+        let files;
+
+        beforeEach(() => {
+            files = new Map();
+            jest.spyOn(fs, 'existsSync').mockImplementation(file => files.has(file));
+            jest.spyOn(fs, 'readFileSync').mockImplementation(file => {
+                if (!files.has(file)) throw new Error(`ENOENT: ${file}`);
+                return files.get(file);
+            });
+            jest.spyOn(fs, 'writeFileSync').mockImplementation((file, data) => files.set(file, data));
+            jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+                files.set(to, files.get(from));
+                files.delete(from);
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should allow the first alert for a key', () => {
+            const store = createCooldownStore('.test_state.json');
+            expect(store.shouldAlert('cpu', { cooldownMs: 30 * MINUTE, now: 0 })).toBe(true);
+        });
+
+        test('should keep cooldowns independent per key', () => {
+            const store = createCooldownStore('.test_state.json');
+            store.recordAlert('mem', { now: 0 });
+
+            expect(store.shouldAlert('mem', { cooldownMs: 30 * MINUTE, now: 2 * MINUTE })).toBe(false);
+            expect(store.shouldAlert('cpu', { cooldownMs: 30 * MINUTE, now: 2 * MINUTE })).toBe(true);
+            expect(store.shouldAlert('mem', { cooldownMs: 30 * MINUTE, now: 30 * MINUTE })).toBe(true);
+        });
+
+        test('should bypass the cooldown when severity escalates', () => {
+            const store = createCooldownStore('.test_state.json');
+            store.recordAlert('disk:/data', { severity: 'warning', now: 0 });
+
+            expect(store.shouldAlert('disk:/data', { cooldownMs: 30 * MINUTE, severity: 'warning', now: MINUTE })).toBe(false);
+            expect(store.shouldAlert('disk:/data', { cooldownMs: 30 * MINUTE, severity: 'critical', now: MINUTE })).toBe(true);
+        });
+
+        test('should not bypass the cooldown when severity drops', () => {
+            const store = createCooldownStore('.test_state.json');
+            store.recordAlert('swap', { severity: 'critical', now: 0 });
+            expect(store.shouldAlert('swap', { cooldownMs: 30 * MINUTE, severity: 'warning', now: MINUTE })).toBe(false);
+        });
+
+        test('should keep every key in one file written through a temp file', () => {
+            const store = createCooldownStore('.test_state.json');
+            store.recordAlert('cpu', { now: 1 });
+            store.recordAlert('disk:/data', { now: 2 });
+
+            const stateFiles = Array.from(files.keys());
+            expect(stateFiles).toHaveLength(1);
+            expect(stateFiles[0]).toMatch(/\.test_state\.json$/);
+            expect(JSON.parse(files.get(stateFiles[0]))).toEqual({
+                cooldowns: {
+                    cpu: { lastAlertAt: 1, severity: 'critical' },
+                    'disk:/data': { lastAlertAt: 2, severity: 'critical' }
+                }
+            });
+            expect(fs.writeFileSync).toHaveBeenCalledWith(expect.stringMatching(/\.test_state\.json\.\d+\.tmp$/), expect.any(String));
+        });
+
+        test('should see alerts recorded before a restart', () => {
+            createCooldownStore('.test_state.json').recordAlert('disk:/', { now: 0 });
+            const restarted = createCooldownStore('.test_state.json');
+            expect(restarted.getLastAlert('disk:/')).toEqual({ lastAlertAt: 0, severity: 'critical' });
+        });
+
+        test('should keep each monitor\'s cooldowns in its own file', () => {
+            const disk = createCooldownStore('.test_disk_state.json');
+            const health = createCooldownStore('.test_health_state.json');
+            disk.recordAlert('disk:/', { now: 0 });
+            health.recordAlert('mem', { now: MINUTE });
+            disk.recordAlert('inode:/', { now: 2 * MINUTE });
+
+            expect(Object.keys(JSON.parse(files.get(path.join(__dirname, '.test_disk_state.json'))).cooldowns)).toEqual(['disk:/', 'inode:/']);
+            expect(health.getLastAlert('mem')).toEqual({ lastAlertAt: MINUTE, severity: 'critical' });
+            expect(health.getLastAlert('disk:/')).toBeNull();
+        });
+
+        test('should treat an unreadable state file as empty', () => {
+            const store = createCooldownStore('.test_state.json');
+            fs.writeFileSync(path.join(__dirname, '.test_state.json'), 'not json');
+            expect(store.shouldAlert('cpu', { cooldownMs: 30 * MINUTE, now: 0 })).toBe(true);
+        });
+    });
+
+    describe('createCounterSampler', () => {
+        test('should diff each sample against the previous one', () => {
+            const sampler = createCounterSampler((previous, current, elapsedMs) => (current - previous) / (elapsedMs / 1000));
+
+            expect(sampler.observe(100, 0)).toBeNull();
+            expect(sampler.observe(400, 60 * 1000)).toBe(5);
+            expect(sampler.latest()).toBe(5);
+            // A clock that did not move gives no rate
+            expect(sampler.observe(500, 60 * 1000)).toBeNull();
+
+            sampler.reset();
+            expect(sampler.latest()).toBeNull();
+            expect(sampler.observe(900, 120 * 1000)).toBeNull();
+        });
+    });
+});
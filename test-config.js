@@ -0,0 +1,301 @@
+/**
+============================================================
+    Goal: Automated Tests for Configuration Loading
+============================================================
+    Why:
+        - A typo in a threshold should stop the monitor, not run it on defaults
+        - Environment variables must keep overriding the config file
+
+    What:
+        - Checks defaults, units and precedence (env > file > default)
+        - Checks that every invalid setting is reported with where it came from
+        - Parses YAML and JSON files, including syntax errors with their position
+============================================================
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    isConfigError,
+    parseDuration,
+    parseSize,
+    resolveConfig,
+    findConfigFile,
+    readConfigFile,
+} = require('./lib/config');
+
+const MINUTE = 60 * 1000;
+
+// Run resolveConfig and return the list of errors it throws
+function errorsFor(options) {
+    try {
+        resolveConfig(options);
+    } catch (error) {
+        expect(isConfigError(error)).toBe(true);
+        return error.errors;
+    }
+    throw new Error('Expected the configuration to be rejected');
+}
+
+describe('Configuration Tests', () => {
+    describe('parseDuration', () => {
+        test('should read plain milliseconds and unit suffixes', () => {
+            expect(parseDuration(1500)).toBe(1500);
+            expect(parseDuration('90s')).toBe(90 * 1000);
+            expect(parseDuration('5m')).toBe(5 * MINUTE);
+            expect(parseDuration('1.5h')).toBe(90 * MINUTE);
+            expect(parseDuration('0')).toBe(0);
+        });
+
+        test('should reject negative or unknown durations', () => {
+            expect(parseDuration(-1)).toBeUndefined();
+            expect(parseDuration('5 minutes')).toBeUndefined();
+        });
+    });
+
+    describe('parseSize', () => {
+        test('should read plain bytes and binary unit suffixes', () => {
+            expect(parseSize(4096)).toBe(4096);
+            expect(parseSize('512M')).toBe(512 * 1024 * 1024);
+            expect(parseSize('4GB')).toBe(4 * 1024 ** 3);
+            expect(parseSize('1.5GiB')).toBe(1.5 * 1024 ** 3);
+        });
+
+        test('should reject zero, negative or unknown sizes', () => {
+            expect(parseSize(0)).toBeUndefined();
+            expect(parseSize('-1G')).toBeUndefined();
+            expect(parseSize('4 gigs')).toBeUndefined();
+        });
+    });
+
+    describe('resolveConfig', () => {
+        test('should fall back to the defaults', () => {
+            const config = resolveConfig({ env: {} });
+            expect(config.CPU_THRESHOLD).toBe(90);
+            expect(config.CHECK_INTERVAL).toBe(5 * MINUTE);
+            expect(config.MEM_WARNING_THRESHOLD).toBeNull();
+            expect(config.DISK_MOUNT_THRESHOLDS).toEqual({});
+        });
+
+        test('should accept 0 instead of treating it as unset', () => {
+            const config = resolveConfig({ env: { ALERT_COOLDOWN: '0', CPU_OVER_THRESHOLD_DURATION: '0' } });
+            expect(config.ALERT_COOLDOWN).toBe(0);
+            expect(config.CPU_OVER_THRESHOLD_DURATION).toBe(0);
+        });
+
+        test('should let the environment override the config file', () => {
+            const fileConfig = {
+                alerting: { cooldown: '10m' },
+                thresholds: { mem: { critical: 85, warning: 75 } },
+            };
+            const config = resolveConfig({ env: { MEM_THRESHOLD: '95', MEM_WARNING_THRESHOLD: '' }, fileConfig });
+
+            expect(config.ALERT_COOLDOWN).toBe(10 * MINUTE);
+            expect(config.MEM_THRESHOLD).toBe(95);
+            expect(config.MEM_WARNING_THRESHOLD).toBe(75);
+        });
+
+        test('should merge per-mount settings from the file and the environment', () => {
+            const fileConfig = { disk: { mounts: { '/data': { critical: 90, cooldown: '2h' }, '/srv': { critical: 85 } } } };
+            const config = resolveConfig({ env: { DISK_MOUNT_THRESHOLDS: '/srv=70' }, fileConfig });
+
+            expect(config.DISK_MOUNT_THRESHOLDS).toEqual({ '/data': 90, '/srv': 70 });
+            expect(config.DISK_MOUNT_COOLDOWNS).toEqual({ '/data': 120 * MINUTE });
+        });
+
+        test('should read routes from the file or the environment', () => {
+            expect(resolveConfig({ env: {}, fileConfig: { notifiers: { routes: { disk: ['slack', 'email'] } } } }).ALERT_ROUTES)
+                .toEqual({ disk: ['slack', 'email'] });
+            expect(resolveConfig({ env: { ALERT_ROUTES: 'disk=slack+email,cpu.critical=webhook' } }).ALERT_ROUTES)
+                .toEqual({ disk: ['slack', 'email'], 'cpu.critical': ['webhook'] });
+        });
+
+        test('should read watched processes from the file or the environment', () => {
+            const fileConfig = { processes: { watch: ['nginx', { name: 'api', cmdline: 'node .*server\\.js', maxRestarts: 5, restartWindow: '30m' }] } };
+            expect(resolveConfig({ env: {}, fileConfig }).PROCESS_WATCH).toEqual([
+                { name: 'nginx', match: 'process', target: 'nginx', maxRestarts: null, restartWindow: null },
+                { name: 'api', match: 'cmdline', target: 'node .*server\\.js', maxRestarts: 5, restartWindow: 30 * MINUTE },
+            ]);
+            expect(resolveConfig({ env: { PROCESS_WATCH: 'nginx,db=unit:postgresql.service,worker=pidfile:/run/worker.pid' } }).PROCESS_WATCH
+                .map(watch => [watch.name, watch.match, watch.target]))
+                .toEqual([['nginx', 'process', 'nginx'], ['db', 'unit', 'postgresql.service'], ['worker', 'pidfile', '/run/worker.pid']]);
+        });
+
+        test('should reject malformed process watches', () => {
+            for (const watch of [
+                { name: 'api', cmdline: 'node (' },
+                { name: 'db', unit: "postgresql'; reboot" },
+                { name: 'worker', pidfile: 'run/worker.pid' },
+                { name: 'both', process: 'nginx', unit: 'nginx.service' },
+                { name: 'typo', proces: 'nginx' },
+            ]) {
+                expect(errorsFor({ env: {}, fileConfig: { processes: { watch: [watch] } } })[0]).toMatch(/^processes\.watch \(config file\): must be a list of processes/);
+            }
+            expect(errorsFor({ env: { PROCESS_WATCH: 'nginx,nginx' } })).toHaveLength(1);
+        });
+
+        test('should read per-process limits from the file or the environment', () => {
+            const fileConfig = { processes: { limits: [{ name: 'api', cmdline: 'node .*server\\.js', maxRss: '2GB', leakFor: '30m' }] } };
+            expect(resolveConfig({ env: {}, fileConfig }).PROCESS_LIMITS).toEqual([
+                expect.objectContaining({ name: 'api', match: 'cmdline', target: 'node .*server\\.js', maxRss: 2 * 1024 ** 3, leakFor: 30 * MINUTE }),
+            ]);
+            expect(resolveConfig({ env: { PROCESS_LIMITS: 'java=rss:4GB,node=rss:2GB+leak:30m' } }).PROCESS_LIMITS
+                .map(limit => [limit.name, limit.match, limit.target, limit.maxRss, limit.leakFor]))
+                .toEqual([['java', 'process', 'java', 4 * 1024 ** 3, null], ['node', 'process', 'node', 2 * 1024 ** 3, 30 * MINUTE]]);
+        });
+
+        test('should read the kernel event source', () => {
+            expect(resolveConfig({ env: {} }).KERNEL_EVENT_SOURCE).toBe('auto');
+            expect(resolveConfig({ env: { KERNEL_EVENT_SOURCE: 'Journal' } }).KERNEL_EVENT_SOURCE).toBe('journal');
+            expect(errorsFor({ env: { KERNEL_EVENT_SOURCE: 'dmesg' } })).toEqual(['KERNEL_EVENT_SOURCE (environment): must be one of auto, kmsg, journal, off, got "dmesg"']);
+        });
+
+        test('should read pressure thresholds and the average they compare', () => {
+            const config = resolveConfig({ env: { PRESSURE_AVERAGE: 'AVG10' }, fileConfig: { thresholds: { memPressure: { critical: 30, warning: 15 } } } });
+            expect([config.MEM_PRESSURE_THRESHOLD, config.MEM_PRESSURE_WARNING_THRESHOLD, config.IO_PRESSURE_THRESHOLD, config.PRESSURE_AVERAGE]).toEqual([30, 15, 40, 'avg10']);
+            expect(errorsFor({ env: { PRESSURE_AVERAGE: 'avg5' } })).toEqual(['PRESSURE_AVERAGE (environment): must be one of avg10, avg60, avg300, got "avg5"']);
+        });
+
+        test('should read full pressure thresholds, with the CPU one off by default', () => {
+            let config = resolveConfig({ env: {} });
+            expect([config.CPU_PRESSURE_FULL_THRESHOLD, config.MEM_PRESSURE_FULL_THRESHOLD, config.IO_PRESSURE_FULL_THRESHOLD]).toEqual([null, 10, 20]);
+
+            config = resolveConfig({ env: { CPU_PRESSURE_FULL_WARNING_THRESHOLD: '5' }, fileConfig: { thresholds: { ioPressureFull: { critical: 30, warning: 15 } } } });
+            expect([config.CPU_PRESSURE_FULL_WARNING_THRESHOLD, config.IO_PRESSURE_FULL_THRESHOLD, config.IO_PRESSURE_FULL_WARNING_THRESHOLD]).toEqual([5, 30, 15]);
+            expect(errorsFor({ env: { MEM_PRESSURE_FULL_WARNING_THRESHOLD: '10' } })).toEqual(['MEM_PRESSURE_FULL_WARNING_THRESHOLD (environment): warning level 10 must be below the critical level 10 set by MEM_PRESSURE_FULL_THRESHOLD']);
+        });
+
+        test('should read network interface selection and rate thresholds', () => {
+            const config = resolveConfig({ env: { NET_DROP_THRESHOLD: '0' }, fileConfig: { network: { include: ['eth*', 'bond0'], errorRate: 0.5 } } });
+            expect([config.NET_INCLUDE, config.NET_ERROR_THRESHOLD, config.NET_DROP_THRESHOLD, config.NET_SATURATION_THRESHOLD]).toEqual([['eth*', 'bond0'], 0.5, 0, 90]);
+            expect(errorsFor({ env: { NET_ERROR_THRESHOLD: '-1' } })).toEqual(['NET_ERROR_THRESHOLD (environment): must be a number of events per second, at least 0, got "-1"']);
+        });
+
+        test('should read block device selection, await and utilisation thresholds', () => {
+            const config = resolveConfig({ env: { DISK_IO_EXCLUDE: 'loop*,nbd*' }, fileConfig: { diskIo: { include: ['nvme*n1', 'dm-*'], await: '50ms' }, thresholds: { diskUtil: { warning: 80 } } } });
+            expect([config.DISK_IO_INCLUDE, config.DISK_IO_EXCLUDE, config.DISK_IO_AWAIT_THRESHOLD, config.DISK_UTIL_WARNING_THRESHOLD, config.DISK_UTIL_FOR_DURATION])
+                .toEqual([['nvme*n1', 'dm-*'], ['loop*', 'nbd*'], 50, 80, 5 * MINUTE]);
+            expect(errorsFor({ env: { DISK_UTIL_THRESHOLD: '70', DISK_UTIL_WARNING_THRESHOLD: '75' } })).toHaveLength(1);
+        });
+
+        test('should read TCP thresholds', () => {
+            const config = resolveConfig({ env: { TCP_CLOSE_WAIT_THRESHOLD: '0' }, fileConfig: { tcp: { timeWait: 50000, listenOverflowRate: 0.5 }, thresholds: { ephemeralPorts: { warning: 70 } } } });
+            expect([config.TCP_TIME_WAIT_THRESHOLD, config.TCP_CLOSE_WAIT_THRESHOLD, config.TCP_LISTEN_OVERFLOW_THRESHOLD, config.EPHEMERAL_PORTS_WARNING_THRESHOLD, config.EPHEMERAL_PORTS_THRESHOLD])
+                .toEqual([50000, 0, 0.5, 70, 90]);
+            expect(errorsFor({ env: { TCP_TIME_WAIT_THRESHOLD: 'lots' } })).toEqual(['TCP_TIME_WAIT_THRESHOLD (environment): must be a whole number of at least 0, got "lots"']);
+        });
+
+        test('should read the process file descriptor levels', () => {
+            const config = resolveConfig({ env: { PROCESS_FDS_FOR_DURATION: '2m' }, fileConfig: { thresholds: { processFds: { warning: 75 } } } });
+            expect([config.PROCESS_FDS_WARNING_THRESHOLD, config.PROCESS_FDS_THRESHOLD, config.PROCESS_FDS_FOR_DURATION]).toEqual([75, 90, 2 * 60 * 1000]);
+            expect(errorsFor({ env: { PROCESS_FDS_WARNING_THRESHOLD: '95' } })[0])
+                .toMatch(/PROCESS_FDS_WARNING_THRESHOLD \(environment\): warning level 95 must be below the critical level 90/);
+        });
+
+        test('should read per-container levels by name or glob', () => {
+            const fileConfig = { containers: { cli: 'podman', thresholds: { 'shop-web-1': { memory: 95, cpuWarning: 70 } } } };
+            const config = resolveConfig({ env: { CONTAINER_MEM_THRESHOLDS: 'shop-db-*=80' }, fileConfig });
+
+            expect(config.CONTAINER_CLI).toBe('podman');
+            expect(config.CONTAINER_MEM_THRESHOLDS).toEqual({ 'shop-web-1': 95, 'shop-db-*': 80 });
+            expect(config.CONTAINER_CPU_WARNING_THRESHOLDS).toEqual({ 'shop-web-1': 70 });
+            expect(errorsFor({ env: { CONTAINER_CPU_THRESHOLDS: 'shop-web-1' } })[0])
+                .toBe('CONTAINER_CPU_THRESHOLDS (environment): "shop-web-1" must be container=value with a number from 0 to 100');
+            expect(errorsFor({ env: {}, fileConfig: { containers: { thresholds: { 'shop-db-1': { memory: 80, memoryWarning: 85 } } } } })[0])
+                .toBe('container shop-db-1: memory warning level 85 must be below its critical level 80');
+        });
+
+        test('should reject process limits without a valid limit', () => {
+            for (const limit of [
+                { name: 'java', process: 'java' },
+                { name: 'java', process: 'java', maxRss: 'lots' },
+                { name: 'db', unit: 'postgresql.service', leakFor: 'forever' },
+            ]) {
+                expect(errorsFor({ env: {}, fileConfig: { processes: { limits: [limit] } } })[0]).toMatch(/^processes\.limits \(config file\): must be a list of processes/);
+            }
+            expect(errorsFor({ env: { PROCESS_LIMITS: 'java=cpu:90' } })).toHaveLength(1);
+        });
+
+        test('should report every invalid setting with its source', () => {
+            const errors = errorsFor({
+                env: { CPU_THRESHOLD: '150', CHECK_INTERVAL: 'often' },
+                fileConfig: { alerting: { cooldown: 'soon' } },
+                fileLabel: 'linux-monitor.yaml',
+            });
+
+            expect(errors).toEqual(expect.arrayContaining([
+                expect.stringMatching(/^CPU_THRESHOLD \(environment\): must be .*got "150"/),
+                expect.stringMatching(/^CHECK_INTERVAL \(environment\)/),
+                expect.stringMatching(/^alerting\.cooldown \(linux-monitor\.yaml\)/),
+            ]));
+            expect(errors).toHaveLength(3);
+        });
+
+        test('should reject unknown keys and channels', () => {
+            const errors = errorsFor({
+                env: {},
+                fileConfig: { thresholds: { memory: { critical: 90 } }, notifiers: { routes: { disk: ['pager'] } } },
+                fileLabel: 'linux-monitor.yaml',
+            });
+
+            expect(errors).toEqual(expect.arrayContaining([
+                expect.stringContaining('thresholds.memory'),
+                expect.stringContaining('pager'),
+            ]));
+        });
+
+        test('should reject a warning level at or above the critical level', () => {
+            expect(errorsFor({ env: { SWAP_WARNING_THRESHOLD: '60' } })[0])
+                .toMatch(/SWAP_WARNING_THRESHOLD \(environment\): warning level 60 must be below the critical level 50/);
+            expect(errorsFor({ env: {}, fileConfig: { disk: { mounts: { '/data': { critical: 85, warning: 90 } } } } })[0])
+                .toMatch(/\/data: warning level 90 must be below its critical level 85/);
+        });
+
+        test('should require the dashboard user and password together', () => {
+            expect(errorsFor({ env: { DASHBOARD_USER: 'ops' } })[0]).toMatch(/DASHBOARD_USER and DASHBOARD_PASSWORD: set both/);
+            expect(resolveConfig({ env: { DASHBOARD_USER: 'ops', DASHBOARD_PASSWORD: 'secret' } }).DASHBOARD_PASSWORD).toBe('secret');
+        });
+
+        test('should not echo secrets in error messages', () => {
+            const errors = errorsFor({ env: {}, fileConfig: { notifiers: { email: { pass: 12345 } } } });
+            expect(errors[0]).not.toContain('12345');
+        });
+    });
+
+    describe('config files', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linux-monitor-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should parse YAML and JSON files', () => {
+            const yamlFile = path.join(dir, 'linux-monitor.yaml');
+            const jsonFile = path.join(dir, 'linux-monitor.json');
+            fs.writeFileSync(yamlFile, 'thresholds:\n  cpu:\n    critical: 85\n    for: 10m\n');
+            fs.writeFileSync(jsonFile, JSON.stringify({ thresholds: { cpu: { critical: 85 } } }));
+
+            expect(readConfigFile(yamlFile)).toEqual({ thresholds: { cpu: { critical: 85, for: '10m' } } });
+            expect(readConfigFile(jsonFile)).toEqual({ thresholds: { cpu: { critical: 85 } } });
+        });
+
+        test('should report YAML syntax errors with their position', () => {
+            const file = path.join(dir, 'linux-monitor.yaml');
+            fs.writeFileSync(file, 'thresholds:\n  cpu:\n    critical: [85\n');
+
+            expect(() => readConfigFile(file)).toThrow(expect.objectContaining({
+                errors: [expect.stringMatching(/not valid YAML at line \d+, column \d+/)],
+            }));
+        });
+
+        test('should use CONFIG_FILE when it is set', () => {
+            const file = path.join(dir, 'custom.yaml');
+            expect(findConfigFile({ CONFIG_FILE: file })).toBe(file);
+        });
+    });
+});
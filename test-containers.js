@@ -0,0 +1,143 @@
+/**
+============================================================
+    Goal: Automated Tests for Container-Aware Monitoring
+============================================================
+    Why:
+        - Every runtime and cgroup driver spells the container's cgroup differently
+        - Per-container thresholds must reach every replica of a service
+
+    What:
+        - Finds container IDs in v1 and v2 cgroup paths and cuts them at the container
+        - Groups processes per container and reads names and images from `docker ps`
+        - Looks up per-container settings by name and glob
+        - Turns successive cgroup CPU counters into cores used and throttling
+        - Checks memory and CPU against each container's limits into alerts
+============================================================
+*/
+
+const {
+    containerFromCgroup,
+    groupContainers,
+    parseContainerList,
+    containerSetting,
+    evaluateContainers,
+    createContainerSampler,
+} = require('./lib/containers');
+const { createRule, createRuleEngine } = require('./lib/rules');
+
+const SECOND = 1000;
+const MIB = 1024 * 1024;
+const WEB = '4b5e57f6eb2f42b9039b3d1e13929295f231749c510cbe341cd68036d9af97e2';
+const DB = '7bdc25d1694ef984782a16f6f1710c1c6bc83ba7a131b515baf532bea021d011';
+
+// The single cgroup v2 entry of a process
+const unified = path => [{ hierarchy: 0, controllers: [], path }];
+
+describe('Container Tests', () => {
+    test('should find the container in cgroup paths of every runtime and driver', () => {
+        expect(containerFromCgroup(unified(`/system.slice/docker-${WEB}.scope`))).toEqual({ id: WEB, cgroups: unified(`/system.slice/docker-${WEB}.scope`) });
+        expect(containerFromCgroup(unified(`/docker/${WEB}`)).id).toBe(WEB);
+        expect(containerFromCgroup(unified(`/machine.slice/libpod-${WEB}.scope/container`))).toEqual({ id: WEB, cgroups: unified(`/machine.slice/libpod-${WEB}.scope`) });
+        expect(containerFromCgroup(unified(`/kubepods.slice/kubepods-burstable.slice/kubepods-burstable-pod1f2e.slice/cri-containerd-${DB}.scope`)).id).toBe(DB);
+
+        expect(containerFromCgroup(unified('/system.slice/nginx.service'))).toBeNull();
+        expect(containerFromCgroup(unified('/user.slice/user-1000.slice/session-3.scope'))).toBeNull();
+    });
+
+    test('should cut every v1 hierarchy at the container and leave the others', () => {
+        const found = containerFromCgroup([
+            { hierarchy: 11, controllers: ['memory'], path: `/docker/${DB}/worker` },
+            { hierarchy: 9, controllers: ['cpu', 'cpuacct'], path: `/docker/${DB}` },
+            { hierarchy: 0, controllers: [], path: '/system.slice/containerd.service' },
+        ]);
+
+        expect(found.cgroups.map(entry => entry.path)).toEqual([`/docker/${DB}`, `/docker/${DB}`, '/system.slice/containerd.service']);
+    });
+
+    test('should group processes per container and read names and images', () => {
+        const containers = groupContainers([
+            { pid: 812, cgroups: unified(`/system.slice/docker-${WEB}.scope`) },
+            { pid: 1, cgroups: unified('/init.scope') },
+            { pid: 813, cgroups: unified(`/system.slice/docker-${WEB}.scope`) },
+            { pid: 2740, cgroups: unified(`/system.slice/docker-${DB}.scope`) },
+        ]);
+        expect(containers.map(container => [container.id, container.pids])).toEqual([[WEB, [812, 813]], [DB, [2740]]]);
+
+        const names = parseContainerList(`${WEB}\tshop-web-1\tnginx:1.25\n${DB}\tshop-db-1\tpostgres:16\n`);
+        expect(names.get(DB)).toEqual({ name: 'shop-db-1', image: 'postgres:16' });
+        expect(names.size).toBe(2);
+    });
+
+    test('should look up per-container settings by name, then by glob', () => {
+        const overrides = { 'shop-web-*': 80, 'shop-web-2': 95 };
+
+        expect(containerSetting(overrides, 'shop-web-2', 90)).toBe(95);
+        expect(containerSetting(overrides, 'shop-web-1', 90)).toBe(80);
+        expect(containerSetting(overrides, 'shop-db-1', 90)).toBe(90);
+    });
+
+    test('should turn cgroup CPU counters into cores used and throttling', () => {
+        const sampler = createContainerSampler();
+        const stats = (cpuUsageSeconds, cpuPeriods, cpuThrottledPeriods) => ({ cpuUsageSeconds, cpuPeriods, cpuThrottledPeriods });
+
+        expect(sampler.observe([{ id: WEB, stats: stats(100, 1000, 0) }], 0)).toBeNull();
+        const rates = sampler.observe([
+            { id: WEB, stats: stats(115, 1100, 40) },
+            // New since the previous sample
+            { id: DB, stats: stats(3, 0, 0) },
+        ], 10 * SECOND);
+
+        expect(rates.get(WEB)).toEqual({ cpuCores: 1.5, throttledPercent: 40 });
+        expect(rates.has(DB)).toBe(false);
+        expect(sampler.latest()).toBe(rates);
+
+        // Containers missing from a sample are forgotten
+        sampler.observe([{ id: DB, stats: stats(4, 0, 0) }], 20 * SECOND);
+        expect(sampler.observe([{ id: WEB, stats: stats(200, 2000, 40) }], 30 * SECOND).has(WEB)).toBe(false);
+    });
+
+    test('should alert per container against its own limits and list its busiest processes', () => {
+        const containers = [
+            {
+                id: WEB, name: 'shop-web-1', image: 'nginx:1.25', pids: [812, 813],
+                stats: { memoryBytes: 1900 * MIB, memoryLimitBytes: 2048 * MIB, cpuLimitCores: null },
+                memoryPercent: 1900 / 2048 * 100, cpuPercent: null, cpuCores: null, throttledPercent: null,
+            },
+            {
+                id: DB, name: 'shop-db-1', image: 'postgres:16', pids: [2740],
+                stats: { memoryBytes: 100 * MIB, memoryLimitBytes: 1024 * MIB, cpuLimitCores: 2 },
+                memoryPercent: 100 / 1024 * 100, cpuPercent: 92, cpuCores: 1.84, throttledPercent: 40,
+            },
+        ];
+        const listProcesses = jest.fn(() => [
+            { pid: '812', cpu: 2, rssBytes: 900 * MIB, command: 'nginx: worker process' },
+            { pid: '813', cpu: 1, rssBytes: 40 * MIB, command: 'nginx: master process' },
+            { pid: '2740', cpu: 180, rssBytes: 90 * MIB, command: 'postgres' },
+        ]);
+        // shop-web-* has its own, lower memory levels
+        const ruleFor = (metric, name) => createRule(metric === 'MEM' && name.startsWith('shop-web-') ? { warning: 80, critical: 90 } : { critical: 95, warning: 90 });
+        const options = { ruleEngine: createRuleEngine(), ruleFor, listProcesses, now: 0 };
+
+        const { results, alerts, conditions } = evaluateContainers(containers, options);
+        expect(alerts.map(alert => [alert.key, alert.severity])).toEqual([
+            [`container-mem:${WEB.slice(0, 12)}`, 'critical'],
+            [`container-cpu:${DB.slice(0, 12)}`, 'warning'],
+        ]);
+        expect(alerts[0].value).toContain('*Memory: 1.9Gi of 2.0Gi limit (92.8%)*');
+        expect(alerts[0].value).toContain('• PID 812: RSS 900Mi | nginx: worker process\n• PID 813: RSS 40Mi | nginx: master process');
+        expect(alerts[1].value).toContain('*Throttled: 40.0% of scheduling periods*');
+        // One process listing serves every alert
+        expect(listProcesses).toHaveBeenCalledTimes(1);
+        expect(results.map(result => result.label)).toEqual(['Memory shop-web-1', 'Memory shop-db-1', 'CPU shop-db-1']);
+        expect(conditions.map(condition => [condition.name, condition.label, condition.firing])).toEqual([
+            ['shop-web-1', 'shop-web-1 Memory', true],
+            ['shop-db-1', 'shop-db-1 Memory', false],
+            ['shop-db-1', 'shop-db-1 CPU', true],
+        ]);
+
+        // A dry run builds no alerts, so it lists no processes either
+        listProcesses.mockClear();
+        expect(evaluateContainers(containers, Object.assign({}, options, { dryRun: true })).alerts).toEqual([]);
+        expect(listProcesses).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,150 @@
+/**
+============================================================
+    Goal: Automated Tests for the Web Dashboard
+============================================================
+    Why:
+        - The dashboard shows process command lines and may face a network
+        - Basic auth and the security headers are what keep it private and inert
+
+    What:
+        - Serves the dashboard on a free local port and requests every route
+        - Checks basic auth, the Content-Security-Policy and the JSON API
+        - Makes sure the page loads nothing from other origins
+============================================================
+*/
+
+const http = require('http');
+
+const { HISTORY_RANGES, checkBasicAuth, createDashboardServer } = require('./lib/dashboard');
+
+// Minimal HTTP client for the local server
+function request(port, { method = 'GET', path = '/', auth } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path, auth }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const SNAPSHOT = {
+    host: 'web-1',
+    generatedAt: 0,
+    gauges: [{ metric: 'mem', label: 'Memory Usage', value: 42, warning: 80, critical: 90 }],
+    alerts: [],
+    disks: [],
+    topProcesses: { cpu: [{ pid: '1', command: '<script>alert(1)</script>' }], memory: [] },
+};
+
+describe('Web Dashboard Tests', () => {
+    describe('checkBasicAuth', () => {
+        const credentials = { username: 'ops', password: 's3cret:pass' };
+        const header = value => `Basic ${Buffer.from(value).toString('base64')}`;
+
+        test('should accept matching credentials, including colons in the password', () => {
+            expect(checkBasicAuth(header('ops:s3cret:pass'), credentials)).toBe(true);
+        });
+
+        test('should reject wrong, missing and malformed credentials', () => {
+            expect(checkBasicAuth(header('ops:wrong'), credentials)).toBe(false);
+            expect(checkBasicAuth(header('admin:s3cret:pass'), credentials)).toBe(false);
+            expect(checkBasicAuth(header('ops'), credentials)).toBe(false);
+            expect(checkBasicAuth('Bearer abc', credentials)).toBe(false);
+            expect(checkBasicAuth(undefined, credentials)).toBe(false);
+        });
+    });
+
+    describe('createDashboardServer', () => {
+        let server;
+        let port;
+        let getSnapshot;
+        let getHistory;
+
+        async function startServer(options = {}) {
+            server = createDashboardServer(Object.assign({ getSnapshot, getHistory, port: 0 }, options), silentLogger);
+            ({ port } = await server.start());
+        }
+
+        beforeEach(() => {
+            getSnapshot = jest.fn(() => SNAPSHOT);
+            getHistory = jest.fn((metric, rangeMs) => ({ since: 0, until: rangeMs, resolution: 'raw', points: [{ timestamp: 1, value: 5, min: 5, max: 5 }] }));
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        test('should serve the page and its assets from this server only', async () => {
+            await startServer();
+            const page = await request(port);
+
+            expect(page.status).toBe(200);
+            expect(page.headers['content-type']).toBe('text/html; charset=utf-8');
+            expect(page.body).toContain('<script src="/app.js" defer></script>');
+            expect(page.body).not.toMatch(/(src|href)="(https?:)?\/\//);
+            expect(page.headers['content-security-policy']).toContain("default-src 'none'");
+            expect(page.headers['content-security-policy']).toContain("script-src 'self'");
+            expect(page.headers['x-content-type-options']).toBe('nosniff');
+
+            const script = await request(port, { path: '/app.js' });
+            expect(script.headers['content-type']).toBe('text/javascript; charset=utf-8');
+            expect(script.body).not.toMatch(/\.(innerHTML|outerHTML)\s*=|insertAdjacentHTML/);
+            expect((await request(port, { path: '/style.css' })).status).toBe(200);
+        });
+
+        test('should return the snapshot as JSON without caching', async () => {
+            await startServer();
+            const response = await request(port, { path: '/api/snapshot' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-store');
+            expect(JSON.parse(response.body)).toEqual(SNAPSHOT);
+        });
+
+        test('should answer history queries for the known ranges only', async () => {
+            await startServer();
+            const response = await request(port, { path: '/api/history?metric=mem&range=6h' });
+
+            expect(response.status).toBe(200);
+            expect(JSON.parse(response.body)).toEqual(expect.objectContaining({ metric: 'mem', range: '6h', resolution: 'raw' }));
+            expect(getHistory).toHaveBeenCalledWith('mem', HISTORY_RANGES['6h']);
+
+            expect((await request(port, { path: '/api/history?metric=mem&range=1y' })).status).toBe(400);
+            expect((await request(port, { path: '/api/history?range=1h' })).status).toBe(400);
+        });
+
+        test('should answer unknown paths with 404, other methods with 405 and failures with 500', async () => {
+            await startServer();
+            expect((await request(port, { path: '/../config.js' })).status).toBe(404);
+            expect((await request(port, { path: '/api/snapshot', method: 'POST' })).status).toBe(405);
+
+            getSnapshot.mockImplementationOnce(() => { throw new Error('boom'); });
+            expect((await request(port, { path: '/api/snapshot' })).status).toBe(500);
+            expect((await request(port, { path: '/api/snapshot' })).status).toBe(200);
+        });
+
+        test('should require basic auth on every route when credentials are set', async () => {
+            await startServer({ username: 'ops', password: 'secret' });
+
+            const denied = await request(port, { path: '/api/snapshot' });
+            expect(denied.status).toBe(401);
+            expect(denied.headers['www-authenticate']).toBe('Basic realm="linux-monitor", charset="UTF-8"');
+            expect(denied.body).not.toContain('web-1');
+            expect((await request(port, { auth: 'ops:wrong' })).status).toBe(401);
+            expect(getSnapshot).not.toHaveBeenCalled();
+
+            expect((await request(port, { path: '/api/snapshot', auth: 'ops:secret' })).status).toBe(200);
+        });
+
+        test('should warn when listening beyond localhost without auth', async () => {
+            await startServer({ host: '0.0.0.0' });
+            expect(silentLogger.warn).toHaveBeenCalledWith({ host: '0.0.0.0' }, expect.stringContaining('without authentication'));
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+============================================================
+    Goal: Automated Tests for Per-Device Disk I/O Monitoring
+============================================================
+    Why:
+        - Device names differ between hosts; a device left out is a disk nobody watches
+        - Counting partitions next to their disk doubles every number
+
+    What:
+        - Checks which block devices are watched by default and with globs
+        - Feeds successive samples through the sampler
+        - Checks %util and await into alerts
+============================================================
+*/
+
+const { selectBlockDevices, evaluateBlockDevices, createDiskIoSampler } = require('./lib/disk-io');
+const { createRule, createRuleEngine } = require('./lib/rules');
+const { resolveConfig } = require('./lib/config');
+
+const SECOND = 1000;
+
+// /proc/diskstats counters for one device; counters not given are 0
+function counters(device, values = {}) {
+    return Object.assign({
+        device, readsCompleted: 0, sectorsRead: 0, readTimeMs: 0, writesCompleted: 0, sectorsWritten: 0,
+        writeTimeMs: 0, ioInProgress: 0, ioTimeMs: 0, weightedIoTimeMs: 0,
+    }, values);
+}
+
+describe('Disk I/O Tests', () => {
+    const devices = [
+        ['loop0', false], ['sda', false], ['sda1', true], ['nvme0n1', false], ['nvme0n1p1', true],
+        ['xvdf', false], ['dm-0', false], ['md127', false], ['mmcblk0', false], ['mmcblk0p2', true], ['sr0', false],
+    ].map(([device, partition]) => ({ device, partition }));
+
+    test('should watch whole devices, less the default exclusions, unless told otherwise', () => {
+        const { DISK_IO_EXCLUDE } = resolveConfig({ env: {} });
+        const names = options => selectBlockDevices(devices, options).map(entry => entry.device);
+
+        expect(names({ exclude: DISK_IO_EXCLUDE })).toEqual(['sda', 'nvme0n1', 'xvdf', 'dm-0', 'md127', 'mmcblk0']);
+        expect(names({ include: ['nvme*', 'dm-*'] })).toEqual(['nvme0n1', 'nvme0n1p1', 'dm-0']);
+        expect(names({ include: ['*'], exclude: ['nvme*p*', 'mmcblk*p*', 'sd*'] })).toEqual(['loop0', 'nvme0n1', 'xvdf', 'dm-0', 'md127', 'mmcblk0', 'sr0']);
+    });
+
+    test('should report stats from the second sample on', () => {
+        const sampler = createDiskIoSampler();
+
+        expect(sampler.observe([counters('sda', { readsCompleted: 10, ioTimeMs: 100 })], 0)).toBeNull();
+        expect(sampler.latest()).toBeNull();
+
+        const stats = sampler.observe([counters('sda', { readsCompleted: 110, readTimeMs: 400, ioTimeMs: 2100 }), counters('sdb')], 10 * SECOND);
+        expect(stats).toEqual([expect.objectContaining({ device: 'sda', readsPerSec: 10, readAwaitMs: 4, utilisation: 20 })]);
+        expect(sampler.latest()).toBe(stats);
+
+        // A sample at the same moment has no time to measure over
+        expect(sampler.observe([counters('sda')], 10 * SECOND)).toBeNull();
+
+        sampler.reset();
+        expect(sampler.latest()).toBeNull();
+    });
+
+    test('should alert on a saturated device once its rule holds, and on slow I/O', () => {
+        const stats = (utilisation, awaitMs) => ({
+            readsPerSec: 120, readBytesPerSec: 12.5 * 1024 ** 2, readAwaitMs: awaitMs, writesPerSec: 0, writeBytesPerSec: 0,
+            writeAwaitMs: 0, awaitMs, queueDepth: 3.2, inFlight: 4, utilisation,
+        });
+        const watched = [{ device: 'sda', stats: stats(97, 2) }, { device: 'nvme0n1', stats: stats(40, 80) }, { device: 'sdb', stats: null }];
+        const options = { ruleEngine: createRuleEngine(), utilRule: createRule({ critical: 95, forMs: 60 * SECOND }), awaitThreshold: 50, now: 0 };
+
+        const first = evaluateBlockDevices(watched, options);
+        expect(first.results.find(result => result.key === 'util:sda')).toMatchObject({ value: 97, status: 'pending' });
+        expect(first.alerts.map(alert => alert.key)).toEqual(['await:nvme0n1']);
+        expect(first.alerts[0].value).toContain('*Average Await: 80.0 ms (threshold 50 ms)*\n*Reads: 120/s, 12.5 MiB/s (await 80.0 ms)*');
+
+        const later = evaluateBlockDevices(watched, Object.assign({}, options, { now: 60 * SECOND }));
+        expect(later.alerts.map(alert => [alert.key, alert.severity])).toEqual([['util:sda', 'critical'], ['await:nvme0n1', 'warning']]);
+        expect(later.conditions.map(condition => [condition.key, condition.firing])).toEqual([
+            ['util:sda', true], ['await:sda', false], ['util:nvme0n1', false], ['await:nvme0n1', true],
+        ]);
+    });
+});
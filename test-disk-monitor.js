@@ -8,7 +8,7 @@
         - Provide confidence for refactoring and extension
 
     What:
-        - Mocks system commands, file operations, and Slack API
+        - Mocks /proc/mounts, statfs, file operations, and Slack API
         - Tests all exported functions from disk-monitor.js
         - Covers normal, error, and cooldown cases for disk usage monitoring
         - Uses Jest for mocking and assertions
@@ -17,33 +17,78 @@
 
 jest.mock('axios');
 
-const cp = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 
+// Alerts go to Slack only; the notifier reads its channels at load time
+process.env.SLACK_WEBHOOK_URL = 'https://hooks.slack.com/services/TEST/WEBHOOK/URL';
+// ...and page the channel for critical alerts, but not for their recoveries
+process.env.SLACK_MENTION_CRITICAL = '<!channel>';
+// Inodes warn from 80% and are critical from the default 90%
+process.env.INODE_WARNING_THRESHOLD = '80';
+
 // Import functions to test
 const {
     getDiskUsage,
+    getAllDiskUsage,
     sendSlackAlert,
-    checkDiskUsage
+    sendInodeAlert,
+    checkDiskUsage,
+    alertLifecycle,
+    ruleEngine
 } = require('./disk-monitor');
 
+const PROC_MOUNTS = [
+    'proc /proc proc rw,nosuid 0 0',
+    'tmpfs /run tmpfs rw,nosuid 0 0',
+    '/dev/sda1 / ext4 rw,relatime 0 0',
+    '/dev/nvme1n1 /data xfs rw,noatime 0 0',
+    '/dev/nvme1n1 /srv/data xfs rw,noatime 0 0',
+    'overlay /var/lib/docker/overlay2/abc/merged overlay rw 0 0'
+].join('\n');
+
+const ROOT_MOUNT = {
+    device: '/dev/sda1',
+    mountpoint: '/',
+    fstype: 'ext4',
+    totalBytes: 4096000,
+    usedBytes: 3481600,
+    availableBytes: 614400,
+    usagePercent: 85,
+    totalInodes: 1000,
+    usedInodes: 950,
+    inodeUsagePercent: 95
+};
+
+// statfs result for a filesystem that is `percent` full (no reserved blocks)
+function statfsFor(percent, inodePercent = 10) {
+    return { bsize: 4096, blocks: 1000, bfree: 1000 - percent * 10, bavail: 1000 - percent * 10, files: 1000, ffree: 1000 - inodePercent * 10 };
+}
+
+// .disk_alert_state.json contents with each key last alerted at `lastAlertAt`
+function alertState(lastAlertAt, keys, severity = 'critical') {
+    const cooldowns = {};
+    keys.forEach(key => { cooldowns[key] = { lastAlertAt, severity }; });
+    return JSON.stringify({ cooldowns });
+}
+
+// Minimal fs.Dirent stand-in for directory scans
+function dirent(name, isDir) {
+    return { name, isDirectory: () => isDir };
+}
+
 describe('Disk Monitor Tests', () => {
-    let mockExecSync;
+    let mockStatfs;
     let mockFs;
+    let procMounts;
 
     beforeEach(() => {
         // Reset all mocks and global state before each test
         jest.clearAllMocks();
 
-        // Mock execSync to avoid real system calls
-        mockExecSync = jest.spyOn(cp, 'execSync').mockImplementation((command, options) => {
-            if (command.includes("df -h /")) {
-                return '85%';
-            }
-            return '';
-        });
+        // Mock statfs to avoid depending on the host filesystem
+        mockStatfs = jest.spyOn(fs, 'statfsSync').mockReturnValue(statfsFor(85));
 
         // Mock fs for alert file operations
         mockFs = {
@@ -52,11 +97,18 @@ describe('Disk Monitor Tests', () => {
             writeFileSync: jest.fn()
         };
         jest.spyOn(fs, 'existsSync').mockImplementation(mockFs.existsSync);
-        jest.spyOn(fs, 'readFileSync').mockImplementation(mockFs.readFileSync);
+        procMounts = PROC_MOUNTS;
+        jest.spyOn(fs, 'readFileSync').mockImplementation((file, options) => (
+            file === '/proc/mounts' ? procMounts : mockFs.readFileSync(file, options)
+        ));
         jest.spyOn(fs, 'writeFileSync').mockImplementation(mockFs.writeFileSync);
+        jest.spyOn(fs, 'renameSync').mockImplementation(() => {});
 
         // Mock axios for Slack API
         axios.post.mockResolvedValue({ status: 200 });
+
+        ruleEngine.reset();
+        alertLifecycle.reset();
     });
 
     afterEach(() => {
@@ -71,21 +123,57 @@ describe('Disk Monitor Tests', () => {
         test('should parse disk usage percentage correctly', () => {
             const result = getDiskUsage();
             expect(result).toBe(85);
-            expect(mockExecSync).toHaveBeenCalledWith(
-                "df -h / | awk 'NR==2 {print $5}' | sed 's/%//'",
-                { encoding: 'utf8' }
-            );
+            expect(mockStatfs).toHaveBeenCalledWith('/');
+        });
+
+        test('should round partial percentages up like df', () => {
+            mockStatfs.mockReturnValue({ bsize: 4096, blocks: 1000, bfree: 799, bavail: 799, files: 1000, ffree: 900 });
+            expect(getDiskUsage()).toBe(21);
         });
 
-        test('should handle execSync failure gracefully by returning null', () => {
-            mockExecSync.mockImplementationOnce(() => {
-                throw new Error('df failed');
+        test('should handle statfs failure gracefully by returning null', () => {
+            mockStatfs.mockImplementationOnce(() => {
+                throw new Error('statfs failed');
             });
             const result = getDiskUsage();
             expect(result).toBeNull();
         });
     });
 
+    // =====================
+    // Mount Discovery Tests
+    // =====================
+    describe('getAllDiskUsage', () => {
+        test('should report every real mount and skip pseudo and bind duplicates', () => {
+            // /srv/data is a bind mount of /data, so statfs sees the same filesystem
+            mockStatfs.mockImplementation(target => statfsFor(target.endsWith('/data') ? 92 : 40));
+            const result = getAllDiskUsage();
+            expect(result.map(mount => mount.mountpoint)).toEqual(['/', '/data']);
+            expect(result[1]).toEqual(expect.objectContaining({
+                device: '/dev/nvme1n1',
+                fstype: 'xfs',
+                usagePercent: 92,
+                inodeUsagePercent: 10
+            }));
+        });
+
+        test('should skip mounts that cannot be stat\'ed', () => {
+            mockStatfs.mockImplementation(target => {
+                if (target.endsWith('/data')) throw new Error('EACCES');
+                return statfsFor(40);
+            });
+            expect(getAllDiskUsage().map(mount => mount.mountpoint)).toEqual(['/']);
+        });
+
+        test('should return null when /proc/mounts is unreadable', () => {
+            procMounts = undefined;
+            mockFs.readFileSync.mockImplementation(() => {
+                throw new Error('ENOENT');
+            });
+            expect(getAllDiskUsage()).toBeNull();
+        });
+    });
+
     // =====================
     // Slack Alert Tests
     // =====================
@@ -93,26 +181,42 @@ describe('Disk Monitor Tests', () => {
         test('should send correct JSON payload to Slack webhook', async () => {
             mockFs.writeFileSync.mockImplementation(() => {});
 
-            await sendSlackAlert(85);
+            await sendSlackAlert(ROOT_MOUNT);
 
             expect(axios.post).toHaveBeenCalledWith(
                 expect.any(String),
                 expect.objectContaining({
-                    text: '🚨 Disk Usage Alert',
+                    text: expect.stringContaining('🚨 Disk Usage Alert: / on'),
                     attachments: expect.arrayContaining([
                         expect.objectContaining({
                             color: 'danger',
                             fields: expect.arrayContaining([
+                                expect.objectContaining({ title: 'Mountpoint', value: '/' }),
+                                expect.objectContaining({ title: 'Device', value: '/dev/sda1 (ext4)' }),
                                 expect.objectContaining({ title: 'Disk Usage', value: '85%' }),
                                 expect.objectContaining({ title: 'Threshold', value: '80%' })
                             ])
                         })
                     ])
-                })
+                }),
+                { timeout: expect.any(Number) }
             );
             expect(mockFs.writeFileSync).toHaveBeenCalledWith(
-                expect.stringContaining('.last_disk_alert'),
-                expect.any(String)
+                expect.stringContaining('.disk_alert_state.json'),
+                expect.stringContaining('"disk:/"')
+            );
+        });
+
+        test('should record the inode cooldown separately from the space cooldown', async () => {
+            await sendInodeAlert(ROOT_MOUNT, [{ path: '/var/spool', entries: 120000 }]);
+
+            expect(mockFs.writeFileSync).toHaveBeenCalledWith(
+                expect.stringContaining('.disk_alert_state.json'),
+                expect.stringContaining('"inode:/"')
+            );
+            expect(mockFs.writeFileSync).not.toHaveBeenCalledWith(
+                expect.anything(),
+                expect.stringContaining('"disk:/"')
             );
         });
 
@@ -120,7 +224,7 @@ describe('Disk Monitor Tests', () => {
             axios.post.mockRejectedValueOnce(new Error('Network error'));
             mockFs.writeFileSync.mockImplementation(() => {});
 
-            await expect(sendSlackAlert(85)).resolves.not.toThrow();
+            await expect(sendSlackAlert(ROOT_MOUNT)).resolves.not.toThrow();
         });
     });
 
@@ -129,18 +233,18 @@ describe('Disk Monitor Tests', () => {
     // =====================
     describe('checkDiskUsage', () => {
         test('should do nothing if disk usage is below threshold', () => {
-            mockExecSync.mockReturnValue('75%');
+            mockStatfs.mockReturnValue(statfsFor(75));
             checkDiskUsage();
             expect(axios.post).not.toHaveBeenCalled();
         });
 
         test('should trigger alert if usage is over threshold and cooldown expired', () => {
-            mockExecSync.mockReturnValue('85%');
+            mockStatfs.mockReturnValue(statfsFor(85));
             const now = Date.now();
             const lastAlertTime = now - (35 * 60 * 1000); // 35 minutes ago (cooldown is 30 min)
 
             mockFs.existsSync.mockReturnValue(true);
-            mockFs.readFileSync.mockReturnValue(lastAlertTime.toString());
+            mockFs.readFileSync.mockReturnValue(alertState(lastAlertTime, ['disk:/', 'disk:/data']));
 
             checkDiskUsage();
 
@@ -148,7 +252,7 @@ describe('Disk Monitor Tests', () => {
         });
 
         test('should trigger alert if no previous alert has been recorded', () => {
-            mockExecSync.mockReturnValue('85%');
+            mockStatfs.mockReturnValue(statfsFor(85));
             mockFs.existsSync.mockReturnValue(false); // No file recorded
 
             checkDiskUsage();
@@ -157,21 +261,177 @@ describe('Disk Monitor Tests', () => {
         });
 
         test('should respect cooldown and NOT alert if threshold exceeded too soon', () => {
-            mockExecSync.mockReturnValue('85%');
+            mockStatfs.mockReturnValue(statfsFor(85));
             const now = Date.now();
             const lastAlertTime = now - (15 * 60 * 1000); // 15 minutes ago (cooldown is 30 min)
 
             mockFs.existsSync.mockReturnValue(true);
-            mockFs.readFileSync.mockReturnValue(lastAlertTime.toString());
+            mockFs.readFileSync.mockReturnValue(alertState(lastAlertTime, ['disk:/', 'disk:/data']));
+
+            checkDiskUsage();
+
+            expect(axios.post).not.toHaveBeenCalled();
+        });
+
+        test('should alert only for the mount that is over threshold', () => {
+            mockStatfs.mockImplementation(target => statfsFor(target === '/data' ? 92 : 40));
+            mockFs.existsSync.mockReturnValue(false);
+
+            checkDiskUsage();
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.any(String),
+                expect.objectContaining({
+                    text: expect.stringContaining('/data'),
+                    attachments: expect.arrayContaining([
+                        expect.objectContaining({
+                            fields: expect.arrayContaining([
+                                expect.objectContaining({ title: 'Device', value: '/dev/nvme1n1 (xfs)' })
+                            ])
+                        })
+                    ])
+                }),
+                { timeout: expect.any(Number) }
+            );
+        });
+
+        test('should track cooldowns per mount', () => {
+            mockStatfs.mockReturnValue(statfsFor(92));
+            const recent = Date.now() - 5 * 60 * 1000;
+            // Only the root mount has a recent alert on record
+            mockFs.existsSync.mockReturnValue(true);
+            mockFs.readFileSync.mockReturnValue(alertState(recent, ['disk:/']));
+
+            checkDiskUsage();
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(axios.post.mock.calls[0][1].text).toContain('/data');
+        });
+
+        test('should alert on inode exhaustion even when space is fine', async () => {
+            mockStatfs.mockImplementation(target => statfsFor(40, target === '/data' ? 95 : 10));
+            mockFs.existsSync.mockReturnValue(false);
+            jest.spyOn(fs.promises, 'lstat').mockResolvedValue({ dev: 1 });
+            jest.spyOn(fs.promises, 'readdir').mockImplementation(async dir => {
+                if (dir === '/data') return [dirent('sessions', true), dirent('README', false)];
+                if (dir === '/data/sessions') return Array.from({ length: 40 }, (_, i) => dirent(`sess_${i}`, false));
+                return [];
+            });
+
+            checkDiskUsage();
+            // The alert follows the directory scan
+            expect(axios.post).not.toHaveBeenCalled();
+            await new Promise(setImmediate);
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            const message = axios.post.mock.calls[0][1];
+            expect(message.text).toContain('Inode Exhaustion Alert: /data');
+            const fields = message.attachments[0].fields;
+            expect(fields).toEqual(expect.arrayContaining([
+                expect.objectContaining({ title: 'Inode Usage', value: '95% (950 / 1,000)' }),
+                expect.objectContaining({ title: 'Threshold', value: '90%' })
+            ]));
+            const directories = fields.find(field => field.title === 'Directories With Most Entries').value;
+            expect(directories).toContain('1. /data/sessions (40 entries)');
+        });
+
+        test('should send an inode warning between the warning and critical levels', async () => {
+            mockStatfs.mockImplementation(target => statfsFor(40, target === '/data' ? 85 : 10));
+            mockFs.existsSync.mockReturnValue(false);
+            jest.spyOn(fs.promises, 'lstat').mockResolvedValue({ dev: 1 });
+            jest.spyOn(fs.promises, 'readdir').mockResolvedValue([]);
+
+            checkDiskUsage();
+            await new Promise(setImmediate);
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            const message = axios.post.mock.calls[0][1];
+            expect(message.text).toContain('⚠️ Inode Exhaustion Alert: /data');
+            expect(message.attachments[0].color).toBe('warning');
+            expect(message.attachments[0].fields).toEqual(expect.arrayContaining([
+                { title: 'Severity', value: 'Warning', short: true },
+                expect.objectContaining({ title: 'Threshold', value: '80%' })
+            ]));
+        });
+
+        test('should re-notify inside the cooldown when an inode warning escalates to critical', async () => {
+            mockStatfs.mockImplementation(target => statfsFor(40, target === '/data' ? 95 : 10));
+            mockFs.existsSync.mockReturnValue(true);
+            mockFs.readFileSync.mockReturnValue(alertState(Date.now() - 2 * 60 * 1000, ['inode:/data'], 'warning'));
+            jest.spyOn(fs.promises, 'lstat').mockResolvedValue({ dev: 1 });
+            jest.spyOn(fs.promises, 'readdir').mockResolvedValue([]);
+
+            checkDiskUsage();
+            await new Promise(setImmediate);
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            const message = axios.post.mock.calls[0][1];
+            expect(message.text).toContain('🚨 Inode Exhaustion Alert: /data');
+            expect(message.attachments[0].color).toBe('danger');
+        });
+
+        test('should send a predictive alert when the mount will fill within the horizon', () => {
+            mockFs.existsSync.mockReturnValue(false);
+            // Start well past earlier tests so their samples age out of the history window
+            const start = Date.now() + 30 * 24 * 60 * 60 * 1000;
+            const nowSpy = jest.spyOn(Date, 'now');
+            // '/' grows 1% (40 KiB) every 10 minutes from 50% and is never over threshold
+            for (let i = 0; i < 7; i++) {
+                nowSpy.mockReturnValue(start + i * 10 * 60 * 1000);
+                mockStatfs.mockImplementation(target => statfsFor(target === '/' ? 50 + i : 40));
+                checkDiskUsage();
+            }
+
+            // The sixth sample is the first with enough history; no cooldown file exists so the seventh re-alerts
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            const message = axios.post.mock.calls[1][1];
+            expect(message.text).toContain('📈 Disk Fill Forecast: / on');
+            expect(message.text).toContain('full in ~7.3 hours');
+            expect(message.attachments[0].fields).toEqual(expect.arrayContaining([
+                expect.objectContaining({ title: 'Growth Rate', value: '240Ki/hour' }),
+                expect.objectContaining({ title: 'Estimated Full In', value: '7.3 hours' })
+            ]));
+        });
+
+        test('should send a resolved message with the incident duration once a mount recovers', async () => {
+            mockFs.existsSync.mockReturnValue(false);
+            const start = Date.now();
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(start);
+            mockStatfs.mockImplementation(target => statfsFor(target === '/data' ? 92 : 40));
+            checkDiskUsage();
+            await new Promise(setImmediate);
+
+            nowSpy.mockReturnValue(start + 25 * 60 * 1000);
+            mockStatfs.mockImplementation(() => statfsFor(40));
+            checkDiskUsage();
+
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            expect(axios.post.mock.calls[0][1].text).toMatch(/^<!channel> /);
+            const message = axios.post.mock.calls[1][1];
+            expect(message.text).toMatch(/^✅ Disk Usage Resolved: \/data on/);
+            expect(message.attachments[0].color).toBe('good');
+            expect(message.attachments[0].fields).toEqual(expect.arrayContaining([
+                expect.objectContaining({ title: 'Disk Usage', value: '40%' }),
+                expect.objectContaining({ title: 'Incident Duration', value: '25 minutes' })
+            ]));
+        });
+
+        test('should not announce a recovery for an alert held back by cooldown', () => {
+            mockFs.existsSync.mockReturnValue(true);
+            mockFs.readFileSync.mockReturnValue(alertState(Date.now(), ['disk:/data']));
+            mockStatfs.mockImplementation(target => statfsFor(target === '/data' ? 92 : 40));
+            checkDiskUsage();
 
+            mockStatfs.mockImplementation(() => statfsFor(40));
             checkDiskUsage();
 
             expect(axios.post).not.toHaveBeenCalled();
         });
 
         test('should handle disk usage parsing failure gracefully', () => {
-            mockExecSync.mockImplementationOnce(() => {
-                throw new Error('Command failed');
+            mockStatfs.mockImplementation(() => {
+                throw new Error('statfs failed');
             });
             checkDiskUsage();
             expect(axios.post).not.toHaveBeenCalled();
@@ -0,0 +1,77 @@
+/**
+============================================================
+    Goal: Automated Tests for Per-Process File Descriptor Usage
+============================================================
+    Why:
+        - Processes come and go between listing /proc and reading them
+        - Without root most processes cannot be read, and the report must say so
+
+    What:
+        - Orders processes by their share of the soft "Max open files" limit
+        - Skips processes that exited and counts the ones that were denied
+        - Checks the process closest to its limit into an alert
+============================================================
+*/
+
+const { scanFdUsage, evaluateProcessFds } = require('./lib/file-descriptors');
+const { createRule, createRuleEngine } = require('./lib/rules');
+
+// A collector whose processes are given as { pid: usage } or { pid: error code }
+function fakeProcMetrics(processes) {
+    return {
+        listPids: () => Object.keys(processes).map(Number),
+        readProcessFds(pid) {
+            const entry = processes[pid];
+            if (typeof entry === 'string') throw Object.assign(new Error(`${entry}: /proc/${pid}/fd`), { code: entry });
+            return Object.assign({ pid, hardLimit: 524288 }, entry);
+        },
+    };
+}
+
+describe('File Descriptor Usage Tests', () => {
+    test('should order processes by how close they are to their own limit', () => {
+        const { processes, unreadable } = scanFdUsage(fakeProcMetrics({
+            1: { command: 'systemd', openFiles: 200, softLimit: 524288 },
+            812: { command: 'nginx', openFiles: 60, softLimit: 64 },
+            900: { command: 'postgres', openFiles: 800, softLimit: 1024 },
+        }));
+
+        expect(unreadable).toBe(0);
+        expect(processes.map(proc => [proc.command, proc.usagePercent])).toEqual([
+            ['nginx', 93.75],
+            ['postgres', 78.125],
+            ['systemd', 200 / 524288 * 100],
+        ]);
+    });
+
+    test('should skip processes that exited and count the ones it may not read', () => {
+        const { processes, unreadable } = scanFdUsage(fakeProcMetrics({
+            812: { command: 'nginx', openFiles: 10, softLimit: 1024 },
+            2001: 'EACCES',
+            2002: 'EACCES',
+            3000: 'ENOENT',
+            // A soft limit of "unlimited" cannot run out
+            4000: { command: 'odd', openFiles: 10, softLimit: null },
+        }));
+
+        expect(processes.map(proc => proc.pid)).toEqual([812]);
+        expect(unreadable).toBe(2);
+    });
+
+    test('should alert on the process closest to its limit and list the others', () => {
+        const usage = scanFdUsage(fakeProcMetrics({
+            812: { command: 'nginx', openFiles: 60, softLimit: 64 },
+            900: { command: 'postgres', openFiles: 800, softLimit: 1024 },
+            2001: 'EACCES',
+        }));
+        const options = { ruleEngine: createRuleEngine(), rule: createRule({ warning: 80, critical: 95 }), now: 0 };
+
+        const { results, alerts, conditions } = evaluateProcessFds(usage, options);
+        expect(results).toEqual([expect.objectContaining({ key: 'fds', value: 93.75, severity: 'warning', status: 'firing' })]);
+        expect(alerts).toEqual([expect.objectContaining({ key: 'fds', severity: 'warning', title: '📂 nginx Running Out of File Descriptors' })]);
+        expect(alerts[0].value).toContain('• postgres (PID 900): 800 / 1024 open files (78.1%)\n*Processes Not Readable: 1');
+        expect(conditions).toEqual([expect.objectContaining({ key: 'fds', firing: true })]);
+
+        expect(evaluateProcessFds(usage, Object.assign({}, options, { dryRun: true })).alerts).toEqual([]);
+    });
+});
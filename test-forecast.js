@@ -0,0 +1,123 @@
+/**
+============================================================
+    Goal: Automated Tests for Disk-Fill Forecasting
+============================================================
+    Why:
+        - A wrong growth fit means either alert spam or a missed full disk
+        - Keep the history file format stable across restarts
+
+    What:
+        - Tests the least-squares growth fit and time-to-full projection
+        - Tests the rolling history window with mocked file operations
+============================================================
+*/
+
+const fs = require('fs');
+
+const {
+    createUsageHistory,
+    fitGrowthRate,
+    forecastTimeToFull,
+} = require('./lib/forecast');
+const { formatDuration } = require('./lib/common');
+
+const HOUR = 60 * 60 * 1000;
+const GIB = 1024 * 1024 * 1024;
+
+// One sample every 10 minutes, growing by `perHour` bytes per hour
+function linearSamples(count, perHour, start = 0) {
+    return Array.from({ length: count }, (_, i) => ({
+        timestamp: start + i * 10 * 60 * 1000,
+        usedBytes: 50 * GIB + perHour * (i / 6)
+    }));
+}
+
+describe('Disk Forecast Tests', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('fitGrowthRate', () => {
+        test('should recover the slope of linear growth', () => {
+            expect(fitGrowthRate(linearSamples(7, GIB)) * HOUR).toBeCloseTo(GIB);
+        });
+
+        test('should return null without two distinct timestamps', () => {
+            expect(fitGrowthRate([{ timestamp: 1, usedBytes: 10 }])).toBeNull();
+            expect(fitGrowthRate([{ timestamp: 1, usedBytes: 10 }, { timestamp: 1, usedBytes: 20 }])).toBeNull();
+        });
+    });
+
+    describe('forecastTimeToFull', () => {
+        test('should project hours until available space runs out', () => {
+            const samples = linearSamples(7, 2 * GIB);
+            const forecast = forecastTimeToFull(samples, 10 * GIB);
+            expect(forecast.bytesPerHour).toBeCloseTo(2 * GIB);
+            expect(forecast.msToFull).toBeCloseTo(5 * HOUR);
+            expect(forecast.fullAt).toBeCloseTo(samples[6].timestamp + 5 * HOUR);
+        });
+
+        test('should not forecast flat or shrinking usage', () => {
+            expect(forecastTimeToFull(linearSamples(7, 0), 10 * GIB)).toBeNull();
+            expect(forecastTimeToFull(linearSamples(7, -GIB), 10 * GIB)).toBeNull();
+        });
+
+        test('should wait for enough samples covering enough time', () => {
+            expect(forecastTimeToFull(linearSamples(5, GIB), 10 * GIB)).toBeNull();
+            const burst = linearSamples(7, GIB).map((sample, i) => Object.assign({}, sample, { timestamp: i * 1000 }));
+            expect(forecastTimeToFull(burst, 10 * GIB)).toBeNull();
+        });
+    });
+
+    describe('formatDuration', () => {
+        test('should pick a readable unit', () => {
+            expect(formatDuration(45 * 60 * 1000)).toBe('45 minutes');
+            expect(formatDuration(60 * 1000)).toBe('1 minute');
+            expect(formatDuration(5.2 * HOUR)).toBe('5.2 hours');
+            expect(formatDuration(74 * HOUR)).toBe('3.1 days');
+        });
+    });
+
+    describe('createUsageHistory', () => {
+        beforeEach(() => {
+            jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+            jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+            jest.spyOn(fs, 'renameSync').mockImplementation(() => {});
+        });
+
+        test('should drop samples that fall outside the window', () => {
+            const history = createUsageHistory('.test_history.json', { windowMs: HOUR });
+            history.record('/data', 0, 100);
+            history.record('/data', 30 * 60 * 1000, 200);
+            history.record('/data', 90 * 60 * 1000, 300);
+            expect(history.getSamples('/data')).toEqual([
+                { timestamp: 30 * 60 * 1000, usedBytes: 200 },
+                { timestamp: 90 * 60 * 1000, usedBytes: 300 }
+            ]);
+        });
+
+        test('should persist compact [timestamp, usedBytes] pairs per mount', () => {
+            const history = createUsageHistory('.test_history.json');
+            history.record('/', 1000, 42);
+            expect(fs.writeFileSync).toHaveBeenCalledWith(
+                expect.stringContaining('.test_history.json'),
+                JSON.stringify({ '/': [[1000, 42]] })
+            );
+        });
+
+        test('should replace the file through a temp file so a crash cannot truncate it', () => {
+            const history = createUsageHistory('.test_history.json');
+            history.record('/', 1000, 42);
+            const [tempPath] = fs.writeFileSync.mock.calls[0];
+            expect(tempPath).toMatch(/\.test_history\.json\.\d+\.tmp$/);
+            expect(fs.renameSync).toHaveBeenCalledWith(tempPath, expect.stringMatching(/\.test_history\.json$/));
+        });
+
+        test('should load existing history from disk', () => {
+            fs.existsSync.mockReturnValue(true);
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ '/data': [[5, 10]] }));
+            const history = createUsageHistory('.test_history.json');
+            expect(history.getSamples('/data')).toEqual([{ timestamp: 5, usedBytes: 10 }]);
+        });
+    });
+});
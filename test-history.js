@@ -0,0 +1,154 @@
+/**
+============================================================
+    Goal: Automated Tests for the Metrics History and `linux-monitor history`
+============================================================
+    Why:
+        - The history is what people read right after an alert
+        - Retention and downsampling decide how big the file grows
+
+    What:
+        - Records samples into an in-memory fake of the history file
+        - Checks pruning, hourly rollups and which tier answers a query
+        - Checks sparklines, the table and overview output, and CLI errors
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { createHistoryStore, sparkline } = require('./lib/history');
+const { main, groupRows, formatMetricHistory, formatHistoryOverview } = require('./bin/linux-monitor');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Collects everything written to it, like process.stdout
+function createOutput() {
+    return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+describe('Metrics History Tests', () => {
+    let files;
+
+    beforeEach(() => {
+        files = new Map();
+        jest.spyOn(fs, 'existsSync').mockImplementation(file => files.has(file));
+        jest.spyOn(fs, 'readFileSync').mockImplementation(file => {
+            if (!files.has(file)) throw new Error(`ENOENT: ${file}`);
+            return files.get(file);
+        });
+        jest.spyOn(fs, 'writeFileSync').mockImplementation((file, data) => files.set(file, data));
+        jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+            files.set(to, files.get(from));
+            files.delete(from);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createHistoryStore', () => {
+        test('should persist samples for a later reader', () => {
+            createHistoryStore('.test_history.json').record({ mem: 61.234, cpu: null }, 10 * MINUTE);
+
+            const reader = createHistoryStore('.test_history.json');
+            expect(reader.listMetrics()).toEqual(['mem']);
+            expect(reader.query('mem', { since: 0, until: 20 * MINUTE })).toEqual({
+                resolution: 'raw',
+                points: [{ timestamp: 10 * MINUTE, value: 61.23, min: 61.23, max: 61.23 }],
+            });
+            expect(files.has(path.join(__dirname, '.test_history.json'))).toBe(true);
+        });
+
+        test('should roll samples up into hourly min, average and max', () => {
+            const store = createHistoryStore('.test_history.json', { rawRetentionMs: HOUR });
+            [40, 60, 80].forEach((value, i) => store.record({ mem: value }, i * 20 * MINUTE));
+            store.record({ mem: 10 }, HOUR);
+
+            const { resolution, points } = store.query('mem', { since: 0, until: 3 * HOUR });
+            expect(resolution).toBe('rollup');
+            expect(points).toEqual([
+                { timestamp: 0, value: 60, min: 40, max: 80 },
+                { timestamp: HOUR, value: 10, min: 10, max: 10 },
+            ]);
+        });
+
+        test('should drop raw samples and rollups past their retention', () => {
+            const store = createHistoryStore('.test_history.json', { rawRetentionMs: HOUR, retentionMs: 3 * HOUR });
+            store.record({ mem: 50, 'disk:/old': 70 }, 0);
+            store.record({ mem: 55 }, 2 * HOUR);
+
+            expect(store.query('mem', { since: HOUR, until: 2 * HOUR }).points.map(point => point.value)).toEqual([55]);
+            expect(store.query('mem', { since: 0, until: 2 * HOUR }).points.map(point => point.value)).toEqual([50, 55]);
+
+            store.record({ mem: 60 }, 4 * HOUR);
+            expect(store.listMetrics()).toEqual(['mem']);
+        });
+    });
+
+    describe('sparkline', () => {
+        test('should scale values between the lowest and highest bar', () => {
+            expect(sparkline([0, 50, 100])).toBe('▁▅█');
+            expect(sparkline([5, 5, 5])).toBe('▁▁▁');
+            expect(sparkline([])).toBe('');
+        });
+
+        test('should average values down to the requested width', () => {
+            expect(sparkline([0, 0, 100, 100], 2)).toBe('▁█');
+        });
+    });
+
+    describe('linux-monitor history', () => {
+        const points = [0, 10, 20, 30, 40, 50].map(minute => ({ timestamp: minute * MINUTE, value: minute, min: minute, max: minute }));
+
+        test('should group points into table rows', () => {
+            const rows = groupRows(points, { since: 0, until: HOUR, rows: 2 });
+            expect(rows).toEqual([
+                expect.objectContaining({ timestamp: 0, samples: 3, min: 0, avg: 10, max: 20 }),
+                expect.objectContaining({ timestamp: 30 * MINUTE, samples: 3, min: 30, avg: 40, max: 50 }),
+            ]);
+        });
+
+        test('should print a sparkline summary and a table for one metric', () => {
+            const output = formatMetricHistory('mem', { resolution: 'raw', points }, { since: 0, until: HOUR, rows: 2, sinceLabel: '1h' });
+            const lines = output.trim().split('\n');
+
+            expect(lines[0]).toBe('mem — last 1h (raw samples, 6 points)');
+            expect(lines[1]).toBe('▁▂▄▅▇█  min 0.0  avg 25.0  max 50.0  last 50.0');
+            expect(lines[3]).toMatch(/^Time\s+Min\s+Avg\s+Max$/);
+            expect(lines).toHaveLength(6);
+        });
+
+        test('should print one line per metric in the overview', () => {
+            const output = formatHistoryOverview({ mem: { points }, swap: { points: [] } }, { sinceLabel: '1h' });
+            expect(output).toContain('mem  ▁▂▄▅▇█');
+            expect(output).not.toContain('swap');
+            expect(formatHistoryOverview({}, { sinceLabel: '6h' })).toBe('No samples in the last 6h\n');
+        });
+
+        test('should read the monitors\' history files and print JSON', () => {
+            const now = 2 * HOUR;
+            createHistoryStore('.health_history.json').record({ mem: 42 }, now - MINUTE);
+            createHistoryStore('.disk_history.json').record({ 'disk:/data': 71 }, now - MINUTE);
+            const out = createOutput();
+
+            expect(main(['history', '--since', '1h', '--json'], { out, env: {}, now })).toBe(0);
+            const result = JSON.parse(out.text);
+            expect(Object.keys(result.metrics)).toEqual(['disk:/data', 'mem']);
+            expect(result.metrics['disk:/data'].points[0].value).toBe(71);
+        });
+
+        test('should reject unknown commands and malformed options', () => {
+            const err = createOutput();
+            expect(main(['histroy'], { out: createOutput(), err, env: {} })).toBe(2);
+            expect(err.text).toContain('Unknown command "histroy"');
+
+            const badSince = createOutput();
+            expect(main(['history', '--since', 'yesterday'], { out: createOutput(), err: badSince, env: {} })).toBe(2);
+            expect(badSince.text).toContain('--since must be a duration');
+
+            expect(main(['history', '--bogus'], { out: createOutput(), err: createOutput(), env: {} })).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+============================================================
+    Goal: Automated Tests for the Kernel Event Collector
+============================================================
+    Why:
+        - An OOM kill that goes unnoticed is the outage nobody can explain
+        - Kernel message formats differ between versions and sources
+
+    What:
+        - Classifies real kernel messages: OOM kills, hung tasks, filesystem errors, segfaults
+        - Reads the kmsg and journal fixtures in fixtures/kernel/ and continues from cursors
+        - Checks the fallback from /dev/kmsg to the journal and the event log's window
+============================================================
+*/
+
+const path = require('path');
+
+const {
+    parseKmsgRecords,
+    classifyKernelMessage,
+    createKernelEventReader,
+    createKernelEventLog,
+} = require('./lib/kernel-events');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const KMSG = path.join(FIXTURES, 'kernel', 'kmsg');
+const JOURNAL = require('fs').readFileSync(path.join(FIXTURES, 'kernel', 'journal.json'), 'utf8');
+const PROC_ROOT = path.join(FIXTURES, 'proc');
+
+const MINUTE = 60 * 1000;
+const KIB = 1024;
+// fixtures/proc/uptime says the host booted 186300.52 seconds before NOW
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+const BOOT = NOW - 186300520;
+
+describe('Kernel Event Tests', () => {
+    describe('parsing', () => {
+        test('should parse kmsg records and skip their dictionary lines', () => {
+            const records = parseKmsgRecords(require('fs').readFileSync(KMSG, 'utf8'));
+
+            expect(records).toHaveLength(14);
+            expect(records[6]).toEqual({
+                sequence: 1007,
+                monotonicMs: 186050000.2,
+                priority: 3,
+                message: expect.stringMatching(/^Out of memory: Killed process 4312 \(java\)/),
+            });
+        });
+
+        test('should pick out OOM kills with the memory of the killed process', () => {
+            expect(classifyKernelMessage('Out of memory: Killed process 4312 (java) total-vm:8412332kB, anon-rss:4120856kB, file-rss:1024kB, shmem-rss:0kB, UID:1000 pgtables:8640kB oom_score_adj:0')).toEqual({
+                kind: 'oom',
+                pid: 4312,
+                command: 'java',
+                rssBytes: (4120856 + 1024) * KIB,
+                anonRssBytes: 4120856 * KIB,
+                fileRssBytes: 1024 * KIB,
+                shmemRssBytes: 0,
+                totalVmBytes: 8412332 * KIB,
+                cgroup: false,
+            });
+            expect(classifyKernelMessage('Memory cgroup out of memory: Killed process 8120 (python3) total-vm:1203404kB, anon-rss:512300kB, file-rss:2048kB, shmem-rss:0kB, UID:0 pgtables:1400kB oom_score_adj:0'))
+                .toEqual(expect.objectContaining({ kind: 'oom', command: 'python3', cgroup: true }));
+        });
+
+        test('should pick out hung tasks, filesystem errors and segfaults', () => {
+            expect(classifyKernelMessage('INFO: task jbd2/sda1-8:312 blocked for more than 120 seconds.'))
+                .toEqual({ kind: 'hung-task', pid: 312, command: 'jbd2/sda1-8', blockedSeconds: 120 });
+            expect(classifyKernelMessage('EXT4-fs (sdb1): Remounting filesystem read-only'))
+                .toEqual({ kind: 'fs-error', filesystem: 'ext4', device: 'sdb1', detail: 'Remounting filesystem read-only' });
+            expect(classifyKernelMessage('XFS (dm-2): Corruption detected. Unmount and run xfs_repair'))
+                .toEqual(expect.objectContaining({ kind: 'fs-error', filesystem: 'xfs', device: 'dm-2' }));
+            expect(classifyKernelMessage('BTRFS error (device nvme0n1p3): bdev /dev/nvme0n1p3 errs: wr 0, rd 0, flush 0, corrupt 1, gen 0'))
+                .toEqual(expect.objectContaining({ kind: 'fs-error', filesystem: 'btrfs', device: 'nvme0n1p3' }));
+            expect(classifyKernelMessage('worker[23011]: segfault at 0 ip 00005593a2c1e4b0 sp 00007ffd2a6c1e40 error 4 in libworker.so[7f12a0000000+2a000]'))
+                .toEqual({ kind: 'segfault', pid: 23011, command: 'worker', object: 'libworker.so' });
+
+            expect(classifyKernelMessage('EXT4-fs (sda1): mounted filesystem with ordered data mode. Quota mode: none.')).toBeNull();
+            expect(classifyKernelMessage('oom_reaper: reaped process 4312 (java), now anon-rss:0kB, file-rss:0kB, shmem-rss:0kB')).toBeNull();
+        });
+    });
+
+    describe('reader', () => {
+        test('should read recent kmsg events and continue from the last record', () => {
+            const reader = createKernelEventReader({ source: 'kmsg', kmsgPath: KMSG, procRoot: PROC_ROOT });
+            const first = reader.read({ since: NOW - 15 * MINUTE, now: NOW });
+
+            // The EXT4 error from a day ago is older than the window
+            expect(first.source).toBe('kmsg');
+            expect(first.events.map(event => event.kind)).toEqual(['segfault', 'segfault', 'oom', 'segfault', 'hung-task', 'fs-error', 'fs-error']);
+            expect(first.events[2]).toEqual(expect.objectContaining({
+                command: 'java',
+                pid: 4312,
+                memcg: '/system.slice/app.service',
+                timestamp: BOOT + 186050000.2,
+            }));
+            expect(first.cursor).toEqual({ source: 'kmsg', sequence: 1014 });
+
+            expect(reader.read({ after: first.cursor, since: NOW - 15 * MINUTE, now: NOW }).events).toEqual([]);
+            expect(reader.read({ after: { source: 'kmsg', sequence: 1008 }, since: NOW, now: NOW }).events.map(event => event.kind))
+                .toEqual(['segfault', 'hung-task', 'fs-error', 'fs-error']);
+        });
+
+        test('should read the journal since a time, then after its cursor', () => {
+            const commands = [];
+            const reader = createKernelEventReader({ source: 'journal', runCommand: command => { commands.push(command); return JOURNAL; } });
+            const first = reader.read({ since: 1759999990000, now: 1760000100000 });
+
+            expect(commands[0]).toBe("journalctl -k -o json --no-pager -q --since='@1759999990'");
+            expect(first.events).toEqual([
+                expect.objectContaining({ kind: 'oom', command: 'python3', cgroup: true, memcg: '/docker/3f9a', timestamp: 1760000000000.2 }),
+                expect.objectContaining({ kind: 'fs-error', filesystem: 'xfs', device: 'dm-2' }),
+                // journald keeps messages that are not valid UTF-8 as bytes
+                expect.objectContaining({ kind: 'segfault', command: 'curl', pid: 99, object: null }),
+            ]);
+
+            reader.read({ after: first.cursor, since: 0 });
+            expect(commands[1]).toBe("journalctl -k -o json --no-pager -q --after-cursor='s=6d3f1c2a;i=1a2f;b=9e8d;m=2b4f0c1b90;t=60c1f2a3b4ded;x=aa15'");
+        });
+
+        test('should fall back to the journal when /dev/kmsg cannot be opened', () => {
+            const runCommand = jest.fn(() => JOURNAL);
+            const reader = createKernelEventReader({ kmsgPath: path.join(FIXTURES, 'kernel', 'missing'), runCommand });
+
+            expect(reader.read({ since: 0 }).source).toBe('journal');
+            expect(reader.read({ since: 0 }).source).toBe('journal');
+            expect(runCommand).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('event log', () => {
+        test('should keep the cursor and recent events for counting floods', () => {
+            const log = createKernelEventLog();
+            const segfault = timestamp => ({ kind: 'segfault', timestamp });
+            log.record({ cursor: { source: 'kmsg', sequence: 10 }, events: [segfault(0), segfault(MINUTE)] }, 10 * MINUTE, MINUTE);
+            log.record({ cursor: null, events: [segfault(4 * MINUTE), { kind: 'oom', timestamp: 4 * MINUTE }] }, 10 * MINUTE, 5 * MINUTE);
+
+            expect(log.cursor()).toEqual({ source: 'kmsg', sequence: 10 });
+            expect(log.recent('segfault', 5 * MINUTE, 5 * MINUTE)).toEqual([segfault(MINUTE), segfault(4 * MINUTE)]);
+
+            log.record({ cursor: null, events: [] }, 10 * MINUTE, 12 * MINUTE);
+            expect(log.recent('segfault', 60 * MINUTE, 12 * MINUTE)).toEqual([segfault(4 * MINUTE)]);
+
+            log.reset();
+            expect(log.cursor()).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/**
+============================================================
+    Goal: Automated Tests for Mounted Filesystem Discovery
+============================================================
+    Why:
+        - Make sure pseudo filesystems never produce disk alerts
+        - Keep include/exclude glob semantics stable for operators
+
+    What:
+        - Reads the mount table from fixtures/proc
+        - Tests glob conversion and mount selection
+        - Scans a temporary directory tree for the largest directories
+============================================================
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createProcMetrics } = require('./lib/proc-metrics');
+const { globToRegExp, selectMounts, getMountUsages, findLargestDirectories } = require('./lib/mounts');
+
+const procMetrics = createProcMetrics({ procRoot: path.join(__dirname, 'fixtures', 'proc') });
+
+describe('Mount Discovery Tests', () => {
+    describe('globToRegExp', () => {
+        test('should keep single stars inside one path segment', () => {
+            expect(globToRegExp('/mnt/*').test('/mnt/backup')).toBe(true);
+            expect(globToRegExp('/mnt/*').test('/mnt/backup/nested')).toBe(false);
+        });
+
+        test('should let double stars cross segments', () => {
+            expect(globToRegExp('/var/lib/docker/**').test('/var/lib/docker/volumes/db')).toBe(true);
+        });
+
+        test('should treat regex characters literally', () => {
+            expect(globToRegExp('/data.1').test('/data.1')).toBe(true);
+            expect(globToRegExp('/data.1').test('/dataX1')).toBe(false);
+        });
+    });
+
+    describe('selectMounts', () => {
+        const mounts = procMetrics.readMounts();
+
+        test('should drop pseudo filesystems', () => {
+            expect(selectMounts(mounts).map(mount => mount.mountpoint)).toEqual(['/', '/data', '/mnt/backup disk']);
+        });
+
+        test('should apply include globs', () => {
+            expect(selectMounts(mounts, { include: ['/data', '/'] }).map(mount => mount.mountpoint)).toEqual(['/', '/data']);
+        });
+
+        test('should apply exclude globs after include globs', () => {
+            const selected = selectMounts(mounts, { include: ['/**'], exclude: ['/mnt/*'] });
+            expect(selected.map(mount => mount.mountpoint)).toEqual(['/', '/data']);
+        });
+    });
+
+    describe('getMountUsages', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should keep mounts of one device only when their usage differs', () => {
+            const table = {
+                readMounts: () => [
+                    { device: '/dev/sda2', mountpoint: '/', fstype: 'btrfs', options: ['subvol=/@'] },
+                    { device: '/dev/sda2', mountpoint: '/home', fstype: 'btrfs', options: ['subvol=/@home'] },
+                    { device: '/dev/sda2', mountpoint: '/srv/www', fstype: 'btrfs', options: ['subvol=/@home'] },
+                ],
+            };
+            // /home has a quota of its own; /srv/www is a bind mount of it
+            jest.spyOn(fs, 'statfsSync').mockImplementation(target => (target === '/'
+                ? { bsize: 4096, blocks: 1000, bfree: 400, bavail: 400, files: 0, ffree: 0 }
+                : { bsize: 4096, blocks: 100, bfree: 10, bavail: 10, files: 0, ffree: 0 }));
+
+            const usages = getMountUsages(table);
+            expect(usages.map(usage => [usage.mountpoint, usage.usagePercent])).toEqual([['/', 60], ['/home', 90]]);
+        });
+    });
+
+    describe('findLargestDirectories', () => {
+        let root;
+
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'inode-scan-'));
+            fs.mkdirSync(path.join(root, 'cache', 'thumbs'), { recursive: true });
+            for (let i = 0; i < 12; i++) fs.writeFileSync(path.join(root, 'cache', 'thumbs', `t${i}`), '');
+            for (let i = 0; i < 3; i++) fs.writeFileSync(path.join(root, 'cache', `c${i}`), '');
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        test('should rank directories by entry count', async () => {
+            const result = await findLargestDirectories(root, { limit: 2 });
+            expect(result).toEqual([
+                { path: path.join(root, 'cache', 'thumbs'), entries: 12 },
+                { path: path.join(root, 'cache'), entries: 4 }
+            ]);
+        });
+
+        test('should stop descending at maxDepth', async () => {
+            const result = await findLargestDirectories(root, { maxDepth: 1 });
+            expect(result.map(dir => dir.path)).not.toContain(path.join(root, 'cache', 'thumbs'));
+        });
+
+        test('should rank what it read so far once the time is up', async () => {
+            const result = await findLargestDirectories(root, { timeoutMs: 0 });
+            expect(result).toEqual([]);
+
+            // Time runs out right after the root was read
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValueOnce(now).mockReturnValueOnce(now).mockReturnValue(now + 20000);
+            expect(await findLargestDirectories(root)).toEqual([{ path: root, entries: 1 }]);
+        });
+    });
+});
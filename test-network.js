@@ -0,0 +1,90 @@
+/**
+============================================================
+    Goal: Automated Tests for Per-Interface Network Monitoring
+============================================================
+    Why:
+        - Watching the wrong interfaces means alerts for every container that stops
+        - A wrong unit in the saturation maths hides a full link or cries wolf
+
+    What:
+        - Checks which interfaces are watched by default and with globs
+        - Checks link utilisation against the link speed
+        - Feeds successive samples through the sampler
+        - Checks link state, saturation and error rates into alerts
+============================================================
+*/
+
+const { selectInterfaces, linkUtilisation, evaluateInterfaces, createNetworkSampler } = require('./lib/network');
+const { createRule, createRuleEngine } = require('./lib/rules');
+
+const SECOND = 1000;
+
+// /proc/net/dev counters for one interface; counters not given are 0
+function counters(name, values = {}) {
+    return Object.assign({ interface: name, rxBytes: 0, rxPackets: 0, rxErrors: 0, rxDropped: 0, txBytes: 0, txPackets: 0, txErrors: 0, txDropped: 0 }, values);
+}
+
+describe('Network Interface Tests', () => {
+    const interfaces = [
+        { interface: 'lo', operstate: 'unknown', speedMbps: null, physical: false },
+        { interface: 'eth0', operstate: 'up', speedMbps: 1000, physical: true },
+        { interface: 'eth1', operstate: 'down', speedMbps: null, physical: true },
+        { interface: 'bond0', operstate: 'up', speedMbps: 2000, physical: false },
+        { interface: 'veth1a2b3c', operstate: 'up', speedMbps: 10000, physical: false },
+    ];
+
+    test('should watch physical interfaces unless told otherwise', () => {
+        const names = options => selectInterfaces(interfaces, options).map(entry => entry.interface);
+
+        expect(names()).toEqual(['eth0', 'eth1']);
+        expect(names({ exclude: ['eth1'] })).toEqual(['eth0']);
+        expect(names({ include: ['eth*', 'bond?'] })).toEqual(['eth0', 'eth1', 'bond0']);
+        expect(names({ include: ['*'], exclude: ['lo', 'veth*'] })).toEqual(['eth0', 'eth1', 'bond0']);
+    });
+
+    test('should measure the busier direction against the link speed', () => {
+        // 100 Mb/s received and 250 Mb/s sent on a 1 Gb/s link
+        expect(linkUtilisation({ rxBytes: 12.5e6, txBytes: 31.25e6 }, 1000)).toBeCloseTo(25);
+        expect(linkUtilisation({ rxBytes: 12.5e6, txBytes: 0 }, null)).toBeNull();
+    });
+
+    test('should report rates from the second sample on', () => {
+        const sampler = createNetworkSampler();
+
+        expect(sampler.observe([counters('eth0', { rxBytes: 1000, rxErrors: 2 })], 0)).toBeNull();
+        expect(sampler.latest()).toBeNull();
+
+        const rates = sampler.observe([counters('eth0', { rxBytes: 21000, rxErrors: 12 }), counters('eth1', { rxBytes: 500 })], 10 * SECOND);
+        expect(rates).toEqual([expect.objectContaining({ interface: 'eth0', rxBytes: 2000, rxErrors: 1, txBytes: 0 })]);
+        expect(sampler.latest()).toBe(rates);
+
+        // A sample at the same moment has no time to measure over
+        expect(sampler.observe([counters('eth0', { rxBytes: 21000 })], 10 * SECOND)).toBeNull();
+
+        sampler.reset();
+        expect(sampler.latest()).toBeNull();
+    });
+
+    test('should alert on a lost link, a saturated link and errors', () => {
+        const rates = Object.assign(counters('eth0', { rxBytes: 118.75e6, rxErrors: 4, txErrors: 2 }), { rxFrame: 4, rxFifo: 0, txCarrier: 2, txFifo: 0, txCollisions: 0 });
+        const watched = [
+            { interface: 'eth0', operstate: 'up', speedMbps: 1000, rates, utilisation: linkUtilisation(rates, 1000) },
+            { interface: 'eth1', operstate: 'down', speedMbps: null, rates: null, utilisation: null },
+        ];
+        const options = { ruleEngine: createRuleEngine(), saturationRule: createRule({ warning: 80, critical: 90 }), errorThreshold: 5, dropThreshold: 0, now: 0 };
+
+        const { results, alerts, conditions } = evaluateInterfaces(watched, options);
+        expect(alerts.map(alert => [alert.key, alert.severity])).toEqual([
+            ['saturation:eth0', 'critical'],
+            ['errors:eth0', 'warning'],
+            ['link:eth1', 'critical'],
+        ]);
+        expect(alerts[0].value).toContain('*Current Utilisation: 95.0% of 1000 Mb/s (RX)*');
+        // A threshold of 0 turns drops off
+        expect(results.find(result => result.key === 'drops:eth0')).toMatchObject({ status: 'ok', warning: null });
+        expect(conditions.filter(condition => condition.firing).map(condition => condition.key)).toEqual(['saturation:eth0', 'errors:eth0', 'link:eth1']);
+
+        // A dry run reports the same results without building alerts
+        expect(evaluateInterfaces(watched, Object.assign({}, options, { dryRun: true })).alerts).toEqual([]);
+    });
+});
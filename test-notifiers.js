@@ -0,0 +1,386 @@
+/**
+============================================================
+    Goal: Automated Tests for Alert Notifiers
+============================================================
+    Why:
+        - Every channel must produce a payload its service accepts
+        - Routing mistakes silently drop alerts, so they need coverage
+
+    What:
+        - Runs each HTTP channel against a local HTTP stand-in
+        - Runs the email channel against a local SMTP stand-in
+        - Runs the command hook with a real shell command
+        - Tests routing, partial failures and channel configuration
+============================================================
+*/
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const {
+    createSlackChannel,
+    createTeamsChannel,
+    createDiscordChannel,
+    createWebhookChannel,
+    createEmailChannel,
+    createCommandChannel,
+    createChannels,
+    createNotifier,
+} = require('./lib/notifiers');
+
+const NOTIFICATION = {
+    type: 'disk',
+    severity: 'critical',
+    text: '🚨 Disk Usage Alert: /data on web-1',
+    attachments: [{
+        type: 'disk',
+        color: 'danger',
+        title: 'High Disk Usage',
+        text: '*Usage: 92%*',
+        fields: [
+            { title: 'Mountpoint', value: '/data', short: true },
+            { title: 'Threshold', value: '80%', short: true }
+        ]
+    }]
+};
+
+// Local HTTP server that records JSON bodies
+function startHttpStandIn(status = 200) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, body: JSON.parse(body) });
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+    }));
+}
+
+// Local SMTP server speaking just enough of RFC 5321 for one message per connection
+function startSmtpStandIn({ rejectRecipient = false } = {}) {
+    const sessions = [];
+    const server = net.createServer(socket => {
+        const session = { commands: [], data: '' };
+        sessions.push(session);
+        let buffer = '';
+        let inData = false;
+        socket.write('220 stand-in ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+            let index;
+            while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                session.commands.push(line);
+                const verb = line.split(/[\s:]/)[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-stand-in\r\n250 AUTH PLAIN\r\n');
+                else if (verb === 'AUTH') socket.write('235 accepted\r\n');
+                else if (verb === 'RCPT' && rejectRecipient) socket.write('550 no such user\r\n');
+                else if (verb === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+                else if (verb === 'QUIT') { socket.end('221 bye\r\n'); }
+                else socket.write('250 ok\r\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, sessions, port: server.address().port });
+    }));
+}
+
+function fakeChannel(name, result = Promise.resolve()) {
+    return { name, send: jest.fn(() => result) };
+}
+
+
+describe('Notifier Tests', () => {
+    // =====================
+    // HTTP channels
+    // =====================
+    describe('HTTP channels', () => {
+        let standIn;
+
+        beforeEach(async () => {
+            standIn = await startHttpStandIn();
+        });
+
+        afterEach(done => {
+            standIn.server.close(done);
+        });
+
+        test('Slack should post the message unchanged', async () => {
+            await createSlackChannel({ url: standIn.url, timeout: 2000 }).send(NOTIFICATION);
+            expect(standIn.requests[0].body).toEqual({
+                text: NOTIFICATION.text,
+                attachments: [{
+                    color: 'danger',
+                    title: 'High Disk Usage',
+                    text: '*Usage: 92%*',
+                    fields: NOTIFICATION.attachments[0].fields
+                }]
+            });
+        });
+
+        test('Slack should mention people for the alert severity', async () => {
+            const mentions = { warning: '<!here>', critical: '<!channel>' };
+            await createSlackChannel({ url: standIn.url, timeout: 2000, mentions }).send(NOTIFICATION);
+            await createSlackChannel({ url: standIn.url, timeout: 2000, mentions }).send(Object.assign({}, NOTIFICATION, { severity: 'warning' }));
+            expect(standIn.requests.map(request => request.body.text)).toEqual([
+                `<!channel> ${NOTIFICATION.text}`,
+                `<!here> ${NOTIFICATION.text}`
+            ]);
+        });
+
+        test('Slack should not mention people for a recovery', async () => {
+            const mentions = { warning: '<!here>', critical: '<!channel>' };
+            await createSlackChannel({ url: standIn.url, timeout: 2000, mentions }).send(Object.assign({}, NOTIFICATION, { recovery: true, text: '✅ Disk Usage Resolved: /data' }));
+            expect(standIn.requests[0].body.text).toBe('✅ Disk Usage Resolved: /data');
+        });
+
+        test('Teams should post a MessageCard with facts', async () => {
+            await createTeamsChannel({ url: standIn.url, timeout: 2000 }).send(NOTIFICATION);
+            const card = standIn.requests[0].body;
+            expect(card['@type']).toBe('MessageCard');
+            expect(card.themeColor).toBe('D00000');
+            expect(card.sections[0]).toEqual({
+                activityTitle: 'High Disk Usage',
+                text: '**Usage: 92%**',
+                facts: [{ name: 'Mountpoint', value: '/data' }, { name: 'Threshold', value: '80%' }]
+            });
+        });
+
+        test('Discord should post embeds with inline fields', async () => {
+            await createDiscordChannel({ url: standIn.url, timeout: 2000 }).send(NOTIFICATION);
+            const body = standIn.requests[0].body;
+            expect(body.content).toBe(NOTIFICATION.text);
+            expect(body.embeds[0]).toEqual(expect.objectContaining({
+                title: 'High Disk Usage',
+                description: '**Usage: 92%**',
+                color: 0xD00000,
+                fields: [
+                    { name: 'Mountpoint', value: '/data', inline: true },
+                    { name: 'Threshold', value: '80%', inline: true }
+                ]
+            }));
+        });
+
+        test('generic webhook should post a flat JSON document', async () => {
+            await createWebhookChannel({ url: standIn.url, timeout: 2000 }).send(NOTIFICATION);
+            expect(standIn.requests[0].body).toEqual({
+                host: os.hostname(),
+                type: 'disk',
+                severity: 'critical',
+                text: NOTIFICATION.text,
+                timestamp: expect.any(String),
+                alerts: [{
+                    type: 'disk',
+                    severity: 'critical',
+                    title: 'High Disk Usage',
+                    text: 'Usage: 92%',
+                    color: 'danger',
+                    fields: NOTIFICATION.attachments[0].fields
+                }]
+            });
+        });
+
+        test('should reject when the endpoint returns an error status', async () => {
+            const failing = await startHttpStandIn(500);
+            try {
+                await expect(createWebhookChannel({ url: failing.url, timeout: 2000 }).send(NOTIFICATION)).rejects.toThrow();
+            } finally {
+                await new Promise(resolve => failing.server.close(resolve));
+            }
+        });
+    });
+
+    // =====================
+    // Email over SMTP
+    // =====================
+    describe('email channel', () => {
+        test('should authenticate and deliver a plain-text message', async () => {
+            const smtp = await startSmtpStandIn();
+            try {
+                await createEmailChannel({
+                    host: '127.0.0.1',
+                    port: smtp.port,
+                    user: 'monitor',
+                    pass: 'secret',
+                    from: 'monitor@example.com',
+                    to: ['ops@example.com', 'oncall@example.com'],
+                    timeout: 2000
+                }).send(NOTIFICATION);
+
+                const { commands, data } = smtp.sessions[0];
+                expect(commands).toEqual(expect.arrayContaining([
+                    `AUTH PLAIN ${Buffer.from('\0monitor\0secret').toString('base64')}`,
+                    'MAIL FROM:<monitor@example.com>',
+                    'RCPT TO:<ops@example.com>',
+                    'RCPT TO:<oncall@example.com>',
+                    'DATA'
+                ]));
+                const [headers, body] = data.split('\r\n\r\n');
+                expect(headers).toContain('To: ops@example.com, oncall@example.com');
+                expect(headers).toContain(`Subject: =?UTF-8?B?${Buffer.from(NOTIFICATION.text).toString('base64')}?=`);
+                const text = Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+                expect(text).toContain('High Disk Usage');
+                expect(text).toContain('Usage: 92%');
+                expect(text).toContain('Mountpoint: /data');
+            } finally {
+                await new Promise(resolve => smtp.server.close(resolve));
+            }
+        });
+
+        test('should reject with the failing SMTP step', async () => {
+            const smtp = await startSmtpStandIn({ rejectRecipient: true });
+            try {
+                await expect(createEmailChannel({
+                    host: '127.0.0.1',
+                    port: smtp.port,
+                    from: 'monitor@example.com',
+                    to: ['nobody@example.com'],
+                    timeout: 2000
+                }).send(NOTIFICATION)).rejects.toThrow('SMTP RCPT TO failed: 550 no such user');
+            } finally {
+                await new Promise(resolve => smtp.server.close(resolve));
+            }
+        });
+    });
+
+    // =====================
+    // Command hook
+    // =====================
+    describe('command channel', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-command-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should pass the JSON payload on stdin and the alert type in the environment', async () => {
+            const output = path.join(dir, 'alert.json');
+            await createCommandChannel({ command: `cat > "${output}"; echo "$ALERT_TYPE" > "${output}.type"`, timeout: 5000 }).send(NOTIFICATION);
+            expect(JSON.parse(fs.readFileSync(output, 'utf8')).alerts[0].title).toBe('High Disk Usage');
+            expect(fs.readFileSync(`${output}.type`, 'utf8').trim()).toBe('disk');
+        });
+
+        test('should reject when the command fails', async () => {
+            await expect(createCommandChannel({ command: 'echo paging failed >&2; exit 3', timeout: 5000 }).send(NOTIFICATION))
+                .rejects.toThrow('Alert command exited with code 3: paging failed');
+        });
+    });
+
+    // =====================
+    // Routing
+    // =====================
+    describe('createNotifier', () => {
+        test('should send to every channel when no routes are configured', async () => {
+            const slack = fakeChannel('slack');
+            const email = fakeChannel('email');
+            const delivered = await createNotifier({ channels: [slack, email] }).send(NOTIFICATION);
+            expect(delivered).toEqual(['slack', 'email']);
+        });
+
+        test('should route by alert type with a wildcard fallback', async () => {
+            const slack = fakeChannel('slack');
+            const email = fakeChannel('email');
+            const notifier = createNotifier({ channels: [slack, email], routes: { disk: ['email'], '*': ['slack'] } });
+
+            await notifier.send(NOTIFICATION);
+            await notifier.send(Object.assign({}, NOTIFICATION, { type: 'health', attachments: [] }));
+
+            expect(email.send).toHaveBeenCalledTimes(1);
+            expect(slack.send).toHaveBeenCalledTimes(1);
+            expect(slack.send.mock.calls[0][0].type).toBe('health');
+        });
+
+        test('should split attachments by their own type', async () => {
+            const slack = fakeChannel('slack');
+            const teams = fakeChannel('teams');
+            const notifier = createNotifier({ channels: [slack, teams], routes: { cpu: ['teams'], mem: ['slack', 'teams'] } });
+
+            await notifier.send({
+                type: 'health',
+                text: 'System Health Alert',
+                attachments: [{ type: 'cpu', title: 'CPU' }, { type: 'mem', title: 'Memory' }]
+            });
+
+            expect(slack.send.mock.calls[0][0].attachments.map(a => a.title)).toEqual(['Memory']);
+            expect(teams.send.mock.calls[0][0].attachments.map(a => a.title)).toEqual(['CPU', 'Memory']);
+        });
+
+        test('should prefer severity routes over plain type routes', async () => {
+            const slack = fakeChannel('slack');
+            const webhook = fakeChannel('webhook');
+            const notifier = createNotifier({
+                channels: [slack, webhook],
+                routes: { 'mem.critical': ['webhook'], '*.critical': ['slack', 'webhook'], '*': ['slack'] }
+            });
+
+            await notifier.send({
+                type: 'health',
+                severity: 'critical',
+                text: 'System Health Alert',
+                attachments: [
+                    { type: 'mem', severity: 'critical', title: 'Memory' },
+                    { type: 'swap', severity: 'warning', title: 'Swap' },
+                    { type: 'cpu', severity: 'critical', title: 'CPU' }
+                ]
+            });
+
+            expect(slack.send.mock.calls[0][0].attachments.map(a => a.title)).toEqual(['Swap', 'CPU']);
+            expect(webhook.send.mock.calls[0][0].attachments.map(a => a.title)).toEqual(['Memory', 'CPU']);
+        });
+
+        test('should succeed when at least one channel delivers', async () => {
+            const slack = fakeChannel('slack', Promise.reject(new Error('Slack down')));
+            const email = fakeChannel('email');
+            await expect(createNotifier({ channels: [slack, email] }).send(NOTIFICATION)).resolves.toEqual(['email']);
+        });
+
+        test('should reject when every channel fails', async () => {
+            const slack = fakeChannel('slack', Promise.reject(new Error('Slack down')));
+            await expect(createNotifier({ channels: [slack] }).send(NOTIFICATION)).rejects.toThrow('All notification channels failed');
+        });
+    });
+
+    describe('createChannels', () => {
+        const base = { SMTP_HOST: '', ALERT_EMAIL_TO: [], NOTIFY_TIMEOUT: 1000 };
+
+        test('should enable only the channels that are configured', () => {
+            const channels = createChannels(Object.assign({}, base, {
+                TEAMS_WEBHOOK_URL: 'https://example.webhook.office.com/x',
+                SMTP_HOST: 'smtp.example.com',
+                ALERT_EMAIL_TO: ['ops@example.com'],
+                ALERT_COMMAND: '/usr/local/bin/page'
+            }));
+            expect(channels.map(channel => channel.name)).toEqual(['teams', 'email', 'command']);
+        });
+
+        test('should ignore the placeholder Slack URL from .env.example', () => {
+            const channels = createChannels(Object.assign({}, base, {
+                SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/YOUR/WEBHOOK/URL'
+            }));
+            expect(channels).toEqual([]);
+        });
+    });
+});
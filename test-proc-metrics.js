@@ -0,0 +1,397 @@
+/**
+============================================================
+    Goal: Automated Tests for the /proc Metrics Collector
+============================================================
+    Why:
+        - Keep the /proc parsers honest against real kernel file layouts
+        - Catch regressions without depending on the host the tests run on
+
+    What:
+        - Points the collector at fixtures/proc and fixtures/sys instead of the live host
+        - Mocks statfs for filesystem capacity
+        - Covers parsing, units and error cases
+============================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const { createProcMetrics, diffCpuTimes, diffNetCounters, diffDiskStats, statFilesystem } = require('./lib/proc-metrics');
+
+const FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'proc');
+const SYS_ROOT = path.join(__dirname, 'fixtures', 'sys');
+
+describe('Proc Metrics Collector Tests', () => {
+    const procMetrics = createProcMetrics({ procRoot: FIXTURE_ROOT, sysRoot: SYS_ROOT });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // =====================
+    // /proc/stat
+    // =====================
+    describe('readCpuTimes', () => {
+        test('should parse aggregate CPU counters', () => {
+            const { total } = procMetrics.readCpuTimes();
+            expect(total).toEqual({
+                user: 6000,
+                nice: 500,
+                system: 1500,
+                idle: 10000,
+                iowait: 1000,
+                irq: 200,
+                softirq: 300,
+                steal: 500,
+                guest: 0,
+                guestNice: 0,
+                total: 20000
+            });
+        });
+
+        test('should parse one entry per core', () => {
+            const { cores } = procMetrics.readCpuTimes();
+            expect(cores).toHaveLength(2);
+            expect(cores[1].id).toBe(1);
+            expect(cores[1].user).toBe(3000);
+            expect(cores[1].total).toBe(10000);
+        });
+
+        test('should throw when the proc root has no stat file', () => {
+            const missing = createProcMetrics({ procRoot: path.join(FIXTURE_ROOT, 'missing') });
+            expect(() => missing.readCpuTimes()).toThrow();
+        });
+    });
+
+    // =====================
+    // CPU deltas
+    // =====================
+    describe('diffCpuTimes', () => {
+        test('should measure from boot without a previous sample', () => {
+            const { total } = procMetrics.readCpuTimes();
+            const result = diffCpuTimes(null, total);
+            expect(result.usage).toBe(45);
+            expect(result.modes).toEqual({
+                user: 30,
+                nice: 2.5,
+                system: 7.5,
+                idle: 50,
+                iowait: 5,
+                irq: 1,
+                softirq: 1.5,
+                steal: 2.5
+            });
+        });
+
+        test('should only count the jiffies elapsed between samples', () => {
+            const { total: previous } = procMetrics.readCpuTimes();
+            const current = Object.assign({}, previous, {
+                user: previous.user + 100,
+                iowait: previous.iowait + 50,
+                steal: previous.steal + 50,
+                total: previous.total + 200
+            });
+            const result = diffCpuTimes(previous, current);
+            expect(result.usage).toBe(75);
+            expect(result.modes.user).toBe(50);
+            expect(result.modes.iowait).toBe(25);
+            expect(result.modes.steal).toBe(25);
+            expect(result.modes.idle).toBe(0);
+        });
+
+        test('should report zero when no time has elapsed', () => {
+            const { total } = procMetrics.readCpuTimes();
+            expect(diffCpuTimes(total, total).usage).toBe(0);
+        });
+    });
+
+    // =====================
+    // /proc/meminfo
+    // =====================
+    describe('readMemInfo', () => {
+        test('should convert kB values to bytes', () => {
+            const info = procMetrics.readMemInfo();
+            expect(info.MemTotal).toBe(16384000 * 1024);
+            expect(info.MemAvailable).toBe(6144000 * 1024);
+            expect(info.SwapFree).toBe(6144000 * 1024);
+        });
+
+        test('should keep unitless counters as-is', () => {
+            expect(procMetrics.readMemInfo().HugePages_Total).toBe(0);
+        });
+    });
+
+    // =====================
+    // /proc/loadavg and /proc/uptime
+    // =====================
+    describe('readLoadAvg and readUptime', () => {
+        test('should parse load averages and task counts', () => {
+            expect(procMetrics.readLoadAvg()).toEqual({
+                '1min': 1.25,
+                '5min': 1.15,
+                '15min': 0.95,
+                running: 2,
+                total: 345
+            });
+        });
+
+        test('should parse uptime seconds', () => {
+            expect(procMetrics.readUptime()).toEqual({ uptimeSeconds: 186300.52, idleSeconds: 350000.10 });
+        });
+    });
+
+    // =====================
+    // /proc/mounts
+    // =====================
+    describe('readMounts', () => {
+        test('should list every mount with decoded mountpoints', () => {
+            const mounts = procMetrics.readMounts();
+            expect(mounts).toHaveLength(5);
+            expect(mounts[2]).toEqual({
+                device: '/dev/sda1',
+                mountpoint: '/',
+                fstype: 'ext4',
+                options: ['rw', 'relatime']
+            });
+            expect(mounts[4].mountpoint).toBe('/mnt/backup disk');
+        });
+    });
+
+    // =====================
+    // /proc/net/dev, /sys/class/net, /proc/diskstats and /sys/class/block
+    // =====================
+    describe('readNetDev and readDiskStats', () => {
+        test('should parse counters for every interface', () => {
+            const interfaces = procMetrics.readNetDev();
+            expect(interfaces.map(entry => entry.interface)).toEqual(['lo', 'eth0', 'docker0']);
+            expect(interfaces[1]).toEqual(expect.objectContaining({
+                rxBytes: 987654321,
+                rxErrors: 3,
+                rxDropped: 12,
+                txBytes: 123456789,
+                txErrors: 1,
+                txDropped: 4,
+            }));
+        });
+
+        test('should turn two samples into per-second rates', () => {
+            const previous = procMetrics.readNetDev();
+            const current = previous.map(entry => Object.assign({}, entry, {
+                rxBytes: entry.rxBytes + 500000,
+                rxFifo: entry.rxFifo + 20,
+                txBytes: entry.interface === 'docker0' ? 0 : entry.txBytes,
+            }));
+            const rates = diffNetCounters(previous.slice(1), current, 10000);
+
+            expect(rates.map(entry => entry.interface)).toEqual(['eth0', 'docker0']);
+            expect(rates[0]).toEqual(expect.objectContaining({ rxBytes: 50000, rxFifo: 2, txBytes: 0 }));
+            // docker0 was recreated, so its transmit counter went backwards
+            expect(rates[1].txBytes).toBe(0);
+        });
+
+        test('should read link state and speed from sysfs', () => {
+            expect(procMetrics.readNetInterface('eth0')).toEqual({ interface: 'eth0', operstate: 'up', speedMbps: 1000, physical: true });
+            expect(procMetrics.readNetInterface('docker0')).toEqual({ interface: 'docker0', operstate: 'down', speedMbps: null, physical: false });
+            expect(procMetrics.readNetInterface('lo')).toEqual(expect.objectContaining({ operstate: 'unknown', speedMbps: null }));
+            expect(() => procMetrics.readNetInterface('eth9')).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+        });
+
+        test('should parse counters for every block device', () => {
+            const devices = procMetrics.readDiskStats();
+            expect(devices.map(entry => entry.device)).toEqual(['loop0', 'nvme0n1', 'nvme0n1p1', 'xvda', 'dm-0']);
+            expect(devices[1]).toEqual(expect.objectContaining({
+                major: 259,
+                minor: 0,
+                readsCompleted: 120000,
+                sectorsRead: 9600000,
+                writesCompleted: 80000,
+                ioTimeMs: 60000,
+            }));
+        });
+
+        test('should read pre-4.18 lines without discard counters', () => {
+            const xvda = procMetrics.readDiskStats().find(entry => entry.device === 'xvda');
+            expect(xvda.ioInProgress).toBe(2);
+            expect(xvda.weightedIoTimeMs).toBe(11500);
+        });
+
+        test('should turn two samples into iostat-style latency, utilisation and queue depth', () => {
+            const previous = procMetrics.readDiskStats();
+            const current = previous.map(entry => Object.assign({}, entry, {
+                readsCompleted: entry.readsCompleted + 200,
+                sectorsRead: entry.sectorsRead + 20480,
+                readTimeMs: entry.readTimeMs + 1000,
+                writesCompleted: entry.writesCompleted + 50,
+                writeTimeMs: entry.writeTimeMs + 1500,
+                ioTimeMs: entry.ioTimeMs + (entry.device === 'xvda' ? 12000 : 4000),
+                weightedIoTimeMs: entry.weightedIoTimeMs + 25000,
+            }));
+            const stats = diffDiskStats(previous.slice(1), current, 10000);
+
+            expect(stats.map(entry => entry.device)).toEqual(['nvme0n1', 'nvme0n1p1', 'xvda', 'dm-0']);
+            expect(stats[0]).toEqual({
+                device: 'nvme0n1',
+                readsPerSec: 20,
+                writesPerSec: 5,
+                readBytesPerSec: 1048576,
+                writeBytesPerSec: 0,
+                readAwaitMs: 5,
+                writeAwaitMs: 30,
+                awaitMs: 10,
+                utilisation: 40,
+                queueDepth: 2.5,
+                inFlight: 0,
+            });
+            // io_ticks ran ahead of the clock
+            expect(stats[2].utilisation).toBe(100);
+        });
+
+        test('should tell partitions from whole devices through sysfs', () => {
+            expect(procMetrics.readBlockDevice('nvme0n1p1')).toEqual({ device: 'nvme0n1p1', partition: true });
+            expect(procMetrics.readBlockDevice('nvme0n1')).toEqual({ device: 'nvme0n1', partition: false });
+            expect(procMetrics.readBlockDevice('dm-0').partition).toBe(false);
+        });
+    });
+
+    // =====================
+    // /proc/net/tcp, sockstat, netstat and the ephemeral port range
+    // =====================
+    describe('TCP sockets and counters', () => {
+        test('should decode IPv4 and IPv6 sockets with their state and accept queue', () => {
+            const sockets = procMetrics.readTcpSockets();
+
+            expect(sockets).toHaveLength(12);
+            expect(sockets[0]).toEqual({ family: 'ipv4', localAddress: '0.0.0.0', localPort: 8080, remoteAddress: '0.0.0.0', remotePort: 0, state: 'LISTEN', txQueue: 0, rxQueue: 128 });
+            expect(sockets[1]).toEqual(expect.objectContaining({ localAddress: '127.0.0.1', localPort: 3306 }));
+            expect(sockets[5]).toEqual(expect.objectContaining({ localPort: 35554, remoteAddress: '10.0.0.20', remotePort: 3306, state: 'ESTABLISHED' }));
+            expect(sockets[4].state).toBe('CLOSE_WAIT');
+            expect(sockets.slice(8).map(entry => [entry.localAddress, entry.remoteAddress, entry.state])).toEqual([
+                ['::', '::', 'LISTEN'],
+                ['2001:db8::5', '2001:db8::9', 'ESTABLISHED'],
+                ['2001:db8::5', '2001:db8::9', 'TIME_WAIT'],
+                // An IPv4 client of a dual-stack listener
+                ['::ffff:10.0.0.10', '::ffff:10.0.0.11', 'ESTABLISHED'],
+            ]);
+        });
+
+        test('should read socket totals, listen counters and the port range', () => {
+            expect(procMetrics.readSockstat()).toEqual(expect.objectContaining({
+                sockets: { used: 412 },
+                TCP: { inuse: 9, orphan: 1, tw: 4, alloc: 14, mem: 3 },
+            }));
+            expect(procMetrics.readNetstat().TcpExt).toEqual(expect.objectContaining({ ListenOverflows: 1532, ListenDrops: 1540 }));
+            expect(procMetrics.readNetstat().IpExt.InOctets).toBe(987654321);
+            expect(procMetrics.readLocalPortRange()).toEqual({ low: 32768, high: 60999 });
+        });
+    });
+
+    // =====================
+    // /proc/<pid>/fd and /proc/<pid>/limits
+    // =====================
+    describe('Process file descriptors', () => {
+        test('should list the processes and count their descriptors against their limits', () => {
+            expect(procMetrics.listPids().sort((a, b) => a - b)).toEqual([812, 4312]);
+            expect(procMetrics.readProcessFds(812)).toEqual({ pid: 812, command: 'nginx', openFiles: 12, softLimit: 16, hardLimit: 4096 });
+            expect(procMetrics.readProcessFds(4312)).toEqual(expect.objectContaining({ command: 'java', openFiles: 5, softLimit: 1048576 }));
+            expect(() => procMetrics.readProcessFds(99999)).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+        });
+
+        test('should read the host-wide descriptor count from the proc root', () => {
+            expect(procMetrics.readFileNr()).toEqual({ allocated: 9344, maximum: 1048576 });
+        });
+    });
+
+    // =====================
+    // /proc/<pid>/cgroup and /sys/fs/cgroup
+    // =====================
+    describe('Control groups', () => {
+        const WEB = '4b5e57f6eb2f42b9039b3d1e13929295f231749c510cbe341cd68036d9af97e2';
+        const DB = '7bdc25d1694ef984782a16f6f1710c1c6bc83ba7a131b515baf532bea021d011';
+
+        test('should read cgroup v2 usage and limits from the unified hierarchy', () => {
+            const cgroups = procMetrics.readProcessCgroup(812);
+            expect(cgroups).toEqual([{ hierarchy: 0, controllers: [], path: `/system.slice/docker-${WEB}.scope` }]);
+
+            expect(procMetrics.readCgroupStats(cgroups)).toEqual({
+                version: 2,
+                // 1.5GiB charged, 512MiB of it inactive page cache
+                memoryBytes: 1024 * 1024 * 1024,
+                memoryLimitBytes: 2 * 1024 * 1024 * 1024,
+                cpuUsageSeconds: 5000,
+                cpuLimitCores: 1.5,
+                cpuPeriods: 1000,
+                cpuThrottledPeriods: 50,
+            });
+        });
+
+        test('should read cgroup v1 hierarchies, where no limit is a huge number', () => {
+            const v1 = createProcMetrics({
+                procRoot: path.join(__dirname, 'fixtures', 'cgroup-v1', 'proc'),
+                sysRoot: path.join(__dirname, 'fixtures', 'cgroup-v1', 'sys'),
+            });
+            const cgroups = v1.readProcessCgroup(2740);
+            expect(cgroups).toHaveLength(6);
+            expect(cgroups[2]).toEqual({ hierarchy: 9, controllers: ['cpu', 'cpuacct'], path: `/docker/${DB}` });
+            expect(cgroups[4].controllers).toEqual(['name=systemd']);
+
+            expect(v1.readCgroupStats(cgroups)).toEqual({
+                version: 1,
+                memoryBytes: 800 * 1024 * 1024 - 200 * 1024 * 1024,
+                memoryLimitBytes: null,
+                cpuUsageSeconds: 720,
+                cpuLimitCores: null,
+                cpuPeriods: 0,
+                cpuThrottledPeriods: 0,
+            });
+        });
+    });
+
+    // =====================
+    // /proc/pressure
+    // =====================
+    describe('readPressure', () => {
+        test('should parse some and full stall averages per resource', () => {
+            const pressure = procMetrics.readPressure();
+            expect(Object.keys(pressure)).toEqual(['cpu', 'memory', 'io']);
+            expect(pressure.memory).toEqual({
+                some: { avg10: 12.37, avg60: 8.02, avg300: 3.15, total: 98123456 },
+                full: { avg10: 6.10, avg60: 4.25, avg300: 1.60, total: 51234567 },
+            });
+        });
+
+        test('should throw ENOENT on kernels without pressure stall information', () => {
+            const oldKernel = createProcMetrics({ procRoot: path.join(FIXTURE_ROOT, 'net') });
+            expect(() => oldKernel.readPressure()).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+        });
+    });
+
+    // =====================
+    // statfs
+    // =====================
+    describe('statFilesystem', () => {
+        test('should compute bytes and a df-style usage percentage', () => {
+            jest.spyOn(fs, 'statfsSync').mockReturnValue({
+                bsize: 4096,
+                blocks: 1000,
+                bfree: 250,
+                bavail: 200,
+                files: 500,
+                ffree: 100
+            });
+            const result = statFilesystem('/');
+            expect(result.totalBytes).toBe(4096000);
+            expect(result.usedBytes).toBe(3072000);
+            expect(result.availableBytes).toBe(819200);
+            expect(result.usagePercent).toBeCloseTo(750 / 950 * 100);
+            expect(result.totalInodes).toBe(500);
+            expect(result.freeInodes).toBe(100);
+        });
+
+        test('should report zero usage for an empty filesystem', () => {
+            jest.spyOn(fs, 'statfsSync').mockReturnValue({
+                bsize: 4096, blocks: 0, bfree: 0, bavail: 0, files: 0, ffree: 0
+            });
+            expect(statFilesystem('/').usagePercent).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+============================================================
+    Goal: Automated Tests for the Prometheus Exporter
+============================================================
+    Why:
+        - A malformed exposition line makes Prometheus drop the whole scrape
+        - The endpoint must stay up when one scrape fails
+
+    What:
+        - Checks the text format: HELP/TYPE once per family, labels and escaping
+        - Scrapes a real server on a free local port
+============================================================
+*/
+
+const http = require('http');
+
+const { CONTENT_TYPE, createMetricSet, createMetricsServer } = require('./lib/prometheus');
+
+// Minimal HTTP client for the local server
+function request(port, { method = 'GET', path = '/metrics' } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+const silentLogger = { info: jest.fn(), error: jest.fn() };
+
+describe('Prometheus Exporter Tests', () => {
+    describe('createMetricSet', () => {
+        test('should render each family once with constant and sample labels', () => {
+            const metrics = createMetricSet({ host: 'web-1' });
+            metrics.counter('linux_monitor_network_receive_bytes_total', 'Bytes received', 1024, { interface: 'eth0' });
+            metrics.gauge('linux_monitor_load1', '1-minute load average', 0.5);
+            metrics.counter('linux_monitor_network_receive_bytes_total', 'Bytes received', 2048, { interface: 'eth1' });
+
+            expect(metrics.render()).toBe([
+                '# HELP linux_monitor_network_receive_bytes_total Bytes received',
+                '# TYPE linux_monitor_network_receive_bytes_total counter',
+                'linux_monitor_network_receive_bytes_total{host="web-1",interface="eth0"} 1024',
+                'linux_monitor_network_receive_bytes_total{host="web-1",interface="eth1"} 2048',
+                '# HELP linux_monitor_load1 1-minute load average',
+                '# TYPE linux_monitor_load1 gauge',
+                'linux_monitor_load1{host="web-1"} 0.5',
+                '',
+            ].join('\n'));
+        });
+
+        test('should escape label values and help text', () => {
+            const metrics = createMetricSet();
+            metrics.gauge('test_metric', 'Line one\nline two \\ done', 1, { mountpoint: '/mnt/"odd"\\dir\n' });
+            const output = metrics.render();
+
+            expect(output).toContain('# HELP test_metric Line one\\nline two \\\\ done');
+            expect(output).toContain('test_metric{mountpoint="/mnt/\\"odd\\"\\\\dir\\n"} 1');
+        });
+
+        test('should skip missing values but keep the family', () => {
+            const metrics = createMetricSet();
+            metrics.gauge('test_metric', 'Unreadable source', null);
+            expect(metrics.render()).toBe('# HELP test_metric Unreadable source\n# TYPE test_metric gauge\n');
+        });
+
+        test('should write special float values the way Prometheus expects', () => {
+            const metrics = createMetricSet();
+            metrics.gauge('test_metric', 'Special values', NaN, { value: 'nan' });
+            metrics.gauge('test_metric', 'Special values', Infinity, { value: 'inf' });
+            expect(metrics.render()).toContain('test_metric{value="nan"} NaN\ntest_metric{value="inf"} +Inf');
+        });
+
+        test('should refuse to register a name under two types', () => {
+            const metrics = createMetricSet();
+            metrics.gauge('test_metric', 'A gauge', 1);
+            expect(() => metrics.counter('test_metric', 'A counter', 1)).toThrow(/already registered as a gauge/);
+        });
+    });
+
+    describe('createMetricsServer', () => {
+        let server;
+        let port;
+        let collect;
+
+        beforeEach(async () => {
+            collect = jest.fn(() => {
+                const metrics = createMetricSet({ host: 'web-1' });
+                metrics.gauge('linux_monitor_load1', '1-minute load average', 0.5);
+                return metrics;
+            });
+            server = createMetricsServer({ collect, port: 0 }, silentLogger);
+            ({ port } = await server.start());
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        test('should serve freshly collected metrics on GET /metrics', async () => {
+            const first = await request(port);
+            await request(port);
+
+            expect(first.status).toBe(200);
+            expect(first.headers['content-type']).toBe(CONTENT_TYPE);
+            expect(first.body).toContain('linux_monitor_load1{host="web-1"} 0.5');
+            expect(collect).toHaveBeenCalledTimes(2);
+        });
+
+        test('should answer other paths with 404 and other methods with 405', async () => {
+            expect((await request(port, { path: '/' })).status).toBe(404);
+            const post = await request(port, { method: 'POST' });
+            expect(post.status).toBe(405);
+            expect(post.headers.allow).toBe('GET, HEAD');
+        });
+
+        test('should fail a single scrape with 500 and keep serving', async () => {
+            collect.mockImplementationOnce(() => { throw new Error('boom'); });
+
+            expect((await request(port)).status).toBe(500);
+            expect(silentLogger.error).toHaveBeenCalledWith(expect.objectContaining({ err: expect.any(Error) }), 'Error collecting metrics for scrape');
+            expect((await request(port)).status).toBe(200);
+        });
+
+        test('should reject start when the port is taken', async () => {
+            const clash = createMetricsServer({ collect, port }, silentLogger);
+            await expect(clash.start()).rejects.toThrow(/EADDRINUSE/);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+============================================================
+    Goal: Automated Tests for the Threshold Rule Engine
+============================================================
+    Why:
+        - The "for" duration decides whether a spike pages anyone
+        - Hysteresis decides whether a metric on the line flaps
+
+    What:
+        - Checks how rules are built from levels, durations and clear thresholds
+        - Walks readings through PENDING, FIRING and back to OK
+============================================================
+*/
+
+const { createRule, ruleFromConfig, createRuleEngine } = require('./lib/rules');
+
+const MINUTE = 60 * 1000;
+
+describe('Rule Engine Tests', () => {
+    describe('createRule', () => {
+        test('should clear at the lowest alerting level by default', () => {
+            expect(createRule({ critical: 90 })).toEqual({ warning: null, critical: 90, forMs: 0, clear: 90 });
+            expect(createRule({ warning: 80, critical: 90 }).clear).toBe(80);
+        });
+
+        test('should derive the clear threshold from the hysteresis gap', () => {
+            expect(createRule({ warning: 80, critical: 90, hysteresis: 5 }).clear).toBe(75);
+        });
+
+        test('should prefer an explicit clear threshold below the alerting level', () => {
+            expect(createRule({ critical: 90, clear: 70, hysteresis: 5 }).clear).toBe(70);
+            expect(createRule({ critical: 90, clear: 95, hysteresis: 5 }).clear).toBe(85);
+        });
+
+        test('should drop a warning level that is not below the critical level', () => {
+            expect(createRule({ warning: 95, critical: 90 }).warning).toBeNull();
+        });
+
+        test('should build a metric rule from the configuration', () => {
+            const config = {
+                MEM_THRESHOLD: 90, MEM_WARNING_THRESHOLD: 80, MEM_FOR_DURATION: null, MEM_CLEAR_THRESHOLD: null,
+                ALERT_FOR_DURATION: 2 * MINUTE, ALERT_HYSTERESIS: 5,
+            };
+            expect(ruleFromConfig(config, 'MEM')).toEqual({ warning: 80, critical: 90, forMs: 2 * MINUTE, clear: 75 });
+            expect(ruleFromConfig({ ...config, MEM_FOR_DURATION: 0 }, 'MEM').forMs).toBe(0);
+            expect(ruleFromConfig(config, 'MEM', { critical: 95 }).critical).toBe(95);
+        });
+    });
+
+    describe('evaluate', () => {
+        let engine;
+
+        beforeEach(() => {
+            engine = createRuleEngine();
+        });
+
+        test('should fire on the first breach without a "for" duration', () => {
+            const rule = createRule({ critical: 90 });
+            expect(engine.evaluate('mem', 50, rule, 0)).toEqual({ status: 'ok', severity: null, since: null, level: null });
+            expect(engine.evaluate('mem', 95, rule, MINUTE)).toEqual({ status: 'firing', severity: 'critical', since: MINUTE, level: 90 });
+        });
+
+        test('should stay pending until the breach has lasted the "for" duration', () => {
+            const rule = createRule({ critical: 90, forMs: 5 * MINUTE });
+            expect(engine.evaluate('cpu', 95, rule, 0).status).toBe('pending');
+            expect(engine.evaluate('cpu', 95, rule, 4 * MINUTE).status).toBe('pending');
+            expect(engine.evaluate('cpu', 95, rule, 5 * MINUTE)).toEqual(expect.objectContaining({ status: 'firing', since: 0 }));
+        });
+
+        test('should restart the duration when a pending breach drops below the level', () => {
+            const rule = createRule({ critical: 90, forMs: 5 * MINUTE, hysteresis: 10 });
+            engine.evaluate('cpu', 95, rule, 0);
+            expect(engine.evaluate('cpu', 85, rule, 3 * MINUTE).status).toBe('ok');
+            expect(engine.evaluate('cpu', 95, rule, 6 * MINUTE)).toEqual(expect.objectContaining({ status: 'pending', since: 6 * MINUTE }));
+        });
+
+        test('should keep a firing condition active until it falls below the clear threshold', () => {
+            const rule = createRule({ critical: 90, clear: 80 });
+            engine.evaluate('disk:/data', 92, rule, 0);
+
+            expect(engine.evaluate('disk:/data', 85, rule, MINUTE)).toEqual({ status: 'firing', severity: 'critical', since: 0, level: 90 });
+            expect(engine.evaluate('disk:/data', 89, rule, 2 * MINUTE).status).toBe('firing');
+            expect(engine.evaluate('disk:/data', 79, rule, 3 * MINUTE).status).toBe('ok');
+            expect(engine.get('disk:/data')).toBeNull();
+        });
+
+        test('should hold at the warning level while a critical condition cools down', () => {
+            const rule = createRule({ warning: 80, critical: 90, clear: 70 });
+            expect(engine.evaluate('swap', 95, rule, 0).severity).toBe('critical');
+            expect(engine.evaluate('swap', 85, rule, MINUTE).severity).toBe('warning');
+            expect(engine.evaluate('swap', 75, rule, 2 * MINUTE)).toEqual({ status: 'firing', severity: 'warning', since: 0, level: 80 });
+            expect(engine.evaluate('swap', 65, rule, 3 * MINUTE).status).toBe('ok');
+        });
+
+        test('should forget the breach of a key that is no longer measured', () => {
+            const rule = createRule({ critical: 90 });
+            engine.evaluate('container-mem:4b5e57f6eb2f', 95, rule, 0);
+            engine.forget('container-mem:4b5e57f6eb2f');
+            expect(engine.get('container-mem:4b5e57f6eb2f')).toBeNull();
+        });
+
+        test('should track every key independently', () => {
+            const rule = createRule({ critical: 90, forMs: 5 * MINUTE });
+            engine.evaluate('disk:/', 95, rule, 0);
+            expect(engine.evaluate('disk:/data', 95, rule, 5 * MINUTE).status).toBe('pending');
+            expect(engine.evaluate('disk:/', 95, rule, 5 * MINUTE).status).toBe('firing');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+============================================================
+    Goal: Automated Tests for TCP Connection Monitoring
+============================================================
+    Why:
+        - Port exhaustion and CLOSE_WAIT leaks are only useful alerts when they
+          point at the right port or destination
+        - Ephemeral ports run out per destination, not per host
+
+    What:
+        - Counts sockets per state and per listening port
+        - Groups sockets in one state by local port or destination
+        - Measures ephemeral port usage and listen overflow rates
+        - Checks socket states, overflows and ephemeral ports into alerts
+============================================================
+*/
+
+const { summariseSockets, topEndpoints, ephemeralPortUsage, evaluateTcp, createTcpSampler } = require('./lib/tcp');
+const { createRule, createRuleEngine } = require('./lib/rules');
+
+const SECOND = 1000;
+
+// One socket from procMetrics.readTcpSockets()
+function socket(local, remote, state, rxQueue = 0) {
+    const [localAddress, localPort] = local.split(':');
+    const [remoteAddress, remotePort] = remote.split(':');
+    return { family: 'ipv4', localAddress, localPort: Number(localPort), remoteAddress, remotePort: Number(remotePort), state, txQueue: 0, rxQueue };
+}
+
+describe('TCP Connection Tests', () => {
+    const sockets = [
+        socket('0.0.0.0:443', '0.0.0.0:0', 'LISTEN', 7),
+        socket('0.0.0.0:22', '0.0.0.0:0', 'LISTEN'),
+        socket('10.0.0.10:443', '203.0.113.5:51000', 'ESTABLISHED'),
+        socket('10.0.0.10:443', '203.0.113.5:51001', 'TIME_WAIT'),
+        socket('10.0.0.10:443', '203.0.113.6:40001', 'TIME_WAIT'),
+        socket('10.0.0.10:40001', '10.0.0.20:5432', 'TIME_WAIT'),
+        socket('10.0.0.10:40002', '10.0.0.20:5432', 'ESTABLISHED'),
+        socket('10.0.0.10:40003', '10.0.0.30:6379', 'CLOSE_WAIT'),
+    ];
+
+    test('should count sockets per state and per listening port', () => {
+        const { states, ports } = summariseSockets(sockets);
+
+        expect(states).toEqual(expect.objectContaining({ LISTEN: 2, ESTABLISHED: 2, TIME_WAIT: 3, CLOSE_WAIT: 1, SYN_RECV: 0 }));
+        expect(ports).toEqual([
+            { port: 443, connections: 3, states: { ESTABLISHED: 1, TIME_WAIT: 2 }, backlog: 7 },
+            { port: 22, connections: 0, states: {}, backlog: 0 },
+        ]);
+        expect(topEndpoints(sockets, 'TIME_WAIT')).toEqual([
+            { endpoint: 'local port 443', count: 2 },
+            { endpoint: 'to 10.0.0.20:5432', count: 1 },
+        ]);
+    });
+
+    test('should measure ephemeral ports against the busiest destination', () => {
+        // 203.0.113.6 connected from its port 40001 to our 443, which is not an ephemeral port of ours
+        expect(ephemeralPortUsage(sockets, { low: 40000, high: 40009 })).toEqual({
+            rangeSize: 10,
+            used: 3,
+            busiest: { destination: '10.0.0.20:5432', count: 2 },
+            percent: 20,
+        });
+        expect(ephemeralPortUsage(sockets, { low: 50000, high: 50009 })).toEqual({ rangeSize: 10, used: 0, busiest: null, percent: 0 });
+    });
+
+    test('should report listen overflow rates from the second sample on', () => {
+        const sampler = createTcpSampler();
+
+        expect(sampler.observe({ TcpExt: { ListenOverflows: 100, ListenDrops: 100 } }, 0)).toBeNull();
+        expect(sampler.observe({ TcpExt: { ListenOverflows: 150, ListenDrops: 160 } }, 10 * SECOND)).toEqual({ ListenOverflows: 5, ListenDrops: 6 });
+        expect(sampler.latest()).toEqual({ ListenOverflows: 5, ListenDrops: 6 });
+
+        // Counters reset by a reboot or a network namespace restart count as 0
+        expect(sampler.observe({ TcpExt: { ListenOverflows: 0, ListenDrops: 0 } }, 20 * SECOND)).toEqual({ ListenOverflows: 0, ListenDrops: 0 });
+
+        sampler.reset();
+        expect(sampler.latest()).toBeNull();
+    });
+
+    test('should alert on socket states, listen overflows and ephemeral ports over their thresholds', () => {
+        const portRange = { low: 40000, high: 40009 };
+        const tcp = Object.assign(summariseSockets(sockets), {
+            sockets,
+            overflows: { ListenOverflows: 5, ListenDrops: 6 },
+            portRange,
+            ephemeral: ephemeralPortUsage(sockets, portRange),
+        });
+        const options = {
+            ruleEngine: createRuleEngine(),
+            ephemeralRule: createRule({ warning: 15, critical: 50 }),
+            timeWaitThreshold: 3,
+            closeWaitThreshold: 0,
+            listenOverflowThreshold: 1,
+            now: 0,
+        };
+
+        const { results, alerts, conditions } = evaluateTcp(tcp, options);
+        expect(alerts.map(alert => [alert.key, alert.severity])).toEqual([
+            ['tcp:time-wait', 'warning'],
+            ['tcp:listen-overflows', 'warning'],
+            ['tcp:ephemeral', 'warning'],
+        ]);
+        expect(alerts[0].value).toContain('*Most TIME_WAIT Sockets:*\n• local port 443: 2\n• to 10.0.0.20:5432: 1');
+        expect(alerts[1].value).toContain('• port 443: 7 waiting for accept()');
+        expect(alerts[2].value).toContain('*Ports In Use Towards 10.0.0.20:5432: 2 of 10 (20.0%)*');
+        // A threshold of 0 turns CLOSE_WAIT off
+        expect(results.find(result => result.key === 'tcp:close-wait')).toMatchObject({ value: 1, status: 'ok', warning: null });
+        expect(conditions.map(condition => [condition.key, condition.firing])).toEqual([
+            ['tcp:time-wait', true], ['tcp:close-wait', false], ['tcp:listen-overflows', true], ['tcp:ephemeral', true],
+        ]);
+
+        expect(evaluateTcp(tcp, Object.assign({}, options, { dryRun: true })).alerts).toEqual([]);
+    });
+});
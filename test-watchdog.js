@@ -0,0 +1,134 @@
+/**
+============================================================
+    Goal: Automated Tests for the Process Watchdog
+============================================================
+    Why:
+        - A missed restart hides a crash-looping service
+        - A false restart pages someone every time nginx reloads its workers
+
+    What:
+        - Checks how processes are matched by program name and command line
+        - Parses systemctl output for running state, main PID and restart counter
+        - Walks watched processes through restarts, restart loops and outages
+        - Feeds RSS samples to the leak tracker: steady growth, plateaus and exits
+============================================================
+*/
+
+const { processName, matchProcesses, parseUnitStatus, createProcessWatchdog, createLeakTracker } = require('./lib/watchdog');
+
+const MINUTE = 60 * 1000;
+const LIMITS = { maxRestarts: 3, restartWindowMs: 60 * MINUTE };
+
+const MB = 1024 * 1024;
+
+const PROCESSES = [
+    { pid: '812', command: 'nginx: master process /usr/sbin/nginx -g daemon on; master_process on;' },
+    { pid: '813', command: 'nginx: worker process' },
+    { pid: '1234', command: '/usr/bin/node /srv/app/server.js --port 3000' },
+    { pid: '77', command: '[kworker/0:1-events]' },
+];
+
+describe('Process Watchdog Tests', () => {
+    describe('matching', () => {
+        test('should take the program name from the command line', () => {
+            expect(processName('/usr/sbin/nginx -g daemon on;')).toBe('nginx');
+            expect(processName('nginx: worker process')).toBe('nginx');
+            expect(processName('postgres: 14/main: checkpointer')).toBe('postgres');
+            expect(processName('[kworker/0:1-events]')).toBe('kworker/0:1-events');
+        });
+
+        test('should match by program name or command line regex', () => {
+            expect(matchProcesses({ match: 'process', target: 'nginx' }, PROCESSES)).toEqual([812, 813]);
+            expect(matchProcesses({ match: 'process', target: 'server.js' }, PROCESSES)).toEqual([]);
+            expect(matchProcesses({ match: 'cmdline', target: 'node .*/server\\.js' }, PROCESSES)).toEqual([1234]);
+        });
+
+        test('should parse systemctl show output', () => {
+            expect(parseUnitStatus('ActiveState=active\nSubState=running\nMainPID=812\nNRestarts=2\n'))
+                .toEqual({ running: true, state: 'active/running', pids: [812], restartCounter: 2 });
+            expect(parseUnitStatus('ActiveState=failed\nSubState=failed\nMainPID=0\n'))
+                .toEqual({ running: false, state: 'failed/failed', pids: [], restartCounter: null });
+        });
+    });
+
+    describe('observe', () => {
+        test('should count a restart when none of the old PIDs is left', () => {
+            const watchdog = createProcessWatchdog();
+            expect(watchdog.observe('nginx', { running: true, pids: [812, 813] }, LIMITS, 0).restarted).toBe(0);
+            // A worker replaced on reload is not a restart
+            expect(watchdog.observe('nginx', { running: true, pids: [812, 900] }, LIMITS, MINUTE).restarted).toBe(0);
+
+            const result = watchdog.observe('nginx', { running: true, pids: [950, 951] }, LIMITS, 2 * MINUTE);
+            expect(result).toEqual(expect.objectContaining({ restarted: 1, restartCount: 1, restartLoop: false, previousPids: [812, 900], pids: [950, 951] }));
+        });
+
+        test('should take restarts between checks from the systemd counter', () => {
+            const watchdog = createProcessWatchdog();
+            watchdog.observe('db', { running: true, pids: [500], restartCounter: 0 }, LIMITS, 0);
+            const result = watchdog.observe('db', { running: true, pids: [530], restartCounter: 4 }, LIMITS, MINUTE);
+
+            expect(result.restarted).toBe(4);
+            expect(result.restartLoop).toBe(true);
+        });
+
+        test('should only count restarts within the window', () => {
+            const watchdog = createProcessWatchdog();
+            [[1], [2], [3]].forEach((pids, i) => watchdog.observe('api', { running: true, pids }, LIMITS, i * 40 * MINUTE));
+            // Restarts at 40, 80 and 120 minutes; the first one has left the hour by then
+            expect(watchdog.observe('api', { running: true, pids: [4] }, LIMITS, 120 * MINUTE)).toEqual(expect.objectContaining({ restartCount: 2, restartLoop: false }));
+            expect(watchdog.observe('api', { running: true, pids: [5] }, LIMITS, 130 * MINUTE)).toEqual(expect.objectContaining({ restartCount: 3, restartLoop: true }));
+        });
+
+        test('should remember since when a process is missing and notice its return', () => {
+            const watchdog = createProcessWatchdog();
+            watchdog.observe('worker', { running: true, pids: [42] }, LIMITS, 0);
+            expect(watchdog.observe('worker', { running: false, pids: [] }, LIMITS, MINUTE).missingSince).toBe(MINUTE);
+            expect(watchdog.observe('worker', { running: false, pids: [] }, LIMITS, 2 * MINUTE).missingSince).toBe(MINUTE);
+
+            const result = watchdog.observe('worker', { running: true, pids: [43] }, LIMITS, 3 * MINUTE);
+            expect(result).toEqual(expect.objectContaining({ running: true, recovered: true, restarted: 1, missingSince: null }));
+        });
+
+        test('should ignore a restart count limit of 0', () => {
+            const watchdog = createProcessWatchdog();
+            watchdog.observe('db', { running: true, pids: [1], restartCounter: 0 }, { maxRestarts: 0, restartWindowMs: 60 * MINUTE }, 0);
+            expect(watchdog.observe('db', { running: true, pids: [2], restartCounter: 10 }, { maxRestarts: 0, restartWindowMs: 60 * MINUTE }, MINUTE).restartLoop).toBe(false);
+        });
+    });
+
+    describe('leak tracker', () => {
+        test('should flag RSS that grew on every sample for the whole window', () => {
+            const tracker = createLeakTracker();
+            let result;
+            for (let minute = 0; minute <= 30; minute += 5) {
+                result = tracker.observe('java:4312', (100 + minute) * MB, 30 * MINUTE, minute * MINUTE);
+                if (minute < 30) expect(result.leaking).toBe(false);
+            }
+
+            expect(result).toEqual(expect.objectContaining({ leaking: true, since: 0 }));
+            expect(result.samples).toHaveLength(7);
+            expect(result.samples[6]).toEqual({ timestamp: 30 * MINUTE, rssBytes: 130 * MB });
+            expect(result.bytesPerHour).toBeCloseTo(60 * MB);
+        });
+
+        test('should start over when RSS levels off or drops', () => {
+            const tracker = createLeakTracker();
+            [100, 110, 110, 120, 90, 95].forEach((rss, i) => tracker.observe('node:1234', rss * MB, 10 * MINUTE, i * 10 * MINUTE));
+            const result = tracker.observe('node:1234', 96 * MB, 10 * MINUTE, 60 * MINUTE);
+
+            expect(result.since).toBe(40 * MINUTE);
+            expect(result.samples.map(sample => sample.rssBytes / MB)).toEqual([90, 95, 96]);
+            expect(result.leaking).toBe(true);
+            expect(tracker.observe('node:1234', 96 * MB, 10 * MINUTE, 70 * MINUTE).leaking).toBe(false);
+        });
+
+        test('should forget processes that have exited', () => {
+            const tracker = createLeakTracker({ maxSamples: 3 });
+            [1, 2, 3, 4].forEach(i => tracker.observe('api:1', i * MB, MINUTE, i * MINUTE));
+            expect(tracker.observe('api:1', 5 * MB, MINUTE, 5 * MINUTE).samples.map(sample => sample.rssBytes / MB)).toEqual([3, 4, 5]);
+
+            tracker.prune(new Set(['api:2']));
+            expect(tracker.observe('api:1', 6 * MB, MINUTE, 6 * MINUTE)).toEqual(expect.objectContaining({ leaking: false, since: 6 * MINUTE }));
+        });
+    });
+});